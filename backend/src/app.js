@@ -8,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const executionConfig = require('./config/execution');
 const errorHandler = require('./middleware/errorHandler');
 
 // Route imports
@@ -22,6 +23,7 @@ const codeExecutionRoutes = require('./routes/codeExecution');
 const uploadRoutes = require('./routes/uploads');
 const noticeRoutes = require('./routes/notices');
 const analyticsRoutes = require('./routes/analytics');
+const executionRecordRoutes = require('./routes/executionRecords');
 
 const app = express();
 
@@ -33,12 +35,28 @@ mongoose.connection.once('open', async () => {
   try {
     const { initializeDefaults } = require('./models');
     await initializeDefaults();
+    await require('./services/languageService').initialize();
     console.log('✓ Default data initialized successfully');
   } catch (error) {
     console.error('✗ Failed to initialize default data:', error);
   }
 });
 
+// Report a missing or unsafe execution backend configuration; runs fail
+// until it is fixed and /health reports it
+const executionService = require('./services/executionService');
+const executionConfigError = executionService.getConfigurationError();
+if (executionConfigError) {
+  console.error('✗ Code execution unavailable:', executionConfigError);
+}
+
+// Start the code execution worker unless jobs are processed elsewhere
+if (executionConfig.queue.runWorker) {
+  require('./services/executionQueueService').startWorker();
+  // Judge assessment attempts kept pending while the judge was unavailable
+  require('./services/codingAttemptService').start();
+}
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -46,7 +64,15 @@ app.use(compression());
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Let the client show execution quota usage
+  exposedHeaders: [
+    'X-Execution-Quota-Context',
+    'X-Execution-Quota-Limit',
+    'X-Execution-Quota-Remaining',
+    'X-Execution-Quota-Reset',
+    'Retry-After'
+  ]
 }));
 
 // Rate limiting
@@ -55,7 +81,9 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Judge0 sends one callback per test case run
+  skip: (req) => req.path === '/code/judge0/callback'
 });
 app.use('/api/', limiter);
 
@@ -70,10 +98,14 @@ if (process.env.NODE_ENV === 'development') {
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
+  const executionError = executionService.getConfigurationError();
+  res.status(executionError ? 503 : 200).json({
+    status: executionError ? 'DEGRADED' : 'OK',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    execution: executionError
+      ? { status: 'misconfigured', error: executionError }
+      : { status: 'configured', backend: executionService.backendName }
   });
 });
 
@@ -89,6 +121,7 @@ app.use('/api/code', codeExecutionRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/notices', noticeRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/execution-records', executionRecordRoutes);
 
 // Static file serving for uploads
 app.use('/uploads', express.static('uploads'));
@@ -110,6 +143,9 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Socket.IO for live execution progress
+require('./services/socketService').attach(server);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
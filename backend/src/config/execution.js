@@ -0,0 +1,156 @@
+const os = require('os');
+
+// Helper function to merge EXECUTION_QUOTAS (JSON, e.g.
+// {"practice":{"Student":20}}) over the default quotas
+const mergeQuotas = (defaults, overrides) => {
+  if (!overrides) {
+    return defaults;
+  }
+  try {
+    const parsed = JSON.parse(overrides);
+    return Object.fromEntries(Object.entries({ ...defaults, ...parsed }).map(([context, limits]) => [
+      context,
+      { ...defaults[context], ...limits }
+    ]));
+  } catch (error) {
+    console.error('Invalid EXECUTION_QUOTAS, using defaults:', error.message);
+    return defaults;
+  }
+};
+
+// Code execution backend configuration
+// EXECUTION_BACKEND selects the runner: judge0 (RapidAPI), judge0-self-hosted or
+// local. The local runner runs code on the API host, so it is never picked
+// unless asked for.
+const executionConfig = {
+  backend: process.env.EXECUTION_BACKEND || (process.env.JUDGE0_API_KEY ? 'judge0' : undefined),
+
+  // RapidAPI hosted Judge0
+  judge0: {
+    url: process.env.JUDGE0_API_URL || 'https://judge0-ce.p.rapidapi.com',
+    apiKey: process.env.JUDGE0_API_KEY,
+    apiHost: process.env.JUDGE0_API_HOST || 'judge0-ce.p.rapidapi.com',
+    requestTimeout: parseInt(process.env.JUDGE0_REQUEST_TIMEOUT_MS) || 30000,
+    pollInterval: parseInt(process.env.JUDGE0_POLL_INTERVAL_MS) || 1000,
+    maxPollAttempts: parseInt(process.env.JUDGE0_MAX_POLL_ATTEMPTS) || 30,
+    batchSize: parseInt(process.env.JUDGE0_BATCH_SIZE) || 20 // Judge0's default maximum
+  },
+
+  // Judge0 instance running on our own infrastructure
+  judge0SelfHosted: {
+    url: process.env.JUDGE0_SELF_HOSTED_URL || 'http://localhost:2358',
+    authToken: process.env.JUDGE0_AUTH_TOKEN,
+    authHeader: process.env.JUDGE0_AUTH_HEADER || 'X-Auth-Token',
+    requestTimeout: parseInt(process.env.JUDGE0_REQUEST_TIMEOUT_MS) || 30000,
+    pollInterval: parseInt(process.env.JUDGE0_POLL_INTERVAL_MS) || 1000,
+    maxPollAttempts: parseInt(process.env.JUDGE0_MAX_POLL_ATTEMPTS) || 30,
+    batchSize: parseInt(process.env.JUDGE0_BATCH_SIZE) || 20 // Judge0's default maximum
+  },
+
+  // Judge0 callbacks: when url and secret are set, Judge0 PUTs finished
+  // submissions to url (this API's /api/code/judge0/callback) instead of being
+  // polled. Callbacks are shared between API instances over Redis; a
+  // submission whose callback does not arrive within timeout is polled.
+  judge0Callback: {
+    url: process.env.JUDGE0_CALLBACK_URL,
+    secret: process.env.JUDGE0_CALLBACK_SECRET,
+    timeout: parseInt(process.env.JUDGE0_CALLBACK_TIMEOUT_MS) || 30000,
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379'
+  },
+
+  // Sandboxed runner on the API host (no internet required). The API must run
+  // as root, and uid/gid must belong to a dedicated user without a login.
+  // readOnlyPaths are the host directories sandboxed code sees (read-only),
+  // besides its workspace; add the directories of toolchains installed
+  // elsewhere, e.g. /opt/jdk or /etc/java-17-openjdk. Python unit-test
+  // questions need pytest installed for python3, and Java ones the JUnit
+  // console launcher jar (junit-platform-console-standalone) at junitJar,
+  // inside one of readOnlyPaths.
+  local: {
+    workDir: process.env.LOCAL_RUNNER_WORK_DIR || os.tmpdir(),
+    prlimitPath: process.env.LOCAL_RUNNER_PRLIMIT_PATH || 'prlimit',
+    readOnlyPaths: (process.env.LOCAL_RUNNER_READONLY_PATHS || '/usr:/bin:/lib:/lib64:/etc/alternatives').split(':').filter(Boolean),
+    junitJar: process.env.LOCAL_RUNNER_JUNIT_JAR,
+    maxConcurrent: parseInt(process.env.LOCAL_RUNNER_MAX_CONCURRENT) || os.cpus().length,
+    maxProcesses: parseInt(process.env.LOCAL_RUNNER_MAX_PROCESSES) || 64, // per sandbox uid
+    maxOutputSize: parseInt(process.env.LOCAL_RUNNER_MAX_OUTPUT_BYTES) || 1024 * 1024,
+    compileTimeout: parseInt(process.env.LOCAL_RUNNER_COMPILE_TIMEOUT_MS) || 15000,
+    wallTimeMultiplier: parseFloat(process.env.LOCAL_RUNNER_WALL_TIME_MULTIPLIER) || 3,
+    memoryPollInterval: parseInt(process.env.LOCAL_RUNNER_MEMORY_POLL_INTERVAL_MS) || 10, // peak memory sampling
+    uid: process.env.LOCAL_RUNNER_UID ? parseInt(process.env.LOCAL_RUNNER_UID) : undefined,
+    gid: process.env.LOCAL_RUNNER_GID ? parseInt(process.env.LOCAL_RUNNER_GID) : undefined
+  },
+
+  // SQL questions are run by the sqlite3 command-line shell in safe mode,
+  // sandboxed like the local runner, whichever backend runs other code
+  sql: {
+    sqlitePath: process.env.SQL_RUNNER_SQLITE_PATH || 'sqlite3'
+  },
+
+  // Upper bounds for limits after per-language multipliers are applied
+  limits: {
+    maxTimeLimit: parseFloat(process.env.EXECUTION_MAX_TIME_LIMIT) || 15, // seconds
+    maxMemoryLimit: parseInt(process.env.EXECUTION_MAX_MEMORY_LIMIT) || 512 // MB
+  },
+
+  // Cache of program results keyed by a hash of the code, language, limits
+  // and stdin (per API instance). Graded submissions bypass it unless
+  // EXECUTION_CACHE_BYPASS_GRADED is false.
+  cache: {
+    enabled: process.env.EXECUTION_CACHE_ENABLED !== 'false',
+    ttl: parseInt(process.env.EXECUTION_CACHE_TTL_SECONDS) || 10 * 60, // seconds
+    maxSize: (parseInt(process.env.EXECUTION_CACHE_MAX_SIZE_MB) || 64) * 1024 * 1024, // bytes
+    bypassGraded: process.env.EXECUTION_CACHE_BYPASS_GRADED !== 'false'
+  },
+
+  // Runs allowed per user in each window, by context and then role ('default'
+  // covers roles not listed). Contexts: practice (students), assessment
+  // (students' runs for a live assessment they are sitting) and teacher
+  // (staff). Counters live in Redis so every API instance shares them.
+  quotas: {
+    windowSeconds: parseInt(process.env.EXECUTION_QUOTA_WINDOW_SECONDS) || 60,
+    limits: mergeQuotas({
+      practice: { default: 10 },
+      assessment: { default: 30 },
+      teacher: { default: 60 }
+    }, process.env.EXECUTION_QUOTAS),
+    // Queue and local runner priority per context (1 runs first)
+    priorities: {
+      assessment: 1,
+      teacher: 2,
+      practice: 3
+    }
+  },
+
+  // Circuit breaker around the execution backend: after failureThreshold
+  // consecutive outages runs fail fast for resetTimeout, then one trial run
+  // is let through. Graded attempts made meanwhile are stored as pending and
+  // judged every pendingRetryInterval once the backend is back. A pending
+  // attempt claimed for judging more than claimTimeout ago (its judge
+  // crashed) is claimed again.
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.EXECUTION_BREAKER_FAILURE_THRESHOLD) || 5,
+    resetTimeout: (parseInt(process.env.EXECUTION_BREAKER_RESET_SECONDS) || 30) * 1000, // milliseconds
+    pendingRetryInterval: (parseInt(process.env.EXECUTION_PENDING_RETRY_SECONDS) || 30) * 1000, // milliseconds
+    claimTimeout: (parseInt(process.env.EXECUTION_PENDING_CLAIM_TIMEOUT_SECONDS) || 600) * 1000 // milliseconds
+  },
+
+  // Audit log of code runs (ExecutionRecord). Records are removed by a TTL
+  // index after retentionDays; changing it needs the index rebuilt.
+  records: {
+    enabled: process.env.EXECUTION_RECORDS_ENABLED !== 'false',
+    retentionDays: parseInt(process.env.EXECUTION_RECORD_RETENTION_DAYS) || 90
+  },
+
+  // Bull queue holding execution jobs and their results
+  queue: {
+    name: 'code-execution',
+    redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+    concurrency: parseInt(process.env.EXECUTION_QUEUE_CONCURRENCY) || 4,
+    attempts: parseInt(process.env.EXECUTION_QUEUE_ATTEMPTS) || 2,
+    resultTtl: parseInt(process.env.EXECUTION_RESULT_TTL_SECONDS) || 60 * 60, // seconds
+    runWorker: process.env.EXECUTION_QUEUE_WORKER !== 'false'
+  }
+};
+
+module.exports = executionConfig;
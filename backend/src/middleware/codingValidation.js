@@ -0,0 +1,22 @@
+const { body } = require('express-validator');
+const { COMPARISON_MODES } = require('../services/execution/outputChecker');
+
+// Validation rules for output comparison settings at the given path
+const comparisonValidation = (path) => [
+  body(`${path}.mode`)
+    .optional()
+    .isIn(COMPARISON_MODES)
+    .withMessage(`Comparison mode must be one of: ${COMPARISON_MODES.join(', ')}`),
+  body(`${path}.absoluteTolerance`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Absolute tolerance must be a non-negative number'),
+  body(`${path}.relativeTolerance`)
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Relative tolerance must be a non-negative number')
+];
+
+module.exports = {
+  comparisonValidation
+};
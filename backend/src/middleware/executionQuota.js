@@ -0,0 +1,56 @@
+const { validationResult } = require('express-validator');
+const executionQuotaService = require('../services/executionQuotaService');
+
+// Execution quota middleware: uses one run of the user's quota for the given
+// context (or the one resolved from the user and the assessmentId the run is
+// for, from the route or request body), sets quota headers and
+// rejects the request with 429 once the quota is used up. Invalid requests
+// are left to the route's validation and not counted. Sets
+// req.executionQuota for the route (e.g. its queue priority).
+const enforceExecutionQuota = (context) => {
+  return async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) {
+      return next();
+    }
+
+    let quota;
+    try {
+      const assessmentId = req.params.assessmentId || req.body?.assessmentId;
+      quota = await executionQuotaService.consume(req.user, context, assessmentId);
+    } catch (error) {
+      // Don't block code execution when quotas cannot be checked
+      console.error('Execution quota error:', error);
+      return next();
+    }
+
+    req.executionQuota = quota;
+
+    if (quota.limit !== null) {
+      res.set({
+        'X-Execution-Quota-Context': quota.context,
+        'X-Execution-Quota-Limit': String(quota.limit),
+        'X-Execution-Quota-Remaining': String(quota.remaining),
+        'X-Execution-Quota-Reset': String(quota.resetIn)
+      });
+    }
+
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.resetIn));
+      return res.status(429).json({
+        success: false,
+        error: 'Execution quota exceeded. Please wait before running code again.',
+        details: {
+          context: quota.context,
+          limit: quota.limit,
+          resetIn: quota.resetIn
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  enforceExecutionQuota
+};
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { isKnownLanguage } = require('../services/execution/languages');
+const { SQL_LANGUAGE } = require('../services/execution/sqlRunner');
+const { VERDICT_CODES } = require('../services/execution/verdicts');
+const { QUALITY_RULES } = require('../services/execution/codeQuality');
+const { RULE_TYPES, RULE_KINDS } = require('../services/execution/constructRules');
+
+const verdictField = {
+  type: String,
+  enum: {
+    values: VERDICT_CODES,
+    message: `Verdict must be one of: ${VERDICT_CODES.join(', ')}`
+  }
+};
 
 const testResultSchema = new mongoose.Schema({
   testCase: {
@@ -9,13 +22,14 @@ const testResultSchema = new mongoose.Schema({
     type: Boolean,
     required: true
   },
+  verdict: verdictField,
   actualOutput: {
     type: String,
-    required: true
+    default: ''
   },
   expectedOutput: {
     type: String,
-    required: true
+    default: ''
   },
   executionTime: {
     type: Number,
@@ -28,6 +42,126 @@ const testResultSchema = new mongoose.Schema({
   points: {
     type: Number,
     default: 0
+  },
+  checkerMessage: {
+    type: String
+  },
+  // Unit-test questions: the test's name and its assertion or error message
+  testName: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  // Limits the test ran with: the question's and the language-scaled ones
+  limits: {
+    baseTimeLimit: Number, // seconds
+    effectiveTimeLimit: Number,
+    baseMemoryLimit: Number, // MB
+    effectiveMemoryLimit: Number
+  }
+}, { _id: false });
+
+const subtaskResultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  testCases: [Number], // 1-based test case numbers
+  passed: {
+    type: Boolean,
+    required: true
+  },
+  earnedPoints: {
+    type: Number,
+    default: 0
+  },
+  totalPoints: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Comparison of an attempt's benchmark runs with the reference solution's
+// (see services/efficiencyService.js)
+const efficiencyResultSchema = new mongoose.Schema({
+  evaluated: {
+    type: Boolean,
+    default: false
+  },
+  // Why the attempt was not compared
+  reason: {
+    type: String
+  },
+  executionTime: Number, // total over the benchmark test cases, ms
+  memoryUsage: Number, // peak, KB
+  referenceExecutionTime: Number,
+  referenceMemoryUsage: Number,
+  // Slowdowns against the reference after language multipliers
+  timeRatio: Number,
+  memoryRatio: Number,
+  ratio: Number,
+  // Bonus (positive, extra credit kept out of earnedPoints, see the
+  // attempt's bonusScore) or penalty (negative, taken off earnedPoints)
+  points: {
+    type: Number,
+    default: 0
+  },
+  // Share of other students with a slower best run
+  percentile: Number
+}, { _id: false });
+
+// Code quality findings on an attempt (see services/execution/codeQuality.js)
+const qualityAnnotationSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    enum: QUALITY_RULES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'error'],
+    default: 'warning'
+  },
+  line: Number,
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const qualityResultSchema = new mongoose.Schema({
+  // Style score (0-100)
+  score: {
+    type: Number,
+    default: 100
+  },
+  // Points of earnedPoints given for style, when the question weighs it
+  stylePoints: Number,
+  metrics: {
+    lines: Number,
+    functions: Number,
+    maxComplexity: Number,
+    averageComplexity: Number
+  },
+  annotations: [qualityAnnotationSchema]
+}, { _id: false });
+
+// A construct rule the attempt broke (see services/execution/constructRules.js)
+const ruleViolationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: RULE_TYPES
+  },
+  kind: {
+    type: String,
+    enum: RULE_KINDS
+  },
+  construct: String,
+  line: Number,
+  message: {
+    type: String,
+    required: true
   }
 }, { _id: false });
 
@@ -39,7 +173,11 @@ const codingAttemptSchema = new mongoose.Schema({
   language: {
     type: String,
     required: true,
-    enum: ['python', 'java', 'c', 'cpp', 'javascript']
+    validate: {
+      // SQL question attempts are in SQL
+      validator: (v) => v === SQL_LANGUAGE || isKnownLanguage(v),
+      message: props => `Unsupported programming language: ${props.value}`
+    }
   },
   submittedAt: {
     type: Date,
@@ -55,9 +193,24 @@ const codingAttemptSchema = new mongoose.Schema({
     default: 0
   },
   score: {
+    type: Number,
+    default: 0 // percentage of totalPoints earned
+  },
+  earnedPoints: {
+    type: Number,
+    default: 0
+  },
+  totalPoints: {
     type: Number,
     default: 0
   },
+  // Efficiency bonus as a percentage of totalPoints, extra credit on top of
+  // score
+  bonusScore: {
+    type: Number,
+    default: 0
+  },
+  subtaskResults: [subtaskResultSchema],
   executionTime: {
     type: Number,
     default: 0 // total execution time in milliseconds
@@ -69,7 +222,30 @@ const codingAttemptSchema = new mongoose.Schema({
   },
   errorMessage: {
     type: String
-  }
+  },
+  // Set when the attempt was stored pending because the judge was
+  // unavailable; such attempts are judged once it recovers
+  deferredAt: {
+    type: Date
+  },
+  // When a pending attempt was last claimed for judging (status running)
+  claimedAt: {
+    type: Date
+  },
+  // First failing test's verdict, or AC when every test passed
+  verdict: verdictField,
+  // Sanitised compiler output when the attempt failed to compile
+  compileOutput: {
+    type: String
+  },
+  // Set on questions with efficiency scoring
+  efficiency: efficiencyResultSchema,
+  // Set on questions with a code quality pass
+  quality: qualityResultSchema,
+  // Rules broken by attempts rejected with the RV verdict
+  ruleViolations: [ruleViolationSchema],
+  // Required constructs the attempt was judged without (see constructRules.js)
+  ruleWarnings: [ruleViolationSchema]
 }, { _id: false });
 
 const mcqAnswerSchema = new mongoose.Schema({
@@ -103,6 +279,11 @@ const codingSubmissionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Highest efficiency bonus of the attempts, added to codingScore
+  bonusScore: {
+    type: Number,
+    default: 0
+  },
   isCompleted: {
     type: Boolean,
     default: false
@@ -113,6 +294,23 @@ const codingSubmissionSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Helper function to keep a coding submission's best score and highest
+// efficiency bonus up to date with a judged attempt's
+const recordAttemptScore = (codingSubmission, attempt) => {
+  if (attempt.score > codingSubmission.bestScore) {
+    codingSubmission.bestScore = attempt.score;
+  }
+  if ((attempt.bonusScore || 0) > (codingSubmission.bonusScore || 0)) {
+    codingSubmission.bonusScore = attempt.bonusScore;
+  }
+};
+
+// Helper function to get a coding submission's share of codingScore: its
+// best score plus its efficiency bonus
+const getCodingSubmissionScore = (codingSubmission) => {
+  return (codingSubmission.bestScore || 0) + (codingSubmission.bonusScore || 0);
+};
+
 const assessmentSubmissionSchema = new mongoose.Schema({
   assessment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -346,17 +544,23 @@ assessmentSubmissionSchema.methods.updateCodingAttemptResults = function(questio
     attempt.totalPassed = results.totalPassed;
     attempt.totalTestCases = results.totalTestCases;
     attempt.score = results.score;
+    attempt.earnedPoints = results.earnedPoints;
+    attempt.totalPoints = results.totalPoints;
+    attempt.bonusScore = results.bonusScore || 0;
+    attempt.subtaskResults = results.subtaskResults;
     attempt.executionTime = results.executionTime;
     attempt.status = results.status;
+    attempt.verdict = results.verdict;
+    attempt.compileOutput = results.compileOutput;
+    attempt.efficiency = results.efficiency;
+    attempt.quality = results.quality;
+    attempt.ruleViolations = results.ruleViolations;
 
     if (results.errorMessage) {
       attempt.errorMessage = results.errorMessage;
     }
 
-    // Update best score if this attempt is better
-    if (results.score > codingSubmission.bestScore) {
-      codingSubmission.bestScore = results.score;
-    }
+    recordAttemptScore(codingSubmission, results);
 
     // Mark as completed if all test cases pass
     if (results.totalPassed === results.totalTestCases && results.totalTestCases > 0) {
@@ -378,7 +582,7 @@ assessmentSubmissionSchema.methods.recalculateMCQScore = function() {
 };
 
 assessmentSubmissionSchema.methods.recalculateCodingScore = function() {
-  this.codingScore = this.codingSubmissions.reduce((sum, submission) => sum + submission.bestScore, 0);
+  this.codingScore = this.codingSubmissions.reduce((sum, submission) => sum + getCodingSubmissionScore(submission), 0);
   return this.codingScore;
 };
 
@@ -403,6 +607,9 @@ assessmentSubmissionSchema.methods.recordSuspiciousActivity = function(type, des
 };
 
 // Static methods
+assessmentSubmissionSchema.statics.recordAttemptScore = recordAttemptScore;
+assessmentSubmissionSchema.statics.getCodingSubmissionScore = getCodingSubmissionScore;
+
 assessmentSubmissionSchema.statics.findByAssessment = function(assessmentId, options = {}) {
   const { page = 1, limit = 10, status = null } = options;
 
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const executionConfig = require('../config/execution');
+const { VERDICT_CODES } = require('../services/execution/verdicts');
+
+const EXECUTION_CONTEXTS = ['practice', 'assessment', 'teacher'];
+const EXECUTION_SOURCES = ['execute', 'test', 'assessment'];
+
+// One code run through /api/code/*, kept for auditing and capacity planning
+const executionRecordSchema = new mongoose.Schema({
+  executionId: {
+    type: String,
+    required: [true, 'Execution ID is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  role: {
+    type: String
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  context: {
+    type: String,
+    enum: EXECUTION_CONTEXTS,
+    required: [true, 'Execution context is required']
+  },
+  // Endpoint the run came from: execute (queued runs), test or assessment
+  source: {
+    type: String,
+    enum: EXECUTION_SOURCES,
+    required: [true, 'Execution source is required']
+  },
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  },
+  assessment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assessment'
+  },
+  language: {
+    type: String,
+    required: [true, 'Language is required']
+  },
+  // SHA-256 of the submitted code, to match runs of the same code
+  codeHash: {
+    type: String,
+    required: [true, 'Code hash is required']
+  },
+  codeLength: {
+    type: Number,
+    default: 0 // in characters
+  },
+  backend: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'cancelled'],
+    default: 'completed'
+  },
+  error: {
+    type: String
+  },
+
+  // Overall verdict and one verdict per test case
+  verdict: {
+    type: String,
+    enum: VERDICT_CODES
+  },
+  testVerdicts: [{
+    type: String,
+    enum: VERDICT_CODES
+  }],
+  totalTests: {
+    type: Number,
+    default: 0
+  },
+  passedTests: {
+    type: Number,
+    default: 0
+  },
+  skippedTests: {
+    type: Number,
+    default: 0
+  },
+  cachedTests: {
+    type: Number,
+    default: 0
+  },
+
+  // Timings
+  executionTime: {
+    type: Number,
+    default: 0 // total over test cases, in milliseconds
+  },
+  maxExecutionTime: {
+    type: Number,
+    default: 0 // slowest test case, in milliseconds
+  },
+  maxMemory: {
+    type: Number,
+    default: 0 // in KB
+  },
+  queueTime: {
+    type: Number,
+    default: 0 // waiting in the execution queue, in milliseconds
+  },
+  wallTime: {
+    type: Number,
+    default: 0 // from starting to finishing the run, in milliseconds
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+executionRecordSchema.index({ user: 1, createdAt: -1 });
+executionRecordSchema.index({ department: 1, createdAt: -1 });
+executionRecordSchema.index({ codeHash: 1 });
+executionRecordSchema.index({ executionId: 1 });
+executionRecordSchema.index({ question: 1, createdAt: -1 });
+executionRecordSchema.index({ assessment: 1, createdAt: -1 });
+
+// Retention policy: MongoDB deletes records once they are older than this
+executionRecordSchema.index({ createdAt: 1 }, {
+  expireAfterSeconds: executionConfig.records.retentionDays * 24 * 60 * 60
+});
+
+module.exports = mongoose.model('ExecutionRecord', executionRecordSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LANGUAGES } = require('../services/execution/languages');
+
+const languageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Language key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{0,29}$/, 'Language key must be lowercase letters, digits, - or _']
+  },
+  name: {
+    type: String,
+    required: [true, 'Language name is required'],
+    trim: true,
+    maxlength: [100, 'Language name cannot exceed 100 characters']
+  },
+  // Runtime or compiler version, e.g. "3.8.1" or "GCC 9.2.0"
+  version: {
+    type: String,
+    trim: true
+  },
+  // Language id on each execution backend, keyed by backend name
+  backendIds: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  compiled: {
+    type: Boolean,
+    default: false
+  },
+  // Extra flags passed to the compiler and arguments passed to the program
+  compileFlags: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  runFlags: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  fileExtension: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Default editor template for new code
+  template: {
+    type: String,
+    default: ''
+  },
+  // Question time and memory limits are multiplied by these for slower or
+  // memory-hungry runtimes (questions may override them per language)
+  timeMultiplier: {
+    type: Number,
+    default: 1,
+    min: [0.1, 'Time multiplier must be at least 0.1'],
+    max: [10, 'Time multiplier cannot exceed 10']
+  },
+  memoryMultiplier: {
+    type: Number,
+    default: 1,
+    min: [0.1, 'Memory multiplier must be at least 0.1'],
+    max: [10, 'Memory multiplier cannot exceed 10']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+languageSchema.index({ isActive: 1 });
+
+// Plain object used by the in-memory language registry
+languageSchema.methods.toRegistryEntry = function() {
+  return {
+    key: this.key,
+    name: this.name,
+    version: this.version,
+    backendIds: Object.fromEntries(this.backendIds || []),
+    compiled: this.compiled,
+    compileFlags: this.compileFlags,
+    runFlags: this.runFlags,
+    fileExtension: this.fileExtension,
+    template: this.template,
+    timeMultiplier: this.timeMultiplier,
+    memoryMultiplier: this.memoryMultiplier,
+    isActive: this.isActive
+  };
+};
+
+// Static method to create default languages without overwriting admin edits
+languageSchema.statics.createDefaultLanguages = async function() {
+  try {
+    for (const languageData of DEFAULT_LANGUAGES) {
+      await this.updateOne(
+        { key: languageData.key },
+        { $setOnInsert: languageData },
+        { upsert: true }
+      );
+    }
+    console.log('Default languages created successfully');
+  } catch (error) {
+    console.error('Error creating default languages:', error);
+  }
+};
+
+module.exports = mongoose.model('Language', languageSchema);
@@ -1,13 +1,49 @@
 const mongoose = require('mongoose');
+const { COMPARISON_MODES } = require('../services/execution/outputChecker');
+const harness = require('../services/execution/harness');
+const { validateUnitTests } = require('../services/execution/unitTests');
+const { RULE_TYPES, RULE_KINDS, validateConstructRules } = require('../services/execution/constructRules');
+const { isKnownLanguage } = require('../services/execution/languages');
+const { validateSubtasks, validateEfficiency } = require('../services/execution/scoring');
+const { FAILURE_VERDICTS } = require('../services/execution/verdicts');
+
+// Languages come from the language registry (see models/Language.js)
+const languageValidator = {
+  validator: (v) => !v || isKnownLanguage(v),
+  message: props => `Unsupported programming language: ${props.value}`
+};
+
+const comparisonModeField = {
+  type: String,
+  enum: {
+    values: COMPARISON_MODES,
+    message: `Comparison mode must be one of: ${COMPARISON_MODES.join(', ')}`
+  }
+};
+
+const toleranceField = {
+  type: Number,
+  min: [0, 'Tolerance cannot be negative']
+};
 
 const testCaseSchema = new mongoose.Schema({
+  // SQL questions: statements adding this test case's data to the database
   input: {
     type: String,
-    required: [true, 'Test case input is required']
+    required: [function() {
+      // SQL test cases may use the question's seed data alone
+      const question = typeof this.ownerDocument === 'function' ? this.ownerDocument() : null;
+      return !question || question.type !== 'sql';
+    }, 'Test case input is required']
   },
   expectedOutput: {
     type: String,
-    required: [true, 'Expected output is required']
+    required: [function() {
+      // Interactive questions are judged by their interactor and SQL
+      // questions against their reference query instead
+      const question = typeof this.ownerDocument === 'function' ? this.ownerDocument() : null;
+      return !question || (question.judgeMode !== 'interactive' && question.type !== 'sql');
+    }, 'Expected output is required']
   },
   isHidden: {
     type: Boolean,
@@ -23,6 +59,78 @@ const testCaseSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [200, 'Test case description cannot exceed 200 characters']
+  },
+  // Name of the subtask this test case belongs to, if any
+  subtask: {
+    type: String,
+    trim: true
+  },
+  // Overrides the question's comparison settings for this test case
+  comparison: {
+    mode: comparisonModeField,
+    absoluteTolerance: toleranceField,
+    relativeTolerance: toleranceField
+  },
+  // Function questions: typed arguments and return value, encoded into
+  // input and expectedOutput before validation
+  arguments: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  expectedReturn: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Passed on stdin to the question's input generator to produce input
+  generatorArgs: {
+    type: String
+  },
+  // Large test case on which efficiency is measured (see efficiency)
+  benchmark: {
+    type: Boolean,
+    default: false
+  },
+  // Set when expectedOutput was produced by running solutionCode
+  generatedOutput: {
+    solutionVersion: String,
+    generatedAt: Date
+  }
+}, { _id: false });
+
+// A test of a unit-test question's test file, matched to the file's tests
+// by name and scored like a test case
+const unitTestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Test name is required'],
+    trim: true,
+    maxlength: [200, 'Test name cannot exceed 200 characters']
+  },
+  points: {
+    type: Number,
+    default: 10,
+    min: [1, 'Points must be at least 1'],
+    max: [100, 'Points cannot exceed 100']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Test description cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const signatureParameterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Parameter name is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Parameter type is required'],
+    enum: {
+      values: harness.HARNESS_TYPES,
+      message: `Parameter type must be one of: ${harness.HARNESS_TYPES.join(', ')}`
+    }
   }
 }, { _id: false });
 
@@ -42,8 +150,8 @@ const questionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Question type is required'],
     enum: {
-      values: ['coding', 'mcq'],
-      message: 'Question type must be either coding or mcq'
+      values: ['coding', 'mcq', 'sql'],
+      message: 'Question type must be one of: coding, mcq, sql'
     }
   },
   difficulty: {
@@ -68,16 +176,144 @@ const questionSchema = new mongoose.Schema({
   // Coding question fields
   language: {
     type: String,
-    enum: ['python', 'java', 'c', 'cpp', 'javascript'],
-    validate: {
+    validate: [{
       validator: function(v) {
         // Language is required only for coding questions
         return this.type !== 'coding' || v;
       },
       message: 'Language is required for coding questions'
-    }
+    }, languageValidator]
   },
   testCases: [testCaseSchema],
+  // Groups of test cases scored all-or-nothing (see services/execution/scoring.js)
+  subtasks: [{
+    _id: false,
+    name: {
+      type: String,
+      required: [true, 'Subtask name is required'],
+      trim: true,
+      maxlength: [100, 'Subtask name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Subtask description cannot exceed 200 characters']
+    },
+    // Defaults to the sum of the subtask's test case points
+    points: {
+      type: Number,
+      min: [0, 'Subtask points cannot be negative']
+    }
+  }],
+  // Known-wrong solutions (off-by-one, brute force, ...) the test cases
+  // should reject; used to check the test suite is strong enough
+  wrongSolutions: [{
+    name: {
+      type: String,
+      required: [true, 'Wrong solution name is required'],
+      trim: true,
+      maxlength: [100, 'Wrong solution name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Wrong solution description cannot exceed 200 characters']
+    },
+    // Defaults to the question's language
+    language: {
+      type: String,
+      validate: languageValidator
+    },
+    code: {
+      type: String,
+      required: [true, 'Wrong solution code is required']
+    },
+    // How the test cases are expected to catch it, e.g. TLE for brute force
+    expectedVerdict: {
+      type: String,
+      enum: {
+        values: FAILURE_VERDICTS,
+        message: `Expected verdict must be one of: ${FAILURE_VERDICTS.join(', ')}`
+      }
+    }
+  }],
+  // standard: output is checked against expectedOutput (or by the checker)
+  // interactive: the program talks to the interactor over stdin/stdout
+  // function: the student writes a function, wrapped by a generated driver
+  // unit_test: the question's hidden test file is run against the student's code
+  judgeMode: {
+    type: String,
+    enum: {
+      values: ['standard', 'interactive', 'function', 'unit_test'],
+      message: 'Judge mode must be one of: standard, interactive, function, unit_test'
+    },
+    default: 'standard'
+  },
+  // Function signature for function questions (see services/execution/harness.js)
+  functionSignature: {
+    name: {
+      type: String,
+      trim: true
+    },
+    parameters: [signatureParameterSchema],
+    returnType: {
+      type: String,
+      enum: {
+        values: harness.HARNESS_TYPES,
+        message: `Return type must be one of: ${harness.HARNESS_TYPES.join(', ')}`
+      }
+    }
+  },
+  // Interactor program for interactive questions. It reads the test case
+  // input from input.txt and writes its verdict to verdict.txt.
+  interactor: {
+    language: {
+      type: String,
+      validate: languageValidator
+    },
+    code: {
+      type: String
+    },
+    timeLimit: {
+      type: Number,
+      default: 5, // seconds
+      min: [0.1, 'Interactor time limit must be at least 0.1 seconds'],
+      max: [10, 'Interactor time limit cannot exceed 10 seconds']
+    }
+  },
+  // Hidden test file of unit-test questions (pytest for Python, JUnit for
+  // Java, Node assert for JavaScript) and the tests it declares, which
+  // replace the question's test cases (see services/execution/unitTests.js)
+  unitTests: {
+    code: {
+      type: String
+    },
+    // For the whole test file
+    timeLimit: {
+      type: Number,
+      default: 5, // seconds
+      min: [0.1, 'Unit test time limit must be at least 0.1 seconds'],
+      max: [10, 'Unit test time limit cannot exceed 10 seconds']
+    },
+    tests: [unitTestSchema]
+  },
+  // SQL questions: every test case runs in a fresh SQLite database built
+  // from schema, seedData and its input, and the submitted query's rows are
+  // compared with those of solutionCode, the reference query (see
+  // services/execution/sqlRunner.js)
+  sql: {
+    schema: {
+      type: String
+    },
+    seedData: {
+      type: String
+    },
+    // Whether rows must come back in the reference query's order
+    ordered: {
+      type: Boolean,
+      default: false
+    }
+  },
   starterCode: {
     type: String,
     validate: {
@@ -96,6 +332,26 @@ const questionSchema = new mongoose.Schema({
       }
     }
   },
+  // Version of solutionCode that last generated expected outputs
+  solutionVersion: {
+    type: String
+  },
+  // Program that prints a test case's input given its generatorArgs on stdin
+  inputGenerator: {
+    language: {
+      type: String,
+      validate: languageValidator
+    },
+    code: {
+      type: String
+    },
+    timeLimit: {
+      type: Number,
+      default: 5, // seconds
+      min: [0.1, 'Input generator time limit must be at least 0.1 seconds'],
+      max: [10, 'Input generator time limit cannot exceed 10 seconds']
+    }
+  },
   timeLimit: {
     type: Number,
     default: 1, // seconds
@@ -108,6 +364,189 @@ const questionSchema = new mongoose.Schema({
     min: [16, 'Memory limit must be at least 16 MB'],
     max: [1024, 'Memory limit cannot exceed 1024 MB']
   },
+  // Per-language overrides of the language registry's limit multipliers
+  languageMultipliers: [{
+    _id: false,
+    language: {
+      type: String,
+      required: [true, 'Language is required for a multiplier override'],
+      validate: languageValidator
+    },
+    timeMultiplier: {
+      type: Number,
+      min: [0.1, 'Time multiplier must be at least 0.1'],
+      max: [10, 'Time multiplier cannot exceed 10']
+    },
+    memoryMultiplier: {
+      type: Number,
+      min: [0.1, 'Memory multiplier must be at least 0.1'],
+      max: [10, 'Memory multiplier cannot exceed 10']
+    }
+  }],
+  // Optional efficiency component: attempts passing every benchmark test
+  // case are compared with solutionCode's runtime and memory on them (see
+  // services/efficiencyService.js)
+  efficiency: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Added when within bonusRatio of the reference
+    bonusPoints: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bonus points cannot be negative'],
+      max: [100, 'Bonus points cannot exceed 100']
+    },
+    // Removed in full at penaltyRatio, in part between the two ratios
+    penaltyPoints: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty points cannot be negative'],
+      max: [100, 'Penalty points cannot exceed 100']
+    },
+    // Share of the comparison given to runtime; memory gets the rest
+    timeWeight: {
+      type: Number,
+      default: 0.75,
+      min: [0, 'Time weight cannot be negative'],
+      max: [1, 'Time weight cannot exceed 1']
+    },
+    bonusRatio: {
+      type: Number,
+      default: 1.25,
+      min: [1, 'Bonus ratio must be at least 1']
+    },
+    penaltyRatio: {
+      type: Number,
+      default: 3,
+      min: [1, 'Penalty ratio must be at least 1']
+    },
+    // Measurements of solutionCode, kept until key (the solution and the
+    // benchmark inputs) changes
+    reference: {
+      key: String,
+      measuredAt: Date,
+      testCases: [{
+        _id: false,
+        testCase: Number,
+        executionTime: Number, // ms
+        memoryUsage: Number // KB
+      }]
+    }
+  },
+  // Optional code quality pass on attempts, saved as annotations on the
+  // attempt; a weight turns it into part of the score (see
+  // services/execution/codeQuality.js)
+  quality: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Percentage of the question's points given to the style score
+    weight: {
+      type: Number,
+      default: 0,
+      min: [0, 'Style weight cannot be negative'],
+      max: [50, 'Style weight cannot exceed 50']
+    },
+    maxComplexity: {
+      type: Number,
+      default: 10,
+      min: [1, 'Maximum complexity must be at least 1'],
+      max: [50, 'Maximum complexity cannot exceed 50']
+    },
+    maxLineLength: {
+      type: Number,
+      default: 100,
+      min: [40, 'Maximum line length must be at least 40'],
+      max: [300, 'Maximum line length cannot exceed 300']
+    },
+    // Whether names must follow the language's conventions
+    naming: {
+      type: Boolean,
+      default: true
+    },
+    // Constructs that cost style points, e.g. "sorted(" on a question
+    // asking for a hand-written sort
+    forbidden: [{
+      _id: false,
+      construct: {
+        type: String,
+        required: [true, 'Forbidden construct is required'],
+        trim: true,
+        maxlength: [100, 'Forbidden construct cannot exceed 100 characters']
+      },
+      message: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Forbidden construct message cannot exceed 200 characters']
+      }
+    }]
+  },
+  // Constructs attempts must not or must use; attempts breaking a rule are
+  // rejected before they run (see services/execution/constructRules.js).
+  // Unlike quality.forbidden, which only costs style points.
+  constructRules: [{
+    _id: false,
+    type: {
+      type: String,
+      required: [true, 'Construct rule type is required'],
+      enum: {
+        values: RULE_TYPES,
+        message: `Construct rule type must be one of: ${RULE_TYPES.join(', ')}`
+      }
+    },
+    kind: {
+      type: String,
+      enum: {
+        values: RULE_KINDS,
+        message: `Construct rule kind must be one of: ${RULE_KINDS.join(', ')}`
+      },
+      default: 'construct'
+    },
+    // The construct, or the class or function name
+    construct: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Construct cannot exceed 100 characters']
+    },
+    // Shown to students instead of the default explanation
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Construct rule message cannot exceed 200 characters']
+    }
+  }],
+  // Special judge: a program that decides whether the output is correct and
+  // may award partial scores (see services/execution/specialJudge.js)
+  checker: {
+    language: {
+      type: String,
+      validate: [{
+        validator: function(v) {
+          // Language is required once checker code is provided
+          return !this.checker?.code || v;
+        },
+        message: 'Checker language is required when checker code is provided'
+      }, languageValidator]
+    },
+    code: {
+      type: String
+    },
+    timeLimit: {
+      type: Number,
+      default: 5, // seconds
+      min: [0.1, 'Checker time limit must be at least 0.1 seconds'],
+      max: [10, 'Checker time limit cannot exceed 10 seconds']
+    }
+  },
+  // How program output is compared with expectedOutput (ignored with a checker)
+  comparison: {
+    mode: { ...comparisonModeField, default: 'ignore_trailing_whitespace' },
+    absoluteTolerance: { ...toleranceField, default: 1e-6 },
+    relativeTolerance: { ...toleranceField, default: 1e-6 }
+  },
 
   // MCQ fields
   options: {
@@ -150,6 +589,23 @@ const questionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Outcome of the last self-validation run: the reference solution against
+  // every test case and a compile check of the starter code
+  selfValidation: {
+    status: {
+      type: String,
+      enum: ['not_validated', 'passed', 'failed'],
+      default: 'not_validated'
+    },
+    validatedAt: Date,
+    report: mongoose.Schema.Types.Mixed
+  },
+  // Cleared when self-validation fails or how the question is judged
+  // changes; such questions cannot be published until validated
+  isPublishable: {
+    type: Boolean,
+    default: true
+  },
   attempts: {
     type: Number,
     default: 0
@@ -180,10 +636,20 @@ questionSchema.virtual('successRate').get(function() {
   return ((this.successfulSubmissions / this.attempts) * 100).toFixed(2);
 });
 
-// Virtual for total points
+// Virtual for total points; subtasks with explicit points replace the
+// points of their test cases
 questionSchema.virtual('totalPoints').get(function() {
-  if (this.type === 'coding' && this.testCases) {
-    return this.testCases.reduce((sum, testCase) => sum + testCase.points, 0);
+  if (this.type === 'coding' && this.judgeMode === 'unit_test') {
+    return (this.unitTests?.tests || []).reduce((sum, test) => sum + test.points, 0);
+  }
+  if (['coding', 'sql'].includes(this.type) && this.testCases) {
+    const fixedSubtasks = new Map((this.subtasks || [])
+      .filter(subtask => subtask.points !== undefined && subtask.points !== null)
+      .map(subtask => [subtask.name, subtask.points]));
+    const testCasePoints = this.testCases
+      .filter(testCase => !fixedSubtasks.has(testCase.subtask))
+      .reduce((sum, testCase) => sum + testCase.points, 0);
+    return testCasePoints + Array.from(fixedSubtasks.values()).reduce((sum, points) => sum + points, 0);
   }
   return 0;
 });
@@ -268,6 +734,44 @@ questionSchema.statics.getWithDetails = function(questionId) {
     .populate('modules', 'title');
 };
 
+// Static method to keep questions stored before comparison modes existed on
+// the comparison they were graded with. New questions store their mode, so
+// only those lack one; mongoose would give them the default on load.
+questionSchema.statics.keepLegacyComparison = function() {
+  return this.collection.updateMany(
+    { 'comparison.mode': { $exists: false } },
+    { $set: { 'comparison.mode': 'trim' } }
+  );
+};
+
+// Pre-validate middleware to encode function question test cases and
+// generate starter code from the signature
+questionSchema.pre('validate', function(next) {
+  if (this.type !== 'coding' || this.judgeMode !== 'function') {
+    return next();
+  }
+
+  const errors = harness.validateSignature(this.functionSignature);
+  if (errors.length > 0) {
+    return next(new Error(`Invalid function signature: ${errors.join('; ')}`));
+  }
+
+  try {
+    if (this.isModified('testCases') || this.isModified('functionSignature')) {
+      this.testCases = harness.prepareTestCases(
+        this.functionSignature,
+        this.testCases.map(testCase => testCase.toObject())
+      );
+    }
+    if (!this.starterCode && this.language) {
+      this.starterCode = harness.generateStarterCode(this.language, this.functionSignature);
+    }
+  } catch (error) {
+    return next(error);
+  }
+  next();
+});
+
 // Pre-save middleware to validate question type
 questionSchema.pre('save', function(next) {
   if (this.type === 'coding') {
@@ -275,9 +779,44 @@ questionSchema.pre('save', function(next) {
     if (!this.language) {
       return next(new Error('Language is required for coding questions'));
     }
-    if (!this.testCases || this.testCases.length === 0) {
+    if (this.judgeMode === 'unit_test') {
+      const testErrors = validateUnitTests(this.language, this.unitTests);
+      if (testErrors.length > 0) {
+        return next(new Error(testErrors.join('; ')));
+      }
+    } else if (!this.testCases || this.testCases.length === 0) {
       return next(new Error('At least one test case is required for coding questions'));
     }
+    if (this.judgeMode === 'interactive' && (!this.interactor?.code || !this.interactor?.language)) {
+      return next(new Error('Interactor code and language are required for interactive questions'));
+    }
+    const subtaskErrors = validateSubtasks(this.testCases, this.subtasks);
+    if (subtaskErrors.length > 0) {
+      return next(new Error(subtaskErrors.join('; ')));
+    }
+    const efficiencyErrors = validateEfficiency(this);
+    if (efficiencyErrors.length > 0) {
+      return next(new Error(efficiencyErrors.join('; ')));
+    }
+    const ruleErrors = validateConstructRules(this.constructRules);
+    if (ruleErrors.length > 0) {
+      return next(new Error(ruleErrors.join('; ')));
+    }
+  } else if (this.type === 'sql') {
+    // Validate SQL question specific fields
+    if (!this.sql?.schema) {
+      return next(new Error('Schema is required for SQL questions'));
+    }
+    if (!this.solutionCode) {
+      return next(new Error('Reference query is required for SQL questions'));
+    }
+    if (!this.testCases || this.testCases.length === 0) {
+      return next(new Error('At least one test case is required for SQL questions'));
+    }
+    const subtaskErrors = validateSubtasks(this.testCases, this.subtasks);
+    if (subtaskErrors.length > 0) {
+      return next(new Error(subtaskErrors.join('; ')));
+    }
   } else if (this.type === 'mcq') {
     // Validate MCQ question specific fields
     if (!this.options || this.options.length < 2) {
@@ -0,0 +1,25 @@
+/* eslint-env jest */
+
+const AssessmentSubmission = require('../AssessmentSubmission');
+
+describe('AssessmentSubmission coding scores', () => {
+  test('keeps the best score and the highest efficiency bonus of the attempts', () => {
+    const codingSubmission = { bestScore: 0, bonusScore: 0 };
+
+    AssessmentSubmission.recordAttemptScore(codingSubmission, { score: 100, bonusScore: 0 });
+    AssessmentSubmission.recordAttemptScore(codingSubmission, { score: 80, bonusScore: 10 });
+
+    expect(codingSubmission).toEqual({ bestScore: 100, bonusScore: 10 });
+  });
+
+  test('adds the efficiency bonus to the coding score', () => {
+    const submission = new AssessmentSubmission({
+      codingSubmissions: [
+        { question: '507f1f77bcf86cd799439011', bestScore: 100, bonusScore: 10 },
+        { question: '507f1f77bcf86cd799439012', bestScore: 50 }
+      ]
+    });
+
+    expect(submission.recalculateCodingScore()).toBe(160);
+  });
+});
@@ -0,0 +1,22 @@
+/* eslint-env jest */
+
+const Question = require('../Question');
+
+describe('Question comparison settings', () => {
+  test('new questions store the default comparison mode', () => {
+    const question = new Question({ type: 'coding' });
+    expect(question.comparison.mode).toBe('ignore_trailing_whitespace');
+  });
+
+  test('questions stored without a comparison mode keep the trimmed comparison', async () => {
+    const updateMany = jest.spyOn(Question.collection, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    await Question.keepLegacyComparison();
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { 'comparison.mode': { $exists: false } },
+      { $set: { 'comparison.mode': 'trim' } }
+    );
+    updateMany.mockRestore();
+  });
+});
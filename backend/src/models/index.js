@@ -11,6 +11,8 @@ const Note = require('./Note');
 const Notice = require('./Notice');
 const PerformanceMetric = require('./PerformanceMetric');
 const AssessmentSubmission = require('./AssessmentSubmission');
+const Language = require('./Language');
+const ExecutionRecord = require('./ExecutionRecord');
 
 module.exports = {
   User,
@@ -24,7 +26,9 @@ module.exports = {
   Note,
   Notice,
   PerformanceMetric,
-  AssessmentSubmission
+  AssessmentSubmission,
+  Language,
+  ExecutionRecord
 };
 
 // Function to initialize default data
@@ -40,6 +44,9 @@ const initializeDefaults = async () => {
     await Role.createDefaultRoles();
     console.log('✓ Default roles created');
 
+    // Keep existing questions on the output comparison they were graded with
+    await Question.keepLegacyComparison();
+
     console.log('✓ Default data initialization completed');
   } catch (error) {
     console.error('Error initializing default data:', error);
@@ -1,7 +1,16 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const { requireAuth, requirePermission, requireOwnership } = require('../middleware/auth');
+const { enforceExecutionQuota } = require('../middleware/executionQuota');
 const { Assessment, User, Department, Group, Question, AssessmentSubmission } = require('../models');
+const { isSupportedLanguage } = require('../services/execution/languages');
+const { SQL_LANGUAGE } = require('../services/execution/sqlRunner');
+const { VERDICTS } = require('../services/execution/verdicts');
+const { MAX_CODE_LENGTH } = require('../services/execution/jobs');
+const codingAttemptService = require('../services/codingAttemptService');
+const executionEvents = require('../services/executionEvents');
+const executionRecordService = require('../services/executionRecordService');
 
 const router = express.Router();
 
@@ -153,7 +162,7 @@ const submissionValidation = [
   body('answer').notEmpty().withMessage('Answer is required'),
   body('language')
     .optional()
-    .isIn(['python', 'java', 'c', 'cpp', 'javascript'])
+    .custom(isSupportedLanguage)
     .withMessage('Invalid programming language')
 ];
 
@@ -562,7 +571,7 @@ router.post('/', requirePermission('manage_assessments'), createAssessmentValida
       const mcqQuestionIds = mcqQuestions.map(q => q.question);
 
       for (const question of validQuestions) {
-        if (codingQuestionIds.includes(question._id.toString()) && question.type !== 'coding') {
+        if (codingQuestionIds.includes(question._id.toString()) && !['coding', 'sql'].includes(question.type)) {
           return res.status(400).json({
             success: false,
             error: 'Invalid question type in coding questions array'
@@ -758,6 +767,24 @@ router.post('/:id/publish', idValidation, async (req, res) => {
       });
     }
 
+    // Coding questions that failed self-validation, or were changed without
+    // validating them again, could grade students against broken test cases
+    const unpublishableQuestions = await Question.find({
+      _id: { $in: assessment.codingQuestions.map(q => q.question) },
+      isPublishable: false
+    }).select('title');
+
+    if (unpublishableQuestions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot publish assessment with questions that failed or need validation',
+        details: unpublishableQuestions.map(question => ({
+          question: question._id,
+          title: question.title
+        }))
+      });
+    }
+
     // Publish assessment
     assessment.isPublished = true;
     assessment.status = 'published';
@@ -1023,9 +1050,10 @@ router.post('/:id/submit-mcq', idValidation, submissionValidation, async (req, r
 // POST /api/assessments/:id/submit-coding - Submit coding solution
 router.post('/:id/submit-coding', idValidation, [
   body('questionId').isMongoId().withMessage('Invalid question ID'),
-  body('code').trim().notEmpty().withMessage('Code is required'),
-  body('language').isIn(['python', 'java', 'c', 'cpp', 'javascript']).withMessage('Invalid programming language')
-], async (req, res) => {
+  body('code').trim().notEmpty().withMessage('Code is required')
+    .isLength({ max: MAX_CODE_LENGTH }).withMessage(`Code cannot exceed ${MAX_CODE_LENGTH} characters`),
+  body('language').custom(language => language === SQL_LANGUAGE || isSupportedLanguage(language)).withMessage('Invalid programming language')
+], enforceExecutionQuota('assessment'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1064,23 +1092,38 @@ router.post('/:id/submit-coding', idValidation, [
 
     // Find question
     const question = await Question.findById(questionId);
-    if (!question || question.type !== 'coding') {
+    if (!question || !['coding', 'sql'].includes(question.type)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid coding question'
       });
     }
 
-    // Check if within attempt limits
-    const existingAttempts = submission.codingSubmissions.find(
-      s => s.question.toString() === questionId
-    );
+    const languageError = codingAttemptService.getLanguageError(question, language);
+    if (languageError) {
+      return res.status(400).json({
+        success: false,
+        error: languageError
+      });
+    }
 
     const assessment = await Assessment.findById(id);
-    const questionConfig = assessment.codingQuestions.find(
+    const questionConfig = assessment?.codingQuestions.find(
       q => q.question.toString() === questionId
     );
 
+    if (!questionConfig) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question is not part of this assessment'
+      });
+    }
+
+    // Check if within attempt limits
+    const existingAttempts = submission.codingSubmissions.find(
+      s => s.question.toString() === questionId
+    );
+
     if (existingAttempts && existingAttempts.attempts.length >= questionConfig.maxAttempts) {
       return res.status(400).json({
         success: false,
@@ -1088,42 +1131,92 @@ router.post('/:id/submit-coding', idValidation, [
       });
     }
 
-    // Queue code execution (placeholder for Judge0 integration)
-    const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const testCases = codingAttemptService.getTestCases(question);
+    if (testCases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No test cases found for this question'
+      });
+    }
 
-    // Add submission attempt
-    const newAttempt = {
+    // Judged like /api/code/assessment-submit: rejected when it breaks the
+    // construct rules, kept pending while the judge is unavailable
+    const executionId = `assessment_${uuidv4()}`;
+    const progress = executionEvents.track(user._id, executionId, testCases.length);
+    const { status, codingSubmission, judged, startedAt, ruleViolations, ruleWarnings } = await codingAttemptService.submitAttempt(submission, question, {
       code,
       language,
-      submittedAt: new Date(),
       executionId,
-      testResults: [], // Would be populated after execution
-      totalPassed: 0,
-      totalTestCases: question.testCases?.length || 0,
-      score: 0
-    };
-
-    if (existingAttempts) {
-      existingAttempts.attempts.push(newAttempt);
-      existingAttempts.isCompleted = false;
-    } else {
-      submission.codingSubmissions.push({
+      maxAttempts: questionConfig.maxAttempts,
+      priority: req.executionQuota?.priority,
+      progress,
+      student: user._id
+    });
+    if (startedAt) {
+      await executionRecordService.record({
+        executionId,
+        user: user._id,
+        role: user.role.name,
+        department: user.department,
+        context: 'assessment',
+        source: 'assessment',
+        assessment: id,
         question: questionId,
-        attempts: [newAttempt],
-        bestScore: 0,
-        isCompleted: false
+        language,
+        code,
+        backend: codingAttemptService.getBackendName(question),
+        results: judged.results,
+        status: judged.unavailable ? 'failed' : 'completed',
+        startedAt
       });
     }
 
-    await submission.save();
+    if (status === 'rejected') {
+      progress.finished({ verdict: VERDICTS.RULE_VIOLATION, passedTests: 0, score: 0 });
+      return res.json({
+        success: true,
+        message: 'Coding solution breaks the question\'s construct rules',
+        data: {
+          executionId,
+          status: 'completed',
+          verdict: VERDICTS.RULE_VIOLATION,
+          ruleViolations
+        }
+      });
+    }
+
+    if (status === 'pending') {
+      progress.pending();
+      return res.status(202).json({
+        success: true,
+        message: 'The judge is temporarily unavailable. Your solution has been saved and will be judged automatically.',
+        data: {
+          executionId,
+          status: 'pending',
+          ruleWarnings
+        }
+      });
+    }
 
+    const { verdict, passedTests, totalTests, scoring } = judged;
+    progress.finished({ verdict, passedTests, score: scoring.score });
     res.json({
       success: true,
       message: 'Coding solution submitted successfully',
       data: {
         executionId,
-        status: 'queued',
-        estimatedTime: '3-8 seconds'
+        status: 'completed',
+        verdict,
+        ruleWarnings,
+        summary: {
+          totalTests,
+          passedTests,
+          score: scoring.score,
+          bonusScore: scoring.bonusScore || 0,
+          attemptNumber: codingSubmission.attempts.length,
+          maxAttempts: questionConfig.maxAttempts,
+          isCompleted: codingSubmission.isCompleted
+        }
       }
     });
   } catch (error) {
@@ -1187,7 +1280,7 @@ router.post('/:id/submit', idValidation, async (req, res) => {
     }, 0);
 
     const codingScore = submission.codingSubmissions.reduce((sum, submission) => {
-      return sum + (submission.bestScore || 0);
+      return sum + AssessmentSubmission.getCodingSubmissionScore(submission);
     }, 0);
 
     const totalScore = mcqScore + codingScore;
@@ -1,122 +1,139 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
-const { requireAuth } = require('../middleware/auth');
-const axios = require('axios');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { enforceExecutionQuota } = require('../middleware/executionQuota');
+const { comparisonValidation } = require('../middleware/codingValidation');
 const { v4: uuidv4 } = require('uuid');
-const { PerformanceMetric, Question, AssessmentSubmission, User } = require('../models');
+const { Assessment, AssessmentSubmission, User, Language, Question } = require('../models');
+const executionService = require('../services/executionService');
+const executionQueueService = require('../services/executionQueueService');
+const languageService = require('../services/languageService');
+const { formatTestCaseResults, summarizeTestCaseResults } = require('../services/execution/results');
+const { VERDICTS } = require('../services/execution/verdicts');
+const { getLanguages, getActiveLanguages, getLanguageConfig, isSupportedLanguage } = require('../services/execution/languages');
+const harness = require('../services/execution/harness');
+const judge0Callbacks = require('../services/execution/judge0Callbacks');
+const resultCache = require('../services/execution/resultCache');
+const executionEvents = require('../services/executionEvents');
+const executionRecordService = require('../services/executionRecordService');
+const codingAttemptService = require('../services/codingAttemptService');
+const sqlRunner = require('../services/execution/sqlRunner');
+const { SQL_LANGUAGE } = sqlRunner;
+const executionConfig = require('../config/execution');
+const {
+  MAX_EXECUTION_TIME,
+  MAX_MEMORY,
+  MAX_CODE_LENGTH,
+  MAX_TEST_CASES,
+  withLimits,
+  prepareTestCaseSubmission,
+  getQuestionJobOptions
+} = require('../services/execution/jobs');
+const { validateSubtasks, scoreTestResults } = require('../services/execution/scoring');
 
 const router = express.Router();
 
-// All code execution routes require authentication
-router.use(requireAuth);
+// PUT /api/code/judge0/callback - Judge0 reports a finished submission
+// Registered before requireAuth: Judge0 authenticates with the signature in
+// the callback_url it was given (see services/execution/judge0Callbacks.js)
+router.put('/judge0/callback', async (req, res) => {
+  try {
+    const { id, signature } = req.query;
+    if (!judge0Callbacks.verify(id, signature)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid callback signature'
+      });
+    }
 
-// Judge0 API Configuration
-const JUDGE0_API_URL = process.env.JUDGE0_API_URL || 'https://judge0-ce.p.rapidapi.com';
-const JUDGE0_API_KEY = process.env.JUDGE0_API_KEY;
-const JUDGE0_API_HOST = process.env.JUDGE0_API_HOST || 'judge0-ce.p.rapidapi.com';
-
-// Supported programming languages
-const SUPPORTED_LANGUAGES = {
-  python: { id: 71, name: 'Python 3' },
-  java: { id: 62, name: 'Java 17' },
-  c: { id: 50, name: 'C (GCC 9.2.0)' },
-  cpp: { id: 54, name: 'C++ (GCC 9.2.0)' },
-  javascript: { id: 63, name: 'JavaScript (Node.js 18.15.0)' }
-};
+    await judge0Callbacks.deliver(id, judge0Callbacks.decode(req.body));
 
-// Maximum execution time and memory limits
-const MAX_EXECUTION_TIME = 10; // seconds
-const MAX_MEMORY_LIMIT = 128; // MB
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Judge0 callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process callback'
+    });
+  }
+});
 
-// Queue for execution requests (in production, this would use Redis/Bull)
-const executionQueue = new Map();
+// All code execution routes require authentication
+router.use(requireAuth);
 
-// Helper function to get language configuration
-const getLanguageConfig = (language) => {
-  const config = SUPPORTED_LANGUAGES[language.toLowerCase()];
-  if (!config) {
-    throw new Error(`Unsupported language: ${language}`);
-  }
-  return config;
+// Helper function to prepare an execution job
+const prepareSubmission = (code, language, stdin = '', limits = {}) => {
+  getLanguageConfig(language);
+
+  return withLimits({
+    code,
+    language,
+    stdin,
+    expectedOutput: null
+  }, {
+    timeLimit: limits.timeLimit || MAX_EXECUTION_TIME,
+    memoryLimit: limits.memoryLimit || MAX_MEMORY,
+    priority: limits.priority
+  });
 };
 
-// Helper function to prepare submission for Judge0
-const prepareSubmission = (code, language, stdin = '') => {
-  const langConfig = getLanguageConfig(language);
-
-  return {
-    source_code: code,
-    language_id: langConfig.id,
-    stdin: stdin,
-    expected_output: null,
-    max_time: MAX_EXECUTION_TIME,
-    max_memory: MAX_MEMORY * 1024 * 1024, // Convert MB to bytes
-    enable_per_process_and_thread_time_limit: true,
-    enable_per_process_and_thread_memory_limit: true,
-    compile_only: false
-  };
+// Helper function to add a run made during the request to the execution
+// audit log
+const recordRun = (req, fields) => {
+  return executionRecordService.record({
+    user: req.user._id,
+    role: req.user.role?.name,
+    department: req.user.department,
+    context: req.executionQuota?.context,
+    language: req.body.language,
+    code: req.body.code,
+    backend: executionService.backendName,
+    ...fields
+  });
 };
 
-// Helper function to prepare test case submission
-const prepareTestCaseSubmission = (code, language, testCases) => {
-  const langConfig = getLanguageConfig(language);
-
-  return testCases.map(testCase => ({
-    source_code: code,
-    language_id: langConfig.id,
-    stdin: testCase.input || '',
-    expected_output: testCase.expectedOutput || '',
-    max_time: testCase.timeLimit || MAX_EXECUTION_TIME,
-    max_memory: testCase.memoryLimit || MAX_MEMORY * 1024 * 1024,
-    enable_per_process_and_thread_time_limit: true,
-    enable_per_process_and_thread_memory_limit: true,
-    compile_only: false
-  }));
+const UNAVAILABLE_MESSAGE = 'Code execution is temporarily unavailable. Please try again in a few minutes.';
+
+// Helper function to reject practice runs with 503 while the execution
+// backend is down (its circuit breaker is open), instead of waiting for it
+// to time out
+const sendUnavailable = (res) => {
+  const { retryIn } = executionService.getCircuitStatus();
+  res.set('Retry-After', String(Math.max(retryIn, 1)));
+  return res.status(503).json({
+    success: false,
+    error: UNAVAILABLE_MESSAGE,
+    details: { retryIn }
+  });
 };
 
-// Helper function to format execution results
-const formatExecutionResult = (result, executionId) => {
-  return {
-    executionId,
-    status: result.status?.id || 'error',
-    stdout: result.stdout || '',
-    stderr: result.stderr || '',
-    compile_output: result.compile_output || '',
-    time: result.time || 0,
-    memory: result.memory || 0,
-    exit_code: result.exit_code || 0,
-    exit_signal: result.exit_signal || null,
-    description: result.status?.description || 'Execution completed'
-  };
+// Fail fast while the execution backend is down; graded attempts are not
+// rejected but kept pending (see /assessment-submit)
+const requireAvailableBackend = (req, res, next) => {
+  return executionService.isAvailable() ? next() : sendUnavailable(res);
 };
 
-// Helper function to format test case results
-const formatTestCaseResults = (results, executionId) => {
-  return results.map((result, index) => ({
-    testCaseIndex: index + 1,
-    executionId: executionId,
-    status: result.status?.id || 'error',
-    stdout: result.stdout || '',
-    stderr: result.stderr || '',
-    compile_output: result.compile_output || '',
-    time: result.time || 0,
-    memory: result.memory || 0,
-    exit_code: result.exit_code || 0,
-    exit_signal: result.exit_signal || null,
-    passed: result.status?.id === 'accepted',
-    score: result.status?.id === 'accepted' ? 100 : 0
-  }));
-};
+// Clients may choose the execution id of a test run or assessment attempt so
+// they can subscribe to its live progress (socket event execution:subscribe)
+// before sending the request
+const executionIdValidation = body('executionId').optional()
+  .matches(/^[A-Za-z0-9_-]{8,100}$/).withMessage('Execution ID must be 8-100 letters, digits, - or _');
 
 // POST /api/code/execute - Execute code
 router.post('/execute', [
-  body('code').trim().notEmpty().withMessage('Code is required'),
-  body('language').isIn(Object.keys(SUPPORTED_LANGUAGES)).withMessage('Invalid programming language'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+    .isLength({ max: MAX_CODE_LENGTH }).withMessage(`Code cannot exceed ${MAX_CODE_LENGTH} characters`),
+  body('language').custom(isSupportedLanguage).withMessage('Invalid programming language'),
   body('input').optional().trim(),
-  body('customTestCases').optional().isArray().withMessage('Custom test cases must be an array'),
+  body('questionId').optional().isMongoId().withMessage('Invalid question ID'),
+  body('assessmentId').optional().isMongoId().withMessage('Invalid assessment ID'),
+  body('customTestCases').optional().isArray({ max: MAX_TEST_CASES }).withMessage(`Custom test cases must be an array of at most ${MAX_TEST_CASES} test cases`),
+  body('stopOnFirstFailure').optional().isBoolean().withMessage('stopOnFirstFailure must be boolean').toBoolean(),
+  ...comparisonValidation('comparison'),
+  ...comparisonValidation('customTestCases.*.comparison'),
   body('timeLimit').optional().isFloat({ min: 0.1, max: MAX_EXECUTION_TIME }).withMessage(`Time limit must be between 0.1 and ${MAX_EXECUTION_TIME} seconds`),
   body('memoryLimit').optional().isInt({ min: 16, max: MAX_MEMORY }).withMessage(`Memory limit must be between 16 and ${MAX_MEMORY} MB`)
-], async (req, res) => {
+], requireAvailableBackend, enforceExecutionQuota(), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -127,7 +144,8 @@ router.post('/execute', [
       });
     }
 
-    const { code, language, input = '', customTestCases, timeLimit, memoryLimit } = req.body;
+    const { code, language, input = '', customTestCases, timeLimit, memoryLimit, comparison, stopOnFirstFailure = false } = req.body;
+    const priority = req.executionQuota?.priority;
 
     // Generate unique execution ID
     const executionId = `exec_${uuidv4()}`;
@@ -136,205 +154,44 @@ router.post('/execute', [
     let submissions;
     if (customTestCases && customTestCases.length > 0) {
       // Use custom test cases
-      submissions = customTestCases.map(testCase => ({
-        source_code: code,
-        language_id: getLanguageConfig(language).id,
-        stdin: testCase.input || '',
-        expected_output: testCase.expectedOutput || '',
-        max_time: testCase.timeLimit || timeLimit || MAX_EXECUTION_TIME,
-        max_memory: (testCase.memoryLimit || memoryLimit || MAX_MEMORY) * 1024 * 1024,
-        enable_per_process_and_thread_time_limit: true,
-        enable_per_process_and_thread_memory_limit: true,
-        compile_only: false
-      }));
+      submissions = prepareTestCaseSubmission(code, language, customTestCases, { timeLimit, memoryLimit, comparison, priority });
     } else {
       // Single execution
-      submissions = [prepareSubmission(code, language, input)];
+      submissions = [prepareSubmission(code, language, input, { timeLimit, memoryLimit, priority })];
     }
 
-    // Check rate limiting (simple implementation)
-    const user = await User.findById(req.user.id);
-    const now = Date.now();
-    const recentExecutions = executionQueue.get(req.user.id) || [];
-    const validExecutions = recentExecutions.filter(time => now - time < 60000); // Last minute
-
-    if (validExecutions.length >= 10) {
-      return res.status(429).json({
-        success: false,
-        error: 'Rate limit exceeded. Please wait before submitting again.'
-      });
-    }
-
-    // Update rate limiting queue
-    validExecutions.push(now);
-    executionQueue.set(req.user.id, validExecutions);
-
     try {
-      // Submit to Judge0 API
-      const promises = submissions.map(async (submission) => {
-        try {
-          const response = await axios.post(`${JUDGE0_API_URL}/submissions`, submission, {
-            headers: {
-              'X-RapidAPI-Key': JUDGE0_API_KEY,
-              'X-RapidAPI-Host': JUDGE0_API_HOST,
-              'Content-Type': 'application/json'
-            },
-            timeout: 30000 // 30 seconds timeout
-          });
-
-          // Get submission token
-          const token = response.data.token;
-
-          // Poll for results (simplified - in production would use WebSockets or better queuing)
-          let attempts = 0;
-          const maxAttempts = 30;
-          let result = null;
-
-          while (attempts < maxAttempts && (!result || result.status?.id === 'processing' || result.status?.id === 'queued')) {
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-            attempts++;
-
-            try {
-              const resultResponse = await axios.get(`${JUDGE0_API_URL}/submissions/${token}`, {
-                headers: {
-                  'X-RapidAPI-Key': JUDGE0_API_KEY,
-                  'X-RapidAPI-Host': JUDGE0_API_HOST
-                },
-                timeout: 5000
-              });
-              result = resultResponse.data;
-            } catch (error) {
-              console.error('Error polling for results:', error);
-              if (attempts === maxAttempts) {
-                result = {
-                  status: { id: 'error', description: 'Timeout while polling for results' }
-                };
-              }
-            }
-          }
-
-          return {
-            token,
-            result: result || { status: { id: 'error', description: 'Failed to get results' } }
-          };
-        } catch (error) {
-          console.error('Error submitting to Judge0:', error);
-          return {
-            token: null,
-            result: { status: { id: 'error', description: 'Failed to submit to execution service' } }
-          };
-        }
+      // Queue the execution; clients follow it through the status and result endpoints
+      await executionQueueService.enqueueExecution({
+        executionId,
+        userId: req.user.id,
+        role: req.user.role.name,
+        context: req.executionQuota?.context,
+        isStudent: req.user.role.name === 'Student',
+        department: req.user.department,
+        questionId: req.body.questionId,
+        languageName: getLanguageConfig(language).name,
+        hasTestCases: Boolean(customTestCases && customTestCases.length > 0),
+        stopOnFirstFailure,
+        priority,
+        jobs: submissions
       });
 
-      const results = await Promise.all(promises);
-
-      // Format and return results
-      if (customTestCases && customTestCases.length > 0) {
-        // Multiple test cases
-        const testResults = results.map((item, index) => ({
-          testCaseIndex: index + 1,
-          token: item.token,
-          ...formatExecutionResult(item.result, executionId)
-        }));
-
-        // Calculate overall score
-        const passedTests = testResults.filter(test => testResult.status === 'accepted').length;
-        const totalScore = Math.round((passedTests / testResults.length) * 100);
-
-        res.json({
-          success: true,
-          data: {
-            executionId,
-            testResults,
-            totalTests: testResults.length,
-            passedTests,
-            totalScore,
-            language: getLanguageConfig(language).name
-          }
-        });
-      } else {
-        // Single execution
-        const { token, result } = results[0];
-        const formattedResult = formatExecutionResult(result, executionId);
-
-        // Update performance metrics for practice submissions
-        if (req.body.questionId && req.user.role.name === 'Student') {
-          try {
-            const question = await Question.findById(req.body.questionId);
-            if (question) {
-              await PerformanceMetric.findOneAndUpdate(
-                {
-                  student: req.user.id,
-                  question: req.body.questionId,
-                  department: req.user.department
-                },
-                {
-                  $inc: { totalPracticeSubmissions: 1 },
-                  $set: {
-                    lastAttemptedAt: new Date()
-                  }
-                },
-                { upsert: true, new: true }
-              );
-
-              // Mark as successful if execution was accepted
-              if (result.status?.id === 'accepted') {
-                await PerformanceMetric.findOneAndUpdate(
-                  {
-                    student: req.user.id,
-                    question: req.body.questionId,
-                    department: req.user.department
-                  },
-                  {
-                    $inc: { acceptedSubmissions: 1 }
-                  },
-                  { upsert: true, new: true }
-                );
-              }
-            }
-          } catch (metricError) {
-            console.error('Error updating performance metrics:', metricError);
-          }
+      res.status(202).json({
+        success: true,
+        data: {
+          executionId,
+          jobId: executionId,
+          status: 'queued',
+          statusUrl: `/api/code/execute/${executionId}/status`,
+          resultUrl: `/api/code/execute/${executionId}/result`
         }
-
-        res.json({
-          success: true,
-          data: {
-            executionId,
-            token,
-            ...formattedResult,
-            language: getLanguageConfig(language).name
-          }
-        });
-      }
+      });
     } catch (error) {
-      console.error('Code execution error:', error);
-
-      // Update failure metrics
-      if (req.body.questionId && req.user.role.name === 'Student') {
-        try {
-          await PerformanceMetric.findOneAndUpdate(
-            {
-              student: req.user.id,
-              question: req.body.questionId,
-              department: req.user.department
-            },
-            {
-              $inc: { totalPracticeSubmissions: 1 },
-              $set: {
-                lastAttemptedAt: new Date()
-              }
-            },
-            { upsert: true, new: true }
-          );
-        } catch (metricError) {
-          console.error('Error updating failure metrics:', metricError);
-        }
-      }
-
+      console.error('Code execution queue error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to execute code. Please try again later.',
+        error: 'Failed to queue code execution. Please try again later.',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -348,21 +205,44 @@ router.post('/execute', [
   }
 });
 
+// Helper function to load an execution job owned by the requesting user
+const findExecutionJob = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return null;
+  }
+
+  const job = await executionQueueService.getJob(req.params.jobId);
+
+  if (!job || (job.data.userId !== req.user.id && req.user.role?.name !== 'Admin')) {
+    res.status(404).json({
+      success: false,
+      error: 'Execution job not found'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+const jobIdValidation = [
+  param('jobId').isLength({ min: 1 }).withMessage('Invalid job ID')
+];
+
 // GET /api/code/execute/:jobId/status - Get execution status
-router.get('/execute/:jobId/status', param('jobId').isLength({ min: 1 }).withMessage('Invalid job ID'), async (req, res) => {
+router.get('/execute/:jobId/status', jobIdValidation, async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const job = await findExecutionJob(req, res);
+    if (!job) return;
 
-    // In a real implementation, this would check the status in the queue/database
-    // For now, we'll simulate a status check
     res.json({
       success: true,
-      data: {
-        jobId,
-        status: 'completed', // queued, processing, completed, error
-        progress: 100,
-        estimatedTime: '0-2 seconds'
-      }
+      data: await executionQueueService.describeJob(job)
     });
   } catch (error) {
     console.error('Get execution status error:', error);
@@ -374,23 +254,33 @@ router.get('/execute/:jobId/status', param('jobId').isLength({ min: 1 }).withMes
 });
 
 // GET /api/code/execute/:jobId/result - Get execution result
-router.get('/execute/:jobId/result', param('jobId').isLength({ min: 1 }).withMessage('Invalid job ID'), async (req, res) => {
+router.get('/execute/:jobId/result', jobIdValidation, async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const job = await findExecutionJob(req, res);
+    if (!job) return;
+
+    const { jobId, status, progress, error } = await executionQueueService.describeJob(job);
+
+    if (status === 'queued' || status === 'processing') {
+      return res.status(202).json({
+        success: true,
+        data: { jobId, status, progress }
+      });
+    }
+
+    if (status !== 'completed') {
+      return res.json({
+        success: true,
+        data: { jobId, status, error }
+      });
+    }
 
-    // In a real implementation, this would retrieve the result from the database
-    // For now, we'll return a mock result
     res.json({
       success: true,
       data: {
         jobId,
-        status: 'completed',
-        stdout: 'Hello, World!\n',
-        stderr: '',
-        time: 0.045,
-        memory: 2048,
-        exit_code: 0,
-        language: 'Python 3'
+        status,
+        ...job.returnvalue
       }
     });
   } catch (error) {
@@ -402,13 +292,103 @@ router.get('/execute/:jobId/result', param('jobId').isLength({ min: 1 }).withMes
   }
 });
 
+// POST /api/code/execute/:jobId/cancel - Cancel a queued or running execution
+router.post('/execute/:jobId/cancel', jobIdValidation, async (req, res) => {
+  try {
+    const job = await findExecutionJob(req, res);
+    if (!job) return;
+
+    const cancelled = await executionQueueService.cancelJob(job);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Execution has already finished'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Execution cancelled',
+      data: await executionQueueService.describeJob(job)
+    });
+  } catch (error) {
+    console.error('Cancel execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel execution'
+    });
+  }
+});
+
+// POST /api/code/execute/:jobId/retry - Re-queue a failed or cancelled execution
+router.post('/execute/:jobId/retry', jobIdValidation, async (req, res) => {
+  try {
+    const job = await findExecutionJob(req, res);
+    if (!job) return;
+
+    const retried = await executionQueueService.retryJob(job);
+    if (!retried) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed or cancelled executions can be retried'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Execution queued for retry',
+      data: await executionQueueService.describeJob(job)
+    });
+  } catch (error) {
+    console.error('Retry execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry execution'
+    });
+  }
+});
+
+// Validation rules for language registry entries
+const languageValidation = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Language name cannot exceed 100 characters'),
+  body('version').optional().isString().withMessage('Version must be a string'),
+  body('backendIds').optional().isObject().withMessage('Backend ids must be an object'),
+  body('backendIds.*').optional().isInt({ min: 0 }).withMessage('Backend ids must be non-negative integers'),
+  body('compiled').optional().isBoolean().withMessage('Compiled must be boolean'),
+  body('compileFlags').optional().isString().withMessage('Compile flags must be a string'),
+  body('runFlags').optional().isString().withMessage('Run flags must be a string'),
+  body('fileExtension').optional().isString().withMessage('File extension must be a string'),
+  body('template').optional().isString().withMessage('Template must be a string'),
+  body('timeMultiplier').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Time multiplier must be between 0.1 and 10'),
+  body('memoryMultiplier').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Memory multiplier must be between 0.1 and 10'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+const LANGUAGE_FIELDS = [
+  'name', 'version', 'backendIds', 'compiled', 'compileFlags', 'runFlags',
+  'fileExtension', 'template', 'timeMultiplier', 'memoryMultiplier', 'isActive'
+];
+
 // GET /api/code/languages - Get supported programming languages
+// Admins can pass ?all=true to include disabled languages
 router.get('/languages', async (req, res) => {
   try {
-    const languages = Object.entries(SUPPORTED_LANGUAGES).map(([key, config]) => ({
-      key,
-      name: config.name,
-      id: config.id
+    const includeDisabled = req.query.all === 'true' && req.user.role?.name === 'Admin';
+    const languages = (includeDisabled ? getLanguages() : getActiveLanguages()).map(language => ({
+      key: language.key,
+      name: language.name,
+      version: language.version,
+      compiled: language.compiled,
+      fileExtension: language.fileExtension,
+      template: language.template,
+      timeMultiplier: language.timeMultiplier,
+      memoryMultiplier: language.memoryMultiplier,
+      ...(includeDisabled && {
+        backendIds: language.backendIds,
+        compileFlags: language.compileFlags,
+        runFlags: language.runFlags,
+        isActive: language.isActive
+      })
     }));
 
     res.json({
@@ -424,16 +404,152 @@ router.get('/languages', async (req, res) => {
   }
 });
 
+// POST /api/code/languages - Add a language (Admin only)
+router.post('/languages', requireRole('Admin'), [
+  body('key').trim().matches(/^[a-z][a-z0-9_-]{0,29}$/).withMessage('Language key must be lowercase letters, digits, - or _'),
+  body('name').trim().notEmpty().withMessage('Language name is required'),
+  ...languageValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (await Language.exists({ key: req.body.key })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Language already exists'
+      });
+    }
+
+    const languageData = { key: req.body.key };
+    LANGUAGE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        languageData[field] = req.body[field];
+      }
+    });
+
+    const language = await Language.create(languageData);
+    await languageService.refresh();
+
+    res.status(201).json({
+      success: true,
+      message: 'Language created successfully',
+      data: language
+    });
+  } catch (error) {
+    console.error('Create language error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create language'
+    });
+  }
+});
+
+// POST /api/code/languages/sync - Import languages from the execution backend (Admin only)
+router.post('/languages/sync', requireRole('Admin'), async (req, res) => {
+  try {
+    const summary = await languageService.syncFromBackend();
+
+    res.json({
+      success: true,
+      message: 'Languages synced successfully',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Sync languages error:', error);
+    res.status(502).json({
+      success: false,
+      error: 'Failed to sync languages from the execution backend'
+    });
+  }
+});
+
+// PUT /api/code/languages/:key - Update a language (Admin only)
+router.put('/languages/:key', requireRole('Admin'), [
+  param('key').trim().notEmpty().withMessage('Language key is required'),
+  ...languageValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const language = await Language.findOne({ key: req.params.key.toLowerCase() });
+    if (!language) {
+      return res.status(404).json({
+        success: false,
+        error: 'Language not found'
+      });
+    }
+
+    LANGUAGE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        language[field] = req.body[field];
+      }
+    });
+
+    await language.save();
+    await languageService.refresh();
+
+    res.json({
+      success: true,
+      message: 'Language updated successfully',
+      data: language
+    });
+  } catch (error) {
+    console.error('Update language error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update language'
+    });
+  }
+});
+
 // POST /api/code/test - Run code against test cases
 router.post('/test', [
-  body('code').trim().notEmpty().withMessage('Code is required'),
-  body('language').isIn(Object.keys(SUPPORTED_LANGUAGES)).withMessage('Invalid programming language'),
-  body('testCases').isArray({ min: 1 }).withMessage('At least one test case is required'),
-  body('testCases.*.input').notEmpty().withMessage('Test case input is required'),
-  body('testCases.*.expectedOutput').notEmpty().withMessage('Test case expected output is required'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+    .isLength({ max: MAX_CODE_LENGTH }).withMessage(`Code cannot exceed ${MAX_CODE_LENGTH} characters`),
+  body('language').custom(isSupportedLanguage).withMessage('Invalid programming language'),
+  body('testCases').isArray({ min: 1, max: MAX_TEST_CASES }).withMessage(`Between 1 and ${MAX_TEST_CASES} test cases are required`),
+  body('testCases.*.input').if(body('functionSignature').not().exists()).notEmpty().withMessage('Test case input is required'),
+  body('testCases.*.expectedOutput').if(body('interactor.code').not().exists()).if(body('questionId').not().exists()).if(body('functionSignature').not().exists()).notEmpty().withMessage('Test case expected output is required'),
+  body('testCases.*.points').optional().isFloat({ min: 0 }).withMessage('Test case points must be a non-negative number'),
+  body('testCases.*.subtask').optional().isString().withMessage('Test case subtask must be a subtask name'),
+  body('subtasks').optional().isArray().withMessage('Subtasks must be an array'),
+  body('subtasks.*.name').isString().notEmpty().withMessage('Subtask name is required'),
+  body('subtasks.*.points').optional().isFloat({ min: 0 }).withMessage('Subtask points must be a non-negative number'),
+  body('testCases.*.arguments').if(body('functionSignature').exists()).isArray().withMessage('Test case arguments are required with a function signature'),
+  body('functionSignature').optional().custom((signature) => {
+    const problems = harness.validateSignature(signature);
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+    return true;
+  }),
   body('testCases.*.timeLimit').optional().isFloat({ min: 0.1, max: MAX_EXECUTION_TIME }).withMessage(`Test case time limit must be between 0.1 and ${MAX_EXECUTION_TIME} seconds`),
-  body('testCases.*.memoryLimit').optional().isInt({ min: 16, max: MAX_MEMORY }).withMessage(`Test case memory limit must be between 16 and ${MAX_MEMORY} MB`)
-], async (req, res) => {
+  body('testCases.*.memoryLimit').optional().isInt({ min: 16, max: MAX_MEMORY }).withMessage(`Test case memory limit must be between 16 and ${MAX_MEMORY} MB`),
+  ...comparisonValidation('comparison'),
+  ...comparisonValidation('testCases.*.comparison'),
+  body('checker.language').optional().custom(isSupportedLanguage).withMessage('Invalid checker language'),
+  body('checker.code').optional().isString().withMessage('Checker code must be a string'),
+  body('interactor.language').optional().custom(isSupportedLanguage).withMessage('Invalid interactor language'),
+  body('interactor.code').optional().isString().withMessage('Interactor code must be a string'),
+  body('questionId').optional().isMongoId().withMessage('Invalid question ID'),
+  body('assessmentId').optional().isMongoId().withMessage('Invalid assessment ID'),
+  body('stopOnFirstFailure').optional().isBoolean().withMessage('stopOnFirstFailure must be boolean').toBoolean(),
+  executionIdValidation
+], requireAvailableBackend, enforceExecutionQuota(), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -444,91 +560,130 @@ router.post('/test', [
       });
     }
 
-    const { code, language, testCases, timeLimit, memoryLimit } = req.body;
+    const {
+      code,
+      language,
+      timeLimit,
+      memoryLimit,
+      comparison,
+      functionSignature,
+      questionId,
+      subtasks = [],
+      stopOnFirstFailure = false
+    } = req.body;
+    let { testCases, checker, interactor } = req.body;
+
+    // Checker and interactor programs run outside the student's sandbox and
+    // decide the verdict, so only staff may send their own; anyone may use a
+    // stored question's by its questionId
+    if (questionId) {
+      const filter = { _id: questionId };
+      if (req.user.role.name !== 'Admin') {
+        filter.department = req.user.department;
+      }
+      if (req.user.role.name === 'Student') {
+        filter.isActive = true;
+      }
+      const question = await Question.findOne(filter);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found or access denied'
+        });
+      }
+      ({ checker, interactor } = getQuestionJobOptions(question));
+      if (!interactor?.code && !functionSignature && testCases.some(testCase => !testCase.expectedOutput)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Test case expected output is required'
+        });
+      }
+    } else if ((checker || interactor) && req.user.role.name === 'Student') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only staff can run code with their own checker or interactor; send the questionId instead'
+      });
+    }
+
+    const subtaskErrors = validateSubtasks(testCases, subtasks);
+    if (subtaskErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: subtaskErrors.join('; ')
+      });
+    }
+
+    // Encode typed arguments and return values for function tests
+    if (functionSignature) {
+      try {
+        testCases = harness.prepareTestCases(functionSignature, testCases);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
 
     // Generate unique execution ID
-    const executionId = `test_${uuidv4()}`;
+    const executionId = req.body.executionId || `test_${uuidv4()}`;
 
     // Prepare test case submissions
-    const submissions = prepareTestCaseSubmission(code, language, testCases);
+    const submissions = prepareTestCaseSubmission(code, language, testCases, {
+      timeLimit,
+      memoryLimit,
+      comparison,
+      checker,
+      interactor,
+      functionSignature,
+      priority: req.executionQuota?.priority
+    });
+    const progress = executionEvents.track(req.user._id, executionId, submissions.length);
+    const startedAt = new Date();
 
     try {
-      // Submit all test cases to Judge0
-      const promises = submissions.map(async (submission, index) => {
-        try {
-          const response = await axios.post(`${JUDGE0_API_URL}/submissions`, submission, {
-            headers: {
-              'X-RapidAPI-Key': JUDGE0_API_KEY,
-              'X-RapidAPI-Host': JUDGE0_API_HOST,
-              'Content-Type': 'application/json'
-            },
-            timeout: 30000
-          });
-
-          const token = response.data.token;
-
-          // Poll for results
-          let attempts = 0;
-          const maxAttempts = 30;
-          let result = null;
-
-          while (attempts < maxAttempts && (!result || result.status?.id === 'processing' || result.status?.id === 'queued')) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            attempts++;
-
-            try {
-              const resultResponse = await axios.get(`${JUDGE0_API_URL}/submissions/${token}`, {
-                headers: {
-                  'X-RapidAPI-Key': JUDGE0_API_KEY,
-                  'X-RapidAPI-Host': JUDGE0_API_HOST
-                },
-                timeout: 5000
-              });
-              result = resultResponse.data;
-            } catch (error) {
-              if (attempts === maxAttempts) {
-                result = {
-                  status: { id: 'error', description: 'Timeout while polling for results' }
-                };
-              }
-            }
-          }
-
-          return {
-            testCaseIndex: index + 1,
-            token,
-            result: result || { status: { id: 'error', description: 'Failed to get results' } }
-          };
-        } catch (error) {
-          return {
-            testCaseIndex: index + 1,
-            token: null,
-            result: { status: { id: 'error', description: 'Failed to submit test case' } }
-          };
-        }
+      // Compile once and run the test cases as a batch, optionally stopping
+      // at the first failure
+      progress.started(language);
+      const results = await executionService.executeBatch(submissions, {
+        stopOnFailure: stopOnFirstFailure,
+        onProgress: progress.testResult
       });
+      await recordRun(req, { executionId, source: 'test', results, startedAt });
 
-      const results = await Promise.all(promises);
+      // The backend went down during the run
+      if (results.some(({ result }) => result.backendError)) {
+        progress.failed(UNAVAILABLE_MESSAGE);
+        return sendUnavailable(res);
+      }
       const formattedResults = formatTestCaseResults(results.map(r => r.result), executionId);
 
       // Calculate statistics
       const passedTests = formattedResults.filter(testResult => testResult.passed).length;
+      const skippedTests = formattedResults.filter(testResult => testResult.verdict === VERDICTS.SKIPPED).length;
       const totalTests = formattedResults.length;
-      const totalScore = Math.round((passedTests / totalTests) * 100);
+      const scoring = scoreTestResults(formattedResults, testCases, subtasks);
       const totalTime = formattedResults.reduce((sum, result) => sum + result.time, 0);
       const averageTime = totalTime / totalTests;
       const totalMemory = Math.max(...formattedResults.map(result => result.memory));
+      const testSummary = summarizeTestCaseResults(formattedResults);
 
+      progress.finished({ verdict: testSummary.verdict, passedTests, skippedTests, totalScore: scoring.score });
       res.json({
         success: true,
         data: {
           executionId,
-          testResults: formattedResults,
+          testResults: formattedResults.map((result, index) => ({ ...result, points: scoring.testPoints[index] })),
+          subtasks: scoring.subtasks,
           summary: {
+            ...testSummary,
             totalTests,
             passedTests,
-            failedTests: totalTests - passedTests,
-            totalScore,
+            failedTests: totalTests - passedTests - skippedTests,
+            skippedTests,
+            totalScore: scoring.score,
+            earnedPoints: scoring.earnedPoints,
+            totalPoints: scoring.totalPoints,
             totalTime: Math.round(totalTime * 1000) / 1000, // Convert to milliseconds
             averageTime: Math.round(averageTime * 1000) / 1000,
             maxMemory: totalMemory,
@@ -538,6 +693,8 @@ router.post('/test', [
       });
     } catch (error) {
       console.error('Test execution error:', error);
+      progress.failed('Failed to execute test cases');
+      await recordRun(req, { executionId, source: 'test', status: 'failed', error: error.message, startedAt });
       res.status(500).json({
         success: false,
         error: 'Failed to execute test cases',
@@ -553,56 +710,153 @@ router.post('/test', [
   }
 });
 
-// GET /api/code/health - Check code execution service health
-router.get('/health', async (req, res) => {
+// POST /api/code/sql/test - Run a query against an SQL question's test
+// cases: the visible ones for students, all of them for staff
+router.post('/sql/test', [
+  body('code').trim().notEmpty().withMessage('Query is required')
+    .isLength({ max: MAX_CODE_LENGTH }).withMessage(`Query cannot exceed ${MAX_CODE_LENGTH} characters`),
+  body('questionId').isMongoId().withMessage('Invalid question ID'),
+  body('assessmentId').optional().isMongoId().withMessage('Invalid assessment ID'),
+  executionIdValidation
+], enforceExecutionQuota(), async (req, res) => {
   try {
-    // Check Judge0 API availability
-    let judge0Status = 'unknown';
-    let responseTime = null;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
-    if (JUDGE0_API_KEY) {
-      try {
-        const startTime = Date.now();
-        const response = await axios.get(`${JUDGE0_API_URL}/languages`, {
-          headers: {
-            'X-RapidAPI-Key': JUDGE0_API_KEY,
-            'X-RapidAPI-Host': JUDGE0_API_HOST
-          },
-          timeout: 5000
-        });
-        responseTime = Date.now() - startTime;
-        judge0Status = response.status === 200 ? 'healthy' : 'degraded';
-      } catch (error) {
-        judge0Status = 'unavailable';
-        console.error('Judge0 API health check failed:', error);
-      }
-    } else {
-      judge0Status = 'not_configured';
+    const { code, questionId } = req.body;
+    const isStudent = req.user.role.name === 'Student';
+
+    const filter = { _id: questionId, type: 'sql' };
+    if (req.user.role.name !== 'Admin') {
+      filter.department = req.user.department;
+    }
+    if (isStudent) {
+      filter.isActive = true;
     }
 
-    // Check queue status
-    const queueSize = executionQueue.size;
-    const activeExecutions = Array.from(executionQueue.values())
-      .map(executions => executions.length)
-      .reduce((sum, count) => sum + count, 0);
+    const question = await Question.findOne(filter);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'SQL question not found or access denied'
+      });
+    }
+
+    const testCases = isStudent
+      ? question.testCases.filter(testCase => !testCase.isHidden)
+      : question.testCases;
+
+    if (testCases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This question has no sample test cases'
+      });
+    }
+
+    const executionId = req.body.executionId || `test_${uuidv4()}`;
+    const progress = executionEvents.track(req.user._id, executionId, testCases.length);
+    const startedAt = new Date();
+    const recordFields = { executionId, source: 'test', language: SQL_LANGUAGE, backend: 'sqlite', question: questionId, startedAt };
+
+    try {
+      progress.started(SQL_LANGUAGE);
+      const results = await sqlRunner.runTestCases(question, code, {
+        testCases,
+        priority: req.executionQuota?.priority,
+        onResult: progress.testResult
+      });
+      await recordRun(req, { ...recordFields, results });
+
+      const formattedResults = formatTestCaseResults(results.map(r => r.result), executionId);
+      const passedTests = formattedResults.filter(testResult => testResult.passed).length;
+      const scoring = scoreTestResults(formattedResults, testCases);
+      const testSummary = summarizeTestCaseResults(formattedResults);
+
+      progress.finished({ verdict: testSummary.verdict, passedTests, totalScore: scoring.score });
+      res.json({
+        success: true,
+        data: {
+          executionId,
+          testResults: formattedResults.map((result, index) => ({
+            ...result,
+            rows: results[index].result.rows,
+            expectedRows: results[index].result.expectedRows,
+            points: scoring.testPoints[index]
+          })),
+          summary: {
+            ...testSummary,
+            totalTests: formattedResults.length,
+            passedTests,
+            failedTests: formattedResults.length - passedTests,
+            totalScore: scoring.score,
+            earnedPoints: scoring.earnedPoints,
+            totalPoints: scoring.totalPoints,
+            ordered: question.sql.ordered
+          }
+        }
+      });
+    } catch (error) {
+      console.error('SQL test execution error:', error);
+      progress.failed('Failed to run query');
+      await recordRun(req, { ...recordFields, status: 'failed', error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run query',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  } catch (error) {
+    console.error('Unexpected error in SQL test execution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while running the query'
+    });
+  }
+});
+
+// GET /api/code/health - Check code execution service health
+router.get('/health', async (req, res) => {
+  const configurationError = executionService.getConfigurationError();
+  if (configurationError) {
+    return res.status(503).json({
+      success: false,
+      data: { status: 'misconfigured' },
+      error: configurationError
+    });
+  }
+
+  try {
+    // Check execution backend availability
+    const backendHealth = await executionService.healthCheck();
+    const circuit = executionService.getCircuitStatus();
 
     res.json({
       success: true,
       data: {
-        status: 'healthy',
-        judge0: {
-          status: judge0Status,
-          responseTime: responseTime ? `${responseTime}ms` : null
+        // Degraded while runs fail fast and graded attempts are kept pending
+        status: circuit.state === 'closed' ? 'healthy' : 'degraded',
+        backend: {
+          name: executionService.backendName,
+          status: backendHealth.status,
+          responseTime: backendHealth.responseTime ? `${backendHealth.responseTime}ms` : null
         },
-        queue: {
-          activeUsers: queueSize,
-          activeExecutions,
-          maxPerMinutePerUser: 10
+        circuit,
+        pendingAttempts: await codingAttemptService.countPending(),
+        quotas: {
+          windowSeconds: executionConfig.quotas.windowSeconds,
+          limits: executionConfig.quotas.limits
         },
+        cache: resultCache.getStats(),
         limits: {
           maxExecutionTime: `${MAX_EXECUTION_TIME}s`,
           maxMemory: `${MAX_MEMORY}MB`,
-          supportedLanguages: Object.keys(SUPPORTED_LANGUAGES).length
+          supportedLanguages: getActiveLanguages().length
         }
       }
     });
@@ -617,12 +871,14 @@ router.get('/health', async (req, res) => {
 
 // POST /api/code/assessment-submit - Submit code for assessment
 router.post('/assessment-submit', [
-  body('code').trim().notEmpty().withMessage('Code is required'),
-  body('language').isIn(Object.keys(SUPPORTED_LANGUAGES)).withMessage('Invalid programming language'),
+  body('code').trim().notEmpty().withMessage('Code is required')
+    .isLength({ max: MAX_CODE_LENGTH }).withMessage(`Code cannot exceed ${MAX_CODE_LENGTH} characters`),
+  body('language').custom(language => language === SQL_LANGUAGE || isSupportedLanguage(language)).withMessage('Invalid programming language'),
   body('assessmentId').isMongoId().withMessage('Invalid assessment ID'),
   body('questionId').isMongoId().withMessage('Invalid question ID'),
-  body('attemptNumber').optional().isInt({ min: 1, max: 10 }).withMessage('Attempt number must be between 1 and 10')
-], async (req, res) => {
+  body('attemptNumber').optional().isInt({ min: 1, max: 10 }).withMessage('Attempt number must be between 1 and 10'),
+  executionIdValidation
+], enforceExecutionQuota('assessment'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -644,105 +900,34 @@ router.post('/assessment-submit', [
     }
 
     // Generate unique execution ID
-    const executionId = `assessment_${uuidv4()}`;
+    const executionId = req.body.executionId || `assessment_${uuidv4()}`;
+    let progress = null;
 
     try {
       // Get test cases for the question
-      const { Question } = require('../models');
       const question = await Question.findById(questionId);
 
-      if (!question || question.type !== 'coding') {
+      if (!question || !['coding', 'sql'].includes(question.type)) {
         return res.status(404).json({
           success: false,
           error: 'Coding question not found'
         });
       }
 
-      const testCases = question.testCases || [];
-
-      if (testCases.length === 0) {
+      const languageError = codingAttemptService.getLanguageError(question, language);
+      if (languageError) {
         return res.status(400).json({
           success: false,
-          error: 'No test cases found for this question'
+          error: languageError
         });
       }
 
-      // Prepare test case submissions
-      const submissions = prepareTestCaseSubmission(code, language, testCases);
-
-      // Submit to Judge0
-      const promises = submissions.map(async (submission, index) => {
-        try {
-          const response = await axios.post(`${JUDGE0_API_URL}/submissions`, submission, {
-            headers: {
-              'headers': {
-                'X-RapidAPI-Key': JUDGE0_API_KEY,
-                'X-RapidAPI-Host': JUDGE0_API_HOST,
-                'Content-Type': 'application/json'
-              },
-              timeout: 30000
-            }
-          });
-
-          const token = response.data.token;
-
-          // Poll for results
-          let attempts = 0;
-          const maxAttempts = 30;
-          let result = null;
-
-          while (attempts < maxAttempts && (!result || result.status?.id === 'processing' || result.status?.id === 'queued')) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            attempts++;
-
-            try {
-              const resultResponse = await axios.get(`${JUDGE0_API_URL}/submissions/${token}`, {
-                headers: {
-                  'X-RapidAPI-Key': JUDGE0_API_KEY,
-                  'X-RapidAPI-Host': JUDGE0_API_HOST
-                },
-                timeout: 5000
-              });
-              result = resultResponse.data;
-            } catch (error) {
-              if (attempts === maxAttempts) {
-                result = {
-                  status: { id: 'error', description: 'Timeout while polling for results' }
-                };
-              }
-            }
-          }
-
-          return {
-            testCaseIndex: index + 1,
-            input: submission.stdin,
-            expectedOutput: submission.expected_output,
-            result: result || { status: { id: 'error', description: 'Failed to get results' } }
-          };
-        } catch (error) {
-          return {
-            testCaseIndex: index + 1,
-            input: submission.stdin,
-            expectedOutput: submission.expectedOutput,
-            result: { status: { id: 'error', description: 'Failed to submit test case' } }
-          };
-        }
-      });
-
-      const results = await Promise.all(promises);
-      const formattedResults = formatTestCaseResults(results.map(r => r.result), executionId);
-
-      // Calculate score
-      const passedTests = formattedResults.filter(testResult => testResult.passed).length;
-      const totalTests = formattedResults.length;
-      const score = Math.round((passedTests / totalTests) * 100);
-
-      // Find or create assessment submission
-      const { AssessmentSubmission } = require('../models');
-      let submission = await AssessmentSubmission.findOne({
+      // Check the assessment session, the question and the attempt limit
+      // before running anything
+      const submission = await AssessmentSubmission.findOne({
         assessment: assessmentId,
         student: user._id,
-        status: { $in: ['in_progress', 'submitted'] }
+        status: 'in_progress'
       });
 
       if (!submission) {
@@ -752,70 +937,157 @@ router.post('/assessment-submit', [
         });
       }
 
-      // Find or create coding submission for this question
-      let codingSubmission = submission.codingSubmissions.find(
+      const assessment = await Assessment.findById(assessmentId);
+      const questionConfig = assessment?.codingQuestions.find(
+        q => q.question.toString() === questionId
+      );
+
+      if (!questionConfig) {
+        return res.status(400).json({
+          success: false,
+          error: 'Question is not part of this assessment'
+        });
+      }
+
+      // Attempts the student already made at this question
+      const previousAttempts = submission.codingSubmissions.find(
         cs => cs.question.toString() === questionId
       );
+      const { maxAttempts } = questionConfig;
 
-      if (!codingSubmission) {
-        codingSubmission = {
-          question: questionId,
-          attempts: [],
-          bestScore: 0,
-          isCompleted: false
-        };
-        submission.codingSubmissions.push(codingSubmission);
+      if (previousAttempts && previousAttempts.attempts.length >= maxAttempts) {
+        return res.status(400).json({
+          success: false,
+          error: 'Maximum attempts reached for this question'
+        });
+      }
+
+      const testCases = codingAttemptService.getTestCases(question);
+
+      if (testCases.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No test cases found for this question'
+        });
       }
 
-      // Add this attempt
-      const newAttempt = {
+      // Judge the attempt unless it breaks the construct rules or the judge
+      // is known to be down; attempts it cannot run are kept pending and
+      // judged once it recovers
+      progress = executionEvents.track(user._id, executionId, testCases.length);
+      const { status, codingSubmission, judged, startedAt, ruleViolations, ruleWarnings } = await codingAttemptService.submitAttempt(submission, question, {
         code,
         language,
-        submittedAt: new Date(),
         executionId,
-        testResults: formattedResults,
-        totalPassed: passedTests,
-        totalTestCases: totalTests,
-        score
-      };
-
-      codingSubmission.attempts.push(newAttempt);
+        maxAttempts,
+        priority: req.executionQuota?.priority,
+        progress,
+        student: user._id
+      });
+      if (startedAt) {
+        await recordRun(req, {
+          executionId,
+          context: 'assessment',
+          source: 'assessment',
+          assessment: assessmentId,
+          question: questionId,
+          backend: codingAttemptService.getBackendName(question),
+          results: judged.results,
+          status: judged.unavailable ? 'failed' : 'completed',
+          startedAt
+        });
+      }
 
-      // Update best score if this attempt is better
-      if (score > codingSubmission.bestScore) {
-        codingSubmission.bestScore = score;
+      if (status === 'rejected') {
+        progress.finished({ verdict: VERDICTS.RULE_VIOLATION, passedTests: 0, score: 0 });
+        return res.json({
+          success: true,
+          data: {
+            executionId,
+            testResults: [],
+            ruleViolations,
+            summary: {
+              verdict: VERDICTS.RULE_VIOLATION,
+              totalTests: testCases.length,
+              passedTests: 0,
+              failedTests: testCases.length,
+              score: 0,
+              earnedPoints: 0,
+              totalPoints: codingSubmission.attempts[codingSubmission.attempts.length - 1].totalPoints,
+              attemptNumber: codingSubmission.attempts.length,
+              maxAttempts,
+              isCompleted: codingSubmission.isCompleted
+            },
+            submission: {
+              id: submission._id,
+              codingScore: submission.codingScore,
+              totalScore: submission.totalScore
+            }
+          }
+        });
       }
 
-      // Mark as completed if all test cases passed or max attempts reached
-      const maxAttempts = 3; // This should come from the assessment configuration
-      codingSubmission.isCompleted = passedTests === totalTests ||
-                                codingSubmission.attempts.length >= maxAttempts;
+      if (status === 'pending') {
+        progress.pending();
+        return res.status(202).json({
+          success: true,
+          message: 'The judge is temporarily unavailable. Your solution has been saved and will be judged automatically.',
+          data: {
+            executionId,
+            status: 'pending',
+            ruleWarnings,
+            summary: {
+              totalTests: testCases.length,
+              attemptNumber: codingSubmission.attempts.length,
+              maxAttempts,
+              isCompleted: codingSubmission.isCompleted
+            },
+            submission: {
+              id: submission._id
+            }
+          }
+        });
+      }
 
-      await submission.save();
+      const { formattedResults, scoring, efficiency, quality, passedTests, totalTests, verdict, compileOutput } = judged;
+      const { score } = scoring;
 
+      progress.finished({ verdict, passedTests, score });
       res.json({
         success: true,
         data: {
           executionId,
-          testResults: formattedResults,
+          testResults: formattedResults.map((result, index) => ({ ...result, points: scoring.testPoints[index] })),
+          subtasks: scoring.subtasks,
+          ruleWarnings,
           summary: {
+            verdict,
+            compileOutput,
             totalTests,
             passedTests,
             failedTests: totalTests - passedTests,
             score,
+            earnedPoints: scoring.earnedPoints,
+            totalPoints: scoring.totalPoints,
+            bonusScore: scoring.bonusScore || 0,
+            efficiency,
+            quality,
             attemptNumber: codingSubmission.attempts.length,
             maxAttempts,
             isCompleted: codingSubmission.isCompleted
           },
           submission: {
             id: submission._id,
-            codingScore: submission.codingScore + score,
-            totalScore: submission.totalScore + score
+            codingScore: submission.codingScore + score + (scoring.bonusScore || 0),
+            totalScore: submission.totalScore + score + (scoring.bonusScore || 0)
           }
         }
       });
     } catch (error) {
       console.error('Assessment submission error:', error);
+      if (progress) {
+        progress.failed('Failed to submit assessment solution');
+      }
       res.status(500).json({
         success: false,
         error: 'Failed to submit assessment solution',
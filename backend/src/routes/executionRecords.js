@@ -0,0 +1,253 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, param, validationResult } = require('express-validator');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ExecutionRecord } = require('../models');
+const { VERDICT_CODES } = require('../services/execution/verdicts');
+
+const router = express.Router();
+
+// Execution audit log routes are for staff only
+router.use(requireAuth);
+router.use(requireRole('Admin', 'HOD', 'Teacher'));
+
+const CONTEXTS = ExecutionRecord.schema.path('context').enumValues;
+const SOURCES = ExecutionRecord.schema.path('source').enumValues;
+const STATUSES = ExecutionRecord.schema.path('status').enumValues;
+
+// Fields /stats can group by
+const GROUP_FIELDS = {
+  context: '$context',
+  source: '$source',
+  language: '$language',
+  verdict: '$verdict',
+  backend: '$backend',
+  status: '$status',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+  hour: { $dateToString: { format: '%Y-%m-%dT%H:00', date: '$createdAt' } }
+};
+
+// Validation rules for record filters
+const filterValidation = [
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('department').optional().isMongoId().withMessage('Invalid department ID'),
+  query('question').optional().isMongoId().withMessage('Invalid question ID'),
+  query('assessment').optional().isMongoId().withMessage('Invalid assessment ID'),
+  query('context').optional().isIn(CONTEXTS).withMessage(`Context must be one of: ${CONTEXTS.join(', ')}`),
+  query('source').optional().isIn(SOURCES).withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  query('status').optional().isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  query('verdict').optional().isIn(VERDICT_CODES).withMessage(`Verdict must be one of: ${VERDICT_CODES.join(', ')}`),
+  query('language').optional().isString(),
+  query('backend').optional().isString(),
+  query('executionId').optional().isString(),
+  query('codeHash').optional().matches(/^[a-f0-9]{64}$/i).withMessage('Code hash must be a SHA-256 hex digest'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date')
+];
+
+// Helper function to build a record filter from the query string, limited
+// to the records the user may see: admins see every record, HODs and
+// teachers those of their department
+const buildFilter = (req) => {
+  const filter = {};
+
+  ['user', 'department', 'question', 'assessment'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = new mongoose.Types.ObjectId(req.query[field]);
+    }
+  });
+  ['context', 'source', 'status', 'verdict', 'language', 'backend', 'executionId', 'codeHash'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = String(req.query[field]);
+    }
+  });
+
+  if (req.query.startDate || req.query.endDate) {
+    filter.createdAt = {};
+    if (req.query.startDate) {
+      filter.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      filter.createdAt.$lte = new Date(req.query.endDate);
+    }
+  }
+
+  if (req.user.role.name !== 'Admin') {
+    filter.department = req.user.department;
+  }
+
+  return filter;
+};
+
+// Statistics accumulated for each /stats group
+const STATS_ACCUMULATORS = {
+  runs: { $sum: 1 },
+  acceptedRuns: { $sum: { $cond: [{ $eq: ['$verdict', 'AC'] }, 1, 0] } },
+  failedRuns: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+  totalTests: { $sum: '$totalTests' },
+  cachedTests: { $sum: '$cachedTests' },
+  totalExecutionTime: { $sum: '$executionTime' },
+  avgWallTime: { $avg: '$wallTime' },
+  maxWallTime: { $max: '$wallTime' },
+  avgQueueTime: { $avg: '$queueTime' },
+  maxQueueTime: { $max: '$queueTime' },
+  users: { $addToSet: '$user' }
+};
+
+// Helper function to round averages and count distinct users in a /stats group
+const formatStats = ({ users, avgWallTime, avgQueueTime, ...stats }) => ({
+  ...stats,
+  avgWallTime: Math.round(avgWallTime || 0),
+  avgQueueTime: Math.round(avgQueueTime || 0),
+  users: users.length
+});
+
+// GET /api/execution-records - Search execution records
+router.get('/', [
+  ...filterValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = buildFilter(req);
+
+    const records = await ExecutionRecord.find(filter)
+      .populate('user', 'fullName email')
+      .populate('question', 'title')
+      .populate('assessment', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await ExecutionRecord.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: records,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get execution records error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch execution records'
+    });
+  }
+});
+
+// GET /api/execution-records/stats - Aggregate execution records, e.g. runs
+// per hour or per language, for capacity planning
+router.get('/stats', [
+  ...filterValidation,
+  query('groupBy').optional().isIn(Object.keys(GROUP_FIELDS)).withMessage(`groupBy must be one of: ${Object.keys(GROUP_FIELDS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { groupBy = 'day' } = req.query;
+
+    const [stats] = await ExecutionRecord.aggregate([
+      { $match: buildFilter(req) },
+      {
+        $facet: {
+          groups: [
+            { $group: { _id: GROUP_FIELDS[groupBy], ...STATS_ACCUMULATORS } },
+            { $sort: { _id: 1 } }
+          ],
+          totals: [
+            { $group: { _id: null, ...STATS_ACCUMULATORS } }
+          ]
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        groups: stats.groups.map(({ _id, ...group }) => ({ key: _id, ...formatStats(group) })),
+        totals: stats.totals.length > 0
+          ? formatStats(stats.totals[0])
+          : formatStats({ runs: 0, users: [] })
+      }
+    });
+  } catch (error) {
+    console.error('Get execution record stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to aggregate execution records'
+    });
+  }
+});
+
+// GET /api/execution-records/:id - Get an execution record
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid execution record ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const record = await ExecutionRecord.findById(req.params.id)
+      .populate('user', 'fullName email')
+      .populate('department', 'name code')
+      .populate('question', 'title')
+      .populate('assessment', 'title');
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Execution record not found'
+      });
+    }
+
+    if (req.user.role.name !== 'Admin' && record.department?._id?.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied to this execution record'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    console.error('Get execution record error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch execution record'
+    });
+  }
+});
+
+module.exports = router;
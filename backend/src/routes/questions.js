@@ -1,13 +1,388 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const { requireAuth, requirePermission, requireOwnership } = require('../middleware/auth');
+const { comparisonValidation } = require('../middleware/codingValidation');
 const { Question, User, Department, Module, PerformanceMetric } = require('../models');
+const harness = require('../services/execution/harness');
+const { validateUnitTests } = require('../services/execution/unitTests');
+const { RULE_TYPES, RULE_KINDS, validateConstructRules } = require('../services/execution/constructRules');
+const { isSupportedLanguage } = require('../services/execution/languages');
+const { MAX_CODE_LENGTH, MAX_TEST_CASES } = require('../services/execution/jobs');
+const { validateSubtasks, validateEfficiency } = require('../services/execution/scoring');
+const { FAILURE_VERDICTS } = require('../services/execution/verdicts');
+const testCaseGenerationService = require('../services/testCaseGenerationService');
+const { TestCaseGenerationError } = testCaseGenerationService;
+const sqlRunner = require('../services/execution/sqlRunner');
+const executionService = require('../services/executionService');
+const questionValidationService = require('../services/questionValidationService');
+const { JUDGED_FIELDS } = questionValidationService;
 
 const router = express.Router();
 
 // All question routes require authentication
 router.use(requireAuth);
 
+// Validation rules for special judge settings
+const checkerValidation = [
+  body('checker.language')
+    .optional()
+    .custom(isSupportedLanguage)
+    .withMessage('Invalid checker language'),
+  body('checker.code')
+    .optional()
+    .isString()
+    .withMessage('Checker code must be a string'),
+  body('checker.timeLimit')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Checker time limit must be between 0.1 and 10 seconds')
+];
+
+// Validation rules for interactive question settings
+const interactorValidation = [
+  body('judgeMode')
+    .optional()
+    .isIn(['standard', 'interactive', 'function', 'unit_test'])
+    .withMessage('Judge mode must be one of: standard, interactive, function, unit_test'),
+  body('judgeMode')
+    .optional()
+    .custom((judgeMode) => {
+      if (!executionService.supportsJudgeMode(judgeMode)) {
+        throw new Error(`The ${executionService.backendName} execution backend cannot judge ${judgeMode} questions`);
+      }
+      return true;
+    }),
+  body('interactor.language')
+    .if(body('judgeMode').equals('interactive'))
+    .custom(isSupportedLanguage)
+    .withMessage('Invalid interactor language'),
+  body('interactor.code')
+    .if(body('judgeMode').equals('interactive'))
+    .isString()
+    .notEmpty()
+    .withMessage('Interactor code is required for interactive questions'),
+  body('interactor.timeLimit')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Interactor time limit must be between 0.1 and 10 seconds')
+];
+
+// Validation rules for function question settings
+const functionSignatureValidation = [
+  body('functionSignature')
+    .if(body('judgeMode').equals('function'))
+    .custom((signature) => {
+      const problems = harness.validateSignature(signature);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      return true;
+    }),
+  body('testCases.*.arguments')
+    .if(body('judgeMode').equals('function'))
+    .isArray()
+    .withMessage('Test case arguments are required for function questions')
+];
+
+// Validation rules for unit-test question settings
+const unitTestValidation = [
+  body('unitTests.code')
+    .if(body('judgeMode').equals('unit_test'))
+    .notEmpty()
+    .withMessage('A test file is required for unit-test questions'),
+  body('unitTests.timeLimit')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Unit test time limit must be between 0.1 and 10 seconds'),
+  body('unitTests.tests')
+    .if(body('judgeMode').equals('unit_test'))
+    .isArray({ min: 1 })
+    .withMessage('At least one test is required for unit-test questions'),
+  body('unitTests.tests.*.name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Test name is required'),
+  body('unitTests.tests.*.points')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Test points must be between 1 and 100')
+];
+
+// Validation rules for efficiency scoring, measured on benchmark test cases
+const efficiencyValidation = [
+  body('efficiency.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('efficiency.enabled must be boolean')
+    .toBoolean(),
+  body(['efficiency.bonusPoints', 'efficiency.penaltyPoints'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Efficiency bonus and penalty points must be between 0 and 100'),
+  body('efficiency.timeWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Efficiency time weight must be between 0 and 1'),
+  body(['efficiency.bonusRatio', 'efficiency.penaltyRatio'])
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Efficiency ratios must be at least 1'),
+  body('testCases.*.benchmark')
+    .optional()
+    .isBoolean()
+    .withMessage('Test case benchmark flag must be boolean')
+];
+
+// Validation rules for the code quality pass (see services/execution/codeQuality.js)
+const qualityValidation = [
+  body(['quality.enabled', 'quality.naming'])
+    .optional()
+    .isBoolean()
+    .withMessage('Code quality switches must be boolean')
+    .toBoolean(),
+  body('quality.weight')
+    .optional()
+    .isFloat({ min: 0, max: 50 })
+    .withMessage('Style weight must be between 0 and 50'),
+  body('quality.maxComplexity')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Maximum complexity must be between 1 and 50'),
+  body('quality.maxLineLength')
+    .optional()
+    .isInt({ min: 40, max: 300 })
+    .withMessage('Maximum line length must be between 40 and 300'),
+  body('quality.forbidden')
+    .optional()
+    .isArray()
+    .withMessage('Forbidden constructs must be an array'),
+  body('quality.forbidden.*.construct')
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Forbidden construct is required and cannot exceed 100 characters'),
+  body('quality.forbidden.*.message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Forbidden construct message cannot exceed 200 characters')
+];
+
+// Validation rules for construct rules (forbidden and required constructs)
+const constructRuleValidation = [
+  body('constructRules')
+    .optional()
+    .isArray()
+    .withMessage('Construct rules must be an array'),
+  body('constructRules.*.type')
+    .isIn(RULE_TYPES)
+    .withMessage(`Construct rule type must be one of: ${RULE_TYPES.join(', ')}`),
+  body('constructRules.*.kind')
+    .optional()
+    .isIn(RULE_KINDS)
+    .withMessage(`Construct rule kind must be one of: ${RULE_KINDS.join(', ')}`),
+  body('constructRules.*.construct')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Construct cannot exceed 100 characters'),
+  body('constructRules.*.message')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Construct rule message cannot exceed 200 characters'),
+  body('constructRules')
+    .optional()
+    .custom((rules) => {
+      const problems = validateConstructRules(rules);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+      return true;
+    })
+];
+
+// Helper function to take efficiency settings from a request; reference
+// measurements are only recorded by the judge
+const pickEfficiencySettings = (efficiency) => {
+  const settings = { ...efficiency };
+  delete settings.reference;
+  return settings;
+};
+
+// Helper function to project a question (a plain object) for students:
+// hidden test cases lose their answers, and the solution, validation
+// reports, unit test file and the code of the checker, interactor and input
+// generator are left out
+const toStudentQuestion = (question) => {
+  const projected = { ...question };
+  if (Array.isArray(projected.testCases)) {
+    projected.testCases = projected.testCases.map(testCase => ({
+      ...testCase,
+      expectedOutput: testCase.isHidden ? undefined : testCase.expectedOutput,
+      expectedReturn: testCase.isHidden ? undefined : testCase.expectedReturn,
+      generatorArgs: undefined
+    }));
+  }
+  delete projected.solutionCode;
+  delete projected.selfValidation;
+  delete projected.wrongSolutions;
+  delete projected.inputGenerator;
+  if (projected.unitTests) {
+    projected.unitTests = { ...projected.unitTests, code: undefined };
+  }
+  if (projected.checker) {
+    projected.checker = projected.checker.language ? { language: projected.checker.language } : undefined;
+  }
+  if (projected.interactor) {
+    projected.interactor = { ...projected.interactor, code: undefined };
+  }
+  return projected;
+};
+
+// Helper function to encode function question test cases, returning an
+// error message instead of throwing
+const prepareFunctionTestCases = (signature, testCases) => {
+  try {
+    return { testCases: harness.prepareTestCases(signature, testCases) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Validation rules for the input generator, which prints a test case's
+// input given its generatorArgs
+const inputGeneratorValidation = [
+  body('inputGenerator.language')
+    .optional()
+    .custom(isSupportedLanguage)
+    .withMessage('Invalid input generator language'),
+  body('inputGenerator.code')
+    .optional()
+    .isString()
+    .withMessage('Input generator code must be a string'),
+  body('inputGenerator.timeLimit')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Input generator time limit must be between 0.1 and 10 seconds'),
+  body('testCases.*.generatorArgs')
+    .optional()
+    .isString()
+    .withMessage('Test case generator arguments must be a string')
+];
+
+// Helper function to require input and expected output on a test case
+// unless they come from typed arguments, the interactor or generation
+const validateTestCaseContent = (testCase, { req }) => {
+  const judgeMode = req.body.judgeMode;
+  const hasGeneratorArgs = testCase?.generatorArgs !== undefined && testCase?.generatorArgs !== null;
+
+  if (judgeMode !== 'function' && !hasGeneratorArgs && !testCase?.input) {
+    throw new Error('Test case input is required');
+  }
+  if (!['interactive', 'function'].includes(judgeMode) && !hasGeneratorArgs &&
+      !req.body.generateExpectedOutputs && !testCase?.expectedOutput) {
+    throw new Error('Test case expected output is required');
+  }
+  return true;
+};
+
+// Helper function to describe the outcome of a question update
+const getUpdateMessage = (question, validation) => {
+  if (validation?.unavailable) {
+    return `Question updated. ${validation.message}`;
+  }
+  if (question.isPublishable) {
+    return 'Question updated successfully';
+  }
+  return question.selfValidation?.status === 'failed'
+    ? 'Question updated but failed validation; it cannot be published until fixed'
+    : 'Question updated; validate it before it can be published';
+};
+
+// Helper function to find a question the current user may edit
+const findEditableQuestion = async (user, id) => {
+  if (user.role.name === 'Admin') {
+    return Question.findById(id);
+  } else if (user.role.name === 'HOD') {
+    return Question.findOne({ _id: id, department: user.department });
+  } else if (user.role.name === 'Teacher') {
+    return Question.findOne({ _id: id, createdBy: user._id });
+  }
+  return null;
+};
+
+// Validation rules for per-language limit multiplier overrides
+const languageMultiplierValidation = [
+  body('languageMultipliers')
+    .optional()
+    .isArray()
+    .withMessage('Language multipliers must be an array'),
+  body('languageMultipliers.*.language')
+    .custom(isSupportedLanguage)
+    .withMessage('Invalid language in multiplier override'),
+  body('languageMultipliers.*.timeMultiplier')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Time multiplier must be between 0.1 and 10'),
+  body('languageMultipliers.*.memoryMultiplier')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Memory multiplier must be between 0.1 and 10')
+];
+
+// Validation rules for subtasks (groups of test cases scored all-or-nothing)
+const subtaskValidation = [
+  body('subtasks')
+    .optional()
+    .isArray()
+    .withMessage('Subtasks must be an array'),
+  body('subtasks.*.name')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Subtask name is required and cannot exceed 100 characters'),
+  body('subtasks.*.points')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Subtask points must be a non-negative number'),
+  body('testCases.*.subtask')
+    .optional()
+    .isString()
+    .trim()
+    .withMessage('Test case subtask must be a subtask name')
+];
+
+// Validation rules for known-wrong solutions used to test the test cases
+const wrongSolutionValidation = [
+  body('wrongSolutions')
+    .optional()
+    .isArray()
+    .withMessage('Wrong solutions must be an array'),
+  body('wrongSolutions.*.name')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Wrong solution name is required and cannot exceed 100 characters'),
+  body('wrongSolutions.*.code')
+    .isString()
+    .notEmpty()
+    .withMessage('Wrong solution code is required'),
+  body('wrongSolutions.*.language')
+    .optional()
+    .custom(isSupportedLanguage)
+    .withMessage('Invalid wrong solution language'),
+  body('wrongSolutions.*.expectedVerdict')
+    .optional()
+    .isIn(FAILURE_VERDICTS)
+    .withMessage(`Expected verdict must be one of: ${FAILURE_VERDICTS.join(', ')}`)
+];
+
 // Validation rules for creating questions
 const createCodingQuestionValidation = [
   body('title')
@@ -36,17 +411,28 @@ const createCodingQuestionValidation = [
     .isMongoId()
     .withMessage('Invalid module ID'),
   body('language')
-    .isIn(['python', 'java', 'c', 'cpp', 'javascript'])
+    .custom(isSupportedLanguage)
     .withMessage('Invalid programming language'),
   body('testCases')
+    .if(body('judgeMode').not().equals('unit_test'))
     .isArray({ min: 1 })
     .withMessage('At least one test case is required'),
-  body('testCases.*.input')
-    .notEmpty()
-    .withMessage('Test case input is required'),
-  body('testCases.*.expectedOutput')
-    .notEmpty()
-    .withMessage('Test case expected output is required'),
+  body('testCases')
+    .optional()
+    .isArray({ max: MAX_TEST_CASES })
+    .withMessage(`A question cannot have more than ${MAX_TEST_CASES} test cases`),
+  body('testCases.*')
+    .custom(validateTestCaseContent),
+  body('generateExpectedOutputs')
+    .optional()
+    .isBoolean()
+    .withMessage('generateExpectedOutputs must be boolean')
+    .toBoolean(),
+  body('validate')
+    .optional()
+    .isBoolean()
+    .withMessage('validate must be boolean')
+    .toBoolean(),
   body('testCases.*.isHidden')
     .optional()
     .isBoolean()
@@ -55,6 +441,19 @@ const createCodingQuestionValidation = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage('Test case points must be between 1 and 100'),
+  ...comparisonValidation('testCases.*.comparison'),
+  ...comparisonValidation('comparison'),
+  ...checkerValidation,
+  ...interactorValidation,
+  ...functionSignatureValidation,
+  ...unitTestValidation,
+  ...efficiencyValidation,
+  ...qualityValidation,
+  ...constructRuleValidation,
+  ...languageMultiplierValidation,
+  ...subtaskValidation,
+  ...inputGeneratorValidation,
+  ...wrongSolutionValidation,
   body('starterCode')
     .optional()
     .trim(),
@@ -89,6 +488,105 @@ const createCodingQuestionValidation = [
     .withMessage('Each hint cannot exceed 200 characters')
 ];
 
+// Validation rules for SQL question settings
+const sqlValidation = [
+  body('sql.schema')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Schema must be SQL statements'),
+  body('sql.seedData')
+    .optional()
+    .isString()
+    .withMessage('Seed data must be SQL statements'),
+  body('sql.ordered')
+    .optional()
+    .isBoolean()
+    .withMessage('sql.ordered must be boolean')
+    .toBoolean(),
+  body('testCases.*.input')
+    .optional()
+    .isString()
+    .withMessage('Test case input must be a string')
+];
+
+const createSQLQuestionValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Question title is required')
+    .isLength({ max: 300 })
+    .withMessage('Question title cannot exceed 300 characters'),
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Question description is required'),
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Invalid difficulty level'),
+  body('department')
+    .isMongoId()
+    .withMessage('Invalid department ID'),
+  body('modules')
+    .optional()
+    .isArray()
+    .withMessage('Modules must be an array'),
+  body('modules.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid module ID'),
+  body('sql.schema')
+    .notEmpty()
+    .withMessage('Schema is required for SQL questions'),
+  ...sqlValidation,
+  body('solutionCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Reference query is required for SQL questions'),
+  body('starterCode')
+    .optional()
+    .trim(),
+  body('testCases')
+    .isArray({ min: 1, max: MAX_TEST_CASES })
+    .withMessage(`Between 1 and ${MAX_TEST_CASES} test cases are required`),
+  body('testCases.*.isHidden')
+    .optional()
+    .isBoolean()
+    .withMessage('Test case visibility must be boolean'),
+  body('testCases.*.points')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Test case points must be between 1 and 100'),
+  ...subtaskValidation,
+  body('timeLimit')
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage('Time limit must be between 0.1 and 10 seconds'),
+  body('memoryLimit')
+    .optional()
+    .isInt({ min: 16, max: 1024 })
+    .withMessage('Memory limit must be between 16 and 1024 MB'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Each tag cannot exceed 50 characters'),
+  body('hints')
+    .optional()
+    .isArray()
+    .withMessage('Hints must be an array'),
+  body('hints.*')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Each hint cannot exceed 200 characters')
+];
+
 const createMCQQuestionValidation = [
   body('title')
     .trim()
@@ -166,8 +664,32 @@ const updateQuestionValidation = [
     .withMessage('Invalid module ID'),
   body('testCases')
     .optional()
-    .isArray()
-    .withMessage('Test cases must be an array'),
+    .isArray({ max: MAX_TEST_CASES })
+    .withMessage(`Test cases must be an array of at most ${MAX_TEST_CASES} test cases`),
+  ...comparisonValidation('testCases.*.comparison'),
+  ...comparisonValidation('comparison'),
+  ...checkerValidation,
+  ...interactorValidation,
+  ...functionSignatureValidation,
+  ...unitTestValidation,
+  ...efficiencyValidation,
+  ...qualityValidation,
+  ...constructRuleValidation,
+  ...languageMultiplierValidation,
+  ...subtaskValidation,
+  ...inputGeneratorValidation,
+  ...wrongSolutionValidation,
+  ...sqlValidation,
+  body('generateExpectedOutputs')
+    .optional()
+    .isBoolean()
+    .withMessage('generateExpectedOutputs must be boolean')
+    .toBoolean(),
+  body('validate')
+    .optional()
+    .isBoolean()
+    .withMessage('validate must be boolean')
+    .toBoolean(),
   body('options')
     .optional()
     .isArray()
@@ -195,9 +717,11 @@ const practiceSubmissionValidation = [
   body('code')
     .trim()
     .notEmpty()
-    .withMessage('Code is required for submission'),
+    .withMessage('Code is required for submission')
+    .isLength({ max: MAX_CODE_LENGTH })
+    .withMessage(`Code cannot exceed ${MAX_CODE_LENGTH} characters`),
   body('language')
-    .isIn(['python', 'java', 'c', 'cpp', 'javascript'])
+    .custom(isSupportedLanguage)
     .withMessage('Invalid programming language')
 ];
 
@@ -315,7 +839,8 @@ router.get('/', async (req, res) => {
         const questionObj = question.toObject();
         questionObj.successRate = question.successRate;
         questionObj.totalPoints = question.totalPoints;
-        return questionObj;
+        // The unit test file is hidden from students
+        return user.role.name === 'Student' ? toStudentQuestion(questionObj) : questionObj;
       })
     );
 
@@ -392,26 +917,15 @@ router.get('/:id', idValidation, async (req, res) => {
     // Get full question details
     const questionDetails = await Question.getWithDetails(id);
 
-    // For students, hide test case solutions and expected outputs for hidden test cases
-    if (user.role.name === 'Student') {
-      if (questionDetails.type === 'coding') {
-        questionDetails.testCases = questionDetails.testCases.map(testCase => ({
-          ...testCase.toObject(),
-          expectedOutput: testCase.isHidden ? undefined : testCase.expectedOutput
-        }));
-      }
-      // Don't show solution code to students
-      questionDetails.solutionCode = undefined;
-    }
-
     // Add statistics
     const questionObj = questionDetails.toObject();
     questionObj.successRate = questionDetails.successRate;
     questionObj.totalPoints = questionDetails.totalPoints;
 
+    // Students don't see hidden answers, the solution or the judge's code
     res.json({
       success: true,
-      data: questionObj
+      data: user.role.name === 'Student' ? toStudentQuestion(questionObj) : questionObj
     });
   } catch (error) {
     console.error('Get question error:', error);
@@ -446,6 +960,21 @@ router.post('/coding', requirePermission('manage_questions'), createCodingQuesti
       solutionCode,
       timeLimit = 1,
       memoryLimit = 128,
+      languageMultipliers,
+      comparison,
+      checker,
+      judgeMode = 'standard',
+      interactor,
+      functionSignature,
+      unitTests,
+      efficiency,
+      quality,
+      constructRules,
+      subtasks = [],
+      wrongSolutions = [],
+      inputGenerator,
+      generateExpectedOutputs = false,
+      validate = false,
       tags = [],
       hints = []
     } = req.body;
@@ -484,6 +1013,45 @@ router.post('/coding', requirePermission('manage_questions'), createCodingQuesti
       }
     }
 
+    const subtaskErrors = validateSubtasks(testCases, subtasks);
+    if (subtaskErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: subtaskErrors.join('; ')
+      });
+    }
+
+    if (judgeMode === 'unit_test') {
+      const problems = validateUnitTests(language, unitTests);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: problems.join('; ')
+        });
+      }
+    }
+
+    const efficiencyErrors = validateEfficiency({ judgeMode, solutionCode, testCases, efficiency });
+    if (efficiencyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: efficiencyErrors.join('; ')
+      });
+    }
+
+    // Function questions get input and expected output from typed arguments
+    let preparedTestCases = testCases;
+    if (judgeMode === 'function') {
+      const prepared = prepareFunctionTestCases(functionSignature, testCases);
+      if (prepared.error) {
+        return res.status(400).json({
+          success: false,
+          error: prepared.error
+        });
+      }
+      preparedTestCases = prepared.testCases;
+    }
+
     const question = new Question({
       title: title.trim(),
       description: description.trim(),
@@ -493,15 +1061,50 @@ router.post('/coding', requirePermission('manage_questions'), createCodingQuesti
       modules,
       createdBy: user._id,
       language,
-      testCases,
+      testCases: preparedTestCases,
       starterCode: starterCode?.trim(),
       solutionCode: solutionCode?.trim(),
       timeLimit,
       memoryLimit,
+      languageMultipliers,
+      comparison,
+      checker,
+      judgeMode,
+      interactor,
+      functionSignature,
+      unitTests,
+      efficiency: efficiency && pickEfficiencySettings(efficiency),
+      quality,
+      constructRules,
+      subtasks,
+      wrongSolutions,
+      inputGenerator,
       tags: tags.map(tag => tag.trim().toLowerCase()),
       hints: hints.map(hint => hint.trim())
     });
 
+    // Fill in generated inputs and missing expected outputs by running the
+    // input generator and reference solution
+    const hasGeneratedInputs = question.testCases.some(testCase => testCase.generatorArgs !== undefined);
+    if (generateExpectedOutputs || hasGeneratedInputs) {
+      try {
+        await testCaseGenerationService.generate(question);
+      } catch (error) {
+        if (error instanceof TestCaseGenerationError) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            details: error.report
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Optionally run the reference solution against the test cases and
+    // check the starter code compiles; failing questions are not publishable
+    const validation = validate ? await questionValidationService.validate(question) : null;
+
     await question.save();
 
     const populatedQuestion = await Question.findById(question._id)
@@ -511,7 +1114,11 @@ router.post('/coding', requirePermission('manage_questions'), createCodingQuesti
 
     res.status(201).json({
       success: true,
-      message: 'Coding question created successfully',
+      message: validation?.unavailable
+        ? `Coding question created. ${validation.message}`
+        : question.isPublishable
+          ? 'Coding question created successfully'
+          : 'Coding question created but failed validation; it cannot be published until fixed',
       data: populatedQuestion
     });
   } catch (error) {
@@ -624,6 +1231,131 @@ router.post('/mcq', requirePermission('manage_questions'), createMCQQuestionVali
   }
 });
 
+// POST /api/questions/sql - Create new SQL question
+router.post('/sql', requirePermission('manage_questions'), createSQLQuestionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const {
+      title,
+      description,
+      difficulty = 'medium',
+      department,
+      modules = [],
+      sql,
+      solutionCode,
+      starterCode,
+      testCases,
+      subtasks = [],
+      timeLimit = 1,
+      memoryLimit = 128,
+      tags = [],
+      hints = []
+    } = req.body;
+
+    // Validate department
+    const departmentDoc = await Department.findById(department);
+    if (!departmentDoc || !departmentDoc.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department not found or inactive'
+      });
+    }
+
+    // Check access to department (for non-admin users)
+    const user = await User.findById(req.user.id).populate('role');
+    if (user.role.name === 'HOD' && !departmentDoc._id.equals(user.department)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot create question in another department'
+      });
+    }
+
+    // Validate modules if provided
+    if (modules.length > 0) {
+      const validModules = await Module.find({
+        _id: { $in: modules },
+        department: department,
+        isActive: true
+      });
+
+      if (validModules.length !== modules.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some modules are invalid or belong to different department'
+        });
+      }
+    }
+
+    const subtaskErrors = validateSubtasks(testCases, subtasks);
+    if (subtaskErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: subtaskErrors.join('; ')
+      });
+    }
+
+    const question = new Question({
+      title: title.trim(),
+      description: description.trim(),
+      type: 'sql',
+      difficulty,
+      department,
+      modules,
+      createdBy: user._id,
+      sql: {
+        schema: sql.schema,
+        seedData: sql.seedData,
+        ordered: sql.ordered
+      },
+      solutionCode: solutionCode.trim(),
+      starterCode: starterCode?.trim(),
+      testCases,
+      subtasks,
+      timeLimit,
+      memoryLimit,
+      tags: tags.map(tag => tag.trim().toLowerCase()),
+      hints: hints.map(hint => hint.trim())
+    });
+
+    // Check the reference query runs on every test case's database
+    const problems = await sqlRunner.validateQuestion(question);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reference query failed',
+        details: problems
+      });
+    }
+
+    await question.save();
+
+    const populatedQuestion = await Question.findById(question._id)
+      .populate('department', 'name code')
+      .populate('createdBy', 'fullName email')
+      .populate('modules', 'title');
+
+    res.status(201).json({
+      success: true,
+      message: 'SQL question created successfully',
+      data: populatedQuestion
+    });
+  } catch (error) {
+    console.error('Create SQL question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create SQL question'
+    });
+  }
+});
+
 // PUT /api/questions/:id - Update question
 router.put('/:id', idValidation, updateQuestionValidation, async (req, res) => {
   try {
@@ -639,12 +1371,16 @@ router.put('/:id', idValidation, updateQuestionValidation, async (req, res) => {
     const user = await User.findById(req.user.id).populate('role');
     const { id } = req.params;
     const updateData = {};
+    let validation = null;
 
     // Build update data from request body
     const allowedFields = [
       'title', 'description', 'difficulty', 'modules', 'testCases',
       'options', 'correctAnswer', 'explanation', 'tags', 'hints',
-      'starterCode', 'solutionCode', 'timeLimit', 'memoryLimit'
+      'starterCode', 'solutionCode', 'timeLimit', 'memoryLimit', 'comparison',
+      'checker', 'judgeMode', 'interactor', 'functionSignature', 'languageMultipliers',
+      'subtasks', 'inputGenerator', 'wrongSolutions', 'sql', 'unitTests', 'efficiency',
+      'quality', 'constructRules'
     ];
 
     allowedFields.forEach(field => {
@@ -696,14 +1432,162 @@ router.put('/:id', idValidation, updateQuestionValidation, async (req, res) => {
       }
     }
 
+    // Validate test cases and subtasks of coding and SQL questions
+    if (['coding', 'sql'].includes(question.type)) {
+      const judgeMode = updateData.judgeMode || question.judgeMode;
+      if (updateData.testCases && updateData.testCases.length === 0 && judgeMode !== 'unit_test') {
+        return res.status(400).json({
+          success: false,
+          error: `${question.type === 'sql' ? 'SQL' : 'Coding'} questions must have at least one test case`
+        });
+      }
+
+      if (updateData.testCases || updateData.subtasks) {
+        const subtaskErrors = validateSubtasks(
+          updateData.testCases || question.testCases,
+          updateData.subtasks || question.subtasks
+        );
+        if (subtaskErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: subtaskErrors.join('; ')
+          });
+        }
+      }
+    }
+
     // Validate question type-specific updates
     if (question.type === 'coding') {
-      if (updateData.testCases && updateData.testCases.length === 0) {
+      const judgeMode = updateData.judgeMode || question.judgeMode;
+      const interactor = updateData.interactor || question.interactor;
+      if (judgeMode === 'interactive' && (!interactor?.code || !interactor?.language)) {
         return res.status(400).json({
           success: false,
-          error: 'Coding questions must have at least one test case'
+          error: 'Interactive questions require interactor code and language'
         });
       }
+
+      // findByIdAndUpdate skips the model's pre-save checks; unit test
+      // settings not sent are kept
+      if (judgeMode === 'unit_test') {
+        if (updateData.unitTests) {
+          updateData.unitTests = { ...question.toObject().unitTests, ...updateData.unitTests };
+        }
+        const problems = validateUnitTests(question.language, updateData.unitTests || question.unitTests);
+        if (problems.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: problems.join('; ')
+          });
+        }
+      }
+
+      // Efficiency and code quality settings not sent are kept, as are the
+      // reference measurements, which are retaken when the solution or
+      // benchmarks change
+      if (updateData.efficiency) {
+        updateData.efficiency = { ...question.toObject().efficiency, ...pickEfficiencySettings(updateData.efficiency) };
+      }
+      if (updateData.quality) {
+        updateData.quality = { ...question.toObject().quality, ...updateData.quality };
+      }
+
+      const efficiencyErrors = validateEfficiency({
+        judgeMode,
+        solutionCode: updateData.solutionCode !== undefined ? updateData.solutionCode : question.solutionCode,
+        testCases: updateData.testCases || question.testCases,
+        efficiency: updateData.efficiency || question.efficiency
+      });
+      if (efficiencyErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: efficiencyErrors.join('; ')
+        });
+      }
+
+      // findByIdAndUpdate skips the model's pre-validate hook, so encode
+      // function test cases and regenerate starter code here
+      if (judgeMode === 'function' && (updateData.testCases || updateData.functionSignature || updateData.judgeMode)) {
+        const signature = updateData.functionSignature || question.functionSignature;
+        const problems = harness.validateSignature(signature);
+        if (problems.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid function signature: ${problems.join('; ')}`
+          });
+        }
+
+        const prepared = prepareFunctionTestCases(
+          signature,
+          updateData.testCases || question.testCases.map(testCase => testCase.toObject())
+        );
+        if (prepared.error) {
+          return res.status(400).json({
+            success: false,
+            error: prepared.error
+          });
+        }
+        updateData.testCases = prepared.testCases;
+
+        if (updateData.starterCode === undefined && (updateData.functionSignature || !question.starterCode)) {
+          updateData.starterCode = harness.generateStarterCode(question.language, signature);
+        }
+      }
+
+      // Generate inputs for new generator test cases, and expected outputs
+      // when asked, against the updated question
+      const needsGeneratedInput = updateData.testCases?.some(testCase =>
+        testCase.generatorArgs !== undefined && testCase.generatorArgs !== null && !testCase.input);
+      if (req.body.generateExpectedOutputs || needsGeneratedInput) {
+        question.set(updateData);
+        try {
+          await testCaseGenerationService.generate(question);
+        } catch (error) {
+          if (error instanceof TestCaseGenerationError) {
+            return res.status(400).json({
+              success: false,
+              error: error.message,
+              details: error.report
+            });
+          }
+          throw error;
+        }
+        updateData.testCases = question.testCases.map(testCase => testCase.toObject());
+        updateData.solutionVersion = question.solutionVersion;
+      }
+
+      // Validate the updated question when asked. Otherwise, or when it could
+      // not be validated, edits to how it is judged make the last report
+      // stale and the question needs validating before it can be published.
+      if (req.body.validate) {
+        question.set(updateData);
+        validation = await questionValidationService.validate(question);
+      }
+      if (validation && !validation.unavailable) {
+        updateData.selfValidation = question.selfValidation;
+        updateData.isPublishable = question.isPublishable;
+      } else if (JUDGED_FIELDS.some(field => updateData[field] !== undefined)) {
+        updateData['selfValidation.status'] = 'not_validated';
+        updateData.isPublishable = false;
+      }
+    } else if (question.type === 'sql') {
+      // Settings not sent are kept
+      if (updateData.sql) {
+        updateData.sql = { ...question.toObject().sql, ...updateData.sql };
+      }
+
+      // Check the reference query still runs on every test case's database
+      if (['sql', 'testCases', 'solutionCode', 'timeLimit', 'memoryLimit'].some(field => updateData[field] !== undefined)) {
+        question.set(updateData);
+        const problems = await sqlRunner.validateQuestion(question);
+        if (problems.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Reference query failed',
+            details: problems
+          });
+        }
+      }
     } else if (question.type === 'mcq') {
       if (updateData.options && updateData.options.length < 2) {
         return res.status(400).json({
@@ -723,17 +1607,23 @@ router.put('/:id', idValidation, updateQuestionValidation, async (req, res) => {
       }
     }
 
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
+    // Update validators can't tell SQL test cases, whose input is optional,
+    // from coding ones, so SQL questions are validated as a whole
+    if (question.type === 'sql') {
+      question.set(updateData);
+      await question.save();
+    }
+
+    const updatedQuestion = await (question.type === 'sql'
+      ? Question.findById(id)
+      : Question.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
     ).populate('department', 'name code')
      .populate('createdBy', 'fullName email')
      .populate('modules', 'title');
 
     res.json({
       success: true,
-      message: 'Question updated successfully',
+      message: getUpdateMessage(updatedQuestion, validation),
       data: updatedQuestion
     });
   } catch (error) {
@@ -745,6 +1635,127 @@ router.put('/:id', idValidation, updateQuestionValidation, async (req, res) => {
   }
 });
 
+// POST /api/questions/:id/generate-outputs - Generate inputs and expected outputs from the reference solution
+router.post('/:id/generate-outputs', requirePermission('manage_questions'), idValidation, [
+  body('overwrite')
+    .optional()
+    .isBoolean()
+    .withMessage('Overwrite must be boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).populate('role');
+    const question = await findEditableQuestion(user, req.params.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found or access denied'
+      });
+    }
+
+    if (question.type !== 'coding') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only coding questions have test cases'
+      });
+    }
+
+    let report;
+    try {
+      report = await testCaseGenerationService.generate(question, {
+        overwrite: req.body.overwrite === true
+      });
+    } catch (error) {
+      if (error instanceof TestCaseGenerationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.report
+        });
+      }
+      throw error;
+    }
+
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Test cases generated successfully',
+      data: report
+    });
+  } catch (error) {
+    console.error('Generate test case outputs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate test case outputs'
+    });
+  }
+});
+
+// POST /api/questions/:id/analyze-tests - Run the wrong solutions against the test cases
+router.post('/:id/analyze-tests', requirePermission('manage_questions'), idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).populate('role');
+    const question = await findEditableQuestion(user, req.params.id);
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found or access denied'
+      });
+    }
+
+    if (question.type !== 'coding') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only coding questions have test cases'
+      });
+    }
+
+    if (!question.wrongSolutions || question.wrongSolutions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question has no wrong solutions to analyze'
+      });
+    }
+
+    const report = await questionValidationService.analyzeWrongSolutions(question);
+
+    res.json({
+      success: true,
+      message: report.strong
+        ? 'All wrong solutions were rejected'
+        : `Test cases wrongly accept ${report.wronglyAccepted.length} of ${report.totalWrongSolutions} wrong solutions`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Analyze test cases error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze test cases'
+    });
+  }
+});
+
 // DELETE /api/questions/:id - Soft delete question
 router.delete('/:id', requirePermission('manage_questions'), idValidation, async (req, res) => {
   try {
@@ -999,6 +2010,7 @@ router.get('/stats/overview', requirePermission('manage_analytics'), async (req,
     const activeQuestions = await Question.countDocuments({ isActive: true });
     const codingQuestions = await Question.countDocuments({ type: 'coding', isActive: true });
     const mcqQuestions = await Question.countDocuments({ type: 'mcq', isActive: true });
+    const sqlQuestions = await Question.countDocuments({ type: 'sql', isActive: true });
 
     // Difficulty breakdown
     const easyQuestions = await Question.countDocuments({ difficulty: 'easy', isActive: true });
@@ -1033,6 +2045,11 @@ router.get('/stats/overview', requirePermission('manage_analytics'), async (req,
             department: dept._id,
             type: 'mcq',
             isActive: true
+          }),
+          sqlQuestions: await Question.countDocuments({
+            department: dept._id,
+            type: 'sql',
+            isActive: true
           })
         };
       })
@@ -1046,7 +2063,8 @@ router.get('/stats/overview', requirePermission('manage_analytics'), async (req,
           activeQuestions,
           inactiveQuestions: totalQuestions - activeQuestions,
           codingQuestions,
-          mcqQuestions
+          mcqQuestions,
+          sqlQuestions
         },
         difficultyBreakdown: {
           easy: easyQuestions,
@@ -0,0 +1,26 @@
+// Import the language list from the configured execution backend's /languages
+// Usage: npm run languages:sync
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const languageService = require('../services/languageService');
+
+const syncLanguages = async () => {
+  await connectDB();
+
+  try {
+    await languageService.initialize();
+    const summary = await languageService.syncFromBackend();
+
+    console.log(`✓ Synced ${summary.total} languages from the ${summary.backend} backend`);
+    console.log(`  Added (disabled): ${summary.created.join(', ') || 'none'}`);
+    console.log(`  Updated: ${summary.updated.join(', ') || 'none'}`);
+  } catch (error) {
+    console.error('✗ Language sync failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+syncLanguages();
@@ -0,0 +1,125 @@
+/* eslint-env jest */
+
+const mongoose = require('mongoose');
+const codingAttemptService = require('../codingAttemptService');
+const { AssessmentSubmission } = require('../../models');
+const { VERDICTS } = require('../execution/verdicts');
+
+const questionId = new mongoose.Types.ObjectId();
+
+const question = {
+  _id: questionId,
+  type: 'coding',
+  totalPoints: 10,
+  testCases: [
+    { input: '1', expectedOutput: '2' },
+    { input: '2', expectedOutput: '4' }
+  ],
+  constructRules: [{ type: 'forbid', construct: 'sorted(' }]
+};
+
+// What judge() returns for an attempt passing the given number of the
+// question's two test cases
+const judgedAttempt = (passedTests) => {
+  const formattedResults = question.testCases.map((testCase, index) => ({
+    testCase: index + 1,
+    input: testCase.input,
+    expectedOutput: testCase.expectedOutput,
+    actualOutput: index < passedTests ? testCase.expectedOutput : '',
+    passed: index < passedTests,
+    status: index < passedTests ? 'Accepted' : 'Wrong Answer',
+    time: '0.01',
+    memory: 1024
+  }));
+  const earnedPoints = passedTests * 5;
+  return {
+    results: [],
+    formattedResults,
+    scoring: { earnedPoints, totalPoints: 10, score: earnedPoints * 10, bonusScore: 10, testPoints: formattedResults.map(r => (r.passed ? 5 : 0)), subtasks: [] },
+    passedTests,
+    totalTests: 2,
+    verdict: passedTests === 2 ? VERDICTS.ACCEPTED : VERDICTS.WRONG_ANSWER
+  };
+};
+
+describe('codingAttemptService.submitAttempt', () => {
+  let submission;
+  let progress;
+
+  beforeEach(() => {
+    submission = new AssessmentSubmission({ codingSubmissions: [] });
+    jest.spyOn(submission, 'save').mockResolvedValue(submission);
+    progress = { started: jest.fn(), testResult: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const submit = (code, maxAttempts = 3) => codingAttemptService.submitAttempt(submission, question, {
+    code,
+    language: 'python',
+    executionId: 'assessment_1',
+    maxAttempts,
+    progress,
+    student: 'student-1'
+  });
+
+  test('judges the attempt and keeps its score', async () => {
+    jest.spyOn(codingAttemptService, 'canJudge').mockReturnValue(true);
+    jest.spyOn(codingAttemptService, 'judge').mockResolvedValue(judgedAttempt(2));
+
+    const { status, codingSubmission, startedAt } = await submit('print(int(input()) * 2)');
+
+    expect(status).toBe('judged');
+    expect(startedAt).toBeInstanceOf(Date);
+    expect(progress.started).toHaveBeenCalledWith('python');
+    expect(codingSubmission).toMatchObject({ bestScore: 100, bonusScore: 10, isCompleted: true });
+    expect(codingSubmission.attempts[0]).toMatchObject({ status: 'completed', verdict: VERDICTS.ACCEPTED, totalPassed: 2, score: 100 });
+    expect(submission.save).toHaveBeenCalled();
+  });
+
+  test('leaves the question open while attempts are left', async () => {
+    jest.spyOn(codingAttemptService, 'canJudge').mockReturnValue(true);
+    jest.spyOn(codingAttemptService, 'judge').mockResolvedValue(judgedAttempt(1));
+
+    expect((await submit('print(2)', 2)).codingSubmission.isCompleted).toBe(false);
+    expect((await submit('print(2)', 2)).codingSubmission).toMatchObject({ bestScore: 50, isCompleted: true });
+    expect(submission.codingSubmissions).toHaveLength(1);
+  });
+
+  test('stores the attempt pending while the judge is unavailable', async () => {
+    jest.spyOn(codingAttemptService, 'canJudge').mockReturnValue(false);
+    const judge = jest.spyOn(codingAttemptService, 'judge');
+
+    const { status, codingSubmission, startedAt } = await submit('print(int(input()) * 2)');
+
+    expect(status).toBe('pending');
+    expect(startedAt).toBeUndefined();
+    expect(judge).not.toHaveBeenCalled();
+    expect(codingSubmission.attempts[0]).toMatchObject({ status: 'pending', totalTestCases: 2 });
+    expect(codingSubmission.attempts[0].deferredAt).toBeInstanceOf(Date);
+  });
+
+  test('keeps attempts the judge failed to run pending', async () => {
+    jest.spyOn(codingAttemptService, 'canJudge').mockReturnValue(true);
+    jest.spyOn(codingAttemptService, 'judge').mockResolvedValue({ results: [], unavailable: true });
+
+    const { status, codingSubmission, startedAt } = await submit('print(int(input()) * 2)');
+
+    expect(status).toBe('pending');
+    expect(startedAt).toBeInstanceOf(Date);
+    expect(codingSubmission.attempts[0].deferredAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects attempts breaking the construct rules without running them', async () => {
+    const judge = jest.spyOn(codingAttemptService, 'judge');
+
+    const { status, codingSubmission, ruleViolations } = await submit('print(sorted([2, 1]))');
+
+    expect(status).toBe('rejected');
+    expect(judge).not.toHaveBeenCalled();
+    expect(ruleViolations).toHaveLength(1);
+    expect(codingSubmission.attempts[0]).toMatchObject({ status: 'completed', verdict: VERDICTS.RULE_VIOLATION, score: 0, totalPoints: 10 });
+  });
+});
@@ -0,0 +1,170 @@
+/* eslint-env jest */
+
+const efficiencyService = require('../efficiencyService');
+const executionService = require('../executionService');
+const { Question } = require('../../models');
+const { STATUS, buildStatus } = require('../execution/statuses');
+
+const createQuestion = (fields = {}) => ({
+  _id: 'question-1',
+  type: 'coding',
+  judgeMode: 'standard',
+  language: 'cpp',
+  solutionCode: 'int main() {}',
+  testCases: [
+    { input: '1', expectedOutput: '1' },
+    { input: '1000000', expectedOutput: '1000000', benchmark: true }
+  ],
+  efficiency: {
+    enabled: true,
+    bonusRatio: 1.2,
+    penaltyRatio: 3,
+    bonusPoints: 5,
+    penaltyPoints: 10,
+    timeWeight: 0.5
+  },
+  ...fields
+});
+
+// Formatted results of an attempt whose benchmark took time seconds and
+// memory KB
+const attemptResults = (time, memory, passed = true) => [
+  { passed: true, time: '0.01', memory: 1024 },
+  { passed, time: String(time), memory }
+];
+
+const reference = {
+  key: 'reference',
+  testCases: [{ testCase: 2, executionTime: 500, memoryUsage: 10000 }]
+};
+
+describe('efficiencyService.isEnabled', () => {
+  test('needs benchmark test cases and a reference solution', () => {
+    expect(efficiencyService.isEnabled(createQuestion())).toBe(true);
+    expect(efficiencyService.isEnabled(createQuestion({ solutionCode: '' }))).toBe(false);
+    expect(efficiencyService.isEnabled(createQuestion({ testCases: [{ input: '1', expectedOutput: '1' }] }))).toBe(false);
+    expect(efficiencyService.isEnabled(createQuestion({ efficiency: { enabled: false } }))).toBe(false);
+    expect(efficiencyService.isEnabled(createQuestion({ judgeMode: 'unit_test' }))).toBe(false);
+  });
+});
+
+describe('efficiencyService.getAdjustment', () => {
+  const { efficiency } = createQuestion();
+
+  test('gives the bonus within bonusRatio of the reference', () => {
+    expect(efficiencyService.getAdjustment(efficiency, 0.5)).toBe(5);
+    expect(efficiencyService.getAdjustment(efficiency, 1.2)).toBe(5);
+  });
+
+  test('grows the penalty up to penaltyRatio', () => {
+    expect(efficiencyService.getAdjustment(efficiency, 2.1)).toBe(-5);
+    expect(efficiencyService.getAdjustment(efficiency, 3)).toBe(-10);
+    expect(efficiencyService.getAdjustment(efficiency, 10)).toBe(-10);
+  });
+});
+
+describe('efficiencyService.evaluate', () => {
+  beforeEach(() => {
+    jest.spyOn(efficiencyService, 'getReference').mockResolvedValue(reference);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compares the benchmark runs with the reference solution', async () => {
+    const efficiency = await efficiencyService.evaluate(createQuestion(), attemptResults(1, 30000), 'cpp');
+
+    expect(efficiency).toEqual({
+      evaluated: true,
+      executionTime: 1000,
+      memoryUsage: 30000,
+      referenceExecutionTime: 500,
+      referenceMemoryUsage: 10000,
+      timeRatio: 2,
+      memoryRatio: 3,
+      ratio: 2.5,
+      points: -7.22
+    });
+  });
+
+  test('scales runs by their language multipliers', async () => {
+    const efficiency = await efficiencyService.evaluate(createQuestion(), attemptResults(1, 10000), 'python');
+
+    expect(efficiency).toMatchObject({ timeRatio: 1, memoryRatio: 1, points: 5 });
+  });
+
+  test('compares time alone when memory is not reported', async () => {
+    const efficiency = await efficiencyService.evaluate(createQuestion(), attemptResults(0.5, 0), 'cpp');
+
+    expect(efficiency).toMatchObject({ timeRatio: 1, memoryRatio: null, ratio: 1, points: 5 });
+  });
+
+  test('only evaluates attempts that pass every benchmark', async () => {
+    const efficiency = await efficiencyService.evaluate(createQuestion(), attemptResults(0.1, 1024, false), 'cpp');
+
+    expect(efficiency).toEqual({ evaluated: false, reason: 'Every benchmark test case must pass', points: 0 });
+  });
+
+  test('does not evaluate attempts without a reference measurement', async () => {
+    efficiencyService.getReference.mockResolvedValue(null);
+
+    const efficiency = await efficiencyService.evaluate(createQuestion(), attemptResults(0.1, 1024), 'cpp');
+
+    expect(efficiency).toMatchObject({ evaluated: false, points: 0 });
+  });
+});
+
+describe('efficiencyService reference measurements', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const accepted = (time, memory) => ({ token: null, result: { status: buildStatus(STATUS.ACCEPTED), time, memory } });
+
+  test('measures the reference solution on the benchmarks and stores it', async () => {
+    const question = createQuestion();
+    jest.spyOn(executionService, 'executeBatch').mockResolvedValue([accepted('0.25', 2048)]);
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+
+    const measured = await efficiencyService.getReference(question);
+
+    expect(executionService.executeBatch).toHaveBeenCalledWith([expect.objectContaining({ stdin: '1000000' })], { graded: true });
+    expect(measured).toMatchObject({
+      key: efficiencyService.getReferenceKey(question),
+      testCases: [{ testCase: 2, executionTime: 250, memoryUsage: 2048 }]
+    });
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'question-1' }, { $set: { 'efficiency.reference': measured } });
+    expect(question.efficiency.reference).toBe(measured);
+  });
+
+  test('does not store a reference solution that fails a benchmark', async () => {
+    jest.spyOn(executionService, 'executeBatch').mockResolvedValue([{ token: null, result: { status: buildStatus(STATUS.WRONG_ANSWER) } }]);
+    const updateOne = jest.spyOn(Question, 'updateOne').mockResolvedValue({});
+
+    await expect(efficiencyService.getReference(createQuestion())).resolves.toBeNull();
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('reuses a stored reference until the solution or benchmarks change', async () => {
+    const question = createQuestion();
+    const stored = { key: efficiencyService.getReferenceKey(question), testCases: reference.testCases };
+    question.efficiency.reference = stored;
+    const measure = jest.spyOn(efficiencyService, 'measureReference').mockResolvedValue(reference);
+
+    await expect(efficiencyService.getReference(question)).resolves.toBe(stored);
+
+    question.solutionCode = 'int main() { return 0; }';
+    await expect(efficiencyService.getReference(question)).resolves.toBe(reference);
+    expect(measure).toHaveBeenCalledTimes(1);
+  });
+
+  test('shares one measurement between concurrent attempts', async () => {
+    const question = createQuestion();
+    const measure = jest.spyOn(efficiencyService, 'measureReference').mockResolvedValue(reference);
+
+    await Promise.all([efficiencyService.getReference(question), efficiencyService.getReference(question)]);
+
+    expect(measure).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,87 @@
+/* eslint-env jest */
+
+const executionEvents = require('../executionEvents');
+const { EVENT_NAME, getRoom } = executionEvents;
+const { STATUS, buildStatus } = require('../execution/statuses');
+
+// Socket.IO server that records the events sent to each room
+const createIo = () => {
+  const sent = [];
+  return {
+    sent,
+    to: room => ({ emit: (name, event) => sent.push({ room, name, event }) })
+  };
+};
+
+describe('executionEvents', () => {
+  let publisher;
+
+  beforeEach(() => {
+    executionEvents.io = createIo();
+    publisher = { publish: jest.fn().mockResolvedValue(1) };
+    jest.spyOn(executionEvents, 'getPublisher').mockReturnValue(publisher);
+  });
+
+  afterEach(() => {
+    executionEvents.io = null;
+    jest.restoreAllMocks();
+  });
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('publishes events for the API instance holding the socket', () => {
+    executionEvents.emit('user-1', 'exec_1', 'queued', { totalTests: 2 });
+
+    const [channel, message] = publisher.publish.mock.calls[0];
+    expect(channel).toBe('execution-events');
+    expect(JSON.parse(message)).toMatchObject({
+      userId: 'user-1',
+      event: { executionId: 'exec_1', type: 'queued', totalTests: 2 }
+    });
+    expect(executionEvents.io.sent).toEqual([]);
+  });
+
+  test('sends events to sockets on this instance when Redis is unreachable', async () => {
+    publisher.publish.mockRejectedValue(new Error('Connection is closed.'));
+
+    executionEvents.emit('user-1', 'exec_1', 'running');
+    await flush();
+
+    expect(executionEvents.io.sent).toEqual([{
+      room: getRoom('user-1', 'exec_1'),
+      name: EVENT_NAME,
+      event: expect.objectContaining({ executionId: 'exec_1', type: 'running' })
+    }]);
+  });
+
+  test('keeps rooms per user', () => {
+    expect(getRoom('user-1', 'exec_1')).not.toBe(getRoom('user-2', 'exec_1'));
+  });
+
+  test('reports the progress of an execution', () => {
+    jest.spyOn(executionEvents, 'emit').mockImplementation(() => {});
+    const progress = executionEvents.track({ toString: () => 'user-1' }, 'exec_1', 2);
+
+    progress.queued();
+    progress.started('c');
+    progress.testResult(0, { status: buildStatus(STATUS.ACCEPTED), time: '0.01', memory: 1024 });
+    progress.testResult(1, { status: buildStatus(STATUS.WRONG_ANSWER) });
+    progress.finished({ verdict: 'WA', passedTests: 1, score: 50 });
+
+    const events = executionEvents.emit.mock.calls.map(([userId, executionId, type, data]) => ({ userId, executionId, type, ...data }));
+    expect(events.map(event => event.type)).toEqual(['queued', 'compiling', 'test', 'test', 'finished']);
+    expect(events.every(event => event.userId === 'user-1' && event.totalTests === 2)).toBe(true);
+    expect(events[2]).toMatchObject({ testCase: 1, verdict: 'AC', passed: true, time: '0.01', completedTests: 1, passedTests: 1 });
+    expect(events[3]).toMatchObject({ testCase: 2, verdict: 'WA', passed: false, time: 0, completedTests: 2, passedTests: 1 });
+    expect(events[4]).toMatchObject({ verdict: 'WA', score: 50 });
+  });
+
+  test('reports interpreted programs as running', () => {
+    jest.spyOn(executionEvents, 'emit').mockImplementation(() => {});
+
+    executionEvents.track('user-1', 'exec_1', 1).started('python');
+    executionEvents.track('user-1', 'exec_1', 1).started('cobol');
+
+    expect(executionEvents.emit.mock.calls.map(([, , type]) => type)).toEqual(['running', 'running']);
+  });
+});
@@ -0,0 +1,134 @@
+/* eslint-env jest */
+
+const executionQueueService = require('../executionQueueService');
+const executionEvents = require('../executionEvents');
+
+// Stand-in for a Bull job in the given state
+const createJob = (state, fields = {}) => {
+  const job = {
+    id: 'exec-1',
+    data: { userId: 'user-1', jobs: [{}, {}, {}, {}] },
+    attemptsMade: 0,
+    timestamp: Date.UTC(2026, 0, 1),
+    processedOn: null,
+    finishedOn: null,
+    ...fields,
+    progressValue: fields.progressValue || {},
+    getState: jest.fn(async () => state),
+    progress: jest.fn(() => job.progressValue),
+    update: jest.fn(async (data) => {
+      job.data = data;
+    }),
+    retry: jest.fn(async () => {})
+  };
+  return job;
+};
+
+describe('executionQueueService.describeJob', () => {
+  test('reports queued jobs with no progress', async () => {
+    const description = await executionQueueService.describeJob(createJob('waiting'));
+
+    expect(description).toMatchObject({
+      jobId: 'exec-1',
+      status: 'queued',
+      progress: 0,
+      completedTests: 0,
+      totalTests: 4,
+      startedAt: null,
+      finishedAt: null
+    });
+    expect(description.queuedAt).toEqual(new Date(Date.UTC(2026, 0, 1)));
+  });
+
+  test('reports per-test progress of a running job', async () => {
+    const job = createJob('active', { processedOn: Date.UTC(2026, 0, 1, 0, 1), progressValue: { completed: 1, total: 4 } });
+    const description = await executionQueueService.describeJob(job);
+
+    expect(description).toMatchObject({ status: 'processing', progress: 25, completedTests: 1 });
+    expect(description.startedAt).toEqual(new Date(Date.UTC(2026, 0, 1, 0, 1)));
+  });
+
+  test('reports the failure reason of a failed job', async () => {
+    const job = createJob('failed', { failedReason: 'Code execution service is temporarily unavailable', attemptsMade: 2 });
+
+    expect(await executionQueueService.describeJob(job)).toMatchObject({
+      status: 'error',
+      attemptsMade: 2,
+      error: 'Code execution service is temporarily unavailable'
+    });
+  });
+
+  test('reports cancelled jobs until they complete', async () => {
+    const cancelled = createJob('active', { data: { jobs: [{}], cancelled: true } });
+    const completed = createJob('completed', { data: { jobs: [{}], cancelled: true } });
+
+    expect((await executionQueueService.describeJob(cancelled)).status).toBe('cancelled');
+    expect(await executionQueueService.describeJob(completed)).toMatchObject({ status: 'completed', progress: 100 });
+  });
+});
+
+describe('executionQueueService.cancelJob', () => {
+  test('flags queued and running jobs as cancelled', async () => {
+    const job = createJob('active');
+
+    expect(await executionQueueService.cancelJob(job)).toBe(true);
+    expect(job.data.cancelled).toBe(true);
+  });
+
+  test('leaves finished jobs alone', async () => {
+    const job = createJob('completed');
+
+    expect(await executionQueueService.cancelJob(job)).toBe(false);
+    expect(job.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('executionQueueService.retryJob', () => {
+  let progress;
+
+  beforeEach(() => {
+    progress = { queued: jest.fn() };
+    jest.spyOn(executionEvents, 'track').mockReturnValue(progress);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('re-queues a cancelled job', async () => {
+    const job = createJob('failed', { data: { userId: 'user-1', jobs: [{}], cancelled: true } });
+
+    expect(await executionQueueService.retryJob(job)).toBe(true);
+    expect(job.data.cancelled).toBe(false);
+    expect(job.retry).toHaveBeenCalled();
+    expect(executionEvents.track).toHaveBeenCalledWith('user-1', 'exec-1', 1);
+    expect(progress.queued).toHaveBeenCalled();
+  });
+
+  test('only retries failed jobs', async () => {
+    const job = createJob('active');
+
+    expect(await executionQueueService.retryJob(job)).toBe(false);
+    expect(job.retry).not.toHaveBeenCalled();
+  });
+});
+
+describe('executionQueueService.throwIfCancelled', () => {
+  afterEach(() => {
+    executionQueueService.queue = null;
+  });
+
+  test('stops a job flagged as cancelled since it started', async () => {
+    const job = createJob('active');
+    executionQueueService.queue = { getJob: async () => ({ data: { cancelled: true } }) };
+
+    await expect(executionQueueService.throwIfCancelled(job)).rejects.toThrow('Execution cancelled');
+  });
+
+  test('lets other jobs run', async () => {
+    const job = createJob('active');
+    executionQueueService.queue = { getJob: async () => ({ data: {} }) };
+
+    await expect(executionQueueService.throwIfCancelled(job)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,137 @@
+/* eslint-env jest */
+
+const executionConfig = require('../../config/execution');
+const executionQuotaService = require('../executionQuotaService');
+const { enforceExecutionQuota } = require('../../middleware/executionQuota');
+const { AssessmentSubmission } = require('../../models');
+
+const student = { _id: 'student-1', role: { name: 'Student' } };
+const teacher = { _id: 'teacher-1', role: { name: 'Teacher' } };
+
+// Redis client whose transactions fail, as when Redis is unreachable
+const unreachableRedis = {
+  multi: () => ({
+    incr() { return this; },
+    expire() { return this; },
+    exec: () => Promise.reject(new Error('Connection is closed.'))
+  })
+};
+
+describe('executionQuotaService', () => {
+  const limits = executionConfig.quotas.limits;
+
+  beforeEach(() => {
+    executionQuotaService.localCounters.clear();
+    executionConfig.quotas.limits = {
+      practice: { default: 2 },
+      assessment: { default: 3, Student: 4 },
+      teacher: {}
+    };
+    jest.spyOn(executionQuotaService, 'getRedis').mockReturnValue(unreachableRedis);
+  });
+
+  afterEach(() => {
+    executionConfig.quotas.limits = limits;
+    jest.restoreAllMocks();
+  });
+
+  test('runs of staff count against the teacher quota', async () => {
+    await expect(executionQuotaService.resolveContext(teacher, 'assessment-1')).resolves.toBe('teacher');
+  });
+
+  test('runs of students count against the assessment quota only while the assessment is in progress', async () => {
+    const exists = jest.spyOn(AssessmentSubmission, 'exists').mockResolvedValueOnce({ _id: 's' }).mockResolvedValueOnce(null);
+
+    await expect(executionQuotaService.resolveContext(student, 'assessment-1')).resolves.toBe('assessment');
+    await expect(executionQuotaService.resolveContext(student, 'assessment-2')).resolves.toBe('practice');
+    await expect(executionQuotaService.resolveContext(student)).resolves.toBe('practice');
+    expect(exists).toHaveBeenCalledWith({ student: 'student-1', assessment: 'assessment-1', status: 'in_progress' });
+    expect(exists).toHaveBeenCalledTimes(2);
+  });
+
+  test('uses the limit of the role, or the context default', () => {
+    expect(executionQuotaService.getLimit('assessment', 'Student')).toBe(4);
+    expect(executionQuotaService.getLimit('assessment', 'Teacher')).toBe(3);
+    expect(executionQuotaService.getLimit('teacher', 'Teacher')).toBe(Infinity);
+  });
+
+  test('counts runs in this process while Redis is unreachable', async () => {
+    const results = [];
+    for (let run = 0; run < 3; run++) {
+      results.push(await executionQuotaService.consume(student, 'practice'));
+    }
+
+    expect(results.map(result => result.allowed)).toEqual([true, true, false]);
+    expect(results.map(result => result.remaining)).toEqual([1, 0, 0]);
+    expect(results[0]).toMatchObject({ context: 'practice', limit: 2, priority: executionConfig.quotas.priorities.practice });
+    expect(results[0].resetIn).toBeGreaterThan(0);
+    expect(results[0].resetIn).toBeLessThanOrEqual(executionConfig.quotas.windowSeconds);
+  });
+
+  test('keeps a separate count per context', async () => {
+    await executionQuotaService.consume(student, 'practice');
+    await executionQuotaService.consume(student, 'practice');
+
+    await expect(executionQuotaService.consume(student, 'assessment')).resolves.toMatchObject({ allowed: true, remaining: 3 });
+  });
+
+  test('does not count runs without a limit', async () => {
+    await expect(executionQuotaService.consume(teacher, 'teacher')).resolves.toMatchObject({ allowed: true, limit: null });
+    expect(executionQuotaService.localCounters.size).toBe(0);
+  });
+});
+
+describe('enforceExecutionQuota', () => {
+  const response = () => ({
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sets quota headers and lets the run through', async () => {
+    const quota = { allowed: true, context: 'practice', priority: 3, limit: 10, remaining: 9, resetIn: 30 };
+    jest.spyOn(executionQuotaService, 'consume').mockResolvedValue(quota);
+    const req = { user: student, params: {}, body: { assessmentId: 'assessment-1' } };
+    const res = response();
+    const next = jest.fn();
+
+    await enforceExecutionQuota()(req, res, next);
+
+    expect(executionQuotaService.consume).toHaveBeenCalledWith(student, undefined, 'assessment-1');
+    expect(next).toHaveBeenCalled();
+    expect(req.executionQuota).toBe(quota);
+    expect(res.headers).toMatchObject({ 'X-Execution-Quota-Limit': '10', 'X-Execution-Quota-Remaining': '9' });
+  });
+
+  test('rejects the run with 429 once the quota is used up', async () => {
+    jest.spyOn(executionQuotaService, 'consume').mockResolvedValue({
+      allowed: false, context: 'practice', priority: 3, limit: 10, remaining: 0, resetIn: 30
+    });
+    const res = response();
+    const next = jest.fn();
+
+    await enforceExecutionQuota('practice')({ user: student, params: {}, body: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['Retry-After']).toBe('30');
+  });
+
+  test('lets runs through when the quota cannot be checked', async () => {
+    jest.spyOn(executionQuotaService, 'consume').mockRejectedValue(new Error('boom'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const next = jest.fn();
+
+    await enforceExecutionQuota()({ user: student, params: {}, body: {} }, response(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+/* eslint-env jest */
+
+const executionConfig = require('../../config/execution');
+const executionRecordService = require('../executionRecordService');
+const { getCodeHash } = executionRecordService;
+const { ExecutionRecord } = require('../../models');
+const { STATUS, buildStatus } = require('../execution/statuses');
+
+const entry = (statusId, extra = {}) => ({ token: null, result: { status: buildStatus(statusId), ...extra } });
+
+describe('executionRecordService.summarizeResults', () => {
+  test('counts verdicts and sums timings', () => {
+    const summary = executionRecordService.summarizeResults([
+      entry(STATUS.ACCEPTED, { time: '0.25', memory: 2048, cached: true }),
+      entry(STATUS.WRONG_ANSWER, { time: '0.5', memory: 4096 }),
+      { token: null, result: { status: { id: 'skipped' }, skipped: true } }
+    ]);
+
+    expect(summary).toEqual({
+      verdict: 'WA',
+      testVerdicts: ['AC', 'WA', 'SK'],
+      totalTests: 3,
+      passedTests: 1,
+      skippedTests: 1,
+      cachedTests: 1,
+      executionTime: 750,
+      maxExecutionTime: 500,
+      maxMemory: 4096
+    });
+  });
+
+  test('has no verdict for runs without results', () => {
+    expect(executionRecordService.summarizeResults([])).toMatchObject({ verdict: undefined, totalTests: 0, maxMemory: 0 });
+  });
+});
+
+describe('executionRecordService.record', () => {
+  const enabled = executionConfig.records.enabled;
+
+  beforeEach(() => {
+    executionConfig.records.enabled = true;
+    jest.spyOn(ExecutionRecord, 'create').mockImplementation(async record => record);
+  });
+
+  afterEach(() => {
+    executionConfig.records.enabled = enabled;
+    jest.restoreAllMocks();
+  });
+
+  test('stores a hash of the code instead of the code', async () => {
+    const startedAt = new Date(Date.UTC(2026, 0, 1));
+    const finishedAt = new Date(startedAt.getTime() + 1500);
+
+    const record = await executionRecordService.record({
+      executionId: 'exec_1',
+      user: 'user-1',
+      role: 'Student',
+      code: 'print(1)',
+      results: [entry(STATUS.ACCEPTED)],
+      startedAt,
+      finishedAt
+    });
+
+    expect(record).toMatchObject({
+      executionId: 'exec_1',
+      context: 'practice',
+      codeHash: getCodeHash('print(1)'),
+      codeLength: 8,
+      verdict: 'AC',
+      wallTime: 1500
+    });
+    expect(record.code).toBeUndefined();
+  });
+
+  test('records staff runs in the teacher context unless given one', async () => {
+    expect((await executionRecordService.record({ role: 'Teacher' })).context).toBe('teacher');
+    expect((await executionRecordService.record({ role: 'Teacher', context: 'assessment' })).context).toBe('assessment');
+  });
+
+  test('does not fail the run when the record cannot be written', async () => {
+    ExecutionRecord.create.mockRejectedValue(new Error('not connected'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(executionRecordService.record({ role: 'Student' })).resolves.toBeNull();
+  });
+
+  test('records nothing when disabled', async () => {
+    executionConfig.records.enabled = false;
+
+    await expect(executionRecordService.record({ role: 'Student' })).resolves.toBeNull();
+    expect(ExecutionRecord.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('ExecutionRecord retention', () => {
+  test('expires records after the retention period', () => {
+    const ttlIndex = ExecutionRecord.schema.indexes().find(([, options]) => options.expireAfterSeconds);
+
+    expect(ttlIndex).toEqual([{ createdAt: 1 }, expect.objectContaining({
+      expireAfterSeconds: executionConfig.records.retentionDays * 24 * 60 * 60
+    })]);
+  });
+});
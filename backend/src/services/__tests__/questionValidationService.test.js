@@ -0,0 +1,170 @@
+/* eslint-env jest */
+
+const executionService = require('../executionService');
+const questionValidationService = require('../questionValidationService');
+const ExecutionBackend = require('../execution/executionBackend');
+const { describeSandbox, createLocalBackend } = require('../execution/__tests__/sandbox');
+
+const question = (fields = {}) => ({
+  type: 'coding',
+  language: 'python',
+  judgeMode: 'standard',
+  solutionCode: 'n = int(input())\nprint(n * n)',
+  starterCode: 'n = int(input())\n',
+  timeLimit: 2,
+  memoryLimit: 128,
+  testCases: [
+    { input: '3', expectedOutput: '9' },
+    { input: '5', expectedOutput: '25' }
+  ],
+  subtasks: [],
+  isPublishable: true,
+  selfValidation: { status: 'not_validated' },
+  ...fields
+});
+
+// Backend that cannot be reached
+class UnreachableBackend extends ExecutionBackend {
+  constructor() {
+    super('unreachable');
+  }
+
+  async execute() {
+    throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  }
+}
+
+describe('questionValidationService during an outage', () => {
+  beforeEach(() => {
+    executionService.setBackend(new UnreachableBackend());
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    executionService.breaker.recordSuccess();
+    executionService.setBackend(null);
+    console.error.mockRestore();
+  });
+
+  test('reports that it could not validate and leaves the question as it was', async () => {
+    const validated = question();
+
+    const report = await questionValidationService.validate(validated);
+
+    expect(report).toEqual({
+      passed: false,
+      unavailable: true,
+      message: 'Could not validate: the code execution service is unavailable'
+    });
+    expect(validated.isPublishable).toBe(true);
+    expect(validated.selfValidation).toEqual({ status: 'not_validated' });
+  });
+
+  test('does not fail a question while the circuit is open', async () => {
+    for (let failure = 0; failure < executionService.breaker.failureThreshold; failure++) {
+      executionService.breaker.recordFailure();
+    }
+    const validated = question({ isPublishable: false, selfValidation: { status: 'failed' } });
+
+    const report = await questionValidationService.validate(validated);
+
+    expect(report.unavailable).toBe(true);
+    expect(validated.isPublishable).toBe(false);
+    expect(validated.selfValidation.status).toBe('failed');
+  });
+});
+
+describeSandbox('questionValidationService on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  test('passes a question whose solution passes its test cases', async () => {
+    const validated = question();
+
+    const report = await questionValidationService.validate(validated);
+
+    expect(report.passed).toBe(true);
+    expect(report.solution.testCases.map(testCase => testCase.verdict)).toEqual(['AC', 'AC']);
+    expect(report.starterCode).toEqual({ checked: true, compiled: true, message: undefined });
+    expect(validated.selfValidation.status).toBe('passed');
+    expect(validated.isPublishable).toBe(true);
+  });
+
+  test('fails a question whose solution fails a test case', async () => {
+    const validated = question({
+      testCases: [{ input: '3', expectedOutput: '9' }, { input: '5', expectedOutput: '26' }]
+    });
+
+    const report = await questionValidationService.validate(validated);
+
+    expect(report.passed).toBe(false);
+    expect(report.solution.message).toBe('Reference solution failed 1 of 2 test cases');
+    expect(report.solution.testCases[1]).toMatchObject({ testCase: 2, passed: false, verdict: 'WA' });
+    expect(validated.selfValidation.status).toBe('failed');
+    expect(validated.isPublishable).toBe(false);
+  });
+
+  test('fails a question whose starter code does not compile', async () => {
+    const validated = question({ starterCode: 'def solve(:\n' });
+
+    const report = await questionValidationService.validate(validated);
+
+    expect(report.starterCode.compiled).toBe(false);
+    expect(report.starterCode.message).toMatch(/SyntaxError/);
+    expect(validated.isPublishable).toBe(false);
+  });
+});
+
+describeSandbox('test suite analysis on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  test('reports wrong solutions the test cases accept', async () => {
+    const analyzed = question({
+      testCases: [{ input: '0', expectedOutput: '0' }, { input: '1', expectedOutput: '1' }],
+      wrongSolutions: [
+        { name: 'doubles', code: 'n = int(input())\nprint(n * 2)', expectedVerdict: 'WA' },
+        { name: 'echoes', code: 'print(input())' }
+      ]
+    });
+
+    const report = await questionValidationService.analyzeWrongSolutions(analyzed);
+
+    expect(report).toMatchObject({
+      strong: false,
+      totalWrongSolutions: 2,
+      wronglyAccepted: ['echoes'],
+      unexpectedVerdicts: []
+    });
+    expect(report.wrongSolutions[0]).toMatchObject({
+      name: 'doubles',
+      verdict: 'WA',
+      score: 50,
+      wronglyAccepted: false,
+      caughtAsExpected: true,
+      caughtBy: [{ testCase: 2, verdict: 'WA' }]
+    });
+    expect(report.wrongSolutions[1]).toMatchObject({ verdict: 'AC', score: 100, wronglyAccepted: true, caughtBy: [] });
+  });
+
+  test('reports wrong solutions caught with another verdict than expected', async () => {
+    const analyzed = question({
+      wrongSolutions: [{ name: 'doubles', code: 'n = int(input())\nprint(n * 2)', expectedVerdict: 'TLE' }]
+    });
+
+    const report = await questionValidationService.analyzeWrongSolutions(analyzed);
+
+    expect(report).toMatchObject({ strong: true, wronglyAccepted: [], unexpectedVerdicts: ['doubles'] });
+    expect(report.wrongSolutions[0]).toMatchObject({ verdict: 'WA', caughtAsExpected: false });
+  });
+});
@@ -0,0 +1,109 @@
+/* eslint-env jest */
+
+const socketService = require('../socketService');
+const authService = require('../authService');
+const executionEvents = require('../executionEvents');
+const executionQueueService = require('../executionQueueService');
+const { User } = require('../../models');
+
+// Socket that records its rooms and lets tests send it events
+const createSocket = (fields = {}) => {
+  const handlers = {};
+  const socket = {
+    handshake: { headers: {}, auth: {} },
+    user: { _id: 'user-1' },
+    rooms: new Set(),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    join: room => socket.rooms.add(room),
+    leave: room => socket.rooms.delete(room),
+    send: (event, payload) => new Promise(resolve => handlers[event](payload, resolve)),
+    ...fields
+  };
+  return socket;
+};
+
+describe('socketService.authenticate', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const authenticate = async (socket) => {
+    const next = jest.fn();
+    await socketService.authenticate(socket, next);
+    return next.mock.calls[0][0];
+  };
+
+  test('accepts a valid access token from the handshake or the Authorization header', async () => {
+    const user = { _id: 'user-1', isActive: true };
+    jest.spyOn(authService, 'verifyAccessToken').mockReturnValue({ id: 'user-1' });
+    jest.spyOn(User, 'findById').mockReturnValue({ populate: async () => user });
+
+    const fromAuth = createSocket({ handshake: { headers: {}, auth: { token: 'token' } } });
+    const fromHeader = createSocket({ handshake: { headers: { authorization: 'Bearer token' } } });
+
+    expect(await authenticate(fromAuth)).toBeUndefined();
+    expect(await authenticate(fromHeader)).toBeUndefined();
+    expect(fromHeader.user).toBe(user);
+  });
+
+  test('rejects sockets without a token or with an invalid one', async () => {
+    jest.spyOn(authService, 'verifyAccessToken').mockImplementation(() => {
+      throw new Error('jwt malformed');
+    });
+
+    expect((await authenticate(createSocket())).message).toBe('Access denied. No token provided.');
+    expect((await authenticate(createSocket({ handshake: { headers: {}, auth: { token: 'x' } } }))).message).toBe('Invalid token.');
+  });
+});
+
+describe('execution subscriptions', () => {
+  let socket;
+
+  beforeEach(() => {
+    socket = createSocket();
+    socketService.handleConnection(socket);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('joins the room of a test run or assessment attempt', async () => {
+    const response = await socket.send('execution:subscribe', { executionId: 'assessment_1234' });
+
+    expect(response).toEqual({ success: true, data: null });
+    expect(socket.rooms.has(executionEvents.getRoom('user-1', 'assessment_1234'))).toBe(true);
+  });
+
+  test('acknowledges a queued execution with its current state', async () => {
+    jest.spyOn(executionQueueService, 'getJob').mockResolvedValue({ data: { userId: 'user-1' } });
+    jest.spyOn(executionQueueService, 'describeJob').mockResolvedValue({ status: 'processing' });
+
+    const response = await socket.send('execution:subscribe', { executionId: 'exec_1234' });
+
+    expect(response).toEqual({ success: true, data: { status: 'processing' } });
+  });
+
+  test('does not subscribe to other users\' executions', async () => {
+    jest.spyOn(executionQueueService, 'getJob').mockResolvedValue({ data: { userId: 'user-2' } });
+
+    const response = await socket.send('execution:subscribe', { executionId: 'exec_1234' });
+
+    expect(response).toEqual({ success: false, error: 'Access denied' });
+    expect(socket.rooms.size).toBe(0);
+  });
+
+  test('rejects invalid execution ids', async () => {
+    expect(await socket.send('execution:subscribe', { executionId: '../x' })).toEqual({ success: false, error: 'Invalid execution ID' });
+    expect(await socket.send('execution:subscribe', {})).toEqual({ success: false, error: 'Invalid execution ID' });
+  });
+
+  test('leaves the room on unsubscribe', async () => {
+    await socket.send('execution:subscribe', { executionId: 'assessment_1234' });
+    socket.send('execution:unsubscribe', { executionId: 'assessment_1234' });
+
+    expect(socket.rooms.size).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+/* eslint-env jest */
+
+const executionService = require('../executionService');
+const testCaseGenerationService = require('../testCaseGenerationService');
+const { TestCaseGenerationError, getSolutionVersion } = testCaseGenerationService;
+const { describeSandbox, createLocalBackend } = require('../execution/__tests__/sandbox');
+
+const SOLUTION = 'n = int(input())\nprint(n * n)';
+
+// Prints n followed by n numbers counting down from n
+const GENERATOR = 'n = int(input())\nprint(n)\nprint(*range(n, 0, -1))';
+
+const question = (fields = {}) => ({
+  language: 'python',
+  solutionCode: SOLUTION,
+  timeLimit: 2,
+  memoryLimit: 128,
+  judgeMode: 'standard',
+  ...fields
+});
+
+describe('testCaseGenerationService.generate', () => {
+  test('needs a reference solution', async () => {
+    await expect(testCaseGenerationService.generate(question({ solutionCode: '', testCases: [] })))
+      .rejects.toThrow('Question has no reference solution');
+  });
+
+  test('has nothing to generate for interactive questions', async () => {
+    await expect(testCaseGenerationService.generate(question({ judgeMode: 'interactive', testCases: [] })))
+      .rejects.toBeInstanceOf(TestCaseGenerationError);
+  });
+
+  test('identifies the solution version by its code', () => {
+    expect(getSolutionVersion(SOLUTION)).toMatch(/^[0-9a-f]{12}$/);
+    expect(getSolutionVersion(SOLUTION)).not.toBe(getSolutionVersion(`${SOLUTION}\n`));
+  });
+});
+
+describeSandbox('testCaseGenerationService on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  test('fills in missing expected outputs with the solution output', async () => {
+    const generated = question({
+      testCases: [{ input: '3' }, { input: '4', expectedOutput: '17' }]
+    });
+
+    const report = await testCaseGenerationService.generate(generated);
+
+    expect(report.testCases).toEqual([
+      { testCase: 1, inputGenerated: false, outputGenerated: true },
+      { testCase: 2, inputGenerated: false, outputGenerated: false }
+    ]);
+    expect(generated.testCases[0].expectedOutput).toBe('9\n');
+    expect(generated.testCases[0].generatedOutput.solutionVersion).toBe(getSolutionVersion(SOLUTION));
+    expect(generated.testCases[1].expectedOutput).toBe('17');
+    expect(generated.solutionVersion).toBe(report.solutionVersion);
+  });
+
+  test('overwrites expected outputs when asked to', async () => {
+    const generated = question({ testCases: [{ input: '4', expectedOutput: '17' }] });
+
+    await testCaseGenerationService.generate(generated, { overwrite: true });
+
+    expect(generated.testCases[0].expectedOutput).toBe('16\n');
+  });
+
+  test('generates inputs from generator arguments', async () => {
+    const generated = question({
+      solutionCode: 'input()\nprint(sum(map(int, input().split())))',
+      inputGenerator: { code: GENERATOR },
+      testCases: [{ generatorArgs: '4' }]
+    });
+
+    const report = await testCaseGenerationService.generate(generated);
+
+    expect(report.testCases[0]).toEqual({ testCase: 1, inputGenerated: true, outputGenerated: true });
+    expect(generated.testCases[0]).toMatchObject({ input: '4\n4 3 2 1\n', expectedOutput: '10\n' });
+  });
+
+  test('reports the test cases the solution fails on', async () => {
+    const generated = question({ testCases: [{ input: '2' }, { input: 'two' }] });
+
+    const error = await testCaseGenerationService.generate(generated).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TestCaseGenerationError);
+    expect(error.message).toBe('Could not generate 1 of 2 test cases');
+    expect(error.report[0]).toEqual({ testCase: 1, inputGenerated: false, outputGenerated: true });
+    expect(error.report[1].error).toMatch(/^Reference solution failed: Runtime Error \(NZEC\) \(ValueError/);
+    expect(generated.solutionVersion).toBeUndefined();
+  });
+});
@@ -0,0 +1,436 @@
+const executionConfig = require('../config/execution');
+const executionService = require('./executionService');
+const executionEvents = require('./executionEvents');
+const executionRecordService = require('./executionRecordService');
+const efficiencyService = require('./efficiencyService');
+const { formatTestCaseResults, summarizeTestCaseResults, toTestResultRecords } = require('./execution/results');
+const { prepareTestCaseSubmission, prepareUnitTestSubmission, getQuestionJobOptions } = require('./execution/jobs');
+const { scoreTestResults, weighStyleScore, adjustScore } = require('./execution/scoring');
+const codeQuality = require('./execution/codeQuality');
+const { checkConstructRules } = require('./execution/constructRules');
+const { VERDICTS } = require('./execution/verdicts');
+const sqlRunner = require('./execution/sqlRunner');
+const unitTests = require('./execution/unitTests');
+const { AssessmentSubmission, Question } = require('../models');
+
+// Pending attempts judged per pass
+const PENDING_BATCH_SIZE = 20;
+
+// Judges assessment coding attempts. Attempts made while the judge is
+// unavailable are stored pending (deferredAt set) and judged here once the
+// execution backend is back.
+class CodingAttemptService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  // Whether attempts at a question can be judged now. SQL questions are run
+  // locally, so they don't depend on the execution backend.
+  canJudge(question) {
+    return question.type === 'sql' || executionService.isAvailable();
+  }
+
+  // Backend that judges attempts at a question, for the execution audit log
+  getBackendName(question) {
+    return question.type === 'sql' ? 'sqlite' : executionService.backendName;
+  }
+
+  // Tests an attempt is scored on: the declared tests of unit-test
+  // questions, otherwise the test cases
+  getTestCases(question) {
+    return question.judgeMode === 'unit_test'
+      ? question.unitTests?.tests || []
+      : question.testCases || [];
+  }
+
+  // Why an attempt in this language cannot be judged, if it cannot. SQL
+  // questions are answered in SQL and unit-test questions in the language of
+  // their test file.
+  getLanguageError(question, language) {
+    if ((question.type === 'sql') !== (language === sqlRunner.SQL_LANGUAGE)) {
+      return question.type === 'sql' ? 'SQL questions must be answered in SQL' : 'Invalid programming language';
+    }
+    if (question.judgeMode === 'unit_test' && language !== question.language) {
+      return `This question must be solved in ${question.language}`;
+    }
+    return null;
+  }
+
+  // Construct rules an attempt breaks: violations (forbidden constructs
+  // used; such attempts are not run) and warnings (required constructs not
+  // found; the attempt is judged as usual)
+  checkRules(question, code, language) {
+    const broken = question.type === 'coding' ? checkConstructRules(language, code, question.constructRules || []) : [];
+    return {
+      violations: broken.filter(rule => rule.type === 'forbid'),
+      warnings: broken.filter(rule => rule.type === 'require')
+    };
+  }
+
+  // Attempt fields for an attempt rejected for breaking construct rules
+  toRejectedAttemptResults(question, ruleViolations) {
+    return {
+      testResults: [],
+      totalPassed: 0,
+      totalTestCases: this.getTestCases(question).length,
+      score: 0,
+      earnedPoints: 0,
+      totalPoints: question.totalPoints,
+      status: 'completed',
+      verdict: VERDICTS.RULE_VIOLATION,
+      errorMessage: ruleViolations.map(violation => violation.message).join('; '),
+      ruleViolations
+    };
+  }
+
+  // Run the question's test file once and split the run into a result per
+  // declared test
+  async runUnitTests(question, { code, language, priority, onProgress }) {
+    const tests = this.getTestCases(question);
+    const job = prepareUnitTestSubmission(code, language, question.unitTests, {
+      ...getQuestionJobOptions(question),
+      priority
+    });
+
+    const [{ token, result }] = await executionService.executeAll([job], { graded: true });
+    const results = result.backendError
+      ? tests.map(() => result)
+      : unitTests.toTestResults(result, tests);
+
+    if (onProgress && !result.backendError) {
+      for (const [index, testResult] of results.entries()) {
+        await onProgress(index, testResult);
+      }
+    }
+    return results.map(testResult => ({ token, result: testResult }));
+  }
+
+  // Run the question's test cases
+  async runTestCases(question, { code, language, priority, onProgress }) {
+    if (question.type === 'sql') {
+      return sqlRunner.runTestCases(question, code, { priority, onResult: onProgress });
+    }
+    if (question.judgeMode === 'unit_test') {
+      return this.runUnitTests(question, { code, language, priority, onProgress });
+    }
+
+    const submissions = prepareTestCaseSubmission(code, language, question.testCases || [], {
+      ...getQuestionJobOptions(question),
+      priority
+    });
+
+    // Compile once and run every test case as a batch; graded attempts
+    // never stop early and bypass the result cache unless configured not to
+    return executionService.executeBatch(submissions, { graded: true, onProgress });
+  }
+
+  // Whether attempts at a question get a code quality pass
+  hasQualityPass(question) {
+    return question.type === 'coding' && Boolean(question.quality?.enabled);
+  }
+
+  // Compare a judged attempt's efficiency with the reference solution's and
+  // rank it among the other students' attempts
+  async evaluateEfficiency(question, formattedResults, language, student) {
+    const efficiency = await efficiencyService.evaluate(question, formattedResults, language);
+    if (efficiency.evaluated) {
+      efficiency.percentile = await efficiencyService.getPercentile(question._id, efficiency.executionTime, student);
+    }
+    return efficiency;
+  }
+
+  // Run code against a question's test cases. Resolves with the judged
+  // results, or { unavailable: true } when the backend could not run them
+  // and the attempt should be kept pending.
+  async judge(question, { code, language, executionId, priority, onProgress, student }) {
+    const testCases = this.getTestCases(question);
+    const results = await this.runTestCases(question, { code, language, priority, onProgress });
+    if (results.some(({ result }) => result.backendError)) {
+      return { results, unavailable: true };
+    }
+
+    const formattedResults = formatTestCaseResults(results.map(r => r.result), executionId);
+    let scoring = scoreTestResults(formattedResults, testCases, question.subtasks);
+    const { verdict, compileOutput } = summarizeTestCaseResults(formattedResults);
+    const passedTests = formattedResults.filter(testResult => testResult.passed).length;
+
+    // Code quality annotations; style points only go to attempts that pass
+    // at least one test
+    let quality;
+    if (this.hasQualityPass(question)) {
+      quality = codeQuality.analyze(language, code, question.quality);
+      if (question.quality.weight > 0 && passedTests > 0) {
+        scoring = weighStyleScore(scoring, quality.score, question.quality.weight);
+        quality.stylePoints = scoring.stylePoints;
+      }
+    }
+
+    // Efficiency bonus or penalty on top of the test case points
+    let efficiency;
+    if (efficiencyService.isEnabled(question)) {
+      efficiency = await this.evaluateEfficiency(question, formattedResults, language, student);
+      scoring = adjustScore(scoring, efficiency.points);
+    }
+
+    return {
+      results,
+      formattedResults,
+      scoring,
+      efficiency,
+      quality,
+      passedTests,
+      totalTests: formattedResults.length,
+      verdict,
+      compileOutput
+    };
+  }
+
+  // Attempt fields for a judged attempt (see AssessmentSubmission)
+  toAttemptResults(judged, testCases) {
+    return {
+      testResults: toTestResultRecords(judged.formattedResults, testCases, judged.scoring.testPoints),
+      totalPassed: judged.passedTests,
+      totalTestCases: judged.totalTests,
+      score: judged.scoring.score,
+      earnedPoints: judged.scoring.earnedPoints,
+      totalPoints: judged.scoring.totalPoints,
+      bonusScore: judged.scoring.bonusScore || 0,
+      subtaskResults: judged.scoring.subtasks,
+      status: 'completed',
+      verdict: judged.verdict,
+      compileOutput: judged.compileOutput,
+      efficiency: judged.efficiency,
+      quality: judged.quality
+    };
+  }
+
+  // Judge a student's attempt at an assessment question, add it to their
+  // coding submission for the question (created if needed) and save the
+  // submission. Attempts breaking the question's construct rules are
+  // rejected without running; attempts the judge cannot run now are stored
+  // pending and judged once it recovers. The caller checks the attempt limit
+  // first; progress is the attempt's executionEvents tracker.
+  // Returns { status: 'rejected' | 'pending' | 'judged', codingSubmission,
+  // judged, startedAt (when the judge ran), ruleViolations, ruleWarnings }
+  async submitAttempt(submission, question, { code, language, executionId, maxAttempts, priority, progress, student }) {
+    const testCases = this.getTestCases(question);
+    const { violations: ruleViolations, warnings: ruleWarnings } = this.checkRules(question, code, language);
+
+    let judged = { unavailable: true };
+    let startedAt;
+    if (ruleViolations.length > 0) {
+      judged = { rejected: true };
+    } else if (this.canJudge(question)) {
+      progress.started(language);
+      startedAt = new Date();
+      judged = await this.judge(question, { code, language, executionId, priority, onProgress: progress.testResult, student });
+    }
+
+    let codingSubmission = submission.codingSubmissions.find(cs => cs.question.toString() === question._id.toString());
+    if (!codingSubmission) {
+      submission.codingSubmissions.push({
+        question: question._id,
+        attempts: [],
+        bestScore: 0,
+        isCompleted: false
+      });
+      codingSubmission = submission.codingSubmissions[submission.codingSubmissions.length - 1];
+    }
+
+    const attempt = { code, language, submittedAt: new Date(), executionId };
+    let status;
+    if (judged.rejected) {
+      status = 'rejected';
+      Object.assign(attempt, this.toRejectedAttemptResults(question, ruleViolations));
+    } else if (judged.unavailable) {
+      status = 'pending';
+      Object.assign(attempt, { totalTestCases: testCases.length, status: 'pending', deferredAt: new Date(), ruleWarnings });
+    } else {
+      status = 'judged';
+      Object.assign(attempt, this.toAttemptResults(judged, testCases), { ruleWarnings });
+    }
+    codingSubmission.attempts.push(attempt);
+
+    if (status === 'judged') {
+      AssessmentSubmission.recordAttemptScore(codingSubmission, attempt);
+    }
+    // Completed once every test passes or no attempts are left
+    codingSubmission.isCompleted = (status === 'judged' && judged.passedTests === judged.totalTests) ||
+      codingSubmission.attempts.length >= maxAttempts;
+
+    await submission.save();
+    return { status, codingSubmission, judged, startedAt, ruleViolations, ruleWarnings };
+  }
+
+  // Judge pending attempts every pendingRetryInterval and as soon as the
+  // circuit closes
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processPending(), executionConfig.circuitBreaker.pendingRetryInterval);
+    this.timer.unref();
+    executionService.breaker.on('close', () => this.processPending());
+  }
+
+  // Judge pending attempts unless a pass is already running
+  processPending() {
+    if (!this.processing) {
+      this.processing = this.judgePending()
+        .catch(error => {
+          console.error('Error judging pending attempts:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.processing = null;
+        });
+    }
+    return this.processing;
+  }
+
+  // Resolves with the number of attempts judged
+  async judgePending() {
+    if (!(await executionService.probe())) {
+      return 0;
+    }
+
+    const staleBefore = new Date(Date.now() - executionConfig.circuitBreaker.claimTimeout);
+    const submissions = await AssessmentSubmission.find({
+      'codingSubmissions.attempts': {
+        $elemMatch: {
+          deferredAt: { $ne: null },
+          $or: [{ status: 'pending' }, { status: 'running', claimedAt: { $lt: staleBefore } }]
+        }
+      }
+    }).sort({ updatedAt: 1 }).limit(PENDING_BATCH_SIZE);
+
+    let judged = 0;
+    for (const submission of submissions) {
+      for (const codingSubmission of submission.codingSubmissions) {
+        const pending = codingSubmission.attempts.filter(attempt => attempt.deferredAt &&
+          (attempt.status === 'pending' || (attempt.status === 'running' && attempt.claimedAt < staleBefore)));
+        for (const attempt of pending) {
+          const outcome = await this.judgePendingAttempt(submission._id, codingSubmission.question, attempt);
+          if (outcome === 'unavailable') {
+            return judged;
+          }
+          if (outcome === 'judged') {
+            judged++;
+          }
+        }
+      }
+    }
+    return judged;
+  }
+
+  // Set a pending attempt's status, e.g. to claim it for judging; resolves
+  // with whether the attempt matched the expected status filter
+  async setPendingStatus(submissionId, questionId, executionId, from, to) {
+    const update = await AssessmentSubmission.updateOne({ _id: submissionId }, {
+      $set: {
+        'codingSubmissions.$[coding].attempts.$[attempt].status': to,
+        'codingSubmissions.$[coding].attempts.$[attempt].claimedAt': to === 'running' ? new Date() : null
+      }
+    }, {
+      arrayFilters: [
+        { 'coding.question': questionId },
+        { 'attempt.executionId': executionId, ...from }
+      ]
+    });
+    return update.modifiedCount > 0;
+  }
+
+  // Claim a pending attempt for judging. An attempt still running after
+  // claimTimeout was claimed by a judge that crashed, so it is claimed again.
+  claimPendingAttempt(submissionId, questionId, executionId) {
+    const staleBefore = new Date(Date.now() - executionConfig.circuitBreaker.claimTimeout);
+    return this.setPendingStatus(submissionId, questionId, executionId, {
+      $or: [
+        { 'attempt.status': 'pending' },
+        { 'attempt.status': 'running', 'attempt.claimedAt': { $lt: staleBefore } }
+      ]
+    }, 'running');
+  }
+
+  // Judge one pending attempt: 'judged', 'skipped' (claimed elsewhere or
+  // failed) or 'unavailable' (still pending)
+  async judgePendingAttempt(submissionId, questionId, attempt) {
+    const { executionId } = attempt;
+    if (!(await this.claimPendingAttempt(submissionId, questionId, executionId))) {
+      return 'skipped';
+    }
+
+    try {
+      const question = await Question.findById(questionId);
+      if (!question || this.getTestCases(question).length === 0) {
+        throw new Error('Coding question or its test cases not found');
+      }
+
+      // The student, to leave them out of their own efficiency percentile
+      const { student } = await AssessmentSubmission.findById(submissionId).select('student');
+      const startedAt = new Date();
+      const judged = await this.judge(question, { code: attempt.code, language: attempt.language, executionId, student });
+      if (judged.unavailable) {
+        await this.setPendingStatus(submissionId, questionId, executionId, { 'attempt.status': 'running' }, 'pending');
+        return 'unavailable';
+      }
+
+      // Reload: the student may have made other attempts meanwhile
+      const submission = await AssessmentSubmission.findById(submissionId);
+      const codingSubmission = submission.codingSubmissions.find(cs => cs.question.toString() === questionId.toString());
+      const attemptIndex = codingSubmission.attempts.findIndex(a => a.executionId === executionId);
+      await submission.updateCodingAttemptResults(questionId, attemptIndex, this.toAttemptResults(judged, this.getTestCases(question)));
+
+      await executionRecordService.record({
+        executionId,
+        user: submission.student,
+        role: 'Student',
+        context: 'assessment',
+        source: 'assessment',
+        assessment: submission.assessment,
+        question: questionId,
+        language: attempt.language,
+        code: attempt.code,
+        backend: this.getBackendName(question),
+        results: judged.results,
+        startedAt
+      });
+      executionEvents.track(submission.student, executionId, judged.totalTests).finished({
+        verdict: judged.verdict,
+        passedTests: judged.passedTests,
+        score: judged.scoring.score
+      });
+      return 'judged';
+    } catch (error) {
+      console.error(`Error judging pending attempt ${executionId}:`, error);
+      await AssessmentSubmission.updateOne({ _id: submissionId }, {
+        $set: {
+          'codingSubmissions.$[coding].attempts.$[attempt].status': 'error',
+          'codingSubmissions.$[coding].attempts.$[attempt].errorMessage': 'Failed to judge attempt'
+        }
+      }, {
+        arrayFilters: [
+          { 'coding.question': questionId },
+          { 'attempt.executionId': executionId }
+        ]
+      });
+      return 'skipped';
+    }
+  }
+
+  // Number of attempts waiting for the judge
+  async countPending() {
+    const [result] = await AssessmentSubmission.aggregate([
+      { $match: { 'codingSubmissions.attempts': { $elemMatch: { status: 'pending', deferredAt: { $ne: null } } } } },
+      { $unwind: '$codingSubmissions' },
+      { $unwind: '$codingSubmissions.attempts' },
+      { $match: { 'codingSubmissions.attempts.status': 'pending', 'codingSubmissions.attempts.deferredAt': { $ne: null } } },
+      { $count: 'pending' }
+    ]);
+    return result ? result.pending : 0;
+  }
+}
+
+module.exports = new CodingAttemptService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const executionService = require('./executionService');
+const { prepareTestCaseSubmission, getQuestionJobOptions } = require('./execution/jobs');
+const { getMultipliers } = require('./execution/limits');
+const { VERDICTS, toVerdict } = require('./execution/verdicts');
+const { AssessmentSubmission, Question } = require('../models');
+
+// Runs faster than this are too noisy to compare, so they count as this long
+const MIN_MEASURED_TIME = 0.01; // seconds
+const MIN_MEASURED_MEMORY = 1024; // KB
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Helper function to compare a measurement with the reference's; both are
+// floored so that tiny runs compare as equal
+const toRatio = (value, reference, floor) => Math.max(value, floor) / Math.max(reference, floor);
+
+// Optional efficiency component of coding questions. A submission that passes
+// every benchmark test case (the question's large test cases) is compared
+// with the reference solution on them: total CPU time (which, unlike
+// wall-clock time, other runs on the judge don't inflate) and peak memory,
+// each scaled by its language's multipliers so languages compare fairly. Running
+// within bonusRatio of the reference earns bonusPoints; the penalty grows
+// from there to the full penaltyPoints at penaltyRatio. The reference
+// solution is measured once and kept on the question until the solution or
+// the benchmark inputs change.
+class EfficiencyService {
+  constructor() {
+    // Reference measurements in progress by question and reference key, so
+    // concurrent attempts share one run
+    this.measuring = new Map();
+  }
+
+  // Whether attempts at a question get an efficiency score
+  isEnabled(question) {
+    return question.type === 'coding' &&
+      question.judgeMode !== 'unit_test' &&
+      Boolean(question.efficiency?.enabled) &&
+      Boolean(question.solutionCode) &&
+      this.getBenchmarkIndexes(question).length > 0;
+  }
+
+  // Indexes of the question's benchmark test cases
+  getBenchmarkIndexes(question) {
+    return (question.testCases || [])
+      .map((testCase, index) => (testCase.benchmark ? index : -1))
+      .filter(index => index >= 0);
+  }
+
+  // Identifies what the reference measurement depends on: the reference
+  // solution, its language and the benchmark inputs
+  getReferenceKey(question) {
+    const inputs = this.getBenchmarkIndexes(question).map(index => question.testCases[index].input);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([question.language, question.solutionCode, inputs]))
+      .digest('hex')
+      .slice(0, 12);
+  }
+
+  // Run the reference solution on the benchmark test cases and store the
+  // measurements on the question. Resolves with the reference, or null when
+  // the reference solution did not pass them.
+  async measureReference(question) {
+    const indexes = this.getBenchmarkIndexes(question);
+    const jobs = prepareTestCaseSubmission(
+      question.solutionCode,
+      question.language,
+      indexes.map(index => question.testCases[index]),
+      getQuestionJobOptions(question)
+    );
+    // Graded runs bypass the result cache, so the times are fresh
+    const results = await executionService.executeBatch(jobs, { graded: true });
+    if (results.some(({ result }) => result.backendError || toVerdict(result) !== VERDICTS.ACCEPTED)) {
+      return null;
+    }
+
+    const reference = {
+      key: this.getReferenceKey(question),
+      measuredAt: new Date(),
+      testCases: results.map(({ result }, position) => ({
+        testCase: indexes[position] + 1,
+        executionTime: Math.round(Number(result.time || 0) * 1000),
+        memoryUsage: result.memory || 0
+      }))
+    };
+
+    question.efficiency.reference = reference;
+    await Question.updateOne({ _id: question._id }, { $set: { 'efficiency.reference': reference } });
+    return reference;
+  }
+
+  // The question's reference measurements, measured first if missing or stale
+  async getReference(question) {
+    const key = this.getReferenceKey(question);
+    const stored = question.efficiency?.reference;
+    if (stored?.key === key && stored.testCases?.length) {
+      return stored;
+    }
+
+    const measuringKey = `${question._id}:${key}`;
+    if (!this.measuring.has(measuringKey)) {
+      this.measuring.set(measuringKey, this.measureReference(question).finally(() => {
+        this.measuring.delete(measuringKey);
+      }));
+    }
+    return this.measuring.get(measuringKey);
+  }
+
+  // Points added (bonus) or removed (penalty) for a slowdown ratio
+  getAdjustment(settings, ratio) {
+    const bonusRatio = settings.bonusRatio || 1;
+    const penaltyRatio = Math.max(settings.penaltyRatio || bonusRatio, bonusRatio);
+
+    if (ratio <= bonusRatio) {
+      return settings.bonusPoints || 0;
+    }
+    if (ratio >= penaltyRatio) {
+      return -(settings.penaltyPoints || 0);
+    }
+    return -round((settings.penaltyPoints || 0) * (ratio - bonusRatio) / (penaltyRatio - bonusRatio));
+  }
+
+  // Compare an attempt's benchmark runs (formatted test case results, see
+  // execution/results.js) with the reference solution's.
+  // Returns the attempt's efficiency record (see AssessmentSubmission)
+  async evaluate(question, formattedResults, language) {
+    const indexes = this.getBenchmarkIndexes(question);
+    const benchmarks = indexes.map(index => formattedResults[index]);
+    if (benchmarks.some(result => !result || !result.passed)) {
+      return { evaluated: false, reason: 'Every benchmark test case must pass', points: 0 };
+    }
+
+    const reference = await this.getReference(question);
+    if (!reference) {
+      return { evaluated: false, reason: 'The reference solution could not be measured', points: 0 };
+    }
+
+    const settings = question.efficiency;
+    const multipliers = getMultipliers(language, question.languageMultipliers);
+    const referenceMultipliers = getMultipliers(question.language, question.languageMultipliers);
+
+    const executionTime = benchmarks.reduce((sum, result) => sum + Math.round(Number(result.time) * 1000), 0);
+    const memoryUsage = Math.max(...benchmarks.map(result => result.memory || 0));
+    const referenceExecutionTime = reference.testCases.reduce((sum, testCase) => sum + testCase.executionTime, 0);
+    const referenceMemoryUsage = Math.max(...reference.testCases.map(testCase => testCase.memoryUsage || 0));
+
+    const timeRatio = round(toRatio(
+      executionTime / 1000 / multipliers.time,
+      referenceExecutionTime / 1000 / referenceMultipliers.time,
+      MIN_MEASURED_TIME
+    ));
+    // Backends that do not report memory are compared on time alone
+    const memoryRatio = memoryUsage > 0 && referenceMemoryUsage > 0
+      ? round(toRatio(memoryUsage / multipliers.memory, referenceMemoryUsage / referenceMultipliers.memory, MIN_MEASURED_MEMORY))
+      : null;
+    const timeWeight = memoryRatio === null ? 1 : settings.timeWeight;
+    const ratio = round(timeWeight * timeRatio + (1 - timeWeight) * (memoryRatio || 0));
+
+    return {
+      evaluated: true,
+      executionTime,
+      memoryUsage,
+      referenceExecutionTime,
+      referenceMemoryUsage,
+      timeRatio,
+      memoryRatio,
+      ratio,
+      points: this.getAdjustment(settings, ratio)
+    };
+  }
+
+  // Share (0-100) of other students whose fastest evaluated attempt at the
+  // question was slower than executionTime; null when nobody else has one
+  async getPercentile(questionId, executionTime, studentId) {
+    const questionObjectId = new mongoose.Types.ObjectId(String(questionId));
+    const match = { 'codingSubmissions.question': questionObjectId };
+    if (studentId) {
+      match.student = { $ne: new mongoose.Types.ObjectId(String(studentId)) };
+    }
+
+    const [result] = await AssessmentSubmission.aggregate([
+      { $match: match },
+      { $unwind: '$codingSubmissions' },
+      { $match: { 'codingSubmissions.question': questionObjectId } },
+      { $unwind: '$codingSubmissions.attempts' },
+      { $match: { 'codingSubmissions.attempts.efficiency.evaluated': true } },
+      { $group: { _id: '$student', executionTime: { $min: '$codingSubmissions.attempts.efficiency.executionTime' } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          slower: { $sum: { $cond: [{ $gt: ['$executionTime', executionTime] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return result && result.total > 0 ? Math.round((result.slower / result.total) * 100) : null;
+  }
+}
+
+module.exports = new EfficiencyService();
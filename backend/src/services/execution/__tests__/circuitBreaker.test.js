@@ -0,0 +1,114 @@
+/* eslint-env jest */
+
+const { STATES, CircuitBreaker, CircuitOpenError, isOutage } = require('../circuitBreaker');
+const { STATUS, JobError } = require('../statuses');
+
+const outage = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('isOutage', () => {
+  test.each([
+    ['a transport error', outage(), true],
+    ['a timeout', Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), true],
+    ['a 5xx response', httpError(503), true],
+    ['an error marked by the backend', Object.assign(new Error('The sandbox could not be set up'), { outage: true }), true],
+    ['a 4xx response', httpError(422), false],
+    ['a rejected job', new JobError('Interactor failed to compile', STATUS.INTERNAL_ERROR), false],
+    ['a plain error', new Error('Unexpected token'), false],
+    ['an open circuit', new CircuitOpenError(1000), false]
+  ])('%s: %p', (label, error, expected) => {
+    expect(isOutage(error)).toBe(expected);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 5000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = (error) => breaker.call(() => Promise.reject(error)).catch(caught => caught);
+
+  test('passes results and errors through while closed', async () => {
+    await expect(breaker.call(async () => 42)).resolves.toBe(42);
+    expect(await fail(outage())).toMatchObject({ code: 'ECONNREFUSED' });
+    expect(breaker.state).toBe(STATES.CLOSED);
+  });
+
+  test('opens after failureThreshold consecutive outages', async () => {
+    const opened = jest.fn();
+    breaker.on('open', opened);
+
+    await fail(outage());
+    await breaker.call(async () => 'ok');
+    await fail(outage());
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    await fail(httpError(500));
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(opened).toHaveBeenCalledTimes(1);
+
+    const fn = jest.fn();
+    const error = await breaker.call(fn).catch(caught => caught);
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.retryIn).toBe(5000);
+    expect(fn).not.toHaveBeenCalled();
+    expect(breaker.getStatus()).toMatchObject({ state: STATES.OPEN, failures: 2, retryIn: 5 });
+  });
+
+  test('stays closed for errors caused by the request', async () => {
+    for (let i = 0; i < 5; i++) {
+      await fail(new JobError('Unsupported language: cobol', STATUS.COMPILATION_ERROR));
+      await fail(httpError(400));
+    }
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.failures).toBe(0);
+  });
+
+  test('lets one trial call through after resetTimeout', async () => {
+    await fail(outage());
+    await fail(outage());
+    now += 5000;
+
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test('closes when the trial call succeeds or the backend answers', async () => {
+    const closed = jest.fn();
+    breaker.on('close', closed);
+
+    await fail(outage());
+    await fail(outage());
+    now += 5000;
+    await breaker.call(async () => 'ok');
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    await fail(outage());
+    await fail(outage());
+    now += 5000;
+    await fail(httpError(404));
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(closed).toHaveBeenCalledTimes(2);
+  });
+
+  test('reopens when the trial call fails', async () => {
+    await fail(outage());
+    await fail(outage());
+    now += 5000;
+    await fail(outage());
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.getRetryIn()).toBe(5000);
+  });
+});
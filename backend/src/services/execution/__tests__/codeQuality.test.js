@@ -0,0 +1,113 @@
+/* eslint-env jest */
+
+const { stripCode, findConstruct, findFunctions, analyze } = require('../codeQuality');
+
+describe('stripCode', () => {
+  test('blanks comments and string contents, keeping positions', () => {
+    const code = 'String s = "a//b"; // c\n/* x */ int y;';
+    const stripped = stripCode('java', code);
+
+    expect(stripped).toBe('String s = "    ";     \n        int y;');
+    expect(stripped).toHaveLength(code.length);
+  });
+
+  test('handles python comments and triple-quoted strings', () => {
+    expect(stripCode('python', 'x = """a\n# b"""  # c')).toBe('x = """ \n   """     ');
+  });
+});
+
+describe('findConstruct', () => {
+  test('finds a construct whatever the spacing, outside comments and strings', () => {
+    const code = [
+      '# sorted( is not allowed',
+      'message = "use sorted( instead"',
+      'result = sorted (values)'
+    ].join('\n');
+
+    expect(findConstruct('python', code, 'sorted(')).toEqual([{ line: 3, column: 10 }]);
+    expect(findConstruct('java', 'Collections . sort(list);', 'Collections.sort')).toEqual([{ line: 1, column: 1 }]);
+  });
+
+  test('matches whole words', () => {
+    expect(findConstruct('python', 'resorted(x)', 'sorted(')).toEqual([]);
+  });
+});
+
+describe('findFunctions', () => {
+  test('finds block functions and named arrow functions', () => {
+    const code = 'function f(a) {\n  if (a) { return 1; }\n}\nconst add = (a, b) => a + b;\n';
+
+    expect(findFunctions('javascript', code).map(({ name, line }) => ({ name, line }))).toEqual([
+      { name: 'f', line: 1 },
+      { name: 'add', line: 4 }
+    ]);
+  });
+
+  test('does not take control statements for functions', () => {
+    const code = 'class Main {\n  int f(int x) {\n    while (x > 0) { x--; }\n    return x;\n  }\n}';
+
+    expect(findFunctions('java', code).map(({ name }) => name)).toEqual(['f']);
+  });
+
+  test('finds python functions by indentation', () => {
+    const code = 'def outer():\n    def inner():\n        pass\n    return inner\n\nx = 1\n';
+
+    expect(findFunctions('python', code).map(({ name, line }) => [name, line])).toEqual([['outer', 1], ['inner', 2]]);
+  });
+});
+
+describe('analyze', () => {
+  test('reports functions over the complexity limit', () => {
+    const code = 'function f(a) {\n  if (a && a.b || a?.c) { return a ? 1 : 2; }\n  for (;;) {}\n}\n';
+    const quality = analyze('javascript', code, { maxComplexity: 3 });
+
+    expect(quality.metrics).toEqual({ lines: 4, functions: 1, maxComplexity: 6, averageComplexity: 6 });
+    expect(quality.annotations).toEqual([{
+      rule: 'complexity',
+      severity: 'warning',
+      line: 1,
+      message: 'Function \'f\' has a cyclomatic complexity of 6 (limit 3)'
+    }]);
+    expect(quality.score).toBe(90);
+  });
+
+  test('reports long lines', () => {
+    const quality = analyze('python', `x = 1\ny = "${'a'.repeat(20)}"\n`, { maxLineLength: 20 });
+
+    expect(quality.annotations).toEqual([expect.objectContaining({ rule: 'line-length', line: 2, message: 'Line is 26 characters long (limit 20)' })]);
+  });
+
+  test('reports names that break the language convention once each', () => {
+    const code = 'def BadName(x):\n    return x\n\nclass my_class:\n    pass\n\nmyVar = 1\nmyVar = 2\nLIMIT = 3\n';
+    const quality = analyze('python', code);
+
+    expect(quality.annotations.map(({ message }) => message)).toEqual([
+      'Function name \'BadName\' should be snake_case',
+      'Class name \'my_class\' should be PascalCase',
+      'Variable name \'myVar\' should be snake_case'
+    ]);
+    expect(quality.score).toBe(85);
+    expect(analyze('python', code, { naming: false }).annotations).toEqual([]);
+  });
+
+  test('reports every use of a forbidden construct but costs its points once', () => {
+    const code = 'a = sorted(x)\nb = sorted(y)\n';
+    const quality = analyze('python', code, { forbidden: [{ construct: 'sorted(', message: 'Write your own sort' }] });
+
+    expect(quality.annotations).toEqual([
+      { rule: 'forbidden', severity: 'error', line: 1, message: 'Write your own sort' },
+      { rule: 'forbidden', severity: 'error', line: 2, message: 'Write your own sort' }
+    ]);
+    expect(quality.score).toBe(75);
+  });
+
+  test('caps the points each rule costs', () => {
+    const code = Array.from({ length: 30 }, (value, index) => `x${index} = "${'a'.repeat(100)}"`).join('\n');
+
+    expect(analyze('python', code).score).toBe(50);
+  });
+
+  test('scores clean code 100', () => {
+    expect(analyze('python', 'def add(a, b):\n    return a + b\n')).toMatchObject({ score: 100, annotations: [] });
+  });
+});
@@ -0,0 +1,101 @@
+/* eslint-env jest */
+
+const { checkConstructRules, validateConstructRules } = require('../constructRules');
+
+const forbid = (construct, extra = {}) => ({ type: 'forbid', construct, ...extra });
+const required = (construct, extra = {}) => ({ type: 'require', construct, ...extra });
+
+describe('validateConstructRules', () => {
+  test('accepts well-formed rules', () => {
+    expect(validateConstructRules([
+      forbid('sorted('),
+      forbid(undefined, { kind: 'recursion' }),
+      required('Node', { kind: 'class' })
+    ])).toEqual([]);
+  });
+
+  test('lists a problem per broken rule', () => {
+    expect(validateConstructRules([
+      { type: 'allow', construct: 'x' },
+      forbid(' '),
+      forbid('x', { kind: 'loop' }),
+      required('my-function', { kind: 'function' })
+    ])).toEqual([
+      'Construct rule 1 type must be one of: forbid, require',
+      'Construct rule 2 must name the construct',
+      'Construct rule 3 kind must be one of: construct, recursion, class, function',
+      'Construct rule 4 must name the function with a valid identifier'
+    ]);
+  });
+});
+
+describe('checkConstructRules', () => {
+  test('finds forbidden constructs outside comments and strings', () => {
+    const code = [
+      '# sorted( is not allowed',
+      'message = "use sorted( instead"',
+      'result = sorted (values)'
+    ].join('\n');
+
+    expect(checkConstructRules('python', code, [forbid('sorted(')])).toEqual([{
+      type: 'forbid',
+      kind: 'construct',
+      construct: 'sorted(',
+      line: 3,
+      message: "'sorted(' is not allowed in this question"
+    }]);
+    expect(checkConstructRules('python', code.split('\n').slice(0, 2).join('\n'), [forbid('sorted(')])).toEqual([]);
+  });
+
+  test('matches constructs whatever the spacing around punctuation', () => {
+    const code = 'Collections . sort(list);';
+    expect(checkConstructRules('java', code, [forbid('Collections.sort', { message: 'Sort it yourself' })]))
+      .toMatchObject([{ line: 1, message: 'Sort it yourself' }]);
+  });
+
+  test('reports missing required constructs without a line', () => {
+    expect(checkConstructRules('python', 'print(1)', [required('while')])).toEqual([{
+      type: 'require',
+      kind: 'construct',
+      construct: 'while',
+      line: undefined,
+      message: "The solution must use 'while'"
+    }]);
+  });
+
+  test.each([
+    ['python', 'def fact(n):\n    return 1 if n < 2 else n * fact(n - 1)\n'],
+    ['python', 'class Tree:\n    def size(self, node):\n        return 0 if not node else 1 + self.size(node.left)\n'],
+    ['python', 'fact = lambda n: 1 if n < 2 else n * fact(n - 1)\n'],
+    ['javascript', 'function fact(n) {\n  return n < 2 ? 1 : n * fact(n - 1);\n}\n'],
+    ['javascript', 'const fact = (n) => n < 2 ? 1 : n * fact(n - 1);\n'],
+    ['java', 'class A {\n  int fact(int n) {\n    return n < 2 ? 1 : n * this.fact(n - 1);\n  }\n}\n'],
+    ['c', 'int fact(int n) {\n  return n < 2 ? 1 : n * fact(n - 1);\n}\n']
+  ])('finds recursion in %s', (language, code) => {
+    expect(checkConstructRules(language, code, [forbid(undefined, { kind: 'recursion' })]))
+      .toMatchObject([{ kind: 'recursion', message: 'The solution must not use recursion' }]);
+  });
+
+  test.each([
+    ['python', 'def size(items):\n    return items.size()\n'],
+    ['python', 'def fact(n):\n    return math.fact(n)\n'],
+    ['java', 'class A {\n  int size() {\n    return list.size();\n  }\n}\n'],
+    ['javascript', 'function fact(n) {\n  // fact(n - 1)\n  return n;\n}\n']
+  ])('does not mistake other calls for recursion in %s', (language, code) => {
+    expect(checkConstructRules(language, code, [forbid(undefined, { kind: 'recursion' })])).toEqual([]);
+  });
+
+  test('checks class and function definitions', () => {
+    const code = 'struct Node { int value; };\nint depth(struct Node* node) { return 0; }\n';
+    const rules = [
+      required('Node', { kind: 'class' }),
+      forbid('depth', { kind: 'function' }),
+      required('height', { kind: 'function' })
+    ];
+
+    expect(checkConstructRules('c', code, rules)).toEqual([
+      { type: 'forbid', kind: 'function', construct: 'depth', line: 2, message: 'The solution must not define a function named depth' },
+      { type: 'require', kind: 'function', construct: 'height', line: undefined, message: 'The solution must define a function named height' }
+    ]);
+  });
+});
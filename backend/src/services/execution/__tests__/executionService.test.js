@@ -0,0 +1,106 @@
+/* eslint-env jest */
+
+const executionService = require('../../executionService');
+const executionConfig = require('../../../config/execution');
+const LocalBackend = require('../localBackend');
+const { prepareTestCaseSubmission } = require('../jobs');
+const { STATUS } = require('../statuses');
+const { VERDICTS, toVerdict } = require('../verdicts');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+describeSandbox('executionService on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  beforeEach(() => {
+    executionService.breaker.recordSuccess();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  const run = async (code, language, testCases, options = {}, batchOptions = {}) => {
+    const jobs = prepareTestCaseSubmission(code, language, testCases, { timeLimit: 1, memoryLimit: 128, ...options });
+    return (await executionService.executeBatch(jobs, batchOptions)).map(({ result }) => result);
+  };
+
+  test('judges each test case of a program', async () => {
+    const results = await run('a, b = map(int, input().split())\nprint(a + b)', 'python', [
+      { input: '1 2', expectedOutput: '3' },
+      { input: '2 2', expectedOutput: '5' }
+    ]);
+
+    expect(results.map(toVerdict)).toEqual([VERDICTS.ACCEPTED, VERDICTS.WRONG_ANSWER]);
+    expect(results[0].stdout).toBe('3\n');
+    expect(results[0].limits).toEqual({
+      base: { timeLimit: 1, memoryLimit: 128 },
+      effective: { timeLimit: 2, memoryLimit: 128 }
+    });
+  });
+
+  test('compares output with the question comparison mode', async () => {
+    const [result] = await run('print("1.0000001 YES")', 'python', [{ input: '', expectedOutput: '1 YES' }], {
+      comparison: { mode: 'float_tolerance' }
+    });
+    expect(toVerdict(result)).toBe(VERDICTS.ACCEPTED);
+  });
+
+  test('maps runtime errors and time limits', async () => {
+    const [crashed] = await run('raise ValueError("boom")', 'python', [{ input: '', expectedOutput: '' }]);
+    const [looping] = await run('while True:\n    pass', 'python', [{ input: '', expectedOutput: '' }], { timeLimit: 0.5 });
+
+    expect(toVerdict(crashed)).toBe(VERDICTS.RUNTIME_ERROR);
+    expect(crashed.stderr).toContain('ValueError: boom');
+    expect(toVerdict(looping)).toBe(VERDICTS.TIME_LIMIT_EXCEEDED);
+  });
+
+  test('reports a compile error for every test case', async () => {
+    const results = await run('int main( { return 0; }', 'c', [
+      { input: '', expectedOutput: '' },
+      { input: '', expectedOutput: '' }
+    ]);
+
+    expect(results.map(toVerdict)).toEqual([VERDICTS.COMPILATION_ERROR, VERDICTS.COMPILATION_ERROR]);
+    expect(results[0].compile_output).toMatch(/error/);
+  });
+
+  test('skips the remaining test cases after the first failure when asked to', async () => {
+    const onResult = jest.fn();
+    const results = await run('print(int(input()) * 2)', 'python', [
+      { input: '1', expectedOutput: '2' },
+      { input: '2', expectedOutput: '5' },
+      { input: '3', expectedOutput: '6' }
+    ], {}, { stopOnFailure: true, onResult });
+
+    expect(results.map(toVerdict)).toEqual([VERDICTS.ACCEPTED, VERDICTS.WRONG_ANSWER, VERDICTS.SKIPPED]);
+    expect(onResult.mock.calls.map(([index]) => index)).toEqual([0, 1]);
+  });
+
+  test('grades a job the backend rejects without opening the circuit', async () => {
+    const [result] = await run('print(input())', 'python', [{ input: '1', expectedOutput: '1' }], {
+      interactor: { language: 'c', code: 'int main( {' }
+    });
+
+    expect(result.backendError).toBeUndefined();
+    expect(toVerdict(result)).toBe(VERDICTS.INTERNAL_ERROR);
+    expect(result.status).toEqual({ id: STATUS.INTERNAL_ERROR, description: 'Interactor failed to compile' });
+    expect(executionService.getCircuitStatus().failures).toBe(0);
+  });
+
+  test('counts a runner that cannot set up a workspace as an outage', async () => {
+    const backend = executionService.getBackend();
+    executionService.setBackend(new LocalBackend({ ...executionConfig.local, workDir: '/nonexistent/codeloop' }));
+    const [result] = await run('print(1)', 'python', [{ input: '', expectedOutput: '1' }]);
+    executionService.setBackend(backend);
+
+    expect(result.backendError).toBe(true);
+    expect(executionService.getCircuitStatus().failures).toBe(1);
+  });
+});
@@ -0,0 +1,115 @@
+/* eslint-env jest */
+
+const executionService = require('../../executionService');
+const { prepareTestCases, serializeValue, validateSignature, buildHarnessProgram } = require('../harness');
+const { STATUS } = require('../statuses');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+const SIGNATURE = {
+  name: 'scaled',
+  parameters: [{ name: 'nums', type: 'int[]' }, { name: 'factor', type: 'int' }],
+  returnType: 'int[]'
+};
+
+const TEST_CASES = [
+  { arguments: [[1, 2, 3], 2], expectedReturn: [2, 4, 6] },
+  { arguments: [[], 5], expectedReturn: [] },
+  { arguments: [[-4], 3], expectedReturn: [-12] }
+];
+
+describe('prepareTestCases', () => {
+  test('encodes typed arguments and the expected return value', () => {
+    const [first, empty] = prepareTestCases(SIGNATURE, TEST_CASES);
+    expect(first).toMatchObject({ input: '3\n1 2 3\n2\n', expectedOutput: '2 4 6\n' });
+    expect(empty).toMatchObject({ input: '0\n\n5\n', expectedOutput: '\n' });
+  });
+
+  test('keeps test cases written as plain input', () => {
+    const testCase = { input: '1\n5\n1\n', expectedOutput: '5\n' };
+    expect(prepareTestCases(SIGNATURE, [testCase])).toEqual([testCase]);
+  });
+
+  test('rejects arguments of the wrong type or count', () => {
+    expect(() => prepareTestCases(SIGNATURE, [{ arguments: [[1, 'x'], 2] }])).toThrow('Argument nums must be of type int[]');
+    expect(() => prepareTestCases(SIGNATURE, [{ arguments: [[1]] }])).toThrow('Expected 2 arguments for scaled');
+  });
+});
+
+describe('serializeValue', () => {
+  test.each([
+    ['double', 0.5, '0.500000'],
+    ['boolean', true, 'true'],
+    ['string[]', ['a b', 'c'], 'a b\nc'],
+    ['int[][]', [[1, 2], [3]], '1 2\n3']
+  ])('prints a %s return value', (type, value, printed) => {
+    expect(serializeValue(type, value)).toBe(printed);
+  });
+});
+
+describe('validateSignature', () => {
+  test('requires identifiers', () => {
+    expect(validateSignature({ ...SIGNATURE, name: '1st' })).toContain('Function name must be a valid identifier');
+    expect(validateSignature(SIGNATURE)).toEqual([]);
+  });
+});
+
+const SOLUTIONS = {
+  python: `
+class Solution:
+    def scaled(self, nums, factor):
+        return [num * factor for num in nums]
+`,
+  javascript: `
+function scaled(nums, factor) {
+  return nums.map(num => num * factor);
+}
+`,
+  c: `
+#include <stdlib.h>
+
+int* scaled(int* nums, int numsSize, int factor, int* returnSize) {
+    int* result = malloc(sizeof(int) * (numsSize + 1));
+    for (int i = 0; i < numsSize; i++) result[i] = nums[i] * factor;
+    *returnSize = numsSize;
+    return result;
+}
+`,
+  cpp: `
+class Solution {
+public:
+    vector<int> scaled(vector<int>& nums, int factor) {
+        vector<int> result;
+        for (int num : nums) result.push_back(num * factor);
+        return result;
+    }
+};
+`
+};
+
+describeSandbox('harness drivers on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  const run = async (code, language) => {
+    const program = buildHarnessProgram(language, SIGNATURE, code);
+    const jobs = prepareTestCases(SIGNATURE, TEST_CASES).map(({ input, expectedOutput }) => ({
+      code: program,
+      language,
+      stdin: input,
+      expectedOutput,
+      timeLimit: 2,
+      memoryLimit: 128
+    }));
+    return (await executionService.executeAll(jobs)).map(({ result }) => result.status.id);
+  };
+
+  test.each(Object.keys(SOLUTIONS))('calls the %s function with the decoded arguments', async (language) => {
+    expect(await run(SOLUTIONS[language], language)).toEqual([STATUS.ACCEPTED, STATUS.ACCEPTED, STATUS.ACCEPTED]);
+  });
+
+  test('judges a wrong return value as WA', async () => {
+    const statuses = await run('class Solution:\n    def scaled(self, nums, factor):\n        return nums', 'python');
+    expect(statuses).toEqual([STATUS.WRONG_ANSWER, STATUS.ACCEPTED, STATUS.WRONG_ANSWER]);
+  });
+});
@@ -0,0 +1,100 @@
+/* eslint-env jest */
+
+const executionService = require('../../executionService');
+const executionConfig = require('../../../config/execution');
+const { RapidApiJudge0Backend, SelfHostedJudge0Backend } = require('../judge0Backend');
+const { STATUS } = require('../statuses');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+describe('judge mode support', () => {
+  afterEach(() => {
+    executionService.setBackend(null);
+  });
+
+  test('Judge0 backends only judge programs that run on their own', () => {
+    [new RapidApiJudge0Backend(executionConfig.judge0), new SelfHostedJudge0Backend(executionConfig.judge0SelfHosted)].forEach(backend => {
+      executionService.setBackend(backend);
+      expect(executionService.supportsJudgeMode('standard')).toBe(true);
+      expect(executionService.supportsJudgeMode('interactive')).toBe(false);
+      expect(executionService.supportsJudgeMode('unit_test')).toBe(false);
+    });
+  });
+
+  describeSandbox('on the local runner', () => {
+    test('judges interactive and unit-test questions', () => {
+      executionService.setBackend(createLocalBackend());
+      expect(executionService.supportsJudgeMode('interactive')).toBe(true);
+      expect(executionService.supportsJudgeMode('unit_test')).toBe(true);
+    });
+  });
+});
+
+// Guessing game: the secret number is in input.txt and the program has ten
+// guesses, each answered with "higher", "lower" or "correct"
+const INTERACTOR = `
+import sys
+
+secret = int(open('input.txt').read())
+verdict = 'WA'
+for _ in range(10):
+    line = sys.stdin.readline()
+    if not line:
+        break
+    guess = int(line)
+    if guess == secret:
+        print('correct', flush=True)
+        verdict = 'AC'
+        break
+    print('higher' if guess < secret else 'lower', flush=True)
+open('verdict.txt', 'w').write(verdict + '\\n')
+`;
+
+const BINARY_SEARCH = `
+low, high = 1, 100
+while True:
+    guess = (low + high) // 2
+    print(guess, flush=True)
+    answer = input()
+    if answer == 'correct':
+        break
+    if answer == 'higher':
+        low = guess + 1
+    else:
+        high = guess - 1
+`;
+
+describeSandbox('interactive questions on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  const run = async (code, secret, interactorCode = INTERACTOR) => {
+    const [{ result }] = await executionService.executeAll([{
+      code,
+      language: 'python',
+      stdin: secret,
+      timeLimit: 2,
+      memoryLimit: 128,
+      interactor: { language: 'python', code: interactorCode }
+    }]);
+    return result;
+  };
+
+  test('accepts a program the interactor accepts', async () => {
+    const result = await run(BINARY_SEARCH, '37');
+
+    expect(result.status.id).toBe(STATUS.ACCEPTED);
+    expect(result.checker).toEqual({ verdict: 'AC', score: 1, message: '' });
+  });
+
+  test('rejects a program the interactor rejects', async () => {
+    const result = await run('for guess in range(1, 11):\n    print(guess, flush=True)\n    input()', '37');
+
+    expect(result.status.id).toBe(STATUS.WRONG_ANSWER);
+    expect(result.checker.verdict).toBe('WA');
+  });
+});
@@ -0,0 +1,116 @@
+/* eslint-env jest */
+
+const executionConfig = require('../../../config/execution');
+const judge0Callbacks = require('../judge0Callbacks');
+const { SelfHostedJudge0Backend } = require('../judge0Backend');
+const { STATUS, buildStatus } = require('../statuses');
+
+const CONFIG = {
+  url: 'https://codeloop.test/api/code/judge0/callback',
+  secret: 'callback-secret',
+  timeout: 200,
+  redisUrl: 'redis://localhost:6379'
+};
+
+const ACCEPTED = { status: buildStatus(STATUS.ACCEPTED), stdout: '3\n', time: '0.01', memory: 1024 };
+
+describe('judge0Callbacks', () => {
+  const config = judge0Callbacks.config;
+
+  beforeEach(() => {
+    judge0Callbacks.config = CONFIG;
+    // Callbacks received by other API instances are not part of these tests
+    jest.spyOn(judge0Callbacks, 'subscribe').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    judge0Callbacks.config = config;
+    jest.restoreAllMocks();
+  });
+
+  test('is disabled without a callback URL and secret', () => {
+    judge0Callbacks.config = { ...CONFIG, secret: undefined };
+    expect(judge0Callbacks.isEnabled()).toBe(false);
+    expect(judge0Callbacks.verify('id', 'a'.repeat(64))).toBe(false);
+  });
+
+  test('signs the callback URL of each submission', () => {
+    const url = new URL(judge0Callbacks.buildUrl('abc 1'));
+
+    expect(url.searchParams.get('id')).toBe('abc 1');
+    expect(judge0Callbacks.verify('abc 1', url.searchParams.get('signature'))).toBe(true);
+    expect(judge0Callbacks.verify('abc 2', url.searchParams.get('signature'))).toBe(false);
+    expect(judge0Callbacks.verify('abc 1', 'short')).toBe(false);
+  });
+
+  test('keeps query parameters of the configured URL', () => {
+    judge0Callbacks.config = { ...CONFIG, url: 'https://codeloop.test/callback?region=eu' };
+    expect(judge0Callbacks.buildUrl('x')).toMatch(/^https:\/\/codeloop\.test\/callback\?region=eu&id=x&signature=[0-9a-f]{64}$/);
+  });
+
+  test('decodes base64 output fields', () => {
+    expect(judge0Callbacks.decode({ stdout: Buffer.from('hi\n').toString('base64'), stderr: null, time: '0.1' }))
+      .toEqual({ stdout: 'hi\n', stderr: null, time: '0.1' });
+  });
+
+  test('hands a callback to the execution waiting for it', async () => {
+    const waiting = judge0Callbacks.wait('submission-1');
+    await judge0Callbacks.deliver('submission-1', ACCEPTED);
+
+    await expect(waiting).resolves.toEqual(ACCEPTED);
+    expect(judge0Callbacks.waiters.size).toBe(0);
+  });
+
+  test('stops waiting after the timeout or when cancelled', async () => {
+    const timedOut = judge0Callbacks.wait('submission-2', 10);
+    const cancelled = judge0Callbacks.wait('submission-3');
+    judge0Callbacks.cancel('submission-3');
+
+    await expect(timedOut).resolves.toBeNull();
+    await expect(cancelled).resolves.toBeNull();
+  });
+});
+
+describe('Judge0 backend with callbacks', () => {
+  const config = judge0Callbacks.config;
+  let backend;
+
+  beforeEach(() => {
+    judge0Callbacks.config = CONFIG;
+    jest.spyOn(judge0Callbacks, 'subscribe').mockImplementation(() => {});
+    backend = new SelfHostedJudge0Backend({ ...executionConfig.judge0SelfHosted, pollInterval: 1, maxPollAttempts: 3 });
+  });
+
+  afterEach(() => {
+    judge0Callbacks.config = config;
+    jest.restoreAllMocks();
+  });
+
+  test('takes the result from the callback without polling', async () => {
+    const fetchResult = jest.spyOn(backend, 'fetchResult');
+    jest.spyOn(backend, 'submit').mockImplementation(async (job, callbackUrl) => {
+      const id = new URL(callbackUrl).searchParams.get('id');
+      setImmediate(() => judge0Callbacks.deliver(id, ACCEPTED));
+      return 'token-1';
+    });
+
+    await expect(backend.execute({ code: 'print(3)', language: 'python' })).resolves.toEqual({ token: 'token-1', ...ACCEPTED });
+    expect(fetchResult).not.toHaveBeenCalled();
+  });
+
+  test('polls when the callback does not arrive in time', async () => {
+    judge0Callbacks.config = { ...CONFIG, timeout: 10 };
+    jest.spyOn(backend, 'submit').mockResolvedValue('token-2');
+    const fetchResult = jest.spyOn(backend, 'fetchResult').mockResolvedValue(ACCEPTED);
+
+    await expect(backend.execute({ code: 'print(3)', language: 'python' })).resolves.toEqual({ token: 'token-2', ...ACCEPTED });
+    expect(fetchResult).toHaveBeenCalledWith('token-2');
+  });
+
+  test('stops waiting when the submission cannot be created', async () => {
+    jest.spyOn(backend, 'submit').mockRejectedValue(new Error('Request failed with status code 503'));
+
+    await expect(backend.execute({ code: 'print(3)', language: 'python' })).rejects.toThrow('503');
+    expect(judge0Callbacks.waiters.size).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+/* eslint-env jest */
+
+const { getMultipliers, resolveLimits } = require('../limits');
+const { prepareTestCaseSubmission, prepareUnitTestSubmission } = require('../jobs');
+
+describe('getMultipliers', () => {
+  test.each([
+    ['python', 2, 1],
+    ['java', 2, 2],
+    ['javascript', 1.5, 1.5],
+    ['c', 1, 1],
+    ['cpp', 1, 1]
+  ])('uses the registry multipliers of %s', (language, time, memory) => {
+    expect(getMultipliers(language)).toEqual({ time, memory });
+  });
+
+  test('prefers a question override for the language', () => {
+    const overrides = [
+      { language: 'java', timeMultiplier: 3 },
+      { language: 'python', timeMultiplier: 4, memoryMultiplier: 2 }
+    ];
+    expect(getMultipliers('Python', overrides)).toEqual({ time: 4, memory: 2 });
+    expect(getMultipliers('java', overrides)).toEqual({ time: 3, memory: 2 });
+    expect(getMultipliers('c', overrides)).toEqual({ time: 1, memory: 1 });
+  });
+
+  test('throws on an unknown language', () => {
+    expect(() => getMultipliers('cobol')).toThrow('Unsupported language: cobol');
+  });
+});
+
+describe('resolveLimits', () => {
+  test('scales the base limits for the language', () => {
+    expect(resolveLimits('javascript', { timeLimit: 1.5, memoryLimit: 100 })).toEqual({
+      base: { timeLimit: 1.5, memoryLimit: 100 },
+      effective: { timeLimit: 2.25, memoryLimit: 150 },
+      multipliers: { time: 1.5, memory: 1.5 }
+    });
+  });
+
+  test('caps effective limits at the backend maximums', () => {
+    const limits = resolveLimits('java', { timeLimit: 10, memoryLimit: 400 });
+    expect(limits.effective).toEqual({ timeLimit: 15, memoryLimit: 512 });
+    expect(limits.base).toEqual({ timeLimit: 10, memoryLimit: 400 });
+  });
+});
+
+describe('job limits', () => {
+  test('test case limits override the question limits and are scaled', () => {
+    const [first, second] = prepareTestCaseSubmission('print(1)', 'python', [
+      { input: '', expectedOutput: '1' },
+      { input: '', expectedOutput: '1', timeLimit: 3, memoryLimit: 64 }
+    ], { timeLimit: 1, memoryLimit: 128 });
+
+    expect(first).toMatchObject({ timeLimit: 2, memoryLimit: 128 });
+    expect(second).toMatchObject({ timeLimit: 6, memoryLimit: 64 });
+    expect(second.limits.base).toEqual({ timeLimit: 3, memoryLimit: 64 });
+  });
+
+  test('a unit-test run gets the test file time limit for the whole file', () => {
+    const job = prepareUnitTestSubmission('x = 1', 'javascript', { code: '', timeLimit: 4 }, {
+      memoryLimit: 100,
+      languageMultipliers: [{ language: 'javascript', timeMultiplier: 2 }]
+    });
+
+    expect(job).toMatchObject({ timeLimit: 8, memoryLimit: 150 });
+    expect(job.unitTests).toMatchObject({ language: 'javascript', files: { 'tests.js': '' } });
+  });
+});
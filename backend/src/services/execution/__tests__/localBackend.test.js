@@ -0,0 +1,110 @@
+/* eslint-env jest */
+
+const executionService = require('../../executionService');
+const executionConfig = require('../../../config/execution');
+const LocalBackend = require('../localBackend');
+const { STATUS } = require('../statuses');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+describe('LocalBackend configuration', () => {
+  test('refuses to run without a sandbox user', () => {
+    expect(() => new LocalBackend({ ...executionConfig.local, uid: undefined, gid: undefined })).toThrow(/sandbox user/);
+    expect(() => new LocalBackend({ ...executionConfig.local, uid: 0, gid: 0 })).toThrow(/other than root/);
+  });
+});
+
+describe('executionService configuration', () => {
+  afterEach(() => {
+    executionService.setBackend(null);
+  });
+
+  test('reports a missing backend instead of failing on load', () => {
+    const configured = executionConfig.backend;
+    executionConfig.backend = undefined;
+    try {
+      expect(executionService.getConfigurationError()).toMatch(/No execution backend configured/);
+      expect(() => executionService.getBackend()).toThrow(/EXECUTION_BACKEND/);
+    } finally {
+      executionConfig.backend = configured;
+    }
+  });
+
+  test('reports no error once a backend is set', () => {
+    executionService.setBackend({ name: 'test' });
+    expect(executionService.getConfigurationError()).toBeNull();
+  });
+});
+
+describeSandbox('LocalBackend', () => {
+  let backend;
+  beforeAll(() => {
+    backend = createLocalBackend();
+  });
+
+  const run = (code, language, stdin = '', limits = {}) => backend.execute({
+    code,
+    language,
+    stdin,
+    timeLimit: 1,
+    memoryLimit: 128,
+    ...limits
+  });
+
+  test('runs an interpreted program against its input', async () => {
+    const result = await run('name = input()\nprint("hello", name)', 'python', 'world\n');
+
+    expect(result.status.id).toBe(STATUS.ACCEPTED);
+    expect(result.stdout).toBe('hello world\n');
+    expect(result.exit_code).toBe(0);
+    expect(result.memory).toBeGreaterThan(0);
+  });
+
+  test('compiles and runs a C program', async () => {
+    const result = await run('#include <stdio.h>\nint main() { int n; scanf("%d", &n); printf("%d\\n", n * 2); return 0; }', 'c', '21');
+
+    expect(result.status.id).toBe(STATUS.ACCEPTED);
+    expect(result.stdout).toBe('42\n');
+  });
+
+  test('reports compile errors', async () => {
+    const result = await run('int main( { return 0; }', 'c');
+
+    expect(result.status.id).toBe(STATUS.COMPILATION_ERROR);
+    expect(result.compile_output).toMatch(/error/);
+  });
+
+  test('reports non-zero exits and time limits', async () => {
+    const crashed = await run('import sys\nsys.exit(3)', 'python');
+    const looping = await run('while True:\n    pass', 'python', '', { timeLimit: 0.5 });
+
+    expect(crashed.status.id).toBe(STATUS.RUNTIME_ERROR_NZEC);
+    expect(crashed.exit_code).toBe(3);
+    expect(looping.status.id).toBe(STATUS.TIME_LIMIT_EXCEEDED);
+  });
+
+  test('keeps programs out of the network and the host file system', async () => {
+    const result = await run([
+      'import socket',
+      'try:',
+      '    socket.create_connection(("1.1.1.1", 80), timeout=1)',
+      '    print("connected")',
+      'except OSError:',
+      '    print("offline")',
+      'try:',
+      '    open("/root/escape", "w")',
+      '    print("written")',
+      'except OSError:',
+      '    print("read-only")'
+    ].join('\n'), 'python');
+
+    expect(result.stdout).toBe('offline\nread-only\n');
+  });
+
+  test('rejects languages without a local toolchain', async () => {
+    await expect(run('', 'cobol')).rejects.toMatchObject({ status: STATUS.COMPILATION_ERROR });
+  });
+
+  test('reports itself healthy', async () => {
+    await expect(backend.healthCheck()).resolves.toMatchObject({ status: 'healthy' });
+  });
+});
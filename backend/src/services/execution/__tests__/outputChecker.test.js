@@ -0,0 +1,76 @@
+/* eslint-env jest */
+
+const { COMPARISON_MODES, DEFAULT_COMPARISON, resolveComparison, compareOutput } = require('../outputChecker');
+
+describe('compareOutput', () => {
+  test('ignores trailing whitespace and blank lines by default', () => {
+    expect(compareOutput('1 2  \n3\n\n\n', '1 2\n3')).toBe(true);
+    expect(compareOutput('1  2\n3', '1 2\n3')).toBe(false);
+  });
+
+  test('exact only ignores line endings', () => {
+    const exact = { mode: 'exact' };
+    expect(compareOutput('a\r\nb\n', 'a\nb\n', exact)).toBe(true);
+    expect(compareOutput('a\nb', 'a\nb\n', exact)).toBe(false);
+  });
+
+  test('ignore_case', () => {
+    expect(compareOutput('YES \n', 'yes', { mode: 'ignore_case' })).toBe(true);
+    expect(compareOutput('YES', 'no', { mode: 'ignore_case' })).toBe(false);
+  });
+
+  test('float_tolerance compares numbers within tolerance and other tokens exactly', () => {
+    const comparison = { mode: 'float_tolerance', absoluteTolerance: 1e-3 };
+    expect(compareOutput('x = 3.1416', 'x = 3.14159', comparison)).toBe(true);
+    expect(compareOutput('x = 3.15', 'x = 3.14159', comparison)).toBe(false);
+    expect(compareOutput('y = 3.1416', 'x = 3.14159', comparison)).toBe(false);
+    expect(compareOutput('1.0', '1.0 2.0', comparison)).toBe(false);
+  });
+
+  test('float_tolerance accepts a relative error on large numbers', () => {
+    const comparison = { mode: 'float_tolerance', absoluteTolerance: 0, relativeTolerance: 1e-6 };
+    expect(compareOutput('1000000.5', '1000000', comparison)).toBe(true);
+    expect(compareOutput('1000002', '1000000', comparison)).toBe(false);
+  });
+
+  test('unordered_lines', () => {
+    const comparison = { mode: 'unordered_lines' };
+    expect(compareOutput('b\na\nc\n', 'a\nb\nc', comparison)).toBe(true);
+    expect(compareOutput('a\na\nb', 'a\nb\nb', comparison)).toBe(false);
+  });
+
+  test('tokens ignores all whitespace between tokens', () => {
+    expect(compareOutput('1\n2   3\n', '1 2 3', { mode: 'tokens' })).toBe(true);
+    expect(compareOutput('1 2', '1 2 3', { mode: 'tokens' })).toBe(false);
+  });
+
+  test('regex matches the whole output', () => {
+    const comparison = { mode: 'regex' };
+    expect(compareOutput('took 12ms\n', 'took \\d+ms', comparison)).toBe(true);
+    expect(compareOutput('it took 12ms', 'took \\d+ms', comparison)).toBe(false);
+    expect(compareOutput('anything', '(', comparison)).toBe(false);
+  });
+
+  test('trim compares whole outputs once trimmed', () => {
+    const comparison = { mode: 'trim' };
+    expect(compareOutput('\n  1 2\r\n', '1 2', comparison)).toBe(true);
+    expect(compareOutput('1 2  \n3', '1 2\n3', comparison)).toBe(false);
+  });
+
+  test('throws on an unknown mode', () => {
+    expect(() => compareOutput('a', 'a', { mode: 'fuzzy' })).toThrow('Unknown comparison mode: fuzzy');
+  });
+
+  test('has a comparator for every mode', () => {
+    COMPARISON_MODES.forEach(mode => {
+      expect(typeof compareOutput('', '', { mode })).toBe('boolean');
+    });
+  });
+});
+
+describe('resolveComparison', () => {
+  test('later settings win and empty ones are ignored', () => {
+    expect(resolveComparison({ mode: 'tokens', absoluteTolerance: 0.1 }, { mode: null, absoluteTolerance: 0.5 }, undefined))
+      .toEqual({ ...DEFAULT_COMPARISON, mode: 'tokens', absoluteTolerance: 0.5 });
+  });
+});
@@ -0,0 +1,152 @@
+/* eslint-env jest */
+
+const executionConfig = require('../../../config/execution');
+const executionService = require('../../executionService');
+const resultCache = require('../resultCache');
+const ExecutionBackend = require('../executionBackend');
+const { STATUS, buildStatus } = require('../statuses');
+
+const JOB = { code: 'print(input())', language: 'python', stdin: '1', timeLimit: 2, memoryLimit: 128 };
+
+const result = (statusId, extra = {}) => ({ status: buildStatus(statusId), stdout: '1\n', ...extra });
+
+describe('resultCache', () => {
+  const config = resultCache.config;
+
+  beforeEach(() => {
+    resultCache.config = { enabled: true, ttl: 60, maxSize: 1024 };
+    resultCache.clear();
+  });
+
+  afterEach(() => {
+    resultCache.config = config;
+    resultCache.clear();
+  });
+
+  test('keys results by backend, language, limits, code and input', () => {
+    const key = resultCache.getKey('local', JOB);
+
+    expect(resultCache.getKey('local', { ...JOB })).toBe(key);
+    [
+      resultCache.getKey('judge0', JOB),
+      resultCache.getKey('local', { ...JOB, language: 'javascript' }),
+      resultCache.getKey('local', { ...JOB, timeLimit: 3 }),
+      resultCache.getKey('local', { ...JOB, memoryLimit: 256 }),
+      resultCache.getKey('local', { ...JOB, code: 'print(2)' }),
+      resultCache.getKey('local', { ...JOB, stdin: '2' })
+    ].forEach(otherKey => expect(otherKey).not.toBe(key));
+  });
+
+  test('returns cached results marked as cached', () => {
+    resultCache.set('a', result(STATUS.ACCEPTED));
+
+    expect(resultCache.get('a')).toEqual({ ...result(STATUS.ACCEPTED), cached: true });
+    expect(resultCache.get('b')).toBeNull();
+    expect(resultCache.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 1, hitRate: 50 });
+  });
+
+  test('does not cache results that depend on how busy the judge is', () => {
+    resultCache.set('tle', result(STATUS.TIME_LIMIT_EXCEEDED));
+    resultCache.set('ie', result(STATUS.INTERNAL_ERROR));
+    resultCache.set('ce', result(STATUS.COMPILATION_ERROR));
+
+    expect(resultCache.get('tle')).toBeNull();
+    expect(resultCache.get('ie')).toBeNull();
+    expect(resultCache.get('ce')).not.toBeNull();
+  });
+
+  test('expires entries after the TTL', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    resultCache.set('a', result(STATUS.ACCEPTED));
+
+    Date.now.mockReturnValue(now + 61 * 1000);
+    expect(resultCache.get('a')).toBeNull();
+    expect(resultCache.getStats()).toMatchObject({ entries: 0, size: 0 });
+    Date.now.mockRestore();
+  });
+
+  test('evicts the least recently used entries over the size limit', () => {
+    const size = Buffer.byteLength(JSON.stringify(result(STATUS.ACCEPTED)));
+    resultCache.config.maxSize = size * 2;
+
+    resultCache.set('a', result(STATUS.ACCEPTED));
+    resultCache.set('b', result(STATUS.ACCEPTED));
+    resultCache.get('a');
+    resultCache.set('c', result(STATUS.ACCEPTED));
+
+    expect(resultCache.get('b')).toBeNull();
+    expect(resultCache.get('a')).not.toBeNull();
+    expect(resultCache.get('c')).not.toBeNull();
+    expect(resultCache.getStats().size).toBe(size * 2);
+  });
+
+  test('does nothing when disabled', () => {
+    resultCache.config.enabled = false;
+    resultCache.set('a', result(STATUS.ACCEPTED));
+    expect(resultCache.get('a')).toBeNull();
+  });
+});
+
+// Backend that echoes stdin and counts the programs it runs
+class EchoBackend extends ExecutionBackend {
+  constructor() {
+    super('echo');
+    this.runs = 0;
+  }
+
+  async execute(job) {
+    this.runs++;
+    return result(STATUS.ACCEPTED, { stdout: `${job.stdin}\n` });
+  }
+}
+
+describe('executionService with the result cache', () => {
+  const config = resultCache.config;
+  const bypassGraded = executionConfig.cache.bypassGraded;
+  let backend;
+
+  beforeEach(() => {
+    resultCache.config = { enabled: true, ttl: 60, maxSize: 1024 * 1024 };
+    resultCache.clear();
+    backend = new EchoBackend();
+    executionService.setBackend(backend);
+  });
+
+  afterEach(() => {
+    resultCache.config = config;
+    resultCache.clear();
+    executionConfig.cache.bypassGraded = bypassGraded;
+    executionService.setBackend(null);
+  });
+
+  const job = stdin => ({ ...JOB, stdin, expectedOutput: stdin });
+
+  test('runs a program again only for new input', async () => {
+    await executionService.executeAll([job('1'), job('2')]);
+    const [first, third] = await executionService.executeAll([job('1'), job('3')]);
+
+    expect(backend.runs).toBe(3);
+    expect(first.result).toMatchObject({ cached: true, stdout: '1\n' });
+    expect(third.result.cached).toBeUndefined();
+  });
+
+  test('reuses cached results for the test cases of a batch', async () => {
+    await executionService.executeBatch([job('1')]);
+    const results = await executionService.executeBatch([job('1'), job('2')]);
+
+    expect(backend.runs).toBe(2);
+    expect(results.map(({ result }) => result.stdout)).toEqual(['1\n', '2\n']);
+  });
+
+  test('runs graded attempts on the backend unless configured not to', async () => {
+    executionConfig.cache.bypassGraded = true;
+    await executionService.executeAll([job('1')]);
+    await executionService.executeAll([job('1')], { graded: true });
+    expect(backend.runs).toBe(2);
+
+    executionConfig.cache.bypassGraded = false;
+    await executionService.executeAll([job('1')], { graded: true });
+    expect(backend.runs).toBe(2);
+  });
+});
@@ -0,0 +1,21 @@
+/* eslint-env jest */
+
+// Shared setup of the tests that run code on the local runner. They need what
+// the local runner needs (root, util-linux's unshare and prlimit, and a
+// sandbox user set with LOCAL_RUNNER_UID and LOCAL_RUNNER_GID, see
+// config/execution.js) and are skipped without a sandbox user.
+const executionConfig = require('../../../config/execution');
+const LocalBackend = require('../localBackend');
+
+const hasSandbox = executionConfig.local.uid !== undefined && executionConfig.local.gid !== undefined;
+
+// describe for suites that run code
+const describeSandbox = hasSandbox ? describe : describe.skip;
+
+// Local runner running one program at a time
+const createLocalBackend = () => new LocalBackend({ ...executionConfig.local, maxConcurrent: 1 });
+
+module.exports = {
+  describeSandbox,
+  createLocalBackend
+};
@@ -0,0 +1,100 @@
+/* eslint-env jest */
+
+const { DEFAULT_TEST_POINTS, validateSubtasks, scoreTestResults, weighStyleScore, adjustScore } = require('../scoring');
+
+const passed = { passed: true, score: 100 };
+const failed = { passed: false, score: 0 };
+
+describe('validateSubtasks', () => {
+  test('accepts subtasks that each have test cases', () => {
+    const testCases = [{ subtask: 'small' }, { subtask: 'large' }, {}];
+    expect(validateSubtasks(testCases, [{ name: 'small' }, { name: 'large' }])).toEqual([]);
+  });
+
+  test('reports unnamed, duplicate, unknown and empty subtasks', () => {
+    const testCases = [{ subtask: 'small' }, { subtask: 'medium' }];
+    expect(validateSubtasks(testCases, [{ name: 'small' }, { name: 'small' }, {}, { name: 'large' }])).toEqual([
+      'Duplicate subtask name: small',
+      'Subtask 3 must have a name',
+      'Test case 2 belongs to unknown subtask: medium',
+      'Subtask large has no test cases'
+    ]);
+  });
+});
+
+describe('scoreTestResults', () => {
+  test('gives each test case its points, or the default', () => {
+    const scoring = scoreTestResults([passed, failed, passed], [{ points: 5 }, { points: 20 }, {}]);
+
+    expect(scoring).toMatchObject({
+      earnedPoints: 5 + DEFAULT_TEST_POINTS,
+      totalPoints: 25 + DEFAULT_TEST_POINTS,
+      score: 43,
+      testPoints: [5, 0, DEFAULT_TEST_POINTS],
+      subtasks: []
+    });
+  });
+
+  test('scales a test case by its partial score', () => {
+    const scoring = scoreTestResults([{ passed: false, score: 25 }], [{ points: 8 }]);
+    expect(scoring).toMatchObject({ earnedPoints: 2, totalPoints: 8, score: 25 });
+  });
+
+  test('gives a subtask its points only when every test case in it passes', () => {
+    const testCases = [
+      { points: 10 },
+      { subtask: 'small', points: 10 },
+      { subtask: 'small', points: 30 },
+      { subtask: 'large', points: 10 },
+      { subtask: 'large', points: 10 }
+    ];
+    const subtasks = [{ name: 'small', points: 60 }, { name: 'large', description: 'n up to 10^5' }];
+    const scoring = scoreTestResults([failed, passed, passed, passed, { passed: false, score: 50 }], testCases, subtasks);
+
+    expect(scoring.subtasks).toEqual([
+      { name: 'small', description: undefined, testCases: [2, 3], passed: true, earnedPoints: 60, totalPoints: 60 },
+      { name: 'large', description: 'n up to 10^5', testCases: [4, 5], passed: false, earnedPoints: 0, totalPoints: 20 }
+    ]);
+    expect(scoring.testPoints).toEqual([0, 15, 45, 0, 0]);
+    expect(scoring).toMatchObject({ earnedPoints: 60, totalPoints: 90, score: 67 });
+  });
+
+  test('scores questions without points out of zero', () => {
+    expect(scoreTestResults([], [])).toMatchObject({ earnedPoints: 0, totalPoints: 0, score: 0 });
+  });
+});
+
+describe('weighStyleScore', () => {
+  test('gives the style score its weight of the points', () => {
+    const scoring = weighStyleScore({ earnedPoints: 30, totalPoints: 40, score: 75 }, 80, 25);
+
+    expect(scoring).toMatchObject({ earnedPoints: 30.5, stylePoints: 8, score: 76 });
+  });
+
+  test('keeps the test case points without weight', () => {
+    expect(weighStyleScore({ earnedPoints: 30, totalPoints: 40, score: 75 }, 0, 0)).toMatchObject({ earnedPoints: 30, stylePoints: 0, score: 75 });
+  });
+});
+
+describe('adjustScore', () => {
+  const scoring = { earnedPoints: 20, totalPoints: 40, score: 50 };
+
+  test('takes a penalty off the earned points, down to zero', () => {
+    expect(adjustScore(scoring, -5)).toMatchObject({ earnedPoints: 15, adjustmentPoints: -5, score: 38, bonusScore: 0 });
+    expect(adjustScore(scoring, -30)).toMatchObject({ earnedPoints: 0, adjustmentPoints: -20, score: 0 });
+  });
+
+  test('keeps a bonus apart from the score', () => {
+    expect(adjustScore(scoring, 4)).toMatchObject({ earnedPoints: 20, adjustmentPoints: 0, score: 50, bonusPoints: 4, bonusScore: 10 });
+  });
+
+  test('gives the bonus to attempts that pass every test', () => {
+    const adjusted = adjustScore({ earnedPoints: 40, totalPoints: 40, score: 100 }, 10);
+
+    expect(adjusted).toMatchObject({ earnedPoints: 40, score: 100, bonusScore: 25 });
+  });
+
+  test('has no bonus score for questions without points', () => {
+    expect(adjustScore({ earnedPoints: 0, totalPoints: 0, score: 0 }, 5)).toMatchObject({ bonusPoints: 5, bonusScore: 0, score: 0 });
+  });
+});
@@ -0,0 +1,151 @@
+/* eslint-env jest */
+
+const executionService = require('../../executionService');
+const { prepareTestCaseSubmission } = require('../jobs');
+const { STATUS } = require('../statuses');
+const { buildCheckerInput, parseCheckerOutput, prepareCheckerJob, DEFAULT_CHECKER_TIME_LIMIT } = require('../specialJudge');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+describe('buildCheckerInput', () => {
+  test('writes each section as a line count and its lines', () => {
+    expect(buildCheckerInput({ input: '1 2\n3\n', expectedOutput: '6', output: '' }))
+      .toBe('2\n1 2\n3\n1\n6\n0\n');
+  });
+
+  test('normalises line endings', () => {
+    expect(buildCheckerInput({ input: 'a\r\nb', expectedOutput: '', output: 'x\r\n' }))
+      .toBe('2\na\nb\n0\n1\nx\n');
+  });
+});
+
+describe('parseCheckerOutput', () => {
+  test('reads AC and WA with the checker message', () => {
+    expect(parseCheckerOutput('AC\n')).toEqual({ verdict: 'AC', score: 1, message: '' });
+    expect(parseCheckerOutput('wa\nexpected 3 numbers\n')).toEqual({ verdict: 'WA', score: 0, message: 'expected 3 numbers' });
+  });
+
+  test('reads a partial score', () => {
+    expect(parseCheckerOutput('PC 0.25\r\nhalf of the pairs\r\n')).toEqual({ verdict: 'PC', score: 0.25, message: 'half of the pairs' });
+  });
+
+  test.each(['PC', 'PC 1.5', 'PC -0.1', 'PC half'])('rejects the partial score in %p', (stdout) => {
+    expect(() => parseCheckerOutput(stdout)).toThrow('invalid partial score');
+  });
+
+  test.each(['', 'OK', '\nAC'])('rejects the verdict in %p', (stdout) => {
+    expect(() => parseCheckerOutput(stdout)).toThrow('unknown verdict');
+  });
+});
+
+describe('prepareCheckerJob', () => {
+  test('runs the checker with its own limits or the defaults', () => {
+    const job = prepareCheckerJob({ language: 'python', code: 'print("AC")' }, { input: '1', expectedOutput: '1', output: '1' });
+    expect(job).toMatchObject({ language: 'python', stdin: '1\n1\n1\n1\n1\n1\n', timeLimit: DEFAULT_CHECKER_TIME_LIMIT });
+  });
+});
+
+describe('checker runs during an outage', () => {
+  // Backend whose checker runs cannot reach it
+  const backend = {
+    name: 'test',
+    execute: async (job) => {
+      if (job.code === 'print("AC")') {
+        throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+      }
+      return { status: { id: STATUS.ACCEPTED, description: 'Accepted' }, stdout: '1\n', stderr: '', time: 0.01, memory: 1024 };
+    }
+  };
+
+  beforeEach(() => {
+    executionService.setBackend(backend);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    executionService.setBackend(null);
+    console.error.mockRestore();
+  });
+
+  test('leave the run to be retried instead of grading it', async () => {
+    const jobs = prepareTestCaseSubmission('print(1)', 'python', [{ input: '', expectedOutput: '1' }], {
+      checker: { language: 'python', code: 'print("AC")' }
+    });
+    const [{ result }] = await executionService.executeAll(jobs, { graded: true });
+
+    expect(result.backendError).toBe(true);
+    expect(result.checker).toBeUndefined();
+  });
+});
+
+// Accepts the expected numbers in any order; the right count of other
+// numbers is worth half the points
+const CHECKER = `
+import sys
+
+lines = sys.stdin.read().split('\\n')
+position = 0
+
+def section():
+    global position
+    count = int(lines[position])
+    part = lines[position + 1:position + 1 + count]
+    position += 1 + count
+    return ' '.join(part).split()
+
+section()
+expected = sorted(section())
+output = sorted(section())
+if output == expected:
+    print('AC')
+elif len(output) == len(expected):
+    print('PC 0.5')
+    print('wrong numbers')
+else:
+    print('WA')
+`;
+
+describeSandbox('special judge on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  const run = async (testCases, checkerCode) => {
+    const jobs = testCases.map(({ input, expectedOutput }) => ({
+      code: 'print(*reversed(input().split()))',
+      language: 'python',
+      stdin: input,
+      expectedOutput,
+      timeLimit: 2,
+      memoryLimit: 128,
+      checker: { language: 'python', code: checkerCode }
+    }));
+    return (await executionService.executeAll(jobs)).map(({ result }) => result);
+  };
+
+  test('grades the output with the checker verdict', async () => {
+    const [accepted, partial, wrong] = await run([
+      { input: '1 2 3', expectedOutput: '1 2 3' },
+      { input: '1 2 3', expectedOutput: '1 2 4' },
+      { input: '1 2 3', expectedOutput: '1 2' }
+    ], CHECKER);
+
+    expect(accepted.status.id).toBe(STATUS.ACCEPTED);
+    expect(accepted.checker).toEqual({ verdict: 'AC', score: 1, message: '' });
+    expect(partial.status).toEqual({ id: STATUS.WRONG_ANSWER, description: 'Partially Correct' });
+    expect(partial.checker).toEqual({ verdict: 'PC', score: 0.5, message: 'wrong numbers' });
+    expect(wrong.status.id).toBe(STATUS.WRONG_ANSWER);
+    expect(wrong.checker.verdict).toBe('WA');
+  });
+
+  test('reports a crashing or malformed checker as an internal error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const [crashed] = await run([{ input: '1', expectedOutput: '1' }], 'raise SystemExit(2)');
+    const [malformed] = await run([{ input: '1', expectedOutput: '1' }], 'print("maybe")');
+
+    [crashed, malformed].forEach(result => {
+      expect(result.status).toEqual({ id: STATUS.INTERNAL_ERROR, description: 'Checker failed' });
+      expect(result.checker).toEqual({ verdict: null, score: 0, message: '' });
+    });
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint-env jest */
+
+const sqlRunner = require('../sqlRunner');
+const { STATUS } = require('../statuses');
+const { describeSandbox } = require('./sandbox');
+
+const { parseRows, formatRows, compareRows } = sqlRunner;
+
+describe('parseRows', () => {
+  test('keeps the printed column order', () => {
+    expect(parseRows('[{"b":1,"1":"x"},\n{"b":null,"1":"a \\"q\\""}]')).toEqual([[1, 'x'], [null, 'a "q"']]);
+    expect(parseRows('')).toEqual([]);
+  });
+});
+
+describe('formatRows', () => {
+  test('prints one tab-separated row per line', () => {
+    expect(formatRows([[1, 'x'], [null, 2.5]])).toBe('1\tx\nNULL\t2.5');
+  });
+});
+
+describe('compareRows', () => {
+  test('ignores row order unless the question is ordered', () => {
+    expect(compareRows([[1], [2]], [[2], [1]])).toBe(true);
+    expect(compareRows([[1], [2]], [[2], [1]], true)).toBe(false);
+    expect(compareRows([[1], [1]], [[1]])).toBe(false);
+  });
+
+  test('compares reals to 12 significant digits', () => {
+    expect(compareRows([[2 / 3]], [[0.666666666667]])).toBe(true);
+    expect(compareRows([[2 / 3]], [[0.6667]])).toBe(false);
+    expect(compareRows([['1']], [[1]])).toBe(false);
+  });
+});
+
+const QUESTION = {
+  type: 'sql',
+  solutionCode: 'SELECT name FROM students WHERE grade >= 50 ORDER BY name;',
+  sql: {
+    schema: 'CREATE TABLE students (id INTEGER PRIMARY KEY, name TEXT, grade INTEGER);',
+    seedData: "INSERT INTO students (name, grade) VALUES ('Ana', 70), ('Ben', 40), ('Cy', 90);",
+    ordered: false
+  },
+  testCases: [
+    { input: '' },
+    { input: "INSERT INTO students (name, grade) VALUES ('Dee', 50);" }
+  ],
+  timeLimit: 2,
+  memoryLimit: 128
+};
+
+describeSandbox('SQL grading on the local runner', () => {
+  const run = async (code, question = QUESTION) => {
+    return (await sqlRunner.runTestCases(question, code)).map(({ result }) => result);
+  };
+
+  test('accepts a query returning the reference rows in any order', async () => {
+    const results = await run('SELECT name FROM students WHERE grade > 49 ORDER BY name DESC; -- passing students');
+
+    expect(results.map(result => result.status.id)).toEqual([STATUS.ACCEPTED, STATUS.ACCEPTED]);
+    expect(results[1].rows).toEqual([['Dee'], ['Cy'], ['Ana']]);
+    expect(results[1].stdout).toBe('Dee\nCy\nAna');
+  });
+
+  test('rejects a query returning other rows', async () => {
+    const [same, other] = await run('SELECT name FROM students WHERE grade > 50');
+
+    expect(same.status.id).toBe(STATUS.ACCEPTED);
+    expect(other.status.id).toBe(STATUS.WRONG_ANSWER);
+    expect(other.expectedRows).toEqual([['Ana'], ['Cy'], ['Dee']]);
+  });
+
+  test('checks row order of ordered questions', async () => {
+    const ordered = { ...QUESTION, sql: { ...QUESTION.sql, ordered: true } };
+    const [result] = await run('SELECT name FROM students WHERE grade >= 50 ORDER BY name DESC', ordered);
+
+    expect(result.status.id).toBe(STATUS.WRONG_ANSWER);
+  });
+
+  test('reports syntax errors as compile errors and failing queries as runtime errors', async () => {
+    const [syntax] = await run('SELEC name FROM students');
+    const [overflow] = await run('SELECT abs(-9223372036854775807 - 1)');
+
+    expect(syntax.status.id).toBe(STATUS.COMPILATION_ERROR);
+    expect(syntax.compile_output).toMatch(/syntax error/);
+    expect(overflow.status.id).toBe(STATUS.RUNTIME_ERROR_OTHER);
+    expect(overflow.stderr).toBe('integer overflow');
+  });
+
+  test('rejects sqlite3 shell commands', async () => {
+    const results = await run('SELECT 1;\n.mode csv');
+
+    results.forEach(result => {
+      expect(result.status.id).toBe(STATUS.COMPILATION_ERROR);
+      expect(result.compile_output).toMatch(/shell commands/);
+    });
+  });
+
+  test('reports a broken question as an internal error', async () => {
+    const broken = { ...QUESTION, sql: { ...QUESTION.sql, seedData: 'INSERT INTO nowhere VALUES (1);' } };
+    const [result] = await run('SELECT 1', broken);
+
+    expect(result.status.id).toBe(STATUS.INTERNAL_ERROR);
+    expect(result.status.description).toMatch(/^Database setup failed/);
+    expect(await sqlRunner.validateQuestion(broken)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,360 @@
+/* eslint-env jest */
+
+const { spawnSync } = require('child_process');
+const executionConfig = require('../../../config/execution');
+const executionService = require('../../executionService');
+const LocalBackend = require('../localBackend');
+const { prepareUnitTestSubmission } = require('../jobs');
+const { STATUS, buildStatus } = require('../statuses');
+const { parseReport, toTestResults, validateUnitTests } = require('../unitTests');
+const { VERDICTS, toVerdict } = require('../verdicts');
+const { describeSandbox, createLocalBackend } = require('./sandbox');
+
+const report = (...entries) => entries.map(entry => JSON.stringify(entry)).join('\n');
+
+describe('parseReport', () => {
+  test('keeps the first line of each test and skips noise', () => {
+    const parsed = parseReport([
+      'printed by the solution',
+      report({ test: 'test_a', outcome: 'passed' }, { test: 'test_a', outcome: 'failed' }, { done: true })
+    ].join('\n'));
+
+    expect(parsed.tests.get('test_a').outcome).toBe('passed');
+    expect(parsed.done).toBe(true);
+    expect(parsed.loadError).toBeNull();
+  });
+
+  test('reads a load error', () => {
+    expect(parseReport(report({ error: 'SyntaxError' })).loadError).toBe('SyntaxError');
+  });
+});
+
+describe('toTestResults', () => {
+  const tests = [{ name: 'test_a' }, { name: 'test_b' }, { name: 'test_c' }];
+
+  test('maps outcomes to statuses', () => {
+    const run = {
+      status: buildStatus(STATUS.ACCEPTED),
+      report: report(
+        { test: 'test_a', outcome: 'passed', time: 0.01 },
+        { test: 'test_b', outcome: 'failed', message: 'assert 1 == 2' },
+        { test: 'test_c', outcome: 'error', message: 'KeyError' },
+        { done: true }
+      )
+    };
+    const [passed, failed, errored] = toTestResults(run, tests);
+
+    expect(passed).toMatchObject({ status: { id: STATUS.ACCEPTED }, time: 0.01, testName: 'test_a' });
+    expect(failed).toMatchObject({ status: { id: STATUS.WRONG_ANSWER }, message: 'assert 1 == 2' });
+    expect(errored).toMatchObject({ status: { id: STATUS.RUNTIME_ERROR_OTHER }, stderr: 'KeyError' });
+  });
+
+  test('skips skipped tests', () => {
+    const run = {
+      status: buildStatus(STATUS.ACCEPTED),
+      report: report({ test: 'test_a', outcome: 'skipped', message: 'not ready' }, { done: true })
+    };
+    const [skipped] = toTestResults(run, tests);
+
+    expect(toVerdict(skipped)).toBe(VERDICTS.SKIPPED);
+    expect(skipped.message).toBe('not ready');
+  });
+
+  test('fails the tests a run did not reach with its status', () => {
+    const run = {
+      status: buildStatus(STATUS.TIME_LIMIT_EXCEEDED),
+      report: report({ test: 'test_a', outcome: 'passed' })
+    };
+    const [, unfinished] = toTestResults(run, tests);
+
+    expect(unfinished.status.id).toBe(STATUS.TIME_LIMIT_EXCEEDED);
+    expect(unfinished.message).toMatch(/^Test did not finish/);
+  });
+
+  test('reports load errors, compile errors and undeclared tests', () => {
+    const loadFailed = toTestResults({ status: buildStatus(STATUS.ACCEPTED), report: report({ error: 'ImportError' }) }, tests);
+    expect(loadFailed[0].message).toBe('Tests could not be loaded: ImportError');
+
+    const compileError = { status: buildStatus(STATUS.COMPILATION_ERROR), compile_output: 'error: ;' };
+    expect(toTestResults(compileError, tests)[2]).toMatchObject({ status: { id: STATUS.COMPILATION_ERROR }, compile_output: 'error: ;' });
+
+    const missing = toTestResults({ status: buildStatus(STATUS.ACCEPTED), report: report({ done: true }) }, tests);
+    expect(missing[0].status).toEqual({ id: STATUS.INTERNAL_ERROR, description: 'Test not found' });
+  });
+});
+
+describe('validateUnitTests', () => {
+  test('accepts a test file with named tests', () => {
+    expect(validateUnitTests('python', { code: 'def test_a(): pass', tests: [{ name: 'test_a' }] })).toEqual([]);
+  });
+
+  test('lists every problem', () => {
+    expect(validateUnitTests('c', { code: '', tests: [{ name: 'a' }, { name: 'a' }, {}] })).toEqual([
+      'Unit tests support these languages: python, java, javascript',
+      'A test file is required for unit-test questions',
+      'Duplicate test name: a',
+      'Test 3 must have a name'
+    ]);
+    expect(validateUnitTests('python', {})).toContain('At least one test is required for unit-test questions');
+  });
+});
+
+const PYTHON_SOLUTION = `
+class Stack:
+    def __init__(self):
+        self.items = []
+
+    def push(self, item):
+        self.items.append(item)
+
+    def pop(self):
+        if not self.items:
+            raise IndexError('pop from empty stack')
+        return self.items.pop()
+`;
+
+const PYTHON_TESTS = `
+import pytest
+from solution import Stack
+
+
+def test_push_pop():
+    stack = Stack()
+    stack.push(1)
+    stack.push(2)
+    assert stack.pop() == 2
+
+
+def test_empty():
+    with pytest.raises(IndexError):
+        Stack().pop()
+
+
+def test_wrong():
+    assert Stack().items == [1]
+
+
+class TestErrors:
+    def setup_method(self):
+        self.stack = Stack()
+
+    def test_error(self):
+        self.stack.peek()
+
+
+@pytest.fixture
+def broken():
+    raise RuntimeError('fixture failed')
+
+
+def test_fixture(broken):
+    assert True
+
+
+@pytest.mark.skip(reason='not ready')
+def test_skipped():
+    assert False
+
+
+@pytest.mark.parametrize('items', [[1], [1, 2]])
+def test_pushes(items):
+    stack = Stack()
+    for item in items:
+        stack.push(item)
+    assert stack.pop() == items[-1]
+`;
+
+const PYTHON_NAMES = [
+  'test_push_pop',
+  'test_empty',
+  'test_wrong',
+  'TestErrors::test_error',
+  'test_fixture',
+  'test_skipped',
+  'test_pushes[items0]',
+  'test_pushes[items1]'
+];
+
+const JAVASCRIPT_SOLUTION = `
+const add = (a, b) => a + b;
+const divide = (a, b) => {
+  if (b === 0) throw new RangeError('division by zero');
+  return a / b;
+};
+module.exports = { add, divide };
+`;
+
+const JAVASCRIPT_TESTS = `
+const assert = require('assert');
+const { add, divide } = require('./solution');
+
+describe('add', () => {
+  test('adds', () => assert.strictEqual(add(2, 3), 5));
+  test('waits', async () => {
+    const sum = await Promise.resolve(add(1, 1));
+    assert.strictEqual(sum, 3);
+  });
+});
+
+test('divides by zero', () => {
+  assert.throws(() => divide(1, 0), RangeError);
+});
+`;
+
+const JAVASCRIPT_NAMES = ['add > adds', 'add > waits', 'divides by zero'];
+
+const JAVA_SOLUTION = `
+public class Stack {
+    private final java.util.ArrayList<Integer> items = new java.util.ArrayList<>();
+
+    public void push(int item) {
+        items.add(item);
+    }
+
+    public int pop() {
+        if (items.isEmpty()) throw new IllegalStateException("empty stack");
+        return items.remove(items.size() - 1);
+    }
+}
+`;
+
+const JAVA_TESTS = `
+import org.junit.jupiter.api.BeforeEach;
+import org.junit.jupiter.api.Disabled;
+import org.junit.jupiter.api.Test;
+import static org.junit.jupiter.api.Assertions.*;
+
+public class StackTest {
+    private Stack stack;
+
+    @BeforeEach
+    void setUp() {
+        stack = new Stack();
+    }
+
+    @Test
+    void pushPop() {
+        stack.push(1);
+        stack.push(2);
+        assertEquals(2, stack.pop());
+    }
+
+    @Test
+    void empty() {
+        assertThrows(IllegalStateException.class, () -> stack.pop());
+    }
+
+    @Test
+    void wrong() {
+        stack.push(1);
+        assertEquals(2, stack.pop(), "top of the stack");
+    }
+
+    @Test
+    void error() {
+        stack.pop();
+    }
+
+    @Disabled("not ready")
+    @Test
+    void disabled() {
+        fail();
+    }
+}
+`;
+
+const JAVA_NAMES = ['StackTest.pushPop', 'StackTest.empty', 'StackTest.wrong', 'StackTest.error', 'StackTest.disabled'];
+
+// The frameworks the harnesses run the tests with
+const hasPytest = spawnSync('python3', ['-c', 'import pytest']).status === 0;
+const hasJUnit = Boolean(executionConfig.local.junitJar) && spawnSync('javac', ['-version']).status === 0;
+
+describeSandbox('unit-test runner on the local runner', () => {
+  beforeAll(() => {
+    executionService.setBackend(createLocalBackend());
+  });
+
+  afterAll(() => {
+    executionService.setBackend(null);
+  });
+
+  const run = async (code, language, tests, names) => {
+    const job = prepareUnitTestSubmission(code, language, { code: tests, timeLimit: 5 });
+    const [{ result }] = await executionService.executeAll([job], { graded: true });
+    return toTestResults(result, names.map(name => ({ name })));
+  };
+
+  (hasPytest ? describe : describe.skip)('pytest', () => {
+    test('runs the tests against the python solution', async () => {
+      const results = await run(PYTHON_SOLUTION, 'python', PYTHON_TESTS, PYTHON_NAMES);
+
+      expect(results.map(toVerdict)).toEqual([
+        VERDICTS.ACCEPTED,
+        VERDICTS.ACCEPTED,
+        VERDICTS.WRONG_ANSWER,
+        VERDICTS.RUNTIME_ERROR,
+        VERDICTS.RUNTIME_ERROR,
+        VERDICTS.SKIPPED,
+        VERDICTS.ACCEPTED,
+        VERDICTS.ACCEPTED
+      ]);
+      expect(results[2].message).toMatch(/^assert \[\] == \[1\]/);
+      expect(results[3].message).toMatch(/peek/);
+      expect(results[4].message).toBe('RuntimeError: fixture failed');
+      expect(results[5].message).toBe('not ready');
+    });
+
+    test('fails every test when the solution does not load', async () => {
+      const results = await run('def broken(:\n', 'python', PYTHON_TESTS, PYTHON_NAMES);
+
+      results.forEach(result => {
+        expect(toVerdict(result)).toBe(VERDICTS.RUNTIME_ERROR);
+        expect(result.message).toMatch(/^Tests could not be loaded: .*SyntaxError/);
+      });
+    });
+
+    test('keeps the test file from the solution', async () => {
+      const results = await run('import os\nSEEN = os.listdir(".")', 'python', `
+from solution import SEEN
+
+
+def test_sandbox():
+    assert 'test_solution.py' not in SEEN
+`, ['test_sandbox']);
+
+      expect(toVerdict(results[0])).toBe(VERDICTS.ACCEPTED);
+    });
+  });
+
+  (hasJUnit ? describe : describe.skip)('JUnit', () => {
+    test('runs the tests against the java solution', async () => {
+      const results = await run(JAVA_SOLUTION, 'java', JAVA_TESTS, JAVA_NAMES);
+
+      expect(results.map(toVerdict)).toEqual([
+        VERDICTS.ACCEPTED,
+        VERDICTS.ACCEPTED,
+        VERDICTS.WRONG_ANSWER,
+        VERDICTS.RUNTIME_ERROR,
+        VERDICTS.SKIPPED
+      ]);
+      expect(results[2].message).toBe('top of the stack ==> expected: <2> but was: <1>');
+      expect(results[3].message).toBe('java.lang.IllegalStateException: empty stack');
+    });
+  });
+
+  test('does not run java tests without JUnit', async () => {
+    const backend = new LocalBackend({ ...executionConfig.local, junitJar: undefined });
+    const job = prepareUnitTestSubmission(JAVA_SOLUTION, 'java', { code: JAVA_TESTS, timeLimit: 5 });
+
+    await expect(backend.runUnitTests(job)).rejects.toMatchObject({
+      message: 'JUnit is not installed on the local runner',
+      status: STATUS.INTERNAL_ERROR
+    });
+  });
+
+  test('runs node assert tests against the javascript solution', async () => {
+    const results = await run(JAVASCRIPT_SOLUTION, 'javascript', JAVASCRIPT_TESTS, JAVASCRIPT_NAMES);
+
+    expect(results.map(result => result.status.id)).toEqual([STATUS.ACCEPTED, STATUS.WRONG_ANSWER, STATUS.ACCEPTED]);
+  });
+});
@@ -0,0 +1,53 @@
+/* eslint-env jest */
+
+const { STATUS, buildStatus } = require('../statuses');
+const { VERDICTS, toVerdict, summarizeVerdict } = require('../verdicts');
+
+const result = (statusId, extra = {}) => ({ status: buildStatus(statusId), ...extra });
+
+describe('toVerdict', () => {
+  test.each([
+    [STATUS.ACCEPTED, VERDICTS.ACCEPTED],
+    [STATUS.WRONG_ANSWER, VERDICTS.WRONG_ANSWER],
+    [STATUS.TIME_LIMIT_EXCEEDED, VERDICTS.TIME_LIMIT_EXCEEDED],
+    [STATUS.COMPILATION_ERROR, VERDICTS.COMPILATION_ERROR],
+    [STATUS.RUNTIME_ERROR_SIGSEGV, VERDICTS.RUNTIME_ERROR],
+    [STATUS.RUNTIME_ERROR_NZEC, VERDICTS.RUNTIME_ERROR],
+    [STATUS.RUNTIME_ERROR_OTHER, VERDICTS.RUNTIME_ERROR],
+    [STATUS.INTERNAL_ERROR, VERDICTS.INTERNAL_ERROR]
+  ])('maps status %i to %s', (statusId, verdict) => {
+    expect(toVerdict(result(statusId))).toBe(verdict);
+  });
+
+  test('maps backend failures and missing results to IE', () => {
+    expect(toVerdict({ status: { id: 'error' }, backendError: true })).toBe(VERDICTS.INTERNAL_ERROR);
+    expect(toVerdict(undefined)).toBe(VERDICTS.INTERNAL_ERROR);
+  });
+
+  test('maps skipped test cases to SK', () => {
+    expect(toVerdict({ status: { id: 'skipped' }, skipped: true })).toBe(VERDICTS.SKIPPED);
+  });
+
+  test('treats a crash near the memory limit as MLE', () => {
+    const limits = { effective: { memoryLimit: 64 } };
+    expect(toVerdict(result(STATUS.RUNTIME_ERROR_SIGSEGV, { memory: 63 * 1024, limits }))).toBe(VERDICTS.MEMORY_LIMIT_EXCEEDED);
+    expect(toVerdict(result(STATUS.RUNTIME_ERROR_SIGSEGV, { memory: 8 * 1024, limits }))).toBe(VERDICTS.RUNTIME_ERROR);
+  });
+
+  test('treats out-of-memory errors of the runtimes as MLE', () => {
+    expect(toVerdict(result(STATUS.RUNTIME_ERROR_NZEC, { stderr: 'Traceback ...\nMemoryError' }))).toBe(VERDICTS.MEMORY_LIMIT_EXCEEDED);
+    expect(toVerdict(result(STATUS.RUNTIME_ERROR_SIGABRT, { stderr: 'what():  std::bad_alloc' }))).toBe(VERDICTS.MEMORY_LIMIT_EXCEEDED);
+  });
+});
+
+describe('summarizeVerdict', () => {
+  test('is AC when every test passed', () => {
+    expect(summarizeVerdict([VERDICTS.ACCEPTED, VERDICTS.ACCEPTED])).toBe(VERDICTS.ACCEPTED);
+    expect(summarizeVerdict([])).toBe(VERDICTS.ACCEPTED);
+  });
+
+  test('is the first failing verdict', () => {
+    expect(summarizeVerdict([VERDICTS.ACCEPTED, VERDICTS.TIME_LIMIT_EXCEEDED, VERDICTS.WRONG_ANSWER]))
+      .toBe(VERDICTS.TIME_LIMIT_EXCEEDED);
+  });
+});
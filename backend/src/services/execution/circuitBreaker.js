@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+
+// Circuit states
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Raised instead of calling the backend while the circuit is open
+class CircuitOpenError extends Error {
+  constructor(retryIn) {
+    super('Code execution service is temporarily unavailable');
+    this.name = 'CircuitOpenError';
+    this.retryIn = retryIn;
+  }
+}
+
+// Error codes of requests that never got an answer from the backend
+const TRANSPORT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ERR_NETWORK'
+]);
+
+// Helper function to tell backend outages from errors caused by the
+// request. Only transport errors, timeouts, 5xx responses and failures a
+// backend marks as its own (error.outage, e.g. a sandbox that could not be
+// set up) count; anything else, such as a rejected submission or a JobError,
+// is the request's fault.
+const isOutage = (error) => {
+  if (error instanceof CircuitOpenError) {
+    return false;
+  }
+  const status = error.response?.status;
+  if (status) {
+    return status >= 500;
+  }
+  return error.outage === true || TRANSPORT_ERROR_CODES.has(error.code);
+};
+
+// Circuit breaker around an unreliable service. After failureThreshold
+// consecutive outages the circuit opens and calls fail at once; after
+// resetTimeout one trial call is let through (half open) and its outcome
+// closes or reopens the circuit. Emits 'open' and 'close'.
+class CircuitBreaker extends EventEmitter {
+  constructor({ failureThreshold = 5, resetTimeout = 30000 } = {}) {
+    super();
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  // Milliseconds until a trial call is allowed, 0 when calls are allowed
+  getRetryIn() {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.openedAt + this.resetTimeout - Date.now());
+  }
+
+  // Whether a call may go through now; moves an open circuit to half open
+  // once resetTimeout has passed
+  allowRequest() {
+    if (this.state === STATES.OPEN && this.getRetryIn() === 0) {
+      this.state = STATES.HALF_OPEN;
+    }
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.trialInProgress) {
+        return false;
+      }
+      this.trialInProgress = true;
+    }
+    return this.state !== STATES.OPEN;
+  }
+
+  // Whether calls are expected to go through, without starting a trial
+  isAvailable() {
+    return this.state === STATES.CLOSED || this.getRetryIn() === 0;
+  }
+
+  recordSuccess() {
+    const wasClosed = this.state === STATES.CLOSED;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+    if (!wasClosed) {
+      this.emit('close');
+    }
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInProgress = false;
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      const wasOpen = this.state !== STATES.CLOSED;
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      if (!wasOpen) {
+        this.emit('open');
+      }
+    }
+  }
+
+  // Run fn through the breaker: rejects with CircuitOpenError while open
+  async call(fn) {
+    if (!this.allowRequest()) {
+      throw new CircuitOpenError(this.getRetryIn());
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isOutage(error)) {
+        this.recordFailure();
+      } else if (this.state === STATES.HALF_OPEN) {
+        // The backend answered, so it is up again
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryIn: Math.ceil(this.getRetryIn() / 1000) // seconds
+    };
+  }
+}
+
+module.exports = {
+  STATES,
+  CircuitBreaker,
+  CircuitOpenError,
+  isOutage
+};
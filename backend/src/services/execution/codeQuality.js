@@ -0,0 +1,430 @@
+// Code quality analysis for coding submissions
+//
+// A small linter that runs locally on submitted code: the code is read, never
+// executed, so no execution backend is involved. Comments and string literals
+// are blanked out first so they neither count as code nor trigger rules.
+//
+// Rules:
+//   complexity    a function's cyclomatic complexity exceeds maxComplexity
+//   line-length   a line is longer than maxLineLength characters
+//   naming        a function, class or variable breaks the language's naming
+//                 convention (Python, Java and JavaScript)
+//   forbidden     the code uses one of the question's forbidden constructs
+//
+// Every annotation costs style points (RULE_PENALTIES, at most
+// MAX_RULE_PENALTY per rule); the style score is what is left of 100.
+
+const QUALITY_RULES = ['complexity', 'line-length', 'naming', 'forbidden'];
+const RULE_PENALTIES = { complexity: 10, 'line-length': 2, naming: 5, forbidden: 25 };
+const MAX_RULE_PENALTY = 50;
+const MAX_ANNOTATIONS = 100;
+
+const DEFAULT_MAX_COMPLEXITY = 10;
+const DEFAULT_MAX_LINE_LENGTH = 100;
+
+// Brace languages: keywords followed by "(...) {" that do not start a function
+const NOT_FUNCTIONS = new Set(['if', 'for', 'while', 'switch', 'catch', 'try', 'return', 'sizeof', 'synchronized', 'using', 'lock']);
+
+const DECISION_PATTERNS = {
+  python: /\b(?:if|elif|for|while|except|and|or|case)\b/g,
+  // Ternaries count; optional chaining, ?? and Java generic wildcards don't
+  default: /\b(?:if|for|while|case|catch)\b|&&|\|\||(?<!\?)\?(?![.?:]|\s*(?:extends|super)\b|\s*[>,])/g
+};
+
+const SNAKE_CASE = /^_{0,2}[a-z][a-z0-9_]*$/;
+const CAMEL_CASE = /^_?[a-z][a-zA-Z0-9]*$/;
+const PASCAL_CASE = /^_?[A-Z][a-zA-Z0-9]*$/;
+const CONSTANT_CASE = /^[A-Z][A-Z0-9_]*$/;
+
+// Naming conventions by language and kind of name: [accepted patterns, name of the convention]
+const NAMING_CONVENTIONS = {
+  python: {
+    function: [[SNAKE_CASE], 'snake_case'],
+    class: [[PASCAL_CASE], 'PascalCase'],
+    variable: [[SNAKE_CASE, CONSTANT_CASE], 'snake_case']
+  },
+  java: {
+    function: [[CAMEL_CASE], 'camelCase'],
+    class: [[PASCAL_CASE], 'PascalCase']
+  },
+  javascript: {
+    function: [[CAMEL_CASE, PASCAL_CASE], 'camelCase'],
+    class: [[PASCAL_CASE], 'PascalCase'],
+    variable: [[CAMEL_CASE, CONSTANT_CASE], 'camelCase']
+  }
+};
+
+// Functions without a block body assigned to a name: arrow functions with an
+// expression body and Python lambdas
+const EXPRESSION_FUNCTION_PATTERNS = {
+  python: /^[ \t]*([A-Za-z_]\w*)[ \t]*=[ \t]*lambda\b[^:\n]*:/gm,
+  javascript: /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:\([^()]*\)|[A-Za-z_$][\w$]*)\s*=>\s*(?![\s{])/g
+};
+
+const CLASS_PATTERNS = {
+  python: /^[ \t]*class\s+(\w+)/gm,
+  java: /\b(?:class|interface|enum|record)\s+(\w+)/g,
+  javascript: /\bclass\s+(\w+)/g
+};
+
+const VARIABLE_PATTERNS = {
+  // Assignments starting a line, except keyword arguments of multi-line calls
+  python: /^[ \t]*([A-Za-z_]\w*)[ \t]*(?::[^=\n]+)?=(?!=)(?![^\n]*,[ \t]*$)/gm,
+  javascript: /\b(?:let|const|var)\s+([A-Za-z_$][\w$]*)/g
+};
+
+const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+// Helper function to blank out comments and the contents of string literals,
+// keeping every character's position
+const stripCode = (language, code) => {
+  const python = language === 'python';
+  const lineComment = python ? '#' : '//';
+  const tripleQuotes = python || language === 'java';
+  let result = '';
+  let index = 0;
+
+  while (index < code.length) {
+    const char = code[index];
+    if (code.startsWith(lineComment, index)) {
+      const end = code.indexOf('\n', index);
+      const stop = end === -1 ? code.length : end;
+      result += blank(code.slice(index, stop));
+      index = stop;
+    } else if (!python && code.startsWith('/*', index)) {
+      const end = code.indexOf('*/', index + 2);
+      const stop = end === -1 ? code.length : end + 2;
+      result += blank(code.slice(index, stop));
+      index = stop;
+    } else if (char === '"' || char === '\'' || (char === '`' && language === 'javascript')) {
+      const quote = tripleQuotes && code.startsWith(char.repeat(3), index) ? char.repeat(3) : char;
+      const multiline = quote.length === 3 || char === '`';
+      let end = index + quote.length;
+      while (end < code.length && !code.startsWith(quote, end) && (multiline || code[end] !== '\n')) {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      end = Math.min(end, code.length);
+      const closed = code.startsWith(quote, end);
+      result += quote + blank(code.slice(index + quote.length, end)) + (closed ? quote : '');
+      index = closed ? end + quote.length : end;
+    } else {
+      result += char;
+      index++;
+    }
+  }
+  return result;
+};
+
+// Helper function to map character positions to 1-based line numbers
+const createLineLookup = (text) => {
+  const starts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    starts.push(index + 1);
+  }
+  return (position) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  };
+};
+
+const findPythonFunctions = (stripped) => {
+  const lines = stripped.split('\n');
+  const functions = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^([ \t]*)(?:async\s+)?def\s+(\w+)\s*\(/);
+    if (!match) {
+      return;
+    }
+    const indent = match[1].length;
+    let end = index + 1;
+    while (end < lines.length && (!lines[end].trim() || lines[end].match(/^[ \t]*/)[0].length > indent)) {
+      end++;
+    }
+    functions.push({ name: match[2], line: index + 1, body: lines.slice(index, end).join('\n') });
+  });
+  return functions;
+};
+
+// Helper function to name the function whose body starts after head: '' for
+// anonymous functions and lambdas, null when the block is not a function body
+const getFunctionName = (head) => {
+  let text = head.trimEnd();
+  text = text.replace(/\bthrows\s+[\w.\s,<>]+$/, '').trimEnd();
+  while (/\b(?:const|noexcept|override|final)$/.test(text)) {
+    text = text.replace(/\w+$/, '').trimEnd();
+  }
+
+  if (text.endsWith('->')) {
+    return '';
+  }
+  if (text.endsWith('=>')) {
+    const match = text.match(/(\w+)\s*[=:]\s*(?:async\s*)?(?:\([^()]*\)|\w+)\s*=>$/);
+    return match ? match[1] : '';
+  }
+  if (!text.endsWith(')')) {
+    return null;
+  }
+
+  let depth = 0;
+  let index = text.length - 1;
+  for (; index >= 0; index--) {
+    if (text[index] === ')') {
+      depth++;
+    } else if (text[index] === '(' && --depth === 0) {
+      break;
+    }
+  }
+  const before = text.slice(0, Math.max(index, 0));
+  const match = before.match(/(\w+)\s*$/);
+  if (!match) {
+    return '';
+  }
+  if (NOT_FUNCTIONS.has(match[1]) || /\bnew\s+[\w.]+\s*$/.test(before)) {
+    return null;
+  }
+  if (match[1] === 'function') {
+    // Function expressions are named after what they are assigned to
+    const assigned = before.match(/(\w+)\s*[=:]\s*(?:async\s+)?function\s*$/);
+    return assigned ? assigned[1] : '';
+  }
+  return match[1];
+};
+
+// Helper function to match every brace in one pass: maps the position of
+// each opening brace to the position after its closing brace (the end of the
+// code when it is never closed)
+const matchBraces = (stripped) => {
+  const ends = new Map();
+  const open = [];
+  for (let index = 0; index < stripped.length; index++) {
+    if (stripped[index] === '{') {
+      open.push(index);
+    } else if (stripped[index] === '}' && open.length > 0) {
+      ends.set(open.pop(), index + 1);
+    }
+  }
+  open.forEach(index => ends.set(index, stripped.length));
+  return ends;
+};
+
+const findBraceFunctions = (stripped, lineOf) => {
+  const functions = [];
+  const ends = matchBraces(stripped);
+  for (let index = stripped.indexOf('{'); index !== -1; index = stripped.indexOf('{', index + 1)) {
+    const name = getFunctionName(stripped.slice(Math.max(0, index - 500), index));
+    if (name !== null) {
+      functions.push({ name, line: lineOf(index), body: stripped.slice(index, ends.get(index)) });
+    }
+  }
+  return functions;
+};
+
+// Helper function to find where an expression body starting at start ends:
+// at a semicolon or line break outside brackets, or at an unmatched
+// closing bracket
+const findExpressionEnd = (stripped, start) => {
+  let depth = 0;
+  for (let index = start; index < stripped.length; index++) {
+    const char = stripped[index];
+    if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char) && --depth < 0) {
+      return index;
+    } else if (depth === 0 && (char === ';' || char === '\n')) {
+      return index;
+    }
+  }
+  return stripped.length;
+};
+
+const findExpressionFunctions = (language, stripped, lineOf) => {
+  const pattern = EXPRESSION_FUNCTION_PATTERNS[language];
+  if (!pattern) {
+    return [];
+  }
+  return Array.from(stripped.matchAll(pattern), match => {
+    const start = match.index + match[0].length;
+    return { name: match[1], line: lineOf(match.index), body: stripped.slice(start, findExpressionEnd(stripped, start)) };
+  });
+};
+
+// Functions defined in code ({ name, line, body }, name '' when anonymous),
+// with comments and strings blanked out of their bodies. Functions without a
+// block body (arrow functions, lambdas) count when assigned to a name; their
+// body is the expression.
+const findFunctions = (language, code) => {
+  const stripped = stripCode(language, code);
+  const lineOf = createLineLookup(stripped);
+  const functions = language === 'python'
+    ? findPythonFunctions(stripped)
+    : findBraceFunctions(stripped, lineOf);
+  return functions.concat(findExpressionFunctions(language, stripped, lineOf));
+};
+
+// Helper function to measure the cyclomatic complexity of some code
+const getComplexity = (language, code) => {
+  const pattern = DECISION_PATTERNS[language] || DECISION_PATTERNS.default;
+  return 1 + (code.match(pattern) || []).length;
+};
+
+// Regular expression matching a construct such as "sorted(" or
+// "Collections.sort" in code, whatever the spacing around punctuation
+const toConstructPattern = (construct) => {
+  const tokens = construct.match(/\w+|[^\w\s]/g) || [];
+  const source = tokens.map((token, index) => {
+    const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (index === 0) {
+      return escaped;
+    }
+    return (/\w/.test(token) && /\w/.test(tokens[index - 1]) ? '\\s+' : '\\s*') + escaped;
+  }).join('');
+  const start = /^\w/.test(construct.trim()) ? '\\b' : '';
+  const end = /\w$/.test(construct.trim()) ? '\\b' : '';
+  return new RegExp(`${start}${source}${end}`, 'g');
+};
+
+// Positions ({ line, column }, 1-based) where code uses a construct,
+// outside comments and strings
+const findConstruct = (language, code, construct) => {
+  const stripped = stripCode(language, code);
+  const lineOf = createLineLookup(stripped);
+  return Array.from(stripped.matchAll(toConstructPattern(construct)), match => {
+    const line = lineOf(match.index);
+    return { line, column: match.index - stripped.lastIndexOf('\n', match.index - 1) };
+  });
+};
+
+// Helper function to check names against the language's conventions; each
+// name is reported once
+const checkNaming = (language, stripped, functions, lineOf) => {
+  const conventions = NAMING_CONVENTIONS[language];
+  if (!conventions) {
+    return [];
+  }
+
+  const annotations = [];
+  const reported = new Set();
+  const check = (kind, name, line) => {
+    const [patterns, convention] = conventions[kind] || [];
+    if (!patterns || !name || reported.has(name) || patterns.some(pattern => pattern.test(name))) {
+      return;
+    }
+    reported.add(name);
+    annotations.push({ rule: 'naming', line, message: `${kind[0].toUpperCase()}${kind.slice(1)} name '${name}' should be ${convention}` });
+  };
+
+  const classes = Array.from(stripped.matchAll(CLASS_PATTERNS[language]), match => ({ name: match[1], line: lineOf(match.index) }));
+  const classNames = new Set(classes.map(({ name }) => name));
+  classes.forEach(({ name, line }) => check('class', name, line));
+  // Constructors are named after their class
+  functions
+    .filter(({ name }) => !classNames.has(name))
+    .forEach(({ name, line }) => check('function', name, line));
+  if (VARIABLE_PATTERNS[language]) {
+    for (const match of stripped.matchAll(VARIABLE_PATTERNS[language])) {
+      check('variable', match[1], lineOf(match.index));
+    }
+  }
+  return annotations;
+};
+
+// Helper function to compute the style score of a list of annotations
+const scoreAnnotations = (annotations) => {
+  const penalties = {};
+  annotations.forEach(({ rule }) => {
+    penalties[rule] = Math.min((penalties[rule] || 0) + RULE_PENALTIES[rule], MAX_RULE_PENALTY);
+  });
+  return Math.max(0, 100 - Object.values(penalties).reduce((sum, penalty) => sum + penalty, 0));
+};
+
+// Analyze code against a question's quality settings
+// ({ maxComplexity, maxLineLength, naming, forbidden: [{ construct, message }] }).
+// Returns { score (0-100), metrics, annotations: [{ rule, severity, line, message }] }
+const analyze = (language, code, settings = {}) => {
+  const maxComplexity = settings.maxComplexity || DEFAULT_MAX_COMPLEXITY;
+  const maxLineLength = settings.maxLineLength || DEFAULT_MAX_LINE_LENGTH;
+  const stripped = stripCode(language, code);
+  const lineOf = createLineLookup(stripped);
+  const annotations = [];
+
+  // Code outside functions counts as one when there are no functions
+  let functions = language === 'python' ? findPythonFunctions(stripped) : findBraceFunctions(stripped, lineOf);
+  if (functions.length === 0 && stripped.trim()) {
+    functions = [{ name: '', line: 1, body: stripped }];
+  }
+  const complexities = functions.map(({ body }) => getComplexity(language, body));
+
+  functions.forEach(({ name, line }, index) => {
+    if (complexities[index] > maxComplexity) {
+      const label = name ? `Function '${name}'` : 'This code';
+      annotations.push({
+        rule: 'complexity',
+        line,
+        message: `${label} has a cyclomatic complexity of ${complexities[index]} (limit ${maxComplexity})`
+      });
+    }
+  });
+
+  code.split('\n').forEach((line, index) => {
+    const length = line.replace(/\r$/, '').length;
+    if (length > maxLineLength) {
+      annotations.push({
+        rule: 'line-length',
+        line: index + 1,
+        message: `Line is ${length} characters long (limit ${maxLineLength})`
+      });
+    }
+  });
+
+  if (settings.naming !== false) {
+    annotations.push(...checkNaming(language, stripped, functions, lineOf));
+  }
+
+  (settings.forbidden || []).forEach(({ construct, message }) => {
+    findConstruct(language, code, construct).forEach(({ line }) => {
+      annotations.push({ rule: 'forbidden', line, message: message || `'${construct}' is not allowed in this question` });
+    });
+  });
+
+  annotations.forEach(annotation => {
+    annotation.severity = annotation.rule === 'forbidden' ? 'error' : 'warning';
+  });
+  annotations.sort((a, b) => a.line - b.line);
+
+  // Forbidden constructs cost their points once however often they are used
+  const scored = annotations.filter((annotation, index) => annotation.rule !== 'forbidden' ||
+    annotations.findIndex(other => other.rule === 'forbidden' && other.message === annotation.message) === index);
+
+  return {
+    score: scoreAnnotations(scored),
+    metrics: {
+      lines: stripped.split('\n').filter(line => line.trim()).length,
+      functions: functions.filter(({ name }) => name !== '' || functions.length > 1).length,
+      maxComplexity: complexities.length > 0 ? Math.max(...complexities) : 0,
+      averageComplexity: complexities.length > 0
+        ? Math.round(complexities.reduce((sum, value) => sum + value, 0) / complexities.length * 100) / 100
+        : 0
+    },
+    annotations: annotations.slice(0, MAX_ANNOTATIONS)
+  };
+};
+
+module.exports = {
+  QUALITY_RULES,
+  DEFAULT_MAX_COMPLEXITY,
+  DEFAULT_MAX_LINE_LENGTH,
+  stripCode,
+  findConstruct,
+  findFunctions,
+  analyze
+};
@@ -0,0 +1,123 @@
+// Construct rules of coding questions
+//
+// A rule forbids or requires something in the submitted code:
+//   construct   a library call, keyword or other code, e.g. "sorted(" or
+//               "Collections.sort" (matched outside comments and strings,
+//               whatever the spacing around punctuation)
+//   recursion   a function that calls itself, directly or as a method of
+//               this or self (arrow functions and lambdas included when
+//               assigned to a name)
+//   class       a class (or struct, interface, enum) named name
+//   function    a function or method named name
+// Attempts using a forbidden construct are rejected with the RV verdict
+// before they run. A required construct that can't be found is only a
+// warning: the checks read the code without parsing it, so they may miss it.
+
+const { findConstruct, findFunctions, stripCode } = require('./codeQuality');
+
+const RULE_TYPES = ['forbid', 'require'];
+const RULE_KINDS = ['construct', 'recursion', 'class', 'function'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to validate construct rules; returns a list of problems
+const validateConstructRules = (rules = []) => {
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    const label = `Construct rule ${index + 1}`;
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label} type must be one of: ${RULE_TYPES.join(', ')}`);
+    }
+    const kind = rule.kind || 'construct';
+    if (!RULE_KINDS.includes(kind)) {
+      errors.push(`${label} kind must be one of: ${RULE_KINDS.join(', ')}`);
+    } else if (kind === 'construct' && !rule.construct?.trim()) {
+      errors.push(`${label} must name the construct`);
+    } else if (['class', 'function'].includes(kind) && !/^[A-Za-z_]\w*$/.test(rule.construct || '')) {
+      errors.push(`${label} must name the ${kind} with a valid identifier`);
+    }
+  });
+  return errors;
+};
+
+// Helper function to check whether a function's body calls the function.
+// Calls on another object (e.g. list.size()) don't count; calls on this,
+// self or cls do.
+const callsItself = (name, body) => {
+  const escaped = escapeRegExp(name);
+  // Python bodies start with their def line, which names the function once
+  const calls = body.replace(new RegExp(`\\bdef\\s+${escaped}\\b`), '');
+  return new RegExp(`(?:\\b(?:this|self|cls)\\s*\\.\\s*|(?<![\\w$.]|\\.\\s+))${escaped}\\s*\\(`).test(calls);
+};
+
+// Lines where code uses what a rule describes; empty when it doesn't
+const findRuleMatches = (language, code, rule) => {
+  const kind = rule.kind || 'construct';
+
+  if (kind === 'construct') {
+    return findConstruct(language, code, rule.construct).map(({ line }) => line);
+  }
+  if (kind === 'class') {
+    const stripped = stripCode(language, code);
+    const pattern = new RegExp(`\\b(?:class|struct|interface|enum|record)\\s+${escapeRegExp(rule.construct)}\\b`, 'g');
+    return Array.from(stripped.matchAll(pattern), match => stripped.slice(0, match.index).split('\n').length);
+  }
+
+  const functions = findFunctions(language, code);
+  if (kind === 'function') {
+    return functions.filter(({ name }) => name === rule.construct).map(({ line }) => line);
+  }
+  return functions
+    .filter(({ name, body }) => name && callsItself(name, body))
+    .map(({ line }) => line);
+};
+
+// Helper function to describe a broken rule
+const describeViolation = (rule) => {
+  if (rule.message) {
+    return rule.message;
+  }
+
+  const forbid = rule.type === 'forbid';
+  switch (rule.kind || 'construct') {
+    case 'recursion':
+      return forbid ? 'The solution must not use recursion' : 'The solution must use recursion';
+    case 'class':
+      return `The solution must ${forbid ? 'not ' : ''}define a class named ${rule.construct}`;
+    case 'function':
+      return `The solution must ${forbid ? 'not ' : ''}define a function named ${rule.construct}`;
+    default:
+      return forbid
+        ? `'${rule.construct}' is not allowed in this question`
+        : `The solution must use '${rule.construct}'`;
+  }
+};
+
+// Check code against a question's construct rules.
+// Returns the broken rules as [{ type, kind, construct, line, message }];
+// broken require rules are warnings (see above)
+const checkConstructRules = (language, code, rules = []) => {
+  const violations = [];
+
+  rules.forEach(rule => {
+    const lines = findRuleMatches(language, code, rule);
+    if ((rule.type === 'forbid') === (lines.length > 0)) {
+      violations.push({
+        type: rule.type,
+        kind: rule.kind || 'construct',
+        construct: rule.construct,
+        line: rule.type === 'forbid' ? lines[0] : undefined,
+        message: describeViolation(rule)
+      });
+    }
+  });
+  return violations;
+};
+
+module.exports = {
+  RULE_TYPES,
+  RULE_KINDS,
+  validateConstructRules,
+  checkConstructRules
+};
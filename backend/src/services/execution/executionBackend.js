@@ -0,0 +1,70 @@
+// Base class for code execution backends
+//
+// A backend receives an execution job:
+//   { code, language, stdin, timeLimit (seconds), memoryLimit (MB) }
+// and resolves with a Judge0-shaped result, Accepted meaning the program ran
+// successfully (output checking is done by the execution service):
+//   { token, status: { id, description }, stdout, stderr, compile_output,
+//     time, memory, exit_code, exit_signal }
+// A job the backend cannot run because of the job itself is rejected with a
+// JobError (see statuses.js); other errors count as backend outages.
+const { JobError } = require('./statuses');
+
+class ExecutionBackend {
+  constructor(name) {
+    this.name = name;
+    // Question judge modes the backend can judge; interactive and unit-test
+    // questions need a backend that implements executeInteractive or
+    // executeUnitTests
+    this.judgeModes = ['standard', 'function'];
+  }
+
+  // Run a single job and wait for its result
+  async execute(job) {
+    throw new Error(`${this.name} backend does not implement execute()`);
+  }
+
+  // Prepare a program for running several test cases (jobs with the same
+  // code and language), compiling it once where the backend can. Resolves
+  // with { compileError, run(jobs, onResult), release() }: compileError is a
+  // Compilation Error result when the program does not compile; run resolves
+  // with one result per job and calls onResult(index, result) as each one
+  // finishes; release frees anything the program holds.
+  async prepareProgram(job) {
+    return {
+      compileError: null,
+      run: (jobs, onResult) => Promise.all(jobs.map(async (runJob, index) => {
+        const result = await this.execute(runJob);
+        if (onResult) {
+          onResult(index, result);
+        }
+        return result;
+      })),
+      release: async () => {}
+    };
+  }
+
+  // Run a job against an interactor program (job.interactor: { language, code })
+  async executeInteractive(job) {
+    throw new JobError(`${this.name} backend does not support interactive problems`);
+  }
+
+  // Run a job's code against a unit-test harness (job.unitTests, see
+  // unitTests.js). The tests must run where the student's code cannot reach
+  // them, so backends that run a single program do not support this.
+  async executeUnitTests(job) {
+    throw new JobError(`${this.name} backend does not support unit-test questions`);
+  }
+
+  // List the languages the backend can run
+  async getLanguages() {
+    throw new Error(`${this.name} backend does not implement getLanguages()`);
+  }
+
+  // Report backend availability: { status, responseTime }
+  async healthCheck() {
+    throw new Error(`${this.name} backend does not implement healthCheck()`);
+  }
+}
+
+module.exports = ExecutionBackend;
@@ -0,0 +1,731 @@
+// Function-signature harness for LeetCode-style questions
+//
+// The teacher describes a function ({ name, parameters: [{ name, type }], returnType })
+// and gives each test case typed arguments and an expected return value. Test
+// case input and expected output are encoded in a line-based text format, and
+// a per-language driver wrapped around the student's code parses the input,
+// calls the function and prints the return value.
+//
+// Input encoding, one value after another:
+//   int, long, double, boolean, string   one line
+//   int[], double[]                      a line with the length, a line of space separated values
+//   string[]                             a line with the length, one line per element
+//   int[][]                              a line with the row count, one line per row: "<length> v1 v2 ..."
+// Return values are printed the same way without length prefixes; doubles use
+// six decimals and booleans are printed as true/false.
+
+const HARNESS_TYPES = ['int', 'long', 'double', 'boolean', 'string', 'int[]', 'double[]', 'string[]', 'int[][]'];
+const HARNESS_LANGUAGES = ['python', 'java', 'c', 'cpp', 'javascript'];
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const TYPE_NAMES = {
+  python: {
+    int: 'int', long: 'int', double: 'float', boolean: 'bool', string: 'str',
+    'int[]': 'List[int]', 'double[]': 'List[float]', 'string[]': 'List[str]', 'int[][]': 'List[List[int]]'
+  },
+  java: {
+    int: 'int', long: 'long', double: 'double', boolean: 'boolean', string: 'String',
+    'int[]': 'int[]', 'double[]': 'double[]', 'string[]': 'String[]', 'int[][]': 'int[][]'
+  },
+  cpp: {
+    int: 'int', long: 'long long', double: 'double', boolean: 'bool', string: 'string',
+    'int[]': 'vector<int>', 'double[]': 'vector<double>', 'string[]': 'vector<string>', 'int[][]': 'vector<vector<int>>'
+  },
+  c: {
+    int: 'int', long: 'long long', double: 'double', boolean: 'bool', string: 'char*',
+    'int[]': 'int*', 'double[]': 'double*', 'string[]': 'char**', 'int[][]': 'int**'
+  },
+  javascript: {
+    int: 'number', long: 'number', double: 'number', boolean: 'boolean', string: 'string',
+    'int[]': 'number[]', 'double[]': 'number[]', 'string[]': 'string[]', 'int[][]': 'number[][]'
+  }
+};
+
+// Default return statements so generated starter code compiles
+const DEFAULT_RETURNS = {
+  java: {
+    int: 'return 0;', long: 'return 0L;', double: 'return 0.0;', boolean: 'return false;', string: 'return "";',
+    'int[]': 'return new int[0];', 'double[]': 'return new double[0];', 'string[]': 'return new String[0];', 'int[][]': 'return new int[0][];'
+  },
+  cpp: {
+    int: 'return 0;', long: 'return 0;', double: 'return 0.0;', boolean: 'return false;', string: 'return "";',
+    'int[]': 'return {};', 'double[]': 'return {};', 'string[]': 'return {};', 'int[][]': 'return {};'
+  },
+  c: {
+    int: 'return 0;', long: 'return 0;', double: 'return 0.0;', boolean: 'return false;', string: 'return "";',
+    'int[]': '*returnSize = 0;\n    return NULL;',
+    'double[]': '*returnSize = 0;\n    return NULL;',
+    'string[]': '*returnSize = 0;\n    return NULL;',
+    'int[][]': '*returnSize = 0;\n    *returnColumnSizes = NULL;\n    return NULL;'
+  }
+};
+
+const isArrayType = (type) => type.endsWith('[]');
+
+// Helper function to copy a signature out of a mongoose document
+const normalizeSignature = (signature) => ({
+  name: signature.name,
+  parameters: (signature.parameters || []).map(({ name, type }) => ({ name, type })),
+  returnType: signature.returnType
+});
+
+// Helper function to validate a signature; returns a list of problems
+const validateSignature = (signature) => {
+  const errors = [];
+  if (!signature || !IDENTIFIER_PATTERN.test(signature.name || '')) {
+    errors.push('Function name must be a valid identifier');
+    return errors;
+  }
+  if (!HARNESS_TYPES.includes(signature.returnType)) {
+    errors.push(`Return type must be one of: ${HARNESS_TYPES.join(', ')}`);
+  }
+  const names = new Set();
+  (signature.parameters || []).forEach((parameter, index) => {
+    if (!IDENTIFIER_PATTERN.test(parameter.name || '')) {
+      errors.push(`Parameter ${index + 1} must have a valid identifier as name`);
+    } else if (names.has(parameter.name)) {
+      errors.push(`Duplicate parameter name: ${parameter.name}`);
+    }
+    names.add(parameter.name);
+    if (!HARNESS_TYPES.includes(parameter.type)) {
+      errors.push(`Parameter ${parameter.name} must have a type among: ${HARNESS_TYPES.join(', ')}`);
+    }
+  });
+  return errors;
+};
+
+// Helper function to check a value against a harness type
+const assertValue = (type, value, label) => {
+  const fail = () => {
+    throw new Error(`${label} must be of type ${type}`);
+  };
+  const checkScalar = (scalarType, item) => {
+    if (scalarType === 'int' || scalarType === 'long') {
+      if (!Number.isInteger(item)) fail();
+    } else if (scalarType === 'double') {
+      if (typeof item !== 'number' || !Number.isFinite(item)) fail();
+    } else if (scalarType === 'boolean') {
+      if (typeof item !== 'boolean') fail();
+    } else if (typeof item !== 'string' || item.includes('\n')) {
+      fail();
+    }
+  };
+
+  if (type === 'int[][]') {
+    if (!Array.isArray(value) || !value.every(row => Array.isArray(row))) fail();
+    value.forEach(row => row.forEach(item => checkScalar('int', item)));
+  } else if (isArrayType(type)) {
+    if (!Array.isArray(value)) fail();
+    value.forEach(item => checkScalar(type.slice(0, -2), item));
+  } else {
+    checkScalar(type, value);
+  }
+};
+
+const encodeValue = (type, value) => {
+  switch (type) {
+    case 'int[]':
+    case 'double[]':
+      return `${value.length}\n${value.join(' ')}`;
+    case 'string[]':
+      return [value.length, ...value].join('\n');
+    case 'int[][]':
+      return [value.length, ...value.map(row => [row.length, ...row].join(' '))].join('\n');
+    default:
+      return String(value);
+  }
+};
+
+// Helper function to serialise a return value the way the drivers print it
+const serializeValue = (type, value) => {
+  switch (type) {
+    case 'double':
+      return value.toFixed(6);
+    case 'int[]':
+      return value.join(' ');
+    case 'double[]':
+      return value.map(item => item.toFixed(6)).join(' ');
+    case 'string[]':
+      return value.join('\n');
+    case 'int[][]':
+      return value.map(row => row.join(' ')).join('\n');
+    default:
+      return String(value);
+  }
+};
+
+// Helper function to encode a test case's arguments as program input
+const encodeArguments = (signature, args) => {
+  const { parameters } = signature;
+  if (!Array.isArray(args) || args.length !== parameters.length) {
+    throw new Error(`Expected ${parameters.length} arguments for ${signature.name}`);
+  }
+  return parameters.map((parameter, index) => {
+    assertValue(parameter.type, args[index], `Argument ${parameter.name}`);
+    return encodeValue(parameter.type, args[index]);
+  }).join('\n') + '\n';
+};
+
+// Fill input and expectedOutput of test cases that carry typed arguments
+const prepareTestCases = (signature, testCases) => {
+  const normalized = normalizeSignature(signature);
+  return testCases.map(testCase => {
+    if (!Array.isArray(testCase.arguments)) {
+      return testCase;
+    }
+    const prepared = { ...testCase, input: encodeArguments(normalized, testCase.arguments) };
+    if (testCase.expectedReturn !== undefined) {
+      assertValue(normalized.returnType, testCase.expectedReturn, 'Expected return value');
+      prepared.expectedOutput = serializeValue(normalized.returnType, testCase.expectedReturn) + '\n';
+    }
+    return prepared;
+  });
+};
+
+// C functions take array lengths next to arrays, LeetCode style
+const cParameters = (parameters, returnType) => {
+  const list = [];
+  parameters.forEach(({ name, type }) => {
+    list.push(`${TYPE_NAMES.c[type]} ${name}`);
+    if (type === 'int[][]') {
+      list.push(`int ${name}Size`, `int* ${name}ColSize`);
+    } else if (isArrayType(type)) {
+      list.push(`int ${name}Size`);
+    }
+  });
+  if (returnType === 'int[][]') {
+    list.push('int* returnSize', 'int** returnColumnSizes');
+  } else if (isArrayType(returnType)) {
+    list.push('int* returnSize');
+  }
+  return list.join(', ');
+};
+
+// Generate starter code for a language from the signature
+const generateStarterCode = (language, signature) => {
+  const { name, parameters, returnType } = normalizeSignature(signature);
+  const types = TYPE_NAMES[language];
+
+  switch (language) {
+    case 'python':
+      return [
+        'from typing import List',
+        '',
+        '',
+        'class Solution:',
+        `    def ${name}(${['self', ...parameters.map(p => `${p.name}: ${types[p.type]}`)].join(', ')}) -> ${types[returnType]}:`,
+        '        # Write your code here',
+        '        pass',
+        ''
+      ].join('\n');
+    case 'java':
+      return [
+        'class Solution {',
+        `    public ${types[returnType]} ${name}(${parameters.map(p => `${types[p.type]} ${p.name}`).join(', ')}) {`,
+        '        // Write your code here',
+        `        ${DEFAULT_RETURNS.java[returnType]}`,
+        '    }',
+        '}',
+        ''
+      ].join('\n');
+    case 'cpp':
+      return [
+        'class Solution {',
+        'public:',
+        `    ${types[returnType]} ${name}(${parameters.map(p => `${types[p.type]}${isArrayType(p.type) || p.type === 'string' ? '&' : ''} ${p.name}`).join(', ')}) {`,
+        '        // Write your code here',
+        `        ${DEFAULT_RETURNS.cpp[returnType]}`,
+        '    }',
+        '};',
+        ''
+      ].join('\n');
+    case 'c':
+      return [
+        `${types[returnType]} ${name}(${cParameters(parameters, returnType)}) {`,
+        '    // Write your code here',
+        `    ${DEFAULT_RETURNS.c[returnType]}`,
+        '}',
+        ''
+      ].join('\n');
+    case 'javascript':
+      return [
+        '/**',
+        ...parameters.map(p => ` * @param {${types[p.type]}} ${p.name}`),
+        ` * @return {${types[returnType]}}`,
+        ' */',
+        `function ${name}(${parameters.map(p => p.name).join(', ')}) {`,
+        '  // Write your code here',
+        '}',
+        ''
+      ].join('\n');
+    default:
+      throw new Error(`Function harness does not support language: ${language}`);
+  }
+};
+
+const PYTHON_DRIVER = `
+import sys as _harness_sys
+
+
+def _harness_main():
+    lines = _harness_sys.stdin.read().split('\\n')
+    position = [0]
+
+    def line():
+        value = lines[position[0]] if position[0] < len(lines) else ''
+        position[0] += 1
+        return value
+
+    def read(kind):
+        if kind in ('int', 'long'):
+            return int(line())
+        if kind == 'double':
+            return float(line())
+        if kind == 'boolean':
+            return line().strip() == 'true'
+        if kind == 'string':
+            return line()
+        if kind in ('int[]', 'double[]'):
+            size = int(line())
+            cast = int if kind == 'int[]' else float
+            return [cast(item) for item in line().split()[:size]]
+        if kind == 'string[]':
+            return [line() for _ in range(int(line()))]
+        rows = []
+        for _ in range(int(line())):
+            parts = line().split()
+            rows.append([int(item) for item in parts[1:1 + int(parts[0])]])
+        return rows
+
+    def fmt(kind, value):
+        if kind == 'double':
+            return '%.6f' % value
+        if kind == 'boolean':
+            return 'true' if value else 'false'
+        if kind == 'int[]':
+            return ' '.join(str(item) for item in value)
+        if kind == 'double[]':
+            return ' '.join('%.6f' % item for item in value)
+        if kind == 'string[]':
+            return '\\n'.join(value)
+        if kind == 'int[][]':
+            return '\\n'.join(' '.join(str(item) for item in row) for row in value)
+        return str(value)
+
+    args = [read(kind) for kind in __PARAMETER_TYPES__]
+    result = Solution().__NAME__(*args)
+    _harness_sys.stdout.write(fmt('__RETURN_TYPE__', result) + '\\n')
+
+
+_harness_main()
+`;
+
+const JAVASCRIPT_DRIVER = `
+(() => {
+  const harnessLines = require('fs').readFileSync(0, 'utf8').split('\\n');
+  let harnessPosition = 0;
+  const line = () => (harnessPosition < harnessLines.length ? harnessLines[harnessPosition++] : '');
+  const tokens = () => line().split(/\\s+/).filter(Boolean);
+
+  const read = (kind) => {
+    switch (kind) {
+      case 'int':
+      case 'long':
+      case 'double':
+        return Number(line());
+      case 'boolean':
+        return line().trim() === 'true';
+      case 'string':
+        return line();
+      case 'int[]':
+      case 'double[]': {
+        const size = Number(line());
+        return tokens().slice(0, size).map(Number);
+      }
+      case 'string[]':
+        return Array.from({ length: Number(line()) }, line);
+      default:
+        return Array.from({ length: Number(line()) }, () => {
+          const [size, ...items] = tokens().map(Number);
+          return items.slice(0, size);
+        });
+    }
+  };
+
+  const format = (kind, value) => {
+    switch (kind) {
+      case 'double':
+        return value.toFixed(6);
+      case 'int[]':
+        return value.join(' ');
+      case 'double[]':
+        return value.map(item => item.toFixed(6)).join(' ');
+      case 'string[]':
+        return value.join('\\n');
+      case 'int[][]':
+        return value.map(row => row.join(' ')).join('\\n');
+      default:
+        return String(value);
+    }
+  };
+
+  const result = __NAME__(...__PARAMETER_TYPES__.map(read));
+  process.stdout.write(format('__RETURN_TYPE__', result) + '\\n');
+})();
+`;
+
+const JAVA_READERS = {
+  int: 'readInt()', long: 'readLong()', double: 'readDouble()', boolean: 'readBoolean()', string: 'line()',
+  'int[]': 'readIntArray()', 'double[]': 'readDoubleArray()', 'string[]': 'readStringArray()', 'int[][]': 'readIntMatrix()'
+};
+
+const JAVA_DRIVER = String.raw`
+public class Main {
+    private static final java.util.List<String> lines = new java.util.ArrayList<>();
+    private static int position = 0;
+
+    private static String line() { return position < lines.size() ? lines.get(position++) : ""; }
+    private static String[] tokens() { String value = line().trim(); return value.isEmpty() ? new String[0] : value.split("\\s+"); }
+    private static int readInt() { return Integer.parseInt(line().trim()); }
+    private static long readLong() { return Long.parseLong(line().trim()); }
+    private static double readDouble() { return Double.parseDouble(line().trim()); }
+    private static boolean readBoolean() { return line().trim().equals("true"); }
+
+    private static int[] readIntArray() {
+        int size = readInt();
+        String[] items = tokens();
+        int[] values = new int[size];
+        for (int i = 0; i < size; i++) values[i] = Integer.parseInt(items[i]);
+        return values;
+    }
+
+    private static double[] readDoubleArray() {
+        int size = readInt();
+        String[] items = tokens();
+        double[] values = new double[size];
+        for (int i = 0; i < size; i++) values[i] = Double.parseDouble(items[i]);
+        return values;
+    }
+
+    private static String[] readStringArray() {
+        int size = readInt();
+        String[] values = new String[size];
+        for (int i = 0; i < size; i++) values[i] = line();
+        return values;
+    }
+
+    private static int[][] readIntMatrix() {
+        int rows = readInt();
+        int[][] values = new int[rows][];
+        for (int i = 0; i < rows; i++) {
+            String[] items = tokens();
+            int size = Integer.parseInt(items[0]);
+            values[i] = new int[size];
+            for (int j = 0; j < size; j++) values[i][j] = Integer.parseInt(items[j + 1]);
+        }
+        return values;
+    }
+
+    private static String format(int value) { return String.valueOf(value); }
+    private static String format(long value) { return String.valueOf(value); }
+    private static String format(double value) { return String.format(java.util.Locale.ROOT, "%.6f", value); }
+    private static String format(boolean value) { return value ? "true" : "false"; }
+    private static String format(String value) { return value; }
+    private static String format(String[] values) { return String.join("\n", values); }
+
+    private static String format(int[] values) {
+        StringBuilder builder = new StringBuilder();
+        for (int i = 0; i < values.length; i++) builder.append(i > 0 ? " " : "").append(values[i]);
+        return builder.toString();
+    }
+
+    private static String format(double[] values) {
+        StringBuilder builder = new StringBuilder();
+        for (int i = 0; i < values.length; i++) builder.append(i > 0 ? " " : "").append(format(values[i]));
+        return builder.toString();
+    }
+
+    private static String format(int[][] values) {
+        StringBuilder builder = new StringBuilder();
+        for (int i = 0; i < values.length; i++) builder.append(i > 0 ? "\n" : "").append(format(values[i]));
+        return builder.toString();
+    }
+
+    public static void main(String[] args) throws java.io.IOException {
+        java.io.BufferedReader reader = new java.io.BufferedReader(new java.io.InputStreamReader(System.in));
+        String current;
+        while ((current = reader.readLine()) != null) lines.add(current);
+__ARGUMENTS__
+        System.out.println(format(new Solution().__NAME__(__CALL__)));
+    }
+}
+`;
+
+const CPP_READERS = {
+  int: 'harnessReadInt()', long: 'harnessReadLong()', double: 'harnessReadDouble()', boolean: 'harnessReadBool()', string: 'harnessLine()',
+  'int[]': 'harnessReadIntArray()', 'double[]': 'harnessReadDoubleArray()', 'string[]': 'harnessReadStringArray()', 'int[][]': 'harnessReadIntMatrix()'
+};
+
+const CPP_PRELUDE = String.raw`#include <bits/stdc++.h>
+using namespace std;
+`;
+
+const CPP_DRIVER = String.raw`
+static vector<string> harnessLines;
+static size_t harnessPosition = 0;
+
+static string harnessLine() { return harnessPosition < harnessLines.size() ? harnessLines[harnessPosition++] : string(); }
+static vector<string> harnessTokens() { istringstream in(harnessLine()); vector<string> items; string item; while (in >> item) items.push_back(item); return items; }
+static int harnessReadInt() { return stoi(harnessLine()); }
+static long long harnessReadLong() { return stoll(harnessLine()); }
+static double harnessReadDouble() { return stod(harnessLine()); }
+static bool harnessReadBool() { return harnessLine().rfind("true", 0) == 0; }
+
+static vector<int> harnessReadIntArray() {
+    size_t size = harnessReadInt();
+    vector<string> items = harnessTokens();
+    vector<int> values;
+    for (size_t i = 0; i < size && i < items.size(); i++) values.push_back(stoi(items[i]));
+    return values;
+}
+
+static vector<double> harnessReadDoubleArray() {
+    size_t size = harnessReadInt();
+    vector<string> items = harnessTokens();
+    vector<double> values;
+    for (size_t i = 0; i < size && i < items.size(); i++) values.push_back(stod(items[i]));
+    return values;
+}
+
+static vector<string> harnessReadStringArray() {
+    int size = harnessReadInt();
+    vector<string> values;
+    for (int i = 0; i < size; i++) values.push_back(harnessLine());
+    return values;
+}
+
+static vector<vector<int>> harnessReadIntMatrix() {
+    int rows = harnessReadInt();
+    vector<vector<int>> values;
+    for (int i = 0; i < rows; i++) {
+        vector<string> items = harnessTokens();
+        vector<int> row;
+        int size = items.empty() ? 0 : stoi(items[0]);
+        for (int j = 1; j <= size && j < (int)items.size(); j++) row.push_back(stoi(items[j]));
+        values.push_back(row);
+    }
+    return values;
+}
+
+static string harnessFormat(int value) { return to_string(value); }
+static string harnessFormat(long long value) { return to_string(value); }
+static string harnessFormat(double value) { char buffer[64]; snprintf(buffer, sizeof(buffer), "%.6f", value); return buffer; }
+static string harnessFormat(bool value) { return value ? "true" : "false"; }
+static string harnessFormat(const string& value) { return value; }
+
+template <typename T>
+static string harnessFormat(const vector<T>& values, const char* separator = " ") {
+    string output;
+    for (size_t i = 0; i < values.size(); i++) output += (i > 0 ? separator : "") + harnessFormat(values[i]);
+    return output;
+}
+
+static string harnessFormat(const vector<string>& values) { return harnessFormat<string>(values, "\n"); }
+static string harnessFormat(const vector<vector<int>>& values) { return harnessFormat<vector<int>>(values, "\n"); }
+
+int main() {
+    string current;
+    while (getline(cin, current)) harnessLines.push_back(current);
+__ARGUMENTS__
+    Solution solution;
+    cout << harnessFormat(solution.__NAME__(__CALL__)) << "\n";
+    return 0;
+}
+`;
+
+const C_PRELUDE = String.raw`#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <stdbool.h>
+`;
+
+const C_DRIVER = String.raw`
+static char** harnessLines;
+static int harnessLineCount = 0;
+static int harnessPosition = 0;
+
+static void harnessReadInput(void) {
+    size_t capacity = 1024, length = 0;
+    char* buffer = malloc(capacity);
+    int c;
+    while ((c = getchar()) != EOF) {
+        if (length + 1 >= capacity) buffer = realloc(buffer, capacity *= 2);
+        buffer[length++] = (char)c;
+    }
+    buffer[length] = '\0';
+    harnessLines = malloc(sizeof(char*) * (length + 2));
+    harnessLines[harnessLineCount++] = buffer;
+    for (size_t i = 0; i < length; i++) {
+        if (buffer[i] == '\n') {
+            buffer[i] = '\0';
+            harnessLines[harnessLineCount++] = buffer + i + 1;
+        }
+    }
+}
+
+static char* harnessLine(void) { static char empty[1] = ""; return harnessPosition < harnessLineCount ? harnessLines[harnessPosition++] : empty; }
+static int harnessReadInt(void) { return atoi(harnessLine()); }
+static long long harnessReadLong(void) { return atoll(harnessLine()); }
+static double harnessReadDouble(void) { return atof(harnessLine()); }
+static bool harnessReadBool(void) { return strncmp(harnessLine(), "true", 4) == 0; }
+
+static int* harnessReadIntArray(int* size) {
+    *size = harnessReadInt();
+    int* values = malloc(sizeof(int) * (*size + 1));
+    char* cursor = harnessLine();
+    for (int i = 0; i < *size; i++) values[i] = (int)strtol(cursor, &cursor, 10);
+    return values;
+}
+
+static double* harnessReadDoubleArray(int* size) {
+    *size = harnessReadInt();
+    double* values = malloc(sizeof(double) * (*size + 1));
+    char* cursor = harnessLine();
+    for (int i = 0; i < *size; i++) values[i] = strtod(cursor, &cursor);
+    return values;
+}
+
+static char** harnessReadStringArray(int* size) {
+    *size = harnessReadInt();
+    char** values = malloc(sizeof(char*) * (*size + 1));
+    for (int i = 0; i < *size; i++) values[i] = harnessLine();
+    return values;
+}
+
+static int** harnessReadIntMatrix(int* rows, int** columns) {
+    *rows = harnessReadInt();
+    int** values = malloc(sizeof(int*) * (*rows + 1));
+    *columns = malloc(sizeof(int) * (*rows + 1));
+    for (int i = 0; i < *rows; i++) {
+        char* cursor = harnessLine();
+        (*columns)[i] = (int)strtol(cursor, &cursor, 10);
+        values[i] = malloc(sizeof(int) * ((*columns)[i] + 1));
+        for (int j = 0; j < (*columns)[i]; j++) values[i][j] = (int)strtol(cursor, &cursor, 10);
+    }
+    return values;
+}
+
+int main(void) {
+    harnessReadInput();
+__ARGUMENTS__
+__PRINT__
+    return 0;
+}
+`;
+
+const C_PRINTERS = {
+  int: '    printf("%d\\n", harnessResult);',
+  long: '    printf("%lld\\n", harnessResult);',
+  double: '    printf("%.6f\\n", harnessResult);',
+  boolean: '    printf("%s\\n", harnessResult ? "true" : "false");',
+  string: '    printf("%s\\n", harnessResult);',
+  'int[]': '    for (int i = 0; i < harnessResultSize; i++) printf(i ? " %d" : "%d", harnessResult[i]);\n    printf("\\n");',
+  'double[]': '    for (int i = 0; i < harnessResultSize; i++) printf(i ? " %.6f" : "%.6f", harnessResult[i]);\n    printf("\\n");',
+  'string[]': '    for (int i = 0; i < harnessResultSize; i++) printf("%s\\n", harnessResult[i]);',
+  'int[][]': '    for (int i = 0; i < harnessResultSize; i++) {\n' +
+    '        for (int j = 0; j < harnessResultColumns[i]; j++) printf(j ? " %d" : "%d", harnessResult[i][j]);\n' +
+    '        printf("\\n");\n' +
+    '    }'
+};
+
+const fillTemplate = (template, values) => {
+  return Object.entries(values).reduce((output, [key, value]) => output.split(key).join(value), template);
+};
+
+const buildCProgram = (signature, code) => {
+  const { name, parameters, returnType } = signature;
+  const declarations = [];
+  const callArguments = [];
+
+  parameters.forEach(({ type }, index) => {
+    const variable = `harnessArg${index}`;
+    if (type === 'int[][]') {
+      declarations.push(`    int ${variable}Size; int* ${variable}Columns; int** ${variable} = harnessReadIntMatrix(&${variable}Size, &${variable}Columns);`);
+      callArguments.push(variable, `${variable}Size`, `${variable}Columns`);
+    } else if (isArrayType(type)) {
+      const reader = { 'int[]': 'harnessReadIntArray', 'double[]': 'harnessReadDoubleArray', 'string[]': 'harnessReadStringArray' }[type];
+      declarations.push(`    int ${variable}Size; ${TYPE_NAMES.c[type]} ${variable} = ${reader}(&${variable}Size);`);
+      callArguments.push(variable, `${variable}Size`);
+    } else {
+      const reader = { int: 'harnessReadInt()', long: 'harnessReadLong()', double: 'harnessReadDouble()', boolean: 'harnessReadBool()', string: 'harnessLine()' }[type];
+      declarations.push(`    ${TYPE_NAMES.c[type]} ${variable} = ${reader};`);
+      callArguments.push(variable);
+    }
+  });
+
+  if (returnType === 'int[][]') {
+    declarations.push('    int harnessResultSize = 0; int* harnessResultColumns = NULL;');
+    callArguments.push('&harnessResultSize', '&harnessResultColumns');
+  } else if (isArrayType(returnType)) {
+    declarations.push('    int harnessResultSize = 0;');
+    callArguments.push('&harnessResultSize');
+  }
+  declarations.push(`    ${TYPE_NAMES.c[returnType]} harnessResult = ${name}(${callArguments.join(', ')});`);
+
+  return C_PRELUDE + '\n' + code + '\n' + fillTemplate(C_DRIVER, {
+    __ARGUMENTS__: declarations.join('\n'),
+    __PRINT__: C_PRINTERS[returnType]
+  });
+};
+
+// Wrap the student's function with the driver for the given language
+const buildHarnessProgram = (language, signature, code) => {
+  const normalized = normalizeSignature(signature);
+  const { name, parameters, returnType } = normalized;
+  const parameterTypes = JSON.stringify(parameters.map(p => p.type));
+  const variables = parameters.map((_, index) => `harnessArg${index}`);
+
+  switch (language) {
+    case 'python':
+      return 'from typing import List\n\n' + code + '\n' + fillTemplate(PYTHON_DRIVER, {
+        __PARAMETER_TYPES__: parameterTypes,
+        __NAME__: name,
+        __RETURN_TYPE__: returnType
+      });
+    case 'javascript':
+      return code + '\n' + fillTemplate(JAVASCRIPT_DRIVER, {
+        __PARAMETER_TYPES__: parameterTypes,
+        __NAME__: name,
+        __RETURN_TYPE__: returnType
+      });
+    case 'java':
+      // Main.java may only hold one public class
+      return code.replace(/public\s+class\s+Solution\b/, 'class Solution') + '\n' + fillTemplate(JAVA_DRIVER, {
+        __ARGUMENTS__: parameters.map((p, index) => `        ${TYPE_NAMES.java[p.type]} ${variables[index]} = ${JAVA_READERS[p.type]};`).join('\n'),
+        __NAME__: name,
+        __CALL__: variables.join(', ')
+      });
+    case 'cpp':
+      return CPP_PRELUDE + '\n' + code + '\n' + fillTemplate(CPP_DRIVER, {
+        __ARGUMENTS__: parameters.map((p, index) => `    ${TYPE_NAMES.cpp[p.type]} ${variables[index]} = ${CPP_READERS[p.type]};`).join('\n'),
+        __NAME__: name,
+        __CALL__: variables.join(', ')
+      });
+    case 'c':
+      return buildCProgram(normalized, code);
+    default:
+      throw new Error(`Function harness does not support language: ${language}`);
+  }
+};
+
+module.exports = {
+  HARNESS_TYPES,
+  HARNESS_LANGUAGES,
+  normalizeSignature,
+  validateSignature,
+  encodeArguments,
+  serializeValue,
+  prepareTestCases,
+  generateStarterCode,
+  buildHarnessProgram
+};
@@ -0,0 +1,117 @@
+const { getLanguageConfig } = require('./languages');
+const { resolveComparison } = require('./outputChecker');
+const harness = require('./harness');
+const { buildUnitTestRun } = require('./unitTestRunners');
+const { resolveLimits } = require('./limits');
+
+// Maximum execution time and memory limits
+const MAX_EXECUTION_TIME = 10; // seconds
+const MAX_MEMORY = 128; // MB
+
+// Maximum length of submitted code, in characters
+const MAX_CODE_LENGTH = 65536;
+
+// Maximum number of test cases a question or test run can have
+const MAX_TEST_CASES = 100;
+
+// Helper function to attach a job's base and language-scaled limits
+const withLimits = (job, base, languageMultipliers) => {
+  const limits = resolveLimits(job.language, base, languageMultipliers);
+  return {
+    ...job,
+    timeLimit: limits.effective.timeLimit,
+    memoryLimit: limits.effective.memoryLimit,
+    limits
+  };
+};
+
+// Helper function to prepare test case execution jobs
+// options: { timeLimit, memoryLimit, languageMultipliers, comparison, checker, interactor,
+// functionSignature, priority } shared by all test cases. Time and memory
+// limits are scaled for the language (see services/execution/limits.js).
+// priority orders jobs waiting for the local runner (1 runs first).
+const prepareTestCaseSubmission = (code, language, testCases, options = {}) => {
+  getLanguageConfig(language);
+
+  // Function questions run the student's function through a generated driver
+  const program = options.functionSignature
+    ? harness.buildHarnessProgram(language, options.functionSignature, code)
+    : code;
+
+  const checker = options.checker?.code
+    ? {
+        language: options.checker.language,
+        code: options.checker.code,
+        timeLimit: options.checker.timeLimit
+      }
+    : undefined;
+
+  const interactor = options.interactor?.code
+    ? {
+        language: options.interactor.language,
+        code: options.interactor.code,
+        timeLimit: options.interactor.timeLimit
+      }
+    : undefined;
+
+  return testCases.map(testCase => withLimits({
+    code: program,
+    language,
+    stdin: testCase.input || '',
+    expectedOutput: testCase.expectedOutput || '',
+    comparison: resolveComparison(options.comparison, testCase.comparison),
+    checker,
+    interactor,
+    ...(options.priority && { priority: options.priority })
+  }, {
+    timeLimit: testCase.timeLimit || options.timeLimit || MAX_EXECUTION_TIME,
+    memoryLimit: testCase.memoryLimit || options.memoryLimit || MAX_MEMORY
+  }, options.languageMultipliers));
+};
+
+// Helper function to prepare the single run of a unit-test question: the
+// student's code served to a harness running the question's test file (see
+// unitTests.js and unitTestRunners.js). The time limit covers the whole test
+// file. The run's report holds its per-test results
+// (unitTests.toTestResults).
+const prepareUnitTestSubmission = (code, language, unitTestConfig, options = {}) => {
+  getLanguageConfig(language);
+  const programs = buildUnitTestRun(language, code, unitTestConfig.code || '');
+
+  return withLimits({
+    code: programs.solution.code,
+    files: programs.solution.files,
+    language,
+    stdin: '',
+    expectedOutput: null,
+    unitTests: programs.harness,
+    ...(options.priority && { priority: options.priority })
+  }, {
+    timeLimit: unitTestConfig.timeLimit || options.timeLimit || MAX_EXECUTION_TIME,
+    memoryLimit: options.memoryLimit || MAX_MEMORY
+  }, options.languageMultipliers);
+};
+
+// Helper function to get prepareTestCaseSubmission options for a question
+const getQuestionJobOptions = (question) => {
+  return {
+    timeLimit: question.timeLimit,
+    memoryLimit: question.memoryLimit,
+    languageMultipliers: question.languageMultipliers,
+    comparison: question.comparison,
+    checker: question.checker,
+    interactor: question.judgeMode === 'interactive' ? question.interactor : undefined,
+    functionSignature: question.judgeMode === 'function' ? question.functionSignature : undefined
+  };
+};
+
+module.exports = {
+  MAX_EXECUTION_TIME,
+  MAX_MEMORY,
+  MAX_CODE_LENGTH,
+  MAX_TEST_CASES,
+  withLimits,
+  prepareTestCaseSubmission,
+  prepareUnitTestSubmission,
+  getQuestionJobOptions
+};
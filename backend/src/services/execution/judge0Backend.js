@@ -0,0 +1,320 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const ExecutionBackend = require('./executionBackend');
+const judge0Callbacks = require('./judge0Callbacks');
+const { getLanguageConfig, getBackendLanguageId } = require('./languages');
+const { STATUS, isPending } = require('./statuses');
+
+// Judge0 adapter. Subclasses only differ in how they authenticate.
+class Judge0Backend extends ExecutionBackend {
+  constructor(name, config) {
+    super(name);
+    this.url = config.url;
+    this.requestTimeout = config.requestTimeout;
+    this.pollInterval = config.pollInterval;
+    this.maxPollAttempts = config.maxPollAttempts;
+    this.batchSize = config.batchSize;
+  }
+
+  // Authentication headers sent with every request
+  getHeaders() {
+    return {};
+  }
+
+  // Convert an execution job into a Judge0 submission payload
+  toSubmission(job) {
+    const language = getLanguageConfig(job.language);
+    return {
+      source_code: job.code,
+      language_id: getBackendLanguageId(job.language, this.name),
+      stdin: job.stdin || '',
+      cpu_time_limit: job.timeLimit,
+      memory_limit: job.memoryLimit * 1024, // Judge0 expects KB
+      enable_per_process_and_thread_time_limit: true,
+      enable_per_process_and_thread_memory_limit: true,
+      ...(language.compileFlags && { compiler_options: language.compileFlags }),
+      ...(language.runFlags && { command_line_arguments: language.runFlags })
+    };
+  }
+
+  // Create a submission and return its token
+  async submit(job, callbackUrl) {
+    const submission = {
+      ...this.toSubmission(job),
+      ...(callbackUrl && { callback_url: callbackUrl })
+    };
+
+    const response = await axios.post(`${this.url}/submissions?base64_encoded=false&wait=false`, submission, {
+      headers: {
+        ...this.getHeaders(),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.requestTimeout
+    });
+
+    return response.data.token;
+  }
+
+  // Fetch the current state of a submission
+  async fetchResult(token) {
+    const response = await axios.get(`${this.url}/submissions/${token}?base64_encoded=false`, {
+      headers: this.getHeaders(),
+      timeout: 5000
+    });
+
+    return response.data;
+  }
+
+  async execute(job) {
+    if (!judge0Callbacks.isEnabled()) {
+      return this.poll(await this.submit(job));
+    }
+
+    // Judge0 PUTs the finished submission to our callback route; poll if
+    // the callback does not arrive in time
+    const callbackId = uuidv4();
+    const callback = judge0Callbacks.wait(callbackId);
+
+    let token;
+    try {
+      token = await this.submit(job, judge0Callbacks.buildUrl(callbackId));
+    } catch (error) {
+      judge0Callbacks.cancel(callbackId);
+      throw error;
+    }
+
+    const result = await callback;
+    if (result && !isPending(result.status)) {
+      return { token, ...result };
+    }
+    return this.poll(token);
+  }
+
+  // Poll for a submission's result
+  async poll(token) {
+    let attempts = 0;
+    let result = null;
+
+    while (attempts < this.maxPollAttempts && isPending(result?.status)) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      attempts++;
+
+      try {
+        result = await this.fetchResult(token);
+      } catch (error) {
+        console.error('Error polling Judge0 for results:', error.message);
+      }
+    }
+
+    if (isPending(result?.status)) {
+      return {
+        token,
+        status: { id: 'error', description: 'Timeout while polling for results' }
+      };
+    }
+
+    return { token, ...result };
+  }
+
+  // Create several submissions in one request; returns their tokens (null
+  // for submissions Judge0 rejected)
+  async submitBatch(jobs, callbackUrls = []) {
+    const submissions = jobs.map((job, index) => ({
+      ...this.toSubmission(job),
+      ...(callbackUrls[index] && { callback_url: callbackUrls[index] })
+    }));
+
+    const response = await axios.post(`${this.url}/submissions/batch?base64_encoded=false`, { submissions }, {
+      headers: {
+        ...this.getHeaders(),
+        'Content-Type': 'application/json'
+      },
+      timeout: this.requestTimeout
+    });
+
+    return response.data.map(entry => entry.token || null);
+  }
+
+  // Poll several submissions with one request per round until all finish
+  async pollBatch(tokens) {
+    const results = new Map();
+    let pending = tokens;
+    let attempts = 0;
+
+    while (pending.length > 0 && attempts < this.maxPollAttempts) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      attempts++;
+
+      try {
+        const response = await axios.get(`${this.url}/submissions/batch?tokens=${pending.join(',')}&base64_encoded=false`, {
+          headers: this.getHeaders(),
+          timeout: 5000
+        });
+        response.data.submissions.forEach((submission, index) => {
+          if (submission && !isPending(submission.status)) {
+            results.set(pending[index], submission);
+          }
+        });
+        pending = pending.filter(token => !results.has(token));
+      } catch (error) {
+        console.error('Error polling Judge0 for results:', error.message);
+      }
+    }
+
+    return tokens.map(token => results.has(token)
+      ? { token, ...results.get(token) }
+      : { token, status: { id: 'error', description: 'Timeout while polling for results' } });
+  }
+
+  // Run up to batchSize jobs as one batch submission
+  async executeChunk(jobs) {
+    const callbackIds = judge0Callbacks.isEnabled() ? jobs.map(() => uuidv4()) : [];
+    const callbacks = callbackIds.map(id => judge0Callbacks.wait(id));
+
+    let tokens;
+    try {
+      tokens = await this.submitBatch(jobs, callbackIds.map(id => judge0Callbacks.buildUrl(id)));
+    } catch (error) {
+      callbackIds.forEach(id => judge0Callbacks.cancel(id));
+      throw error;
+    }
+
+    // Rejected submissions will never call back
+    tokens.forEach((token, index) => {
+      if (!token && callbackIds[index]) {
+        judge0Callbacks.cancel(callbackIds[index]);
+      }
+    });
+
+    const arrived = await Promise.all(callbacks);
+    const finished = tokens.map((token, index) => {
+      const result = arrived[index];
+      return token && result && !isPending(result.status) ? { token, ...result } : null;
+    });
+
+    const unfinished = tokens.filter((token, index) => token && !finished[index]);
+    const polled = unfinished.length > 0 ? await this.pollBatch(unfinished) : [];
+
+    return tokens.map((token, index) => {
+      if (!token) {
+        return { token: null, status: { id: 'error', description: 'Submission rejected by Judge0' } };
+      }
+      return finished[index] || polled.find(result => result.token === token);
+    });
+  }
+
+  // Run jobs through Judge0's batch endpoint, batchSize at a time
+  async executeBatch(jobs, onResult) {
+    const chunks = [];
+    for (let start = 0; start < jobs.length; start += this.batchSize) {
+      chunks.push(jobs.slice(start, start + this.batchSize));
+    }
+    const results = await Promise.all(chunks.map(async (chunk, chunkIndex) => {
+      const chunkResults = await this.executeChunk(chunk);
+      if (onResult) {
+        chunkResults.forEach((result, index) => onResult(chunkIndex * this.batchSize + index, result));
+      }
+      return chunkResults;
+    }));
+    return results.flat();
+  }
+
+  // Judge0 compiles every submission and cannot compile without running, so
+  // for compiled languages the first test case runs on its own: a compile
+  // error then stops the other test cases from being queued. The rest are
+  // sent as batch submissions.
+  async prepareProgram(firstJob) {
+    let firstResult = null;
+    if (getLanguageConfig(firstJob.language).compiled) {
+      firstResult = await this.execute(firstJob);
+      if (firstResult.status?.id === STATUS.COMPILATION_ERROR) {
+        return { compileError: firstResult, run: async () => [], release: async () => {} };
+      }
+    }
+
+    return {
+      compileError: null,
+      run: async (jobs, onResult) => {
+        const isFirst = job => Boolean(firstResult) && job === firstJob;
+        const positions = jobs.map((job, index) => index).filter(index => !isFirst(jobs[index]));
+        if (onResult) {
+          jobs.forEach((job, index) => isFirst(job) && onResult(index, firstResult));
+        }
+        const results = positions.length > 0
+          ? await this.executeBatch(positions.map(index => jobs[index]), onResult && ((position, result) => onResult(positions[position], result)))
+          : [];
+        return jobs.map(job => isFirst(job) ? firstResult : results.shift());
+      },
+      release: async () => {}
+    };
+  }
+
+  async getLanguages() {
+    const response = await axios.get(`${this.url}/languages`, {
+      headers: this.getHeaders(),
+      timeout: 5000
+    });
+
+    return response.data;
+  }
+
+  async healthCheck() {
+    try {
+      const startTime = Date.now();
+      const response = await axios.get(`${this.url}/languages`, {
+        headers: this.getHeaders(),
+        timeout: 5000
+      });
+
+      return {
+        status: response.status === 200 ? 'healthy' : 'degraded',
+        responseTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error(`${this.name} health check failed:`, error.message);
+      return { status: 'unavailable', responseTime: null };
+    }
+  }
+}
+
+// Judge0 CE through RapidAPI
+class RapidApiJudge0Backend extends Judge0Backend {
+  constructor(config) {
+    super('judge0', config);
+    this.apiKey = config.apiKey;
+    this.apiHost = config.apiHost;
+  }
+
+  getHeaders() {
+    return {
+      'X-RapidAPI-Key': this.apiKey,
+      'X-RapidAPI-Host': this.apiHost
+    };
+  }
+
+  async healthCheck() {
+    if (!this.apiKey) {
+      return { status: 'not_configured', responseTime: null };
+    }
+    return super.healthCheck();
+  }
+}
+
+// Judge0 deployed on our own servers, optionally protected by an auth token
+class SelfHostedJudge0Backend extends Judge0Backend {
+  constructor(config) {
+    super('judge0-self-hosted', config);
+    this.authToken = config.authToken;
+    this.authHeader = config.authHeader;
+  }
+
+  getHeaders() {
+    return this.authToken ? { [this.authHeader]: this.authToken } : {};
+  }
+}
+
+module.exports = {
+  Judge0Backend,
+  RapidApiJudge0Backend,
+  SelfHostedJudge0Backend
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const executionConfig = require('../../config/execution');
+
+// Redis channel used to hand a callback to the API instance waiting for it
+const CHANNEL = 'judge0-callbacks';
+
+// Judge0 base64-encodes these fields in callback bodies
+const ENCODED_FIELDS = ['stdout', 'stderr', 'compile_output', 'message'];
+
+// Tracks submissions waiting for a Judge0 callback. Each submission gets an
+// id and an HMAC signature in its callback_url, which the callback route
+// checks before handing the result to the waiting execution.
+class Judge0Callbacks {
+  constructor(config) {
+    this.config = config;
+    this.waiters = new Map();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.url && this.config.secret);
+  }
+
+  get timeout() {
+    return this.config.timeout;
+  }
+
+  sign(id) {
+    return crypto.createHmac('sha256', this.config.secret).update(String(id)).digest('hex');
+  }
+
+  // Check a callback's id and signature in constant time
+  verify(id, signature) {
+    if (!this.isEnabled() || typeof id !== 'string' || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(id));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // callback_url for a submission
+  buildUrl(id) {
+    const separator = this.config.url.includes('?') ? '&' : '?';
+    return `${this.config.url}${separator}id=${encodeURIComponent(id)}&signature=${this.sign(id)}`;
+  }
+
+  // Wait for the callback for id; resolves with the submission, or null if
+  // none arrives within timeout
+  wait(id, timeout = this.config.timeout) {
+    this.subscribe();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.waiters.delete(id);
+        resolve(null);
+      }, timeout);
+
+      this.waiters.set(id, (result) => {
+        clearTimeout(timer);
+        this.waiters.delete(id);
+        resolve(result);
+      });
+    });
+  }
+
+  // Stop waiting, e.g. when the submission could not be created
+  cancel(id) {
+    this.resolveLocal(id, null);
+  }
+
+  // Returns true if an execution on this instance was waiting for id
+  resolveLocal(id, result) {
+    const waiter = this.waiters.get(id);
+    if (!waiter) {
+      return false;
+    }
+    waiter(result);
+    return true;
+  }
+
+  // Hand a callback to the execution waiting for it, here or on another
+  // API instance
+  async deliver(id, result) {
+    if (this.resolveLocal(id, result)) {
+      return;
+    }
+
+    try {
+      await this.getPublisher().publish(CHANNEL, JSON.stringify({ id, result }));
+    } catch (error) {
+      console.error('Error forwarding Judge0 callback:', error.message);
+    }
+  }
+
+  // Decode a callback body into the shape returned by GET /submissions/:token
+  decode(submission = {}) {
+    const decoded = { ...submission };
+    ENCODED_FIELDS.forEach(field => {
+      if (typeof decoded[field] === 'string') {
+        decoded[field] = Buffer.from(decoded[field], 'base64').toString('utf8');
+      }
+    });
+    return decoded;
+  }
+
+  getPublisher() {
+    if (!this.publisher) {
+      this.publisher = new Redis(this.config.redisUrl);
+      this.publisher.on('error', error => console.error('Judge0 callback publisher error:', error.message));
+    }
+    return this.publisher;
+  }
+
+  // Listen for callbacks received by other API instances
+  subscribe() {
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = new Redis(this.config.redisUrl);
+    this.subscriber.on('error', error => console.error('Judge0 callback subscriber error:', error.message));
+    this.subscriber.on('message', (channel, message) => {
+      try {
+        const { id, result } = JSON.parse(message);
+        this.resolveLocal(id, result);
+      } catch (error) {
+        console.error('Invalid Judge0 callback message:', error.message);
+      }
+    });
+    this.subscriber.subscribe(CHANNEL).catch(error => {
+      console.error('Error subscribing to Judge0 callbacks:', error.message);
+    });
+  }
+}
+
+module.exports = new Judge0Callbacks(executionConfig.judge0Callback);
@@ -0,0 +1,120 @@
+// Programming language registry
+//
+// Languages are stored in the Language collection and loaded into this
+// in-memory registry (see services/languageService.js) so validators and
+// execution backends can look them up synchronously. The defaults below seed
+// the collection and are used until it has been loaded.
+//
+// backendIds maps an execution backend name to that backend's language id
+// (the Judge0 language id for the Judge0 backends).
+const { STATUS, JobError } = require('./statuses');
+
+const DEFAULT_LANGUAGES = [
+  {
+    key: 'python',
+    name: 'Python 3',
+    version: '3.8.1',
+    backendIds: { judge0: 71, 'judge0-self-hosted': 71 },
+    compiled: false,
+    fileExtension: 'py',
+    template: '# Write your code here\n',
+    timeMultiplier: 2,
+    memoryMultiplier: 1
+  },
+  {
+    key: 'java',
+    name: 'Java 17',
+    version: '17',
+    backendIds: { judge0: 62, 'judge0-self-hosted': 62 },
+    compiled: true,
+    fileExtension: 'java',
+    template: 'public class Main {\n    public static void main(String[] args) {\n        // Write your code here\n    }\n}\n',
+    timeMultiplier: 2,
+    memoryMultiplier: 2
+  },
+  {
+    key: 'c',
+    name: 'C (GCC 9.2.0)',
+    version: 'GCC 9.2.0',
+    backendIds: { judge0: 50, 'judge0-self-hosted': 50 },
+    compiled: true,
+    fileExtension: 'c',
+    template: '#include <stdio.h>\n\nint main(void) {\n    // Write your code here\n    return 0;\n}\n',
+    timeMultiplier: 1,
+    memoryMultiplier: 1
+  },
+  {
+    key: 'cpp',
+    name: 'C++ (GCC 9.2.0)',
+    version: 'GCC 9.2.0',
+    backendIds: { judge0: 54, 'judge0-self-hosted': 54 },
+    compiled: true,
+    fileExtension: 'cpp',
+    template: '#include <bits/stdc++.h>\nusing namespace std;\n\nint main() {\n    // Write your code here\n    return 0;\n}\n',
+    timeMultiplier: 1,
+    memoryMultiplier: 1
+  },
+  {
+    key: 'javascript',
+    name: 'JavaScript (Node.js 18.15.0)',
+    version: '18.15.0',
+    backendIds: { judge0: 63, 'judge0-self-hosted': 63 },
+    compiled: false,
+    fileExtension: 'js',
+    template: '// Write your code here\n',
+    timeMultiplier: 1.5,
+    memoryMultiplier: 1.5
+  }
+];
+
+let registry = new Map(DEFAULT_LANGUAGES.map(language => [language.key, { ...language, isActive: true }]));
+
+// Replace the registry with languages loaded from the database
+const setLanguages = (languages) => {
+  registry = new Map(languages.map(language => [language.key, language]));
+};
+
+// All registered languages, including disabled ones
+const getLanguages = () => Array.from(registry.values());
+
+// Languages students can currently use
+const getActiveLanguages = () => getLanguages().filter(language => language.isActive);
+
+// Helper function to check whether a language is registered and enabled
+const isSupportedLanguage = (language) => {
+  return Boolean(registry.get(String(language || '').toLowerCase())?.isActive);
+};
+
+// Helper function to check whether a language is registered at all; stored
+// documents stay valid after their language is disabled
+const isKnownLanguage = (language) => registry.has(String(language || '').toLowerCase());
+
+// Helper function to get language configuration
+const getLanguageConfig = (language) => {
+  const config = registry.get(String(language || '').toLowerCase());
+  if (!config || !config.isActive) {
+    throw new JobError(`Unsupported language: ${language}`, STATUS.COMPILATION_ERROR);
+  }
+  return config;
+};
+
+// Helper function to get a backend's id for a language
+const getBackendLanguageId = (language, backendName) => {
+  const config = getLanguageConfig(language);
+  const id = config.backendIds?.[backendName] ?? config.backendIds?.judge0;
+  if (id === undefined || id === null) {
+    throw new JobError(`Language ${language} is not available on the ${backendName} backend`, STATUS.COMPILATION_ERROR);
+  }
+  return id;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  setLanguages,
+  getLanguages,
+  getActiveLanguages,
+  isSupportedLanguage,
+  isKnownLanguage,
+  getLanguageConfig,
+  getBackendLanguageId
+};
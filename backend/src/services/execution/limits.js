@@ -0,0 +1,39 @@
+const executionConfig = require('../../config/execution');
+const { getLanguageConfig } = require('./languages');
+
+// Helper function to find the multipliers for a language: a question's
+// override wins over the language registry, which defaults to 1
+const getMultipliers = (language, overrides = []) => {
+  const config = getLanguageConfig(language);
+  const override = (overrides || []).find(item => item.language === config.key) || {};
+
+  return {
+    time: override.timeMultiplier || config.timeMultiplier || 1,
+    memory: override.memoryMultiplier || config.memoryMultiplier || 1
+  };
+};
+
+// Helper function to scale base limits for a language. Effective limits are
+// capped by the execution backend's maximums.
+// Returns { base, effective, multipliers } with times in seconds and memory in MB
+const resolveLimits = (language, base, overrides) => {
+  const multipliers = getMultipliers(language, overrides);
+  const { maxTimeLimit, maxMemoryLimit } = executionConfig.limits;
+
+  return {
+    base: {
+      timeLimit: base.timeLimit,
+      memoryLimit: base.memoryLimit
+    },
+    effective: {
+      timeLimit: Math.min(Math.round(base.timeLimit * multipliers.time * 1000) / 1000, maxTimeLimit),
+      memoryLimit: Math.min(Math.round(base.memoryLimit * multipliers.memory), maxMemoryLimit)
+    },
+    multipliers
+  };
+};
+
+module.exports = {
+  getMultipliers,
+  resolveLimits
+};
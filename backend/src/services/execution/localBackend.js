@@ -0,0 +1,708 @@
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const ExecutionBackend = require('./executionBackend');
+const { getLanguageConfig, getLanguages } = require('./languages');
+const { STATUS, buildStatus, JobError } = require('./statuses');
+const { DEFAULT_CHECKER_TIME_LIMIT, parseCheckerOutput } = require('./specialJudge');
+
+// Priority of jobs that don't set one (lower runs first)
+const DEFAULT_PRIORITY = 3;
+
+// Toolchains used by the local runner. Runtimes that reserve a large virtual
+// address space up front (JVM, V8) get their heap capped with a runtime flag
+// instead of an address-space rlimit.
+const TOOLCHAINS = {
+  python: {
+    source: 'main.py',
+    run: () => ['python3', 'main.py'],
+    limitAddressSpace: true
+  },
+  javascript: {
+    source: 'main.js',
+    run: (memoryLimit) => ['node', `--max-old-space-size=${memoryLimit}`, 'main.js'],
+    limitAddressSpace: false
+  },
+  c: {
+    source: 'main.c',
+    compile: ['gcc', '-O2', '-std=c11', '-o', 'main', 'main.c', '-lm'],
+    run: () => ['./main'],
+    limitAddressSpace: true
+  },
+  cpp: {
+    source: 'main.cpp',
+    compile: ['g++', '-O2', '-std=c++17', '-o', 'main', 'main.cpp'],
+    run: () => ['./main'],
+    limitAddressSpace: true
+  },
+  java: {
+    source: 'Main.java',
+    compile: ['javac', 'Main.java'],
+    run: (memoryLimit) => ['java', `-Xmx${memoryLimit}m`, '-cp', '.', 'Main'],
+    limitAddressSpace: false
+  }
+};
+
+// Signals mapped to Judge0 runtime error statuses
+const SIGNAL_STATUSES = {
+  SIGXCPU: STATUS.TIME_LIMIT_EXCEEDED,
+  SIGSEGV: STATUS.RUNTIME_ERROR_SIGSEGV,
+  SIGXFSZ: STATUS.RUNTIME_ERROR_SIGXFSZ,
+  SIGFPE: STATUS.RUNTIME_ERROR_SIGFPE,
+  SIGABRT: STATUS.RUNTIME_ERROR_SIGABRT
+};
+
+// Sets up the sandbox's filesystem view, run as root by the sandbox's init
+// process in fresh mount, network, pid, IPC and UTS namespaces: an empty
+// read-only root holding read-only binds of the toolchain directories, the
+// workspace at /sandbox, a private /proc and /tmp and the harmless devices.
+// The program then runs as its child with that root and the sandbox uid/gid;
+// its exit status and then its CPU time (the shell's times: its own, then
+// its children's) are reported on fd 3, which the program does not inherit,
+// and the shell's own messages (e.g. "Segmentation fault") are dropped.
+const SANDBOX_SCRIPT = `
+set -e
+root=$1
+work=$2
+paths=$3
+shift 3
+mount -t tmpfs -o mode=755,size=1m tmpfs "$root"
+IFS=:
+for dir in $paths; do
+  [ -d "$dir" ] || continue
+  mkdir -p "$root$dir"
+  mount --rbind -o ro "$dir" "$root$dir"
+done
+unset IFS
+mkdir "$root/sandbox" "$root/proc" "$root/tmp" "$root/dev"
+mount --bind "$work" "$root/sandbox"
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -t tmpfs -o mode=1777,size=16m,nosuid,nodev tmpfs "$root/tmp"
+for device in null zero random urandom; do
+  touch "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -o remount,bind,ro "$root"
+set +e
+exec 4>&2 2>/dev/null
+(exec unshare --root="$root" --wd=/sandbox -- "$@" 2>&4 3>&- 4>&-)
+echo $? >&3
+times >&3
+`;
+
+// Directory in which sandboxes mount their root; each mounts its own in its
+// private mount namespace, so one directory serves them all
+const SANDBOX_ROOT = 'codeloop-root';
+
+// Helper function to list a process's children
+const readChildren = async (pid) => {
+  const children = await fs.readFile(`/proc/${pid}/task/${pid}/children`, 'utf8');
+  return children.split(' ').filter(Boolean);
+};
+
+// Helper function to read the peak resident memory (KB) of the program in a
+// sandbox: the child of the sandbox's init process, itself the only child of
+// the spawned unshare. Resolves with null once the program is gone.
+const readPeakMemory = async (pid) => {
+  try {
+    const [init] = await readChildren(pid);
+    const [program] = init ? await readChildren(init) : [];
+    if (!program) {
+      return null;
+    }
+    const status = await fs.readFile(`/proc/${program}/status`, 'utf8');
+    const match = status.match(/^VmHWM:\s+(\d+) kB/m);
+    return match ? Number(match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to read the CPU time (user + system, in seconds) of the
+// shell's children from the output of its times builtin; null without it
+const parseCpuTime = (times) => {
+  const children = times.trim().split('\n')[1];
+  if (!children) {
+    return null;
+  }
+  return Array.from(children.matchAll(/(\d+)m([\d.]+)s/g))
+    .reduce((sum, [, minutes, seconds]) => sum + Number(minutes) * 60 + Number(seconds), 0);
+};
+
+// Helper function to turn a shell exit status into an exit code or signal.
+// The shell reports death by signal n as 128 + n.
+const parseExitStatus = (status) => {
+  const signal = status > 128
+    ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === status - 128)
+    : undefined;
+  return signal ? { code: null, signal } : { code: status, signal: null };
+};
+
+// Runs code in a throwaway directory on the API host. Each process runs in
+// its own mount, network, pid, IPC and UTS namespaces, sees only read-only
+// toolchain directories and its workspace, runs as the dedicated sandbox
+// uid/gid with no new privileges, and gets CPU-time, address-space,
+// process-count and file-size limits through prlimit. The API must run as
+// root to set this up; the backend refuses to start without a sandbox uid
+// and gid other than root's.
+class LocalBackend extends ExecutionBackend {
+  constructor(config) {
+    super('local');
+    if (!Number.isInteger(config.uid) || !Number.isInteger(config.gid) || config.uid === 0 || config.gid === 0) {
+      throw new Error('The local runner needs a dedicated sandbox user: set LOCAL_RUNNER_UID and LOCAL_RUNNER_GID to a uid and gid other than root\'s');
+    }
+
+    this.workDir = config.workDir;
+    this.prlimitPath = config.prlimitPath;
+    this.readOnlyPaths = config.readOnlyPaths;
+    this.junitJar = config.junitJar;
+    this.maxConcurrent = config.maxConcurrent;
+    this.maxProcesses = config.maxProcesses;
+    this.maxOutputSize = config.maxOutputSize;
+    this.compileTimeout = config.compileTimeout;
+    this.wallTimeMultiplier = config.wallTimeMultiplier;
+    this.memoryPollInterval = config.memoryPollInterval;
+    this.uid = config.uid;
+    this.gid = config.gid;
+    this.judgeModes = [...this.judgeModes, 'interactive', 'unit_test'];
+
+    this.activeJobs = 0;
+    this.waitingJobs = [];
+  }
+
+  // Wait until one of the maxConcurrent slots is free. Waiting jobs get
+  // slots by priority (1 first, e.g. assessment runs), then in arrival order.
+  async acquireSlot(priority = DEFAULT_PRIORITY) {
+    if (this.activeJobs < this.maxConcurrent) {
+      this.activeJobs++;
+      return;
+    }
+    await new Promise(resolve => {
+      const index = this.waitingJobs.findIndex(waiting => waiting.priority > priority);
+      this.waitingJobs.splice(index === -1 ? this.waitingJobs.length : index, 0, { priority, resolve });
+    });
+  }
+
+  // Hand the slot to the next waiting job, or free it
+  releaseSlot() {
+    const next = this.waitingJobs.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.activeJobs--;
+    }
+  }
+
+  // Build the argv that sandboxes the command in a workspace and applies
+  // resource limits before exec'ing it
+  buildCommand(argv, dir, limits = {}) {
+    const prlimitArgs = [
+      `--nproc=${this.maxProcesses}`,
+      `--fsize=${limits.fileSize || this.maxOutputSize}`
+    ];
+
+    if (limits.cpuTime) {
+      prlimitArgs.push(`--cpu=${limits.cpuTime}:${limits.cpuTime + 1}`);
+    }
+    if (limits.addressSpace) {
+      prlimitArgs.push(`--as=${limits.addressSpace}`);
+    }
+
+    return [
+      'unshare', '--mount', '--net', '--pid', '--ipc', '--uts', '--fork', '--kill-child', '--',
+      'sh', '-c', SANDBOX_SCRIPT, 'sandbox', path.join(this.workDir, SANDBOX_ROOT), dir, this.readOnlyPaths.join(':'),
+      'setpriv', `--reuid=${this.uid}`, `--regid=${this.gid}`, '--clear-groups', '--no-new-privs', '--',
+      this.prlimitPath, ...prlimitArgs, '--',
+      ...argv
+    ];
+  }
+
+  // Spawn a sandboxed process with a wall-clock timeout, working in dir.
+  // Returns the child, a kill function and a promise for its exit, which
+  // rejects when the sandbox could not be set up.
+  startProcess(argv, { cwd, timeout, limits }) {
+    const [command, ...args] = this.buildCommand(argv, cwd, limits);
+    const startTime = process.hrtime.bigint();
+
+    const child = spawn(command, args, {
+      cwd,
+      env: {
+        PATH: process.env.PATH,
+        HOME: '/sandbox',
+        TMPDIR: '/sandbox',
+        LANG: 'C.UTF-8'
+      },
+      detached: true, // own process group so forked children are killed too
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+    });
+
+    let timedOut = false;
+    let killed = false;
+    let exitStatus = '';
+    let memory = null;
+
+    const kill = () => {
+      killed = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Process group already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeout);
+
+    const memorySampler = setInterval(async () => {
+      const peak = await readPeakMemory(child.pid);
+      if (peak !== null) {
+        memory = Math.max(memory || 0, peak);
+      }
+    }, this.memoryPollInterval);
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdio[3].setEncoding('utf8');
+    child.stdio[3].on('data', (chunk) => {
+      exitStatus += chunk;
+    });
+
+    const done = new Promise((resolve, reject) => {
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        clearInterval(memorySampler);
+        reject(Object.assign(error, { outage: true }));
+      });
+
+      child.on('close', () => {
+        clearTimeout(timer);
+        clearInterval(memorySampler);
+        const wasKilled = killed;
+        kill();
+
+        const time = Number(process.hrtime.bigint() - startTime) / 1e9;
+        const [status, ...times] = exitStatus.trim().split('\n');
+        if (status) {
+          resolve({ ...parseExitStatus(Number(status)), timedOut, time, cpuTime: parseCpuTime(times.join('\n')), memory });
+        } else if (wasKilled) {
+          resolve({ code: null, signal: 'SIGKILL', timedOut, time, cpuTime: null, memory });
+        } else {
+          reject(Object.assign(new Error('The sandbox could not be set up'), { outage: true }));
+        }
+      });
+    });
+
+    return { child, kill, done };
+  }
+
+  // Collect a stream into a string, killing the process past maxOutputSize
+  collectOutput(stream, processHandle, state) {
+    let output = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      state.outputSize += Buffer.byteLength(chunk);
+      if (state.outputSize > this.maxOutputSize) {
+        state.outputExceeded = true;
+        processHandle.kill();
+        return;
+      }
+      output += chunk;
+    });
+    return () => output;
+  }
+
+  // Spawn a sandboxed process, feed it stdin and collect its output
+  async runProcess(argv, { cwd, stdin = '', timeout, limits }) {
+    const processHandle = this.startProcess(argv, { cwd, timeout, limits });
+    const state = { outputSize: 0, outputExceeded: false };
+    const stdout = this.collectOutput(processHandle.child.stdout, processHandle, state);
+    const stderr = this.collectOutput(processHandle.child.stderr, processHandle, state);
+
+    processHandle.child.stdin.end(stdin);
+    const run = await processHandle.done;
+
+    return {
+      ...run,
+      stdout: stdout(),
+      stderr: stderr(),
+      outputExceeded: state.outputExceeded
+    };
+  }
+
+  // Map a finished run onto a Judge0 status
+  resolveStatus(run) {
+    if (run.timedOut || run.signal === 'SIGXCPU') {
+      return buildStatus(STATUS.TIME_LIMIT_EXCEEDED);
+    }
+    if (run.outputExceeded) {
+      return buildStatus(STATUS.RUNTIME_ERROR_OTHER, 'Output Limit Exceeded');
+    }
+    if (run.signal) {
+      return buildStatus(SIGNAL_STATUSES[run.signal] || STATUS.RUNTIME_ERROR_OTHER);
+    }
+    if (run.code !== 0) {
+      return buildStatus(STATUS.RUNTIME_ERROR_NZEC);
+    }
+    return buildStatus(STATUS.ACCEPTED);
+  }
+
+  // Toolchain for a language, with the registry's compile and run flags
+  getToolchain(language) {
+    const toolchain = TOOLCHAINS[(language || '').toLowerCase()];
+    if (!toolchain) {
+      throw new JobError(`Unsupported language: ${language}`, STATUS.COMPILATION_ERROR);
+    }
+
+    const { compileFlags, runFlags } = getLanguageConfig(language);
+    const splitFlags = (flags) => (flags ? flags.split(/\s+/).filter(Boolean) : []);
+    return {
+      ...toolchain,
+      compile: toolchain.compile && [...toolchain.compile, ...splitFlags(compileFlags)],
+      run: (memoryLimit) => [...toolchain.run(memoryLimit), ...splitFlags(runFlags)]
+    };
+  }
+
+  // Create a workspace owned by the sandbox user holding the given files.
+  // Failures are the runner's (e.g. a missing or full work directory), so
+  // they count as outages.
+  async createWorkspace(files = {}) {
+    try {
+      const dir = await fs.mkdtemp(path.join(this.workDir, 'codeloop-'));
+      await fs.mkdir(path.join(this.workDir, SANDBOX_ROOT), { recursive: true });
+
+      for (const [name, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, name), content);
+        await fs.chown(path.join(dir, name), this.uid, this.gid);
+      }
+      await fs.chown(dir, this.uid, this.gid);
+
+      return dir;
+    } catch (error) {
+      throw Object.assign(error, { outage: true });
+    }
+  }
+
+  prepareWorkspace(toolchain, code, extraFiles = {}) {
+    return this.createWorkspace({ [toolchain.source]: code, ...extraFiles });
+  }
+
+  // Compile the workspace source; returns a Compilation Error result on failure
+  async compile(toolchain, dir) {
+    if (!toolchain.compile) {
+      return null;
+    }
+
+    const compiled = await this.runProcess(toolchain.compile, {
+      cwd: dir,
+      timeout: this.compileTimeout,
+      limits: { fileSize: 64 * 1024 * 1024 }
+    });
+
+    if (!compiled.timedOut && compiled.code === 0) {
+      return null;
+    }
+
+    return {
+      status: buildStatus(STATUS.COMPILATION_ERROR),
+      stdout: '',
+      stderr: '',
+      compile_output: compiled.timedOut ? 'Compilation timed out' : compiled.stderr || compiled.stdout,
+      time: null,
+      memory: null,
+      exit_code: null,
+      exit_signal: null
+    };
+  }
+
+  // Resource limits applied to a run of the given toolchain
+  getRunLimits(toolchain, { timeLimit, memoryLimit }) {
+    return {
+      cpuTime: Math.ceil(timeLimit),
+      addressSpace: toolchain.limitAddressSpace ? memoryLimit * 1024 * 1024 : null
+    };
+  }
+
+  formatRun(run, extra = {}) {
+    return {
+      status: this.resolveStatus(run),
+      stdout: run.stdout,
+      stderr: run.stderr,
+      compile_output: '',
+      // CPU time as with Judge0, wall-clock time when the run was killed
+      // before it could be measured
+      time: Math.round((run.cpuTime ?? run.time) * 1000) / 1000,
+      wall_time: Math.round(run.time * 1000) / 1000,
+      memory: run.memory,
+      exit_code: run.code,
+      exit_signal: run.signal ? os.constants.signals[run.signal] : null,
+      ...extra
+    };
+  }
+
+  async run(job) {
+    const toolchain = this.getToolchain(job.language);
+    const dir = await this.prepareWorkspace(toolchain, job.code);
+
+    try {
+      const compileError = await this.compile(toolchain, dir);
+      if (compileError) {
+        return compileError;
+      }
+
+      return await this.runCompiled(toolchain, dir, job);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Run the compiled program in a workspace against a job's input
+  async runCompiled(toolchain, dir, job) {
+    const run = await this.runProcess(toolchain.run(job.memoryLimit), {
+      cwd: dir,
+      stdin: job.stdin,
+      timeout: job.timeLimit * this.wallTimeMultiplier * 1000,
+      limits: this.getRunLimits(toolchain, job)
+    });
+
+    return this.formatRun(run);
+  }
+
+  // Compile once into a workspace shared by every test case run
+  async prepareProgram(job) {
+    const toolchain = this.getToolchain(job.language);
+    const dir = await this.prepareWorkspace(toolchain, job.code);
+
+    let compileError;
+    try {
+      await this.acquireSlot(job.priority);
+      try {
+        compileError = await this.compile(toolchain, dir);
+      } finally {
+        this.releaseSlot();
+      }
+    } catch (error) {
+      await fs.rm(dir, { recursive: true, force: true });
+      throw error;
+    }
+
+    return {
+      compileError,
+      run: (jobs, onResult) => Promise.all(jobs.map(async (runJob, index) => {
+        await this.acquireSlot(runJob.priority);
+        let result;
+        try {
+          result = await this.runCompiled(toolchain, dir, runJob);
+        } finally {
+          this.releaseSlot();
+        }
+        if (onResult) {
+          onResult(index, result);
+        }
+        return result;
+      })),
+      release: () => fs.rm(dir, { recursive: true, force: true })
+    };
+  }
+
+  // Run a job's program against a partner program (an interactor or a
+  // unit-test harness) in a sandbox of its own, each one's stdout wired to
+  // the other's stdin. partner: { language, code, files, timeLimit,
+  // memoryLimit, setupTime, outputFile }; the partner gets setupTime more
+  // seconds, which the program waits through too. Resolves with
+  // { compileError } when the program does not compile, otherwise with
+  // { run, partnerRun, partnerStderr, output }, output being the partner's
+  // outputFile (null when it wrote none).
+  async runWithPartner(job, partner, label) {
+    const toolchain = this.getToolchain(job.language);
+    const partnerToolchain = this.getToolchain(partner.language);
+
+    const dir = await this.prepareWorkspace(toolchain, job.code, job.files);
+    const partnerDir = await this.prepareWorkspace(partnerToolchain, partner.code, partner.files);
+
+    try {
+      const partnerCompileError = await this.compile(partnerToolchain, partnerDir);
+      if (partnerCompileError) {
+        throw new JobError(`${label} failed to compile`, STATUS.INTERNAL_ERROR, partnerCompileError.compile_output);
+      }
+
+      const compileError = await this.compile(toolchain, dir);
+      if (compileError) {
+        return { compileError };
+      }
+
+      const wallTime = (job.timeLimit + (partner.setupTime || 0)) * this.wallTimeMultiplier * 1000;
+      const program = this.startProcess(toolchain.run(job.memoryLimit), {
+        cwd: dir,
+        timeout: wallTime,
+        limits: this.getRunLimits(toolchain, job)
+      });
+      const partnerProcess = this.startProcess(partnerToolchain.run(partner.memoryLimit), {
+        cwd: partnerDir,
+        timeout: wallTime + 1000,
+        limits: this.getRunLimits(partnerToolchain, {
+          timeLimit: partner.timeLimit + (partner.setupTime || 0),
+          memoryLimit: partner.memoryLimit
+        })
+      });
+
+      program.child.stdout.on('error', () => {});
+      partnerProcess.child.stdout.on('error', () => {});
+      program.child.stdout.pipe(partnerProcess.child.stdin);
+      partnerProcess.child.stdout.pipe(program.child.stdin);
+
+      const state = { outputSize: 0, outputExceeded: false };
+      const stderr = this.collectOutput(program.child.stderr, program, state);
+      const partnerStderr = this.collectOutput(partnerProcess.child.stderr, partnerProcess, { outputSize: 0 });
+
+      const [run, partnerRun] = await Promise.all([program.done, partnerProcess.done]);
+
+      let output = null;
+      try {
+        output = await fs.readFile(path.join(partnerDir, partner.outputFile), 'utf8');
+      } catch (error) {
+        // The partner wrote no output file
+      }
+
+      return {
+        run: { ...run, stdout: '', stderr: stderr(), outputExceeded: state.outputExceeded },
+        partnerRun,
+        partnerStderr: partnerStderr(),
+        output
+      };
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+      await fs.rm(partnerDir, { recursive: true, force: true });
+    }
+  }
+
+  // Run the program against an interactor. The interactor reads the test
+  // input from input.txt and writes its verdict to verdict.txt in the
+  // special judge format.
+  async runInteractive(job) {
+    const { interactor } = job;
+    const paired = await this.runWithPartner(job, {
+      language: interactor.language,
+      code: interactor.code,
+      files: { 'input.txt': job.stdin || '' },
+      timeLimit: interactor.timeLimit || DEFAULT_CHECKER_TIME_LIMIT,
+      memoryLimit: interactor.memoryLimit || 256,
+      outputFile: 'verdict.txt'
+    }, 'Interactor');
+    if (paired.compileError) {
+      return paired.compileError;
+    }
+
+    const { partnerRun: interactorRun, output: verdictOutput } = paired;
+    const result = this.formatRun(paired.run);
+
+    if (result.status.id === STATUS.TIME_LIMIT_EXCEEDED) {
+      return result;
+    }
+
+    // Without a verdict file the interactor's exit code is the verdict
+    if (verdictOutput === null && (interactorRun.signal || interactorRun.timedOut)) {
+      throw new JobError('Interactor crashed', STATUS.INTERNAL_ERROR, `${interactorRun.signal || 'timed out'} ${paired.partnerStderr}`.trim());
+    }
+
+    const verdict = verdictOutput !== null
+      ? parseCheckerOutput(verdictOutput)
+      : { verdict: interactorRun.code === 0 ? 'AC' : 'WA', score: interactorRun.code === 0 ? 1 : 0, message: '' };
+
+    if (verdict.verdict !== 'AC') {
+      return {
+        ...result,
+        status: buildStatus(STATUS.WRONG_ANSWER, verdict.verdict === 'PC' ? 'Partially Correct' : undefined),
+        checker: verdict
+      };
+    }
+
+    return { ...result, checker: verdict };
+  }
+
+  // Run the student's code, served by job.code, against a unit-test harness
+  // (job.unitTests, see unitTests.js) that runs the test file in a sandbox of
+  // its own and writes a result line per test to results.jsonl there. The
+  // result is the student program's, with the harness's result lines as
+  // report. The Java harness runs the tests on the JUnit jar at junitJar.
+  async runUnitTests(job) {
+    const { unitTests: harness, ...runJob } = job;
+    if (harness.language === 'java' && !this.junitJar) {
+      throw new JobError('JUnit is not installed on the local runner', STATUS.INTERNAL_ERROR, 'Set LOCAL_RUNNER_JUNIT_JAR to the JUnit console launcher jar');
+    }
+
+    const paired = await this.runWithPartner(runJob, {
+      ...harness,
+      files: harness.language === 'java' ? { ...harness.files, 'junit.path': this.junitJar } : harness.files,
+      timeLimit: job.timeLimit,
+      outputFile: 'results.jsonl'
+    }, 'Test harness');
+    if (paired.compileError) {
+      return paired.compileError;
+    }
+
+    const { partnerRun: harnessRun, output: report } = paired;
+    if (report === null && (harnessRun.signal || harnessRun.timedOut || harnessRun.code !== 0)) {
+      throw new JobError('Test harness crashed', STATUS.INTERNAL_ERROR, `${harnessRun.signal || harnessRun.code || 'timed out'} ${paired.partnerStderr}`.trim());
+    }
+
+    return { ...this.formatRun(paired.run), report: report || '' };
+  }
+
+  async execute(job) {
+    await this.acquireSlot(job.priority);
+    try {
+      return await this.run(job);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async executeInteractive(job) {
+    await this.acquireSlot(job.priority);
+    try {
+      return await this.runInteractive(job);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  async executeUnitTests(job) {
+    await this.acquireSlot(job.priority);
+    try {
+      return await this.runUnitTests(job);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  // Languages with a local toolchain. The local runner has no language ids.
+  async getLanguages() {
+    const names = new Map(getLanguages().map(language => [language.key, language.name]));
+    return Object.keys(TOOLCHAINS).map(key => ({ key, name: names.get(key) || key }));
+  }
+
+  async healthCheck() {
+    const startTime = Date.now();
+    let dir;
+    try {
+      dir = await this.createWorkspace();
+      const check = await this.runProcess(['true'], { cwd: dir, timeout: 5000 });
+      return {
+        status: check.code === 0 ? 'healthy' : 'degraded',
+        responseTime: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error('Local runner health check failed:', error.message);
+      return { status: 'unavailable', responseTime: null };
+    } finally {
+      if (dir) {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+module.exports = LocalBackend;
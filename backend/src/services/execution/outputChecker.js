@@ -0,0 +1,113 @@
+// Output comparison modes available to coding questions
+const COMPARISON_MODES = [
+  'exact',
+  'ignore_trailing_whitespace',
+  'ignore_case',
+  'float_tolerance',
+  'unordered_lines',
+  'tokens',
+  'regex',
+  'trim'
+];
+
+const DEFAULT_COMPARISON = {
+  mode: 'ignore_trailing_whitespace',
+  absoluteTolerance: 1e-6,
+  relativeTolerance: 1e-6
+};
+
+// Split output into lines, dropping trailing whitespace and trailing blank lines
+const toTrimmedLines = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+const toTokens = (text) => text.split(/\s+/).filter(Boolean);
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const numbersClose = (actual, expected, { absoluteTolerance, relativeTolerance }) => {
+  const difference = Math.abs(actual - expected);
+  return difference <= absoluteTolerance || difference <= relativeTolerance * Math.abs(expected);
+};
+
+const comparators = {
+  exact: (actual, expected) => actual.replace(/\r\n/g, '\n') === expected.replace(/\r\n/g, '\n'),
+
+  ignore_trailing_whitespace: (actual, expected) =>
+    toTrimmedLines(actual).join('\n') === toTrimmedLines(expected).join('\n'),
+
+  ignore_case: (actual, expected) =>
+    toTrimmedLines(actual).join('\n').toLowerCase() === toTrimmedLines(expected).join('\n').toLowerCase(),
+
+  // Numeric tokens match within tolerance, other tokens must match exactly
+  float_tolerance: (actual, expected, options) => {
+    const actualTokens = toTokens(actual);
+    const expectedTokens = toTokens(expected);
+    if (actualTokens.length !== expectedTokens.length) {
+      return false;
+    }
+    return expectedTokens.every((token, index) => {
+      const other = actualTokens[index];
+      if (NUMBER_PATTERN.test(token) && NUMBER_PATTERN.test(other)) {
+        return numbersClose(Number(other), Number(token), options);
+      }
+      return token === other;
+    });
+  },
+
+  unordered_lines: (actual, expected) => {
+    const actualLines = toTrimmedLines(actual).sort();
+    const expectedLines = toTrimmedLines(expected).sort();
+    return actualLines.length === expectedLines.length &&
+      actualLines.every((line, index) => line === expectedLines[index]);
+  },
+
+  tokens: (actual, expected) => toTokens(actual).join(' ') === toTokens(expected).join(' '),
+
+  // Whole outputs match once trimmed, as before comparison modes existed
+  // (kept for questions created then, see Question.keepLegacyComparison)
+  trim: (actual, expected) => actual.replace(/\r\n/g, '\n').trim() === expected.replace(/\r\n/g, '\n').trim(),
+
+  // Expected output holds a pattern the whole output has to match
+  regex: (actual, expected) => {
+    try {
+      return new RegExp(`^(?:${expected.replace(/\s+$/, '')})$`).test(toTrimmedLines(actual).join('\n'));
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+// Merge question-level settings with test case overrides; later values win
+const resolveComparison = (...overrides) => {
+  return overrides.reduce((comparison, override) => {
+    if (!override) return comparison;
+    Object.keys(DEFAULT_COMPARISON).forEach(key => {
+      if (override[key] !== undefined && override[key] !== null) {
+        comparison[key] = override[key];
+      }
+    });
+    return comparison;
+  }, { ...DEFAULT_COMPARISON });
+};
+
+// Compare program output with the expected output using the given settings
+const compareOutput = (actual, expected, comparison = {}) => {
+  const options = resolveComparison(comparison);
+  const comparator = comparators[options.mode];
+  if (!comparator) {
+    throw new Error(`Unknown comparison mode: ${options.mode}`);
+  }
+  return comparator(actual || '', expected || '', options);
+};
+
+module.exports = {
+  COMPARISON_MODES,
+  DEFAULT_COMPARISON,
+  resolveComparison,
+  compareOutput
+};
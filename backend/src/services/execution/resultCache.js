@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const executionConfig = require('../../config/execution');
+const { getLanguageConfig } = require('./languages');
+const { STATUS } = require('./statuses');
+
+// Results that depend only on the program and its input. Time limits and
+// internal errors can depend on how busy the judge is, so they always re-run.
+const CACHEABLE_STATUSES = [
+  STATUS.ACCEPTED,
+  STATUS.COMPILATION_ERROR,
+  STATUS.RUNTIME_ERROR_SIGSEGV,
+  STATUS.RUNTIME_ERROR_SIGXFSZ,
+  STATUS.RUNTIME_ERROR_SIGFPE,
+  STATUS.RUNTIME_ERROR_SIGABRT,
+  STATUS.RUNTIME_ERROR_NZEC,
+  STATUS.RUNTIME_ERROR_OTHER
+];
+
+// Content-addressed cache of backend results, keyed by a hash of the
+// backend, language (and its flags), limits, source and stdin. Entries expire
+// after ttl seconds; the least recently used are evicted once the cached
+// results exceed maxSize bytes.
+class ResultCache {
+  constructor(config) {
+    this.config = config;
+    this.entries = new Map();
+    this.size = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isEnabled() {
+    return Boolean(this.config.enabled);
+  }
+
+  getKey(backendName, job) {
+    const language = getLanguageConfig(job.language);
+    return crypto.createHash('sha256').update(JSON.stringify([
+      backendName,
+      language.key,
+      language.compileFlags || '',
+      language.runFlags || '',
+      job.timeLimit,
+      job.memoryLimit,
+      job.code,
+      job.stdin || ''
+    ])).digest('hex');
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) {
+        this.delete(key);
+      }
+      this.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return { ...entry.result, cached: true };
+  }
+
+  set(key, result) {
+    if (!this.isEnabled() || !key || !CACHEABLE_STATUSES.includes(result?.status?.id)) {
+      return;
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(result));
+    if (size > this.config.maxSize) {
+      return;
+    }
+
+    this.delete(key);
+    this.entries.set(key, { result, size, expiresAt: Date.now() + this.config.ttl * 1000 });
+    this.size += size;
+
+    // Evict least recently used entries
+    for (const oldestKey of this.entries.keys()) {
+      if (this.size <= this.config.maxSize) {
+        break;
+      }
+      this.delete(oldestKey);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.size -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.isEnabled(),
+      entries: this.entries.size,
+      size: this.size,
+      maxSize: this.config.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+    };
+  }
+}
+
+module.exports = new ResultCache(executionConfig.cache);
@@ -0,0 +1,119 @@
+const { VERDICTS, VERDICT_DESCRIPTIONS, toVerdict, summarizeVerdict } = require('./verdicts');
+
+const MAX_COMPILE_OUTPUT_LENGTH = 4000; // characters
+
+// Helper function to make compiler output safe to show: strips terminal
+// colour codes, control characters and sandbox paths, and trims it
+const sanitizeCompileOutput = (output) => {
+  if (!output) {
+    return '';
+  }
+
+  /* eslint-disable no-control-regex */
+  const cleaned = String(output)
+    .replace(/\u001b\[[0-9;]*[A-Za-z]/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+    .replace(/(?:\/[\w.-]+)*\/codeloop-[\w]+\//g, '')
+    .trim();
+  /* eslint-enable no-control-regex */
+
+  if (cleaned.length <= MAX_COMPILE_OUTPUT_LENGTH) {
+    return cleaned;
+  }
+  return `${cleaned.slice(0, MAX_COMPILE_OUTPUT_LENGTH)}\n... (output truncated)`;
+};
+
+// Helper function to format execution results
+const formatExecutionResult = (result, executionId) => {
+  const verdict = toVerdict(result);
+  return {
+    executionId,
+    status: result.status?.id || 'error',
+    verdict,
+    stdout: result.stdout || '',
+    stderr: result.stderr || '',
+    compile_output: sanitizeCompileOutput(result.compile_output),
+    time: result.time || 0,
+    memory: result.memory || 0,
+    exit_code: result.exit_code || 0,
+    exit_signal: result.exit_signal || null,
+    description: VERDICT_DESCRIPTIONS[verdict],
+    // Backend-specific detail, e.g. "Runtime Error (SIGSEGV)" or "Partially Correct"
+    statusDescription: result.status?.description || 'Execution failed',
+    limits: result.limits
+  };
+};
+
+// Helper function to format test case results
+const formatTestCaseResults = (results, executionId) => {
+  return results.map((result, index) => {
+    const formatted = formatExecutionResult(result, executionId);
+    const passed = formatted.verdict === VERDICTS.ACCEPTED;
+    return {
+      testCaseIndex: index + 1,
+      ...formatted,
+      passed,
+      score: result.checker
+        ? Math.round(result.checker.score * 100)
+        : passed ? 100 : 0,
+      checkerMessage: result.checker?.message || undefined,
+      // Unit-test questions: the test and its assertion or error message
+      testName: result.testName,
+      message: result.message
+    };
+  });
+};
+
+// Helper function to summarise an attempt: the first failing verdict (or
+// AC) and, for compile errors, the compiler output
+const summarizeTestCaseResults = (formattedResults) => {
+  const verdict = summarizeVerdict(formattedResults.map(result => result.verdict));
+  const compileError = verdict === VERDICTS.COMPILATION_ERROR
+    ? formattedResults.find(result => result.verdict === VERDICTS.COMPILATION_ERROR)
+    : null;
+
+  return {
+    verdict,
+    verdictDescription: VERDICT_DESCRIPTIONS[verdict],
+    compileOutput: compileError ? compileError.compile_output : undefined
+  };
+};
+
+// Helper function to convert formatted test case results into
+// AssessmentSubmission test result records, with the points each test case
+// earned (testPoints from scoring.scoreTestResults)
+const toTestResultRecords = (formattedResults, testCases, testPoints = []) => {
+  return formattedResults.map((result, index) => {
+    const testCase = testCases[index] || {};
+    return {
+      testCase: result.testCaseIndex,
+      passed: result.passed,
+      verdict: result.verdict,
+      actualOutput: result.stdout,
+      expectedOutput: testCase.expectedOutput || '',
+      executionTime: Math.round(Number(result.time) * 1000),
+      memoryUsage: result.memory,
+      points: testPoints[index] || 0,
+      checkerMessage: result.checkerMessage,
+      testName: result.testName,
+      message: result.message,
+      ...(result.limits && {
+        limits: {
+          baseTimeLimit: result.limits.base.timeLimit,
+          effectiveTimeLimit: result.limits.effective.timeLimit,
+          baseMemoryLimit: result.limits.base.memoryLimit,
+          effectiveMemoryLimit: result.limits.effective.memoryLimit
+        }
+      })
+    };
+  });
+};
+
+module.exports = {
+  sanitizeCompileOutput,
+  formatExecutionResult,
+  formatTestCaseResults,
+  summarizeTestCaseResults,
+  toTestResultRecords
+};
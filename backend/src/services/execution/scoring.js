@@ -0,0 +1,162 @@
+// Points-based scoring with subtasks
+//
+// Every test case is worth its points. A test case outside any subtask earns
+// its points scaled by the score it got (100 when accepted, or the special
+// judge's partial score). A subtask is a named group of test cases that
+// earns its points only when every test case in it passes.
+
+const DEFAULT_TEST_POINTS = 10;
+
+// Helper function to validate subtask definitions against the test cases;
+// returns a list of problems
+const validateSubtasks = (testCases = [], subtasks = []) => {
+  const errors = [];
+  const names = new Set();
+
+  subtasks.forEach((subtask, index) => {
+    if (!subtask.name) {
+      errors.push(`Subtask ${index + 1} must have a name`);
+    } else if (names.has(subtask.name)) {
+      errors.push(`Duplicate subtask name: ${subtask.name}`);
+    }
+    names.add(subtask.name);
+  });
+
+  testCases.forEach((testCase, index) => {
+    if (testCase.subtask && !names.has(testCase.subtask)) {
+      errors.push(`Test case ${index + 1} belongs to unknown subtask: ${testCase.subtask}`);
+    }
+  });
+
+  names.forEach(name => {
+    if (name && !testCases.some(testCase => testCase.subtask === name)) {
+      errors.push(`Subtask ${name} has no test cases`);
+    }
+  });
+
+  return errors;
+};
+
+// Helper function to validate a coding question's efficiency settings (see
+// services/efficiencyService.js); returns a list of problems
+const validateEfficiency = (question) => {
+  const efficiency = question.efficiency;
+  if (!efficiency?.enabled) {
+    return [];
+  }
+
+  const errors = [];
+  if (question.judgeMode === 'unit_test') {
+    errors.push('Efficiency scoring is not available for unit-test questions');
+  }
+  if (!question.solutionCode) {
+    errors.push('Solution code is required for efficiency scoring');
+  }
+  if (!(question.testCases || []).some(testCase => testCase.benchmark)) {
+    errors.push('At least one benchmark test case is required for efficiency scoring');
+  }
+  if ((efficiency.penaltyRatio ?? 3) <= (efficiency.bonusRatio ?? 1.25)) {
+    errors.push('Penalty ratio must be greater than bonus ratio');
+  }
+  return errors;
+};
+
+const getPoints = (testCase) => {
+  return testCase && testCase.points !== undefined && testCase.points !== null
+    ? testCase.points
+    : DEFAULT_TEST_POINTS;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Score formatted test case results (see results.js)
+// Returns { earnedPoints, totalPoints, score (0-100), testPoints, subtasks }
+const scoreTestResults = (formattedResults, testCases = [], subtasks = []) => {
+  const testPoints = formattedResults.map((result, index) => {
+    const testCase = testCases[index];
+    return testCase?.subtask ? 0 : round(getPoints(testCase) * result.score / 100);
+  });
+
+  const subtaskResults = subtasks.map(subtask => {
+    const indexes = testCases
+      .map((testCase, index) => (testCase.subtask === subtask.name ? index : -1))
+      .filter(index => index >= 0 && index < formattedResults.length);
+    const casePoints = indexes.reduce((sum, index) => sum + getPoints(testCases[index]), 0);
+    const totalPoints = subtask.points !== undefined && subtask.points !== null ? subtask.points : casePoints;
+    const passed = indexes.length > 0 && indexes.every(index => formattedResults[index].passed);
+
+    // Credit the subtask's test cases with their share of its points
+    if (passed) {
+      indexes.forEach(index => {
+        testPoints[index] = casePoints > 0 ? round(totalPoints * getPoints(testCases[index]) / casePoints) : 0;
+      });
+    }
+
+    return {
+      name: subtask.name,
+      description: subtask.description,
+      testCases: indexes.map(index => index + 1),
+      passed,
+      earnedPoints: passed ? totalPoints : 0,
+      totalPoints
+    };
+  });
+
+  const ungroupedPoints = formattedResults.reduce((sum, result, index) => {
+    return testCases[index]?.subtask ? sum : sum + getPoints(testCases[index]);
+  }, 0);
+  const totalPoints = round(ungroupedPoints + subtaskResults.reduce((sum, subtask) => sum + subtask.totalPoints, 0));
+  const earnedPoints = round(
+    formattedResults.reduce((sum, result, index) => (testCases[index]?.subtask ? sum : sum + testPoints[index]), 0) +
+    subtaskResults.reduce((sum, subtask) => sum + subtask.earnedPoints, 0)
+  );
+
+  return {
+    earnedPoints,
+    totalPoints,
+    score: totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0,
+    testPoints,
+    subtasks: subtaskResults
+  };
+};
+
+// Give weight percent (0-100) of a scoreTestResults result's points to a
+// style score (0-100, see codeQuality.js); the test cases keep the rest
+const weighStyleScore = (scoring, styleScore, weight) => {
+  const testPoints = scoring.earnedPoints * (100 - weight) / 100;
+  const stylePoints = round(scoring.totalPoints * weight / 100 * styleScore / 100);
+  const earnedPoints = round(testPoints + stylePoints);
+  return {
+    ...scoring,
+    earnedPoints,
+    stylePoints,
+    score: scoring.totalPoints > 0 ? Math.round((earnedPoints / scoring.totalPoints) * 100) : 0
+  };
+};
+
+// Add bonus (positive) or penalty (negative) points to a scoreTestResults
+// result. A penalty comes off the earned points, which never drop below
+// zero. A bonus is extra credit kept apart as bonusPoints and bonusScore
+// (percent of the total points), so earned points and score stay within
+// the question's total and a bonus still counts when every test passed.
+const adjustScore = (scoring, points) => {
+  const earnedPoints = round(Math.max(scoring.earnedPoints + Math.min(points, 0), 0));
+  const bonusPoints = round(Math.max(points, 0));
+  return {
+    ...scoring,
+    earnedPoints,
+    adjustmentPoints: round(earnedPoints - scoring.earnedPoints),
+    bonusPoints,
+    bonusScore: scoring.totalPoints > 0 ? Math.round((bonusPoints / scoring.totalPoints) * 100) : 0,
+    score: scoring.totalPoints > 0 ? Math.round((earnedPoints / scoring.totalPoints) * 100) : 0
+  };
+};
+
+module.exports = {
+  DEFAULT_TEST_POINTS,
+  validateSubtasks,
+  validateEfficiency,
+  scoreTestResults,
+  weighStyleScore,
+  adjustScore
+};
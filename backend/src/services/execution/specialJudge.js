@@ -0,0 +1,64 @@
+// Special judge (custom checker) protocol
+//
+// The checker program reads three sections from stdin. Each section starts
+// with a line holding its line count, followed by that many lines:
+//   <n> / test input, <n> / expected output, <n> / contestant output
+//
+// It prints its verdict on the first line:
+//   AC              correct, full score
+//   WA              wrong, no score
+//   PC <fraction>   partially correct, fraction of the points between 0 and 1
+// Any further lines are returned to the student as the checker message.
+
+const DEFAULT_CHECKER_TIME_LIMIT = 5; // seconds
+const DEFAULT_CHECKER_MEMORY_LIMIT = 256; // MB
+
+const toSection = (text) => {
+  const lines = (text || '').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  const content = text ? lines : [];
+  return [String(content.length), ...content].join('\n');
+};
+
+// Helper function to build the checker's stdin
+const buildCheckerInput = ({ input, expectedOutput, output }) => {
+  return [toSection(input), toSection(expectedOutput), toSection(output)].join('\n') + '\n';
+};
+
+// Helper function to parse the checker's verdict; throws on malformed output
+const parseCheckerOutput = (stdout) => {
+  const [firstLine = '', ...messageLines] = (stdout || '').replace(/\r\n/g, '\n').split('\n');
+  const [verdict, fraction] = firstLine.trim().split(/\s+/);
+  const message = messageLines.join('\n').trim();
+
+  switch ((verdict || '').toUpperCase()) {
+    case 'AC':
+      return { verdict: 'AC', score: 1, message };
+    case 'WA':
+      return { verdict: 'WA', score: 0, message };
+    case 'PC': {
+      const score = Number(fraction);
+      if (fraction === undefined || !Number.isFinite(score) || score < 0 || score > 1) {
+        throw new Error(`Checker returned an invalid partial score: ${fraction}`);
+      }
+      return { verdict: 'PC', score, message };
+    }
+    default:
+      throw new Error(`Checker returned an unknown verdict: ${firstLine.trim()}`);
+  }
+};
+
+// Helper function to build the execution job that runs the checker
+const prepareCheckerJob = (checker, testData) => ({
+  code: checker.code,
+  language: checker.language,
+  stdin: buildCheckerInput(testData),
+  timeLimit: checker.timeLimit || DEFAULT_CHECKER_TIME_LIMIT,
+  memoryLimit: checker.memoryLimit || DEFAULT_CHECKER_MEMORY_LIMIT
+});
+
+module.exports = {
+  DEFAULT_CHECKER_TIME_LIMIT,
+  buildCheckerInput,
+  parseCheckerOutput,
+  prepareCheckerJob
+};
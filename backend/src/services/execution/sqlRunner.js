@@ -0,0 +1,277 @@
+const fs = require('fs/promises');
+const executionConfig = require('../../config/execution');
+const LocalBackend = require('./localBackend');
+const { STATUS, buildStatus } = require('./statuses');
+
+// Language of SQL question submissions; not in the language registry since
+// SQL is never sent to the execution backend
+const SQL_LANGUAGE = 'sql';
+
+// Defaults for questions without limits (seconds / MB)
+const DEFAULT_TIME_LIMIT = 1;
+const DEFAULT_MEMORY_LIMIT = 128;
+
+// Printed once the database is built, so output and errors of the setup can
+// be told apart from the query's
+const SETUP_MARKER = '-- codeloop: database ready --';
+
+// Error messages of the sqlite3 shell, e.g. "Parse error near line 5: ..."
+const ERROR_PREFIX = /^(?:(Parse|Runtime) error near line \d+|Error: near line \d+|line \d+): /;
+
+// Tokens of the shell's JSON output: strings, punctuation and bare literals
+const JSON_TOKEN = /\s*("(?:[^"\\]|\\.)*"|[[\]{}:,]|[^\s[\]{}:,"]+)/y;
+
+// Helper function to parse the shell's JSON output (arrays of flat objects)
+// into rows of values. JSON.parse would move integer-like column names such
+// as "1" to the front, so values are read in the order they were printed.
+const parseRows = (output) => {
+  const rows = [];
+  let row = null;
+  let isValue = false;
+  let match;
+
+  JSON_TOKEN.lastIndex = 0;
+  while ((match = JSON_TOKEN.exec(output))) {
+    const token = match[1];
+    if (token === '{') {
+      row = [];
+    } else if (token === '}') {
+      rows.push(row);
+    } else if (token === ':') {
+      isValue = true;
+    } else if (isValue) {
+      row.push(JSON.parse(token));
+      isValue = false;
+    }
+  }
+  return rows;
+};
+
+// Helper function to format rows as text, one tab-separated row per line
+const formatRows = (rows) => {
+  return rows.map(row => row.map(value => (value === null ? 'NULL' : String(value))).join('\t')).join('\n');
+};
+
+// Helper function to compare result sets. Reals are compared to 12
+// significant digits so equivalent queries (e.g. AVG and SUM / COUNT) match.
+const compareRows = (expected, actual, ordered = false) => {
+  const normalize = (rows) => rows.map(row => JSON.stringify(row.map(value => (
+    typeof value === 'number' && !Number.isInteger(value) ? Number(value.toPrecision(12)) : value
+  ))));
+
+  const expectedRows = normalize(expected);
+  const actualRows = normalize(actual);
+  if (!ordered) {
+    expectedRows.sort();
+    actualRows.sort();
+  }
+  return expectedRows.length === actualRows.length &&
+    expectedRows.every((row, index) => row === actualRows[index]);
+};
+
+// Closing character of each kind of SQL quoting
+const QUOTES = { '\'': '\'', '"': '"', '`': '`', '[': ']' };
+
+// Helper function to cut a query after its last token, dropping the
+// semicolons, comments and whitespace that follow it (e.g. "SELECT 1; --
+// done" or "SELECT 1;;"), since the query is wrapped in a subquery to run
+const prepareQuery = (code) => {
+  let end = 0;
+  let index = 0;
+  while (index < code.length) {
+    const char = code[index];
+    if (code.startsWith('--', index)) {
+      const newline = code.indexOf('\n', index);
+      index = newline === -1 ? code.length : newline;
+    } else if (code.startsWith('/*', index)) {
+      const close = code.indexOf('*/', index + 2);
+      index = close === -1 ? code.length : close + 2;
+    } else if (QUOTES[char]) {
+      const close = code.indexOf(QUOTES[char], index + 1);
+      index = close === -1 ? code.length : close + 1;
+      end = index;
+    } else {
+      index++;
+      if (char !== ';' && !/\s/.test(char)) {
+        end = index;
+      }
+    }
+  }
+  return code.slice(0, end).trim();
+};
+
+// Runs SQL questions. Every test case gets a fresh in-memory SQLite database
+// built from the question's schema, its seed data and the test case input,
+// in which the reference query and the submitted query are run. The
+// submitted query is run as SELECT * FROM (query), so it must be a single
+// read-only query. Results look like Judge0 results so they are formatted and
+// scored like those of coding questions.
+class SqlRunner {
+  constructor(config, sandboxConfig) {
+    this.sqlitePath = config.sqlitePath;
+    this.sandboxConfig = sandboxConfig;
+    this.sandbox = null;
+  }
+
+  // Local runner whose sandboxing of processes is used, created on first use
+  // so that deployments without SQL questions need no sandbox user
+  getSandbox() {
+    if (!this.sandbox) {
+      this.sandbox = new LocalBackend(this.sandboxConfig);
+    }
+    return this.sandbox;
+  }
+
+  // Shell script building the database and printing the query's rows as JSON
+  buildScript(question, testCase, query) {
+    const setup = [question.sql?.schema, question.sql?.seedData, testCase.input]
+      .filter(Boolean)
+      .map(script => `${script}\n;`); // terminate a missing final semicolon
+
+    return [
+      ...setup,
+      `.print '${SETUP_MARKER}'`,
+      '.mode json',
+      'SELECT * FROM (',
+      query,
+      ');',
+      ''
+    ].join('\n');
+  }
+
+  // Run a query against a test case's database.
+  // Returns { status, rows, error, setupError, time }
+  async runQuery(question, testCase, query, priority) {
+    const timeLimit = question.timeLimit || DEFAULT_TIME_LIMIT;
+    const memoryLimit = question.memoryLimit || DEFAULT_MEMORY_LIMIT;
+    const sandbox = this.getSandbox();
+
+    const dir = await sandbox.createWorkspace();
+    await sandbox.acquireSlot(priority);
+    let run;
+    try {
+      // -safe disables shell commands, file access and ATTACH; -init keeps
+      // a planted .sqliterc from being read
+      run = await sandbox.runProcess([this.sqlitePath, '-safe', '-bail', '-batch', '-init', '/dev/null', ':memory:'], {
+        cwd: dir,
+        stdin: this.buildScript(question, testCase, query),
+        timeout: timeLimit * sandbox.wallTimeMultiplier * 1000,
+        limits: { cpuTime: Math.ceil(timeLimit), addressSpace: memoryLimit * 1024 * 1024 }
+      });
+    } finally {
+      sandbox.releaseSlot();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    const time = Math.round(run.time * 1000) / 1000;
+    const markerIndex = run.stdout.indexOf(SETUP_MARKER);
+    const message = run.stderr.trim().split('\n')[0] || '';
+    const [, kind] = message.match(ERROR_PREFIX) || [];
+    const error = message.replace(ERROR_PREFIX, '');
+
+    if (markerIndex === -1) {
+      return { setupError: error || sandbox.resolveStatus(run).description, time };
+    }
+
+    const status = sandbox.resolveStatus(run);
+    if (status.id === STATUS.RUNTIME_ERROR_NZEC) {
+      return {
+        status: buildStatus(kind === 'Parse' ? STATUS.COMPILATION_ERROR : STATUS.RUNTIME_ERROR_OTHER),
+        error,
+        time
+      };
+    }
+    if (status.id !== STATUS.ACCEPTED) {
+      return { status, error: run.stderr, time };
+    }
+
+    return { status, rows: parseRows(run.stdout.slice(markerIndex + SETUP_MARKER.length)), time };
+  }
+
+  // Run the reference and submitted queries against one test case
+  async runTestCase(question, testCase, query, priority) {
+    const expected = await this.runQuery(question, testCase, prepareQuery(question.solutionCode || ''), priority);
+    if (expected.setupError || expected.status.id !== STATUS.ACCEPTED) {
+      const reason = expected.setupError
+        ? `Database setup failed: ${expected.setupError}`
+        : `Reference query failed: ${expected.error || expected.status.description}`;
+      return { status: buildStatus(STATUS.INTERNAL_ERROR, reason), stdout: '', stderr: '', time: 0, memory: null };
+    }
+
+    const actual = await this.runQuery(question, testCase, query, priority);
+    if (actual.status.id !== STATUS.ACCEPTED) {
+      return {
+        status: actual.status,
+        stdout: '',
+        stderr: actual.status.id === STATUS.COMPILATION_ERROR ? '' : actual.error,
+        compile_output: actual.status.id === STATUS.COMPILATION_ERROR ? actual.error : '',
+        time: actual.time,
+        memory: null
+      };
+    }
+
+    const passed = compareRows(expected.rows, actual.rows, question.sql?.ordered);
+    return {
+      status: buildStatus(passed ? STATUS.ACCEPTED : STATUS.WRONG_ANSWER),
+      stdout: formatRows(actual.rows),
+      stderr: '',
+      compile_output: '',
+      time: actual.time,
+      memory: null,
+      rows: actual.rows,
+      expectedRows: expected.rows
+    };
+  }
+
+  // Run a submitted query against the given test cases (the question's by
+  // default). Resolves with [{ token, result }] like executionService.executeBatch
+  // and calls onResult(index, result) as each test case finishes.
+  async runTestCases(question, code, { testCases = question.testCases || [], priority, onResult } = {}) {
+    const query = prepareQuery(code);
+
+    // Shell commands such as .mode would run between statements
+    if (/^\s*\./m.test(query)) {
+      const result = {
+        status: buildStatus(STATUS.COMPILATION_ERROR),
+        stdout: '',
+        stderr: '',
+        compile_output: 'Lines starting with "." (sqlite3 shell commands) are not allowed',
+        time: 0,
+        memory: null
+      };
+      testCases.forEach((testCase, index) => onResult && onResult(index, result));
+      return testCases.map(() => ({ token: null, result }));
+    }
+
+    return Promise.all(testCases.map(async (testCase, index) => {
+      const result = await this.runTestCase(question, testCase, query, priority);
+      if (onResult) {
+        onResult(index, result);
+      }
+      return { token: null, result };
+    }));
+  }
+
+  // Check the reference query runs on every test case's database; returns a
+  // list of problems
+  async validateQuestion(question) {
+    const query = prepareQuery(question.solutionCode || '');
+    const problems = await Promise.all((question.testCases || []).map(async (testCase, index) => {
+      const run = await this.runQuery(question, testCase, query);
+      if (run.setupError) {
+        return `Test case ${index + 1}: database setup failed: ${run.setupError}`;
+      }
+      if (run.status.id !== STATUS.ACCEPTED) {
+        return `Test case ${index + 1}: reference query failed: ${run.error || run.status.description}`;
+      }
+      return null;
+    }));
+    return problems.filter(Boolean);
+  }
+}
+
+module.exports = new SqlRunner(executionConfig.sql, executionConfig.local);
+module.exports.SQL_LANGUAGE = SQL_LANGUAGE;
+module.exports.parseRows = parseRows;
+module.exports.formatRows = formatRows;
+module.exports.compareRows = compareRows;
@@ -0,0 +1,62 @@
+// Judge0 submission status ids. Every execution backend reports results
+// using these ids so the routes can treat all backends the same way.
+const STATUS = {
+  IN_QUEUE: 1,
+  PROCESSING: 2,
+  ACCEPTED: 3,
+  WRONG_ANSWER: 4,
+  TIME_LIMIT_EXCEEDED: 5,
+  COMPILATION_ERROR: 6,
+  RUNTIME_ERROR_SIGSEGV: 7,
+  RUNTIME_ERROR_SIGXFSZ: 8,
+  RUNTIME_ERROR_SIGFPE: 9,
+  RUNTIME_ERROR_SIGABRT: 10,
+  RUNTIME_ERROR_NZEC: 11,
+  RUNTIME_ERROR_OTHER: 12,
+  INTERNAL_ERROR: 13,
+  EXEC_FORMAT_ERROR: 14
+};
+
+const STATUS_DESCRIPTIONS = {
+  [STATUS.IN_QUEUE]: 'In Queue',
+  [STATUS.PROCESSING]: 'Processing',
+  [STATUS.ACCEPTED]: 'Accepted',
+  [STATUS.WRONG_ANSWER]: 'Wrong Answer',
+  [STATUS.TIME_LIMIT_EXCEEDED]: 'Time Limit Exceeded',
+  [STATUS.COMPILATION_ERROR]: 'Compilation Error',
+  [STATUS.RUNTIME_ERROR_SIGSEGV]: 'Runtime Error (SIGSEGV)',
+  [STATUS.RUNTIME_ERROR_SIGXFSZ]: 'Runtime Error (SIGXFSZ)',
+  [STATUS.RUNTIME_ERROR_SIGFPE]: 'Runtime Error (SIGFPE)',
+  [STATUS.RUNTIME_ERROR_SIGABRT]: 'Runtime Error (SIGABRT)',
+  [STATUS.RUNTIME_ERROR_NZEC]: 'Runtime Error (NZEC)',
+  [STATUS.RUNTIME_ERROR_OTHER]: 'Runtime Error (Other)',
+  [STATUS.INTERNAL_ERROR]: 'Internal Error',
+  [STATUS.EXEC_FORMAT_ERROR]: 'Exec Format Error'
+};
+
+// Helper function to build a status object
+const buildStatus = (id, description = STATUS_DESCRIPTIONS[id]) => ({ id, description });
+
+// Helper function to check whether a submission is still waiting on the judge
+const isPending = (status) => !status || status.id === STATUS.IN_QUEUE || status.id === STATUS.PROCESSING;
+
+// Raised by a backend for a job it cannot run because of the job itself
+// (e.g. an unsupported language or an interactor that does not compile).
+// The job gets a result with this status instead of counting as an outage;
+// details are logged but not shown.
+class JobError extends Error {
+  constructor(message, status = STATUS.INTERNAL_ERROR, details = '') {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  STATUS,
+  STATUS_DESCRIPTIONS,
+  buildStatus,
+  isPending,
+  JobError
+};
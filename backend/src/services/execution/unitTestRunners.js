@@ -0,0 +1,2473 @@
+// Programs that run a unit-test question's hidden tests (see unitTests.js)
+//
+// The student's code and the tests run as two programs in sandboxes of their
+// own: a solution server that loads the student's code, and a test harness
+// that loads the test file and writes a result line per test to
+// results.jsonl. The harness's stdout is wired to the server's stdin and the
+// other way round, and the test file and the results file only exist in the
+// harness's sandbox, so the student's code can neither read the tests nor
+// write their results.
+//
+// The two talk in JSON lines: a request names an operation on an object of
+// the other side (get an attribute, call, construct, compare, ...) and gets
+// back { value } or { error }. Numbers, strings, lists, dicts and the like
+// are sent by copy; other objects (the student's classes, their instances,
+// functions) are sent as references the other side wraps in proxies that
+// forward every operation. Containers passed to a call are copied back
+// afterwards, so functions that change their arguments in place can be
+// tested. Each program sends its stdout to stderr, keeping the channel for
+// the protocol. The harness only serves calls of the callbacks and objects the
+// tests hand to the student's code, and never their code or attributes that
+// lead to it.
+
+// Largest protocol message either side reads
+const MAX_MESSAGE_SIZE = 8 * 1024 * 1024;
+
+const PYTHON_PEER = String.raw`
+import builtins
+import json
+import operator
+import os
+import sys
+import types
+
+MAX_MESSAGE_SIZE = __MAX_MESSAGE_SIZE__
+
+
+# Not an Exception, so the tests' own except clauses let it through
+class Disconnected(BaseException):
+    pass
+
+
+def _reflected(function):
+    return lambda value, other: function(other, value)
+
+
+OPERATORS = {
+    '__len__': len, '__iter__': iter, '__next__': next, '__str__': str, '__repr__': repr,
+    '__hash__': hash, '__bool__': bool, '__int__': int, '__float__': float, '__index__': operator.index,
+    '__neg__': operator.neg, '__pos__': operator.pos, '__abs__': abs, '__invert__': operator.invert,
+    '__eq__': operator.eq, '__ne__': operator.ne, '__lt__': operator.lt, '__le__': operator.le,
+    '__gt__': operator.gt, '__ge__': operator.ge,
+    '__getitem__': operator.getitem, '__setitem__': operator.setitem, '__delitem__': operator.delitem,
+    '__contains__': operator.contains,
+    '__enter__': lambda value: type(value).__enter__(value),
+    '__exit__': lambda value, *args: type(value).__exit__(value, *args),
+    '__instancecheck__': lambda kind, value: isinstance(value, kind),
+    '__subclasscheck__': lambda kind, value: issubclass(value, kind),
+}
+for _name, _function in (('add', operator.add), ('sub', operator.sub), ('mul', operator.mul),
+                         ('truediv', operator.truediv), ('floordiv', operator.floordiv), ('mod', operator.mod),
+                         ('pow', operator.pow), ('matmul', operator.matmul), ('and', operator.and_),
+                         ('or', operator.or_), ('xor', operator.xor), ('lshift', operator.lshift),
+                         ('rshift', operator.rshift)):
+    OPERATORS['__%s__' % _name] = _function
+    OPERATORS['__r%s__' % _name] = _reflected(_function)
+
+COPIED = (type(None), bool, int, float, str)
+UPDATED = (list, dict, set)
+
+
+# An object of the other program; every operation is forwarded to it
+class Remote(object):
+    __slots__ = ('_unit_peer', '_unit_id', '__weakref__')
+
+    def __getattr__(self, name):
+        if name.startswith('__') and name.endswith('__') and name not in ('__name__', '__qualname__'):
+            raise AttributeError(name)
+        return self._unit_peer.ask({'op': 'get', 'target': self._unit_id, 'name': name})
+
+    def __setattr__(self, name, value):
+        self._unit_peer.ask({'op': 'set', 'target': self._unit_id, 'name': name, 'value': self._unit_peer.encode(value)})
+
+    def __delattr__(self, name):
+        self._unit_peer.ask({'op': 'delete', 'target': self._unit_id, 'name': name})
+
+    def __call__(self, *args, **kwargs):
+        return self._unit_peer.call(self._unit_id, args, kwargs)
+
+
+def _forward(name):
+    def forward(self, *args):
+        peer = self._unit_peer
+        return peer.ask({'op': 'operator', 'target': self._unit_id, 'name': name,
+                         'args': [peer.encode(arg) for arg in args]})
+    forward.__name__ = name
+    return forward
+
+
+for _name in OPERATORS:
+    setattr(Remote, _name, _forward(_name))
+
+
+def _exception_str(self):
+    message = self.__dict__.get('_unit_message')
+    return message if message is not None else super(type(self), self).__str__()
+
+
+class Peer(object):
+    def __init__(self, side, serves, guard=None):
+        self.side = side
+        self.serves = serves
+        # Decides which attributes of which objects the other side may use
+        self.guard = guard
+        self.disconnected = False
+        self.objects = {}
+        self.ids = {}
+        self.proxies = {}
+        # Keep the protocol on the original stdin and stdout; the program's
+        # own input is empty and its output goes to stderr
+        self.reader = os.fdopen(os.dup(0), 'rb')
+        self.writer = os.dup(1)
+        null = os.open(os.devnull, os.O_RDONLY)
+        os.dup2(null, 0)
+        os.close(null)
+        os.dup2(2, 1)
+
+    def disconnect(self):
+        self.disconnected = True
+        return Disconnected()
+
+    def send(self, message):
+        data = (json.dumps(message) + '\n').encode()
+        try:
+            while data:
+                data = data[os.write(self.writer, data):]
+        except OSError:
+            raise self.disconnect()
+
+    def receive(self):
+        line = self.reader.readline(MAX_MESSAGE_SIZE)
+        if not line.endswith(b'\n'):
+            raise self.disconnect()
+        try:
+            return json.loads(line)
+        except ValueError:
+            raise self.disconnect()
+
+    def identify(self, value):
+        ident = self.ids.get(id(value))
+        if ident is None:
+            ident = len(self.objects) + 1
+            self.objects[ident] = value
+            self.ids[id(value)] = ident
+        return ident
+
+    def encode(self, value):
+        kind = type(value)
+        if kind in COPIED:
+            return value
+        if kind is list:
+            return [self.encode(item) for item in value]
+        if kind is tuple:
+            return {'$': 'tuple', 'items': [self.encode(item) for item in value]}
+        if kind is dict:
+            return {'$': 'dict', 'items': [[self.encode(key), self.encode(item)] for key, item in value.items()]}
+        if kind in (set, frozenset):
+            return {'$': kind.__name__, 'items': [self.encode(item) for item in value]}
+        if kind is bytes:
+            return {'$': 'bytes', 'hex': value.hex()}
+        if kind is Remote and value._unit_peer is self:
+            return {'$': 'ref', 'owner': 'remote', 'id': value._unit_id}
+        if isinstance(value, type):
+            if value.__dict__.get('_unit_peer') is self:
+                return {'$': 'ref', 'owner': 'remote', 'id': value._unit_id}
+            if getattr(builtins, value.__name__, None) is value:
+                return {'$': 'builtin', 'name': value.__name__}
+            if issubclass(value, BaseException):
+                base = next(base for base in value.__mro__[1:] if issubclass(base, BaseException))
+                return {'$': 'exception', 'owner': 'local', 'id': self.identify(value),
+                        'name': value.__name__, 'module': value.__module__, 'base': self.encode(base)}
+        return {'$': 'ref', 'owner': 'local', 'id': self.identify(value)}
+
+    def proxy(self, ident):
+        proxy = self.proxies.get(ident)
+        if proxy is None:
+            proxy = object.__new__(Remote)
+            object.__setattr__(proxy, '_unit_peer', self)
+            object.__setattr__(proxy, '_unit_id', ident)
+            self.proxies[ident] = proxy
+        return proxy
+
+    # Exception classes of the other side become local subclasses of their
+    # builtin base, so they can be raised and caught
+    def exception_class(self, data):
+        kind = self.proxies.get(data['id'])
+        if kind is None:
+            base = self.decode(data['base'])
+            if not (isinstance(base, type) and issubclass(base, BaseException)):
+                base = Exception
+            kind = type(str(data['name']), (base,), {
+                '_unit_peer': self, '_unit_id': data['id'], '__module__': str(data['module']), '__str__': _exception_str
+            })
+            self.proxies[data['id']] = kind
+        return kind
+
+    def decode(self, data):
+        if isinstance(data, list):
+            return [self.decode(item) for item in data]
+        if not isinstance(data, dict):
+            return data
+        kind = data['$']
+        if kind == 'tuple':
+            return tuple(self.decode(item) for item in data['items'])
+        if kind == 'dict':
+            return dict((self.decode(key), self.decode(item)) for key, item in data['items'])
+        if kind == 'set':
+            return set(self.decode(item) for item in data['items'])
+        if kind == 'frozenset':
+            return frozenset(self.decode(item) for item in data['items'])
+        if kind == 'bytes':
+            return bytes.fromhex(data['hex'])
+        if kind == 'builtin':
+            value = getattr(builtins, data['name'], None)
+            if not isinstance(value, type):
+                raise TypeError('Unknown builtin: %s' % data['name'])
+            return value
+        if kind in ('ref', 'exception') and data['owner'] == 'remote':
+            if data['id'] not in self.objects:
+                raise TypeError('Unknown object: %s' % data['id'])
+            return self.objects[data['id']]
+        if kind == 'ref':
+            return self.proxy(data['id'])
+        if kind == 'exception':
+            return self.exception_class(data)
+        raise TypeError('Unknown value: %s' % kind)
+
+    def encode_error(self, error):
+        try:
+            return {'class': self.encode(type(error)), 'args': self.encode(list(error.args)), 'message': str(error)}
+        except Exception:
+            return {'class': {'$': 'builtin', 'name': 'RuntimeError'}, 'args': [type(error).__name__], 'message': type(error).__name__}
+
+    def decode_error(self, data):
+        kind = self.decode(data['class'])
+        if not (isinstance(kind, type) and issubclass(kind, BaseException)):
+            kind = RuntimeError
+        args = self.decode(data['args'])
+        try:
+            error = kind(*args)
+        except Exception:
+            error = kind.__new__(kind)
+            error.args = tuple(args)
+        if kind.__dict__.get('_unit_peer') is self:
+            error._unit_message = data['message']
+        return error
+
+    # Send a request and serve the other side's requests (calls back into
+    # this program) until the reply comes
+    def request(self, message):
+        self.send(message)
+        while True:
+            reply = self.receive()
+            if 'op' in reply:
+                self.serve(reply)
+            elif 'error' in reply:
+                raise self.decode_error(reply['error'])
+            else:
+                return reply
+
+    def ask(self, message):
+        return self.decode(self.request(message)['value'])
+
+    def call(self, ident, args, kwargs):
+        reply = self.request({'op': 'call', 'target': ident, 'args': [self.encode(arg) for arg in args],
+                              'kwargs': dict((key, self.encode(value)) for key, value in kwargs.items())})
+        for index, data in reply.get('updates', {}).items():
+            self.update(args[int(index)], self.decode(data))
+        return self.decode(reply['value'])
+
+    # Copy back what the other side did to a container passed by copy
+    def update(self, original, value):
+        if type(original) is not type(value) or original == value:
+            return
+        if isinstance(original, list):
+            original[:] = value
+        else:
+            original.clear()
+            original.update(value)
+
+    def target(self, message, name=None):
+        target = self.objects[message['target']]
+        if self.guard and not self.guard(message['op'], target, name):
+            raise PermissionError('The tests do not allow this operation')
+        return target
+
+    def handle(self, message, reply):
+        op = message.get('op')
+        if op == 'get':
+            return getattr(self.target(message, message['name']), message['name'])
+        if op == 'set':
+            return setattr(self.target(message, message['name']), message['name'], self.decode(message['value']))
+        if op == 'delete':
+            return delattr(self.target(message, message['name']), message['name'])
+        if op == 'call':
+            target = self.target(message)
+            args = [self.decode(arg) for arg in message['args']]
+            kwargs = dict((key, self.decode(value)) for key, value in message['kwargs'].items())
+            value = target(*args, **kwargs)
+            reply['updates'] = dict((str(index), self.encode(arg)) for index, arg in enumerate(args) if type(arg) in UPDATED)
+            return value
+        if op == 'operator':
+            target = self.target(message, message['name'])
+            return OPERATORS[message['name']](target, *[self.decode(arg) for arg in message['args']])
+        return self.serves[op]()
+
+    def serve(self, message):
+        reply = {}
+        try:
+            if message.get('op') not in self.serves:
+                raise PermissionError('Unknown operation: %s' % message.get('op'))
+            reply['value'] = self.encode(self.handle(message, reply))
+        except Disconnected:
+            raise
+        except BaseException as error:
+            reply = {'error': self.encode_error(error)}
+        self.send(reply)
+`;
+
+const PYTHON_SOLUTION = String.raw`
+import traceback
+__PEER__
+
+
+def main():
+    peer = Peer('solution', {})
+    module = types.ModuleType('solution')
+    module.__file__ = 'solution.py'
+    sys.modules['solution'] = module
+    loaded = {}
+    try:
+        with open('solution.py') as source:
+            exec(compile(source.read(), 'solution.py', 'exec'), module.__dict__)
+        loaded['names'] = dict((key, value) for key, value in vars(module).items() if not key.startswith('__'))
+    except BaseException as error:
+        traceback.print_exc()
+        loaded['error'] = error
+
+    def load():
+        if 'error' in loaded:
+            raise loaded['error']
+        return {'module': module, 'names': loaded['names']}
+
+    peer.serves = dict((op, None) for op in ('get', 'set', 'delete', 'call', 'operator'))
+    peer.serves['load'] = load
+    try:
+        while True:
+            peer.serve(peer.receive())
+    except Disconnected:
+        pass
+
+
+try:
+    main()
+finally:
+    sys.stdout.flush()
+    sys.stderr.flush()
+    os._exit(0)
+`;
+
+const PYTHON_HARNESS = String.raw`
+import time
+import traceback
+__PEER__
+
+
+# The student's code may use the attributes of the tests' own objects, never
+# those of functions or modules, which lead to the test code
+def guard(op, target, name):
+    if op in ('get', 'set', 'delete'):
+        return not name.startswith('_') and getattr(type(target), '__module__', None) == 'test_solution'
+    return True
+
+
+def collection_error(report):
+    lines = [line[4:] for line in report.longreprtext.splitlines() if line.startswith('E   ')]
+    return '\n'.join(lines) if lines else report.longreprtext.strip().splitlines()[-1]
+
+
+# pytest plugin writing a result line per test once its teardown is done. A
+# test failing an assertion (or pytest.fail) is failed; one raising anything
+# else, or failing in a fixture, is an error.
+class Reporter(object):
+    def __init__(self, pytest, peer, report):
+        self.failure = (AssertionError, pytest.fail.Exception)
+        self.peer = peer
+        self.report = report
+        self.errors = {}
+        self.tests = {}
+
+    def pytest_collectreport(self, report):
+        if report.failed:
+            self.report({'error': collection_error(report)})
+
+    # Runs before each phase's report is made and logged
+    def pytest_runtest_makereport(self, item, call):
+        if call.excinfo is not None:
+            self.errors[item.nodeid] = call.excinfo.value
+
+    def describe(self, report, error):
+        if report.skipped:
+            reason = report.longrepr[2] if isinstance(report.longrepr, tuple) else ''
+            return 'skipped', reason[len('Skipped: '):] if reason.startswith('Skipped: ') else reason
+        if error is None:
+            crash = getattr(report.longrepr, 'reprcrash', None)
+            return 'error', crash.message if crash is not None else str(report.longrepr)
+        if report.when == 'call' and isinstance(error, self.failure):
+            return 'failed', str(error)
+        return 'error', '%s: %s' % (type(error).__name__, error)
+
+    def pytest_runtest_logreport(self, report):
+        error = self.errors.pop(report.nodeid, None)
+        test = self.tests.setdefault(report.nodeid, {'outcome': 'passed', 'message': '', 'time': 0})
+        test['time'] += report.duration
+        if test['outcome'] == 'passed' and not report.passed:
+            test['outcome'], test['message'] = self.describe(report, error)
+        if report.when != 'teardown':
+            return
+        del self.tests[report.nodeid]
+        # Tests stop when the solution does; the ones left did not finish
+        if not self.peer.disconnected:
+            self.report({'test': report.nodeid.split('::', 1)[-1], 'outcome': test['outcome'],
+                         'message': test['message'], 'time': round(test['time'], 3)})
+
+
+def main():
+    peer = Peer('harness', dict((op, None) for op in ('get', 'set', 'delete', 'call', 'operator')), guard)
+    results = open('results.jsonl', 'w')
+
+    def report(entry):
+        results.write(json.dumps(entry) + '\n')
+        results.flush()
+
+    os.environ['PYTEST_DISABLE_PLUGIN_AUTOLOAD'] = '1'
+    sys.dont_write_bytecode = True
+    try:
+        import pytest
+    except ImportError:
+        report({'error': 'pytest is not installed on the execution backend'})
+        return
+
+    try:
+        loaded = peer.ask({'op': 'load'})
+        solution = types.ModuleType('solution')
+        solution.__dict__.update(loaded['names'])
+        solution.__getattr__ = loaded['module'].__getattr__
+        sys.modules['solution'] = solution
+    except Disconnected:
+        return
+    except BaseException as error:
+        traceback.print_exc()
+        report({'error': '%s: %s' % (type(error).__name__, error)})
+        return
+
+    pytest.main(['test_solution.py', '-q', '--rootdir=.', '--noconftest', '-p', 'no:cacheprovider'],
+                plugins=[Reporter(pytest, peer, report)])
+    if not peer.disconnected:
+        report({'done': True})
+
+
+try:
+    main()
+finally:
+    sys.stdout.flush()
+    sys.stderr.flush()
+    os._exit(0)
+`;
+
+const JAVASCRIPT_PEER = String.raw`
+const fs = require('fs');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const MAX_MESSAGE_SIZE = __MAX_MESSAGE_SIZE__;
+const ERROR_TYPES = ['AggregateError', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError', 'Error'];
+
+// Not an Error, so the tests' own catch clauses can tell it apart
+class Disconnected {}
+
+const isPlainObject = (value) => {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+const isPlainArray = (value) => Array.isArray(value) && Object.getPrototypeOf(value) === Array.prototype;
+const isCopied = (value) => {
+  return value !== null && typeof value === 'object' &&
+    (isPlainArray(value) || isPlainObject(value) || [Map.prototype, Set.prototype].includes(Object.getPrototypeOf(value)));
+};
+
+const toPrimitive = (value, hint) => {
+  if (typeof value[Symbol.toPrimitive] === 'function') {
+    return value[Symbol.toPrimitive](hint);
+  }
+  for (const method of hint === 'string' ? ['toString', 'valueOf'] : ['valueOf', 'toString']) {
+    if (typeof value[method] === 'function') {
+      const result = value[method]();
+      if (result === null || (typeof result !== 'object' && typeof result !== 'function')) {
+        return result;
+      }
+    }
+  }
+  throw new TypeError('Cannot convert object to primitive value');
+};
+
+class Peer {
+  // serves: the operations the other side may request; guard decides which
+  // of this side's objects they may use
+  constructor(serves, guard) {
+    this.serves = serves;
+    this.guard = guard;
+    this.disconnected = false;
+    this.objects = new Map();
+    this.ids = new Map();
+    this.proxies = new Map();
+    this.remotes = new WeakMap();
+    this.errorTypes = new Map();
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+    this.chunk = Buffer.alloc(65536);
+    this.sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+    // Keep stdin and stdout for the protocol; the program's own input is
+    // empty and its output goes to stderr
+    const { Console } = console;
+    Object.defineProperty(process, 'stdin', { value: new Readable({ read() { this.push(null); } }), configurable: true });
+    Object.defineProperty(process, 'stdout', { value: process.stderr, configurable: true });
+    globalThis.console = new Console(process.stderr, process.stderr);
+    process.on('unhandledRejection', (error) => console.error(error));
+  }
+
+  disconnect() {
+    this.disconnected = true;
+    return new Disconnected();
+  }
+
+  // Wait a moment for a non-blocking stdin or stdout
+  pause() {
+    Atomics.wait(this.sleeper, 0, 0, 1);
+  }
+
+  send(message) {
+    const data = Buffer.from(JSON.stringify(message) + '\n');
+    let offset = 0;
+    while (offset < data.length) {
+      try {
+        offset += fs.writeSync(1, data, offset);
+      } catch (error) {
+        if (error.code !== 'EAGAIN') {
+          throw this.disconnect();
+        }
+        this.pause();
+      }
+    }
+  }
+
+  receive() {
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) < 0) {
+      if (this.buffer.length > MAX_MESSAGE_SIZE) {
+        throw this.disconnect();
+      }
+      let count;
+      try {
+        count = fs.readSync(0, this.chunk, 0, this.chunk.length, null);
+      } catch (error) {
+        if (error.code !== 'EAGAIN') {
+          throw this.disconnect();
+        }
+        this.pause();
+        continue;
+      }
+      if (count === 0) {
+        throw this.disconnect();
+      }
+      this.buffer += this.decoder.write(this.chunk.subarray(0, count));
+    }
+    const line = this.buffer.slice(0, newline);
+    this.buffer = this.buffer.slice(newline + 1);
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw this.disconnect();
+    }
+  }
+
+  identify(value) {
+    if (!this.ids.has(value)) {
+      this.ids.set(value, this.objects.size + 1);
+      this.objects.set(this.objects.size + 1, value);
+    }
+    return this.ids.get(value);
+  }
+
+  encode(value) {
+    switch (typeof value) {
+      case 'undefined':
+        return { $: 'undefined' };
+      case 'boolean':
+      case 'string':
+        return value;
+      case 'number':
+        return Number.isFinite(value) && !Object.is(value, -0)
+          ? value
+          : { $: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+      case 'bigint':
+        return { $: 'bigint', value: String(value) };
+      case 'symbol':
+        return { $: 'symbol', description: value.description };
+    }
+    if (value === null) {
+      return null;
+    }
+    if (this.remotes.has(value)) {
+      return { $: 'ref', owner: 'remote', id: this.remotes.get(value) };
+    }
+    if (isPlainArray(value)) {
+      return Array.from(value, item => this.encode(item));
+    }
+    switch (Object.getPrototypeOf(value)) {
+      case Map.prototype:
+        return { $: 'map', entries: Array.from(value, ([key, item]) => [this.encode(key), this.encode(item)]) };
+      case Set.prototype:
+        return { $: 'set', items: Array.from(value, item => this.encode(item)) };
+      case Date.prototype:
+        return { $: 'date', value: value.getTime() };
+      case RegExp.prototype:
+        return { $: 'regexp', source: value.source, flags: value.flags };
+    }
+    if (isPlainObject(value)) {
+      return { $: 'object', entries: Object.keys(value).map(key => [key, this.encode(value[key])]) };
+    }
+    return {
+      $: 'ref',
+      owner: 'local',
+      id: this.identify(value),
+      callable: typeof value === 'function',
+      iterable: typeof value[Symbol.iterator] === 'function'
+    };
+  }
+
+  decode(data) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.decode(item));
+    }
+    if (data === null || typeof data !== 'object') {
+      return data;
+    }
+    switch (data.$) {
+      case 'undefined':
+        return undefined;
+      case 'number':
+        return Number(data.value);
+      case 'bigint':
+        return BigInt(data.value);
+      case 'symbol':
+        return Symbol(data.description);
+      case 'map':
+        return new Map(data.entries.map(([key, item]) => [this.decode(key), this.decode(item)]));
+      case 'set':
+        return new Set(data.items.map(item => this.decode(item)));
+      case 'date':
+        return new Date(data.value);
+      case 'regexp':
+        return new RegExp(data.source, data.flags);
+      case 'object':
+        return Object.fromEntries(data.entries.map(([key, item]) => [key, this.decode(item)]));
+      case 'ref':
+        if (data.owner === 'local') {
+          return this.proxy(data);
+        }
+        if (!this.objects.has(data.id)) {
+          throw new TypeError('Unknown object: ' + data.id);
+        }
+        return this.objects.get(data.id);
+      default:
+        throw new TypeError('Unknown value: ' + data.$);
+    }
+  }
+
+  proxy({ id, callable, iterable }) {
+    if (this.proxies.has(id)) {
+      return this.proxies.get(id);
+    }
+    const peer = this;
+    const target = callable ? function () {} : {};
+    const proxy = new Proxy(target, {
+      get(_, name) {
+        return typeof name === 'symbol'
+          ? peer.symbolProperty(id, name, iterable)
+          : peer.ask({ op: 'get', target: id, name });
+      },
+      set(_, name, value) {
+        if (typeof name === 'symbol') {
+          return false;
+        }
+        peer.ask({ op: 'set', target: id, name, value: peer.encode(value) });
+        return true;
+      },
+      has(_, name) {
+        return typeof name !== 'symbol' && peer.ask({ op: 'has', target: id, name });
+      },
+      deleteProperty(_, name) {
+        return typeof name !== 'symbol' && peer.ask({ op: 'delete', target: id, name });
+      },
+      ownKeys() {
+        const keys = peer.ask({ op: 'keys', target: id });
+        return callable && !keys.includes('prototype') ? [...keys, 'prototype'] : keys;
+      },
+      getOwnPropertyDescriptor(_, name) {
+        // Functions' prototype cannot be reported as anything else
+        const own = Reflect.getOwnPropertyDescriptor(target, name);
+        if (own && !own.configurable) {
+          return { ...own, value: proxy[name] };
+        }
+        if (typeof name === 'symbol' || !peer.ask({ op: 'has', target: id, name, own: true })) {
+          return undefined;
+        }
+        return { value: proxy[name], writable: true, enumerable: true, configurable: true };
+      },
+      apply(_, thisArg, args) {
+        return peer.call(id, thisArg, args);
+      },
+      construct(_, args) {
+        return peer.ask({ op: 'new', target: id, args: args.map(arg => peer.encode(arg)) });
+      }
+    });
+    this.proxies.set(id, proxy);
+    this.remotes.set(proxy, id);
+    return proxy;
+  }
+
+  symbolProperty(id, name, iterable) {
+    if (name === Symbol.iterator && iterable) {
+      return () => {
+        const iterator = this.remotes.get(this.ask({ op: 'iterate', target: id }));
+        return {
+          next: () => this.ask({ op: 'next', target: iterator }),
+          [Symbol.iterator]() {
+            return this;
+          }
+        };
+      };
+    }
+    if (name === Symbol.hasInstance) {
+      return (value) => this.remotes.has(value) && this.ask({ op: 'instanceof', target: id, value: this.encode(value) });
+    }
+    if (name === Symbol.toPrimitive) {
+      return (hint) => this.ask({ op: 'primitive', target: id, hint });
+    }
+    return undefined;
+  }
+
+  encodeError(error) {
+    if (!(error instanceof Error)) {
+      return { thrown: this.encode(error) };
+    }
+    const data = {
+      name: String(error.name),
+      message: String(error.message),
+      base: ERROR_TYPES.find(type => error instanceof globalThis[type])
+    };
+    if (typeof error.code === 'string' || typeof error.code === 'number') {
+      data.code = error.code;
+    }
+    if (!this.guard || this.remotes.has(error)) {
+      data.ref = this.encode(error);
+    }
+    return data;
+  }
+
+  // Errors of the other side become local errors of their builtin type (a
+  // subclass named like theirs), still instances of their own class there
+  decodeError(data) {
+    if ('thrown' in data) {
+      return this.decode(data.thrown);
+    }
+    if (data.ref && (data.ref.owner === 'remote' || this.proxies.has(data.ref.id))) {
+      return this.decode(data.ref);
+    }
+    const Base = globalThis[ERROR_TYPES.includes(data.base) ? data.base : 'Error'];
+    let Type = Base;
+    if (data.name !== Base.name) {
+      const key = Base.name + ':' + data.name;
+      if (!this.errorTypes.has(key)) {
+        const Named = class extends Base {};
+        Object.defineProperty(Named, 'name', { value: data.name });
+        Named.prototype.name = data.name;
+        this.errorTypes.set(key, Named);
+      }
+      Type = this.errorTypes.get(key);
+    }
+    const error = new Type(data.message);
+    error.stack = data.name + ': ' + data.message;
+    if (data.code !== undefined) {
+      error.code = data.code;
+    }
+    if (data.ref) {
+      this.proxies.set(data.ref.id, error);
+      this.remotes.set(error, data.ref.id);
+    }
+    return error;
+  }
+
+  // Send a request and serve the other side's requests (calls back into
+  // this program) until the reply comes
+  request(message) {
+    this.send(message);
+    for (;;) {
+      const reply = this.receive();
+      if (reply.op === undefined) {
+        return reply;
+      }
+      this.serve(reply);
+    }
+  }
+
+  settle(reply) {
+    if (reply.error !== undefined) {
+      const error = this.decodeError(reply.error);
+      if (reply.promise) {
+        return Promise.reject(error);
+      }
+      throw error;
+    }
+    const value = this.decode(reply.value);
+    return reply.promise ? Promise.resolve(value) : value;
+  }
+
+  ask(message) {
+    return this.settle(this.request(message));
+  }
+
+  call(id, thisArg, args) {
+    const reply = this.request({ op: 'call', target: id, this: this.encode(thisArg), args: args.map(arg => this.encode(arg)) });
+    Object.entries(reply.updates || {}).forEach(([index, data]) => this.update(args[index], this.decode(data)));
+    return this.settle(reply);
+  }
+
+  // Copy back what the other side did to a container passed by copy
+  update(original, value) {
+    if (!isCopied(original) || this.remotes.has(original)) {
+      return;
+    }
+    if (isPlainArray(original) && isPlainArray(value)) {
+      original.length = 0;
+      value.forEach(item => original.push(item));
+    } else if (original instanceof Map && value instanceof Map) {
+      original.clear();
+      value.forEach((item, key) => original.set(key, item));
+    } else if (original instanceof Set && value instanceof Set) {
+      original.clear();
+      value.forEach(item => original.add(item));
+    } else if (isPlainObject(original) && isPlainObject(value)) {
+      Object.keys(original).forEach(key => delete original[key]);
+      Object.assign(original, value);
+    }
+  }
+
+  target(message, name) {
+    if (!this.objects.has(message.target)) {
+      throw new TypeError('Unknown object: ' + message.target);
+    }
+    const target = this.objects.get(message.target);
+    if (this.guard && !this.guard(message.op, target, name)) {
+      throw new Error('The tests do not allow this operation');
+    }
+    return target;
+  }
+
+  handle(message, reply) {
+    switch (message.op) {
+      case 'get':
+        return this.target(message, message.name)[message.name];
+      case 'set':
+        this.target(message, message.name)[message.name] = this.decode(message.value);
+        return undefined;
+      case 'has': {
+        const target = this.target(message, message.name);
+        return message.own ? Object.prototype.hasOwnProperty.call(target, message.name) : message.name in target;
+      }
+      case 'delete':
+        return delete this.target(message, message.name)[message.name];
+      case 'keys':
+        return Object.keys(this.target(message));
+      case 'call': {
+        const target = this.target(message);
+        const args = message.args.map(arg => this.decode(arg));
+        const value = Reflect.apply(target, this.decode(message.this), args);
+        args.forEach((arg, index) => {
+          if (isCopied(arg) && !this.remotes.has(arg)) {
+            const data = this.encode(arg);
+            if (JSON.stringify(data) !== JSON.stringify(message.args[index])) {
+              reply.updates = { ...reply.updates, [index]: data };
+            }
+          }
+        });
+        return value;
+      }
+      case 'new':
+        return Reflect.construct(this.target(message), message.args.map(arg => this.decode(arg)));
+      case 'iterate':
+        return this.target(message)[Symbol.iterator]();
+      case 'next':
+        return this.target(message).next();
+      case 'instanceof':
+        return this.decode(message.value) instanceof this.target(message);
+      case 'primitive':
+        return toPrimitive(this.target(message), message.hint);
+      default:
+        return this.serves[message.op]();
+    }
+  }
+
+  run(message, reply) {
+    if (!Object.prototype.hasOwnProperty.call(this.serves, message.op)) {
+      throw new Error('Unknown operation: ' + message.op);
+    }
+    return this.handle(message, reply);
+  }
+
+  fail(error, reply) {
+    if (error instanceof Disconnected) {
+      throw error;
+    }
+    this.send({ error: this.encodeError(error), ...(reply.promise && { promise: true }) });
+  }
+
+  // Answer a request; a promise is sent by reference
+  serve(message) {
+    const reply = {};
+    try {
+      reply.value = this.encode(this.run(message, reply));
+    } catch (error) {
+      return this.fail(error, reply);
+    }
+    this.send(reply);
+  }
+
+  // Answer a request once a promise it returns settles
+  async serveSettled(message) {
+    const reply = {};
+    try {
+      let value = this.run(message, reply);
+      if (value instanceof Promise) {
+        reply.promise = true;
+        value = await value;
+      }
+      reply.value = this.encode(value);
+    } catch (error) {
+      return this.fail(error, reply);
+    }
+    this.send(reply);
+  }
+}
+`;
+
+const JAVASCRIPT_SOLUTION = String.raw`
+const path = require('path');
+const vm = require('vm');
+__PEER__
+
+// Top-level declarations the tests see; names declared elsewhere come out
+// undefined and are left out
+const DECLARATION = /(?:^|[;{}])\s*(?:export\s+)?(?:async\s+)?(?:function\s*\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+const PARAMETERS = ['module', 'exports', 'require', '__filename', '__dirname'];
+
+const isIdentifier = (name) => {
+  try {
+    new Function('"use strict"; typeof ' + name + ';');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const loaded = {};
+const peer = new Peer({
+  get: true, set: true, has: true, delete: true, keys: true, call: true, new: true,
+  iterate: true, next: true, instanceof: true, primitive: true,
+  load: () => {
+    if (loaded.error !== undefined) {
+      throw loaded.error;
+    }
+    return { exports: loaded.module.exports, names: loaded.names };
+  }
+});
+
+try {
+  const source = fs.readFileSync('solution.js', 'utf8');
+  const names = Array.from(new Set(Array.from(source.matchAll(DECLARATION), match => match[1])))
+    .filter(name => !PARAMETERS.includes(name) && isIdentifier(name));
+  const body = source + '\n;return {' +
+    names.map(name => JSON.stringify(name) + ': typeof ' + name + " === 'undefined' ? undefined : " + name).join(', ') + '};';
+  loaded.module = { exports: {} };
+  const declared = vm.compileFunction(body, PARAMETERS, { filename: 'solution.js' })(
+    loaded.module, loaded.module.exports, require, path.resolve('solution.js'), process.cwd()
+  );
+  loaded.names = Object.fromEntries(Object.entries(declared).filter(([, value]) => value !== undefined));
+} catch (error) {
+  console.error(error);
+  loaded.error = error;
+}
+
+(async () => {
+  try {
+    for (;;) {
+      await peer.serveSettled(peer.receive());
+    }
+  } catch (error) {
+    if (!(error instanceof Disconnected)) {
+      throw error;
+    }
+  }
+})().then(() => process.exit(0), (error) => {
+  console.error(error);
+  process.exit(1);
+});
+`;
+
+const JAVASCRIPT_HARNESS = String.raw`
+const vm = require('vm');
+__PEER__
+
+const PARAMETERS = ['module', 'exports', 'require', 'test', 'it', 'describe'];
+
+const isTestCode = (value) => {
+  return typeof value === 'function' && !/\[native code\]\s*\}$/.test(Function.prototype.toString.call(value));
+};
+
+// The student's code may call the tests' functions and use the tests' own
+// objects, but not reach the functions' source: no properties of functions,
+// and none inherited from builtin prototypes
+const guard = (op, target, name) => {
+  if (['call', 'new', 'iterate', 'next', 'instanceof'].includes(op)) {
+    return true;
+  }
+  if (typeof target === 'function') {
+    return false;
+  }
+  if (name === undefined) {
+    return true;
+  }
+  let owner = target;
+  while (owner !== null && !Object.prototype.hasOwnProperty.call(owner, name)) {
+    owner = Object.getPrototypeOf(owner);
+  }
+  return owner === null || owner === target || isTestCode(owner.constructor);
+};
+
+const describeError = (error) => {
+  if (error && (error.code === 'ERR_ASSERTION' || error.name === 'AssertionError')) {
+    return ['failed', error.message];
+  }
+  return ['error', error instanceof Error ? error.name + ': ' + error.message : String(error)];
+};
+
+const peer = new Peer({
+  get: true, set: true, has: true, delete: true, keys: true, call: true, new: true,
+  iterate: true, next: true, instanceof: true, primitive: true
+}, guard);
+const results = fs.openSync('results.jsonl', 'w');
+const report = (entry) => fs.writeSync(results, JSON.stringify(entry) + '\n');
+
+const tests = [];
+const groups = [];
+const test = (name, fn) => {
+  tests.push({ name: [...groups, name].join(' > '), fn });
+};
+const describe = (name, fn) => {
+  groups.push(name);
+  try {
+    fn();
+  } finally {
+    groups.pop();
+  }
+};
+
+const load = () => {
+  try {
+    const loaded = peer.ask({ op: 'load' });
+    const names = Object.keys(loaded.names).filter(name => !PARAMETERS.includes(name));
+    const testModule = { exports: {} };
+    const requireSolution = (id) => (/^(\.\/)?solution(\.js)?$/.test(id) ? loaded.exports : require(id));
+    // The tests' own declarations shadow the student's
+    const source = '{\n' + fs.readFileSync('tests.js', 'utf8') + '\n}';
+    vm.compileFunction(source, [...PARAMETERS, ...names], { filename: 'tests.js' })(
+      testModule, testModule.exports, requireSolution, test, test, describe, ...names.map(name => loaded.names[name])
+    );
+    return true;
+  } catch (error) {
+    if (!(error instanceof Disconnected)) {
+      console.error(error);
+      report({ error: error instanceof Error ? error.name + ': ' + error.message : String(error) });
+    }
+    return false;
+  }
+};
+
+// Tests stop when the solution does; the ones left did not finish
+(async () => {
+  if (!load()) {
+    return;
+  }
+  for (const { name, fn } of tests) {
+    const started = process.hrtime.bigint();
+    let outcome = 'passed';
+    let message = '';
+    try {
+      await fn();
+    } catch (error) {
+      [outcome, message] = describeError(error);
+    }
+    if (peer.disconnected) {
+      return;
+    }
+    report({ test: name, outcome, message, time: Math.round(Number(process.hrtime.bigint() - started) / 1e6) / 1000 });
+  }
+  report({ done: true });
+})().then(() => process.exit(0), (error) => {
+  console.error(error);
+  process.exit(1);
+});
+`;
+
+const JAVA_PEER = String.raw`
+    // Not an Exception, so the tests' own catch clauses let it through
+    static final class Disconnected extends Error {
+        Disconnected() {
+            super("The solution stopped running", null, false, false);
+        }
+    }
+
+    // A reference to an object of the other program, handed to stubs
+    public static final class Ref {
+        private final long id;
+        private final String message;
+
+        Ref(long id, String message) {
+            this.id = id;
+            this.message = message;
+        }
+
+        public String message() {
+            return message;
+        }
+    }
+
+    // Minimal JSON: objects, arrays, strings, numbers, booleans, null; reads
+    // whole numbers only
+    static final class Json {
+        private final String text;
+        private int index;
+
+        private Json(String text) {
+            this.text = text;
+        }
+
+        static Object parse(String text) {
+            Json json = new Json(text);
+            Object value = json.value();
+            json.skip();
+            if (json.index != text.length()) throw new IllegalArgumentException("Trailing characters");
+            return value;
+        }
+
+        private void skip() {
+            while (index < text.length() && Character.isWhitespace(text.charAt(index))) index++;
+        }
+
+        private void expect(char expected) {
+            skip();
+            if (index >= text.length() || text.charAt(index) != expected) throw new IllegalArgumentException("Expected " + expected);
+            index++;
+        }
+
+        private boolean accept(char expected) {
+            skip();
+            if (index < text.length() && text.charAt(index) == expected) {
+                index++;
+                return true;
+            }
+            return false;
+        }
+
+        private Object value() {
+            skip();
+            if (accept('{')) {
+                java.util.Map<String, Object> map = new java.util.LinkedHashMap<>();
+                if (accept('}')) return map;
+                do {
+                    skip();
+                    String key = string();
+                    expect(':');
+                    map.put(key, value());
+                } while (accept(','));
+                expect('}');
+                return map;
+            }
+            if (accept('[')) {
+                java.util.List<Object> list = new java.util.ArrayList<>();
+                if (accept(']')) return list;
+                do {
+                    list.add(value());
+                } while (accept(','));
+                expect(']');
+                return list;
+            }
+            if (text.startsWith("\"", index)) return string();
+            if (text.startsWith("true", index)) {
+                index += 4;
+                return Boolean.TRUE;
+            }
+            if (text.startsWith("false", index)) {
+                index += 5;
+                return Boolean.FALSE;
+            }
+            if (text.startsWith("null", index)) {
+                index += 4;
+                return null;
+            }
+            int start = index;
+            while (index < text.length() && "+-0123456789".indexOf(text.charAt(index)) >= 0) index++;
+            return Long.parseLong(text.substring(start, index));
+        }
+
+        private String string() {
+            expect('"');
+            StringBuilder builder = new StringBuilder();
+            while (true) {
+                char c = text.charAt(index++);
+                if (c == '"') return builder.toString();
+                if (c != '\\') {
+                    builder.append(c);
+                    continue;
+                }
+                char escape = text.charAt(index++);
+                switch (escape) {
+                    case 'b': builder.append('\b'); break;
+                    case 'f': builder.append('\f'); break;
+                    case 'n': builder.append('\n'); break;
+                    case 'r': builder.append('\r'); break;
+                    case 't': builder.append('\t'); break;
+                    case 'u':
+                        builder.append((char) Integer.parseInt(text.substring(index, index + 4), 16));
+                        index += 4;
+                        break;
+                    default: builder.append(escape);
+                }
+            }
+        }
+
+        static String write(Object value) {
+            StringBuilder builder = new StringBuilder();
+            write(builder, value);
+            return builder.toString();
+        }
+
+        private static void write(StringBuilder builder, Object value) {
+            if (value == null || value instanceof Boolean || value instanceof Number) {
+                builder.append(value);
+            } else if (value instanceof String) {
+                builder.append('"');
+                for (char c : ((String) value).toCharArray()) {
+                    if (c == '"' || c == '\\') builder.append('\\').append(c);
+                    else if (c < 0x20 || c == '\u2028' || c == '\u2029') builder.append(String.format("\\u%04x", (int) c));
+                    else builder.append(c);
+                }
+                builder.append('"');
+            } else if (value instanceof java.util.Map) {
+                builder.append('{');
+                boolean first = true;
+                for (java.util.Map.Entry<?, ?> entry : ((java.util.Map<?, ?>) value).entrySet()) {
+                    if (!first) builder.append(',');
+                    first = false;
+                    write(builder, String.valueOf(entry.getKey()));
+                    builder.append(':');
+                    write(builder, entry.getValue());
+                }
+                builder.append('}');
+            } else {
+                builder.append('[');
+                boolean first = true;
+                for (Object item : (java.util.List<?>) value) {
+                    if (!first) builder.append(',');
+                    first = false;
+                    write(builder, item);
+                }
+                builder.append(']');
+            }
+        }
+    }
+
+    private static final int MAX_MESSAGE_SIZE = __MAX_MESSAGE_SIZE__;
+    private static final java.util.Map<String, Class<?>> PRIMITIVES = new java.util.HashMap<>();
+    static {
+        for (Class<?> type : new Class<?>[] { int.class, long.class, double.class, float.class, char.class, short.class, byte.class, boolean.class, void.class }) {
+            PRIMITIVES.put(type.getName(), type);
+        }
+    }
+
+    private static java.io.InputStream input;
+    private static java.io.OutputStream output;
+    static boolean disconnected;
+    // This program's objects the other one holds references to, by id
+    private static final java.util.Map<Long, Object> objects = new java.util.HashMap<>();
+    private static final java.util.IdentityHashMap<Object, Long> ids = new java.util.IdentityHashMap<>();
+    // Stand-ins (stubs and proxies) for the other program's objects
+    private static final java.util.Map<Long, Object> proxies = new java.util.HashMap<>();
+    private static final java.util.IdentityHashMap<Object, Long> remotes = new java.util.IdentityHashMap<>();
+    // Objects whose fields both programs see, with their fields as last synced
+    private static final java.util.List<Object> tracked = new java.util.ArrayList<>();
+    private static final java.util.IdentityHashMap<Object, String> shadows = new java.util.IdentityHashMap<>();
+    private static final java.util.Map<Long, java.util.Map<String, Object>> pendingFields = new java.util.HashMap<>();
+    private static final java.util.ArrayDeque<Long> pendingIds = new java.util.ArrayDeque<>();
+    private static boolean draining;
+
+    // Keep stdin and stdout for the protocol; the program's own input is
+    // empty and its output goes to stderr
+    static void open() {
+        input = new java.io.BufferedInputStream(new java.io.FileInputStream(java.io.FileDescriptor.in));
+        output = new java.io.BufferedOutputStream(new java.io.FileOutputStream(java.io.FileDescriptor.out));
+        System.setIn(new java.io.ByteArrayInputStream(new byte[0]));
+        System.setOut(System.err);
+    }
+
+    static Disconnected disconnect() {
+        disconnected = true;
+        return new Disconnected();
+    }
+
+    static java.util.Map<String, Object> map(Object... entries) {
+        java.util.Map<String, Object> map = new java.util.LinkedHashMap<>();
+        for (int i = 0; i < entries.length; i += 2) map.put((String) entries[i], entries[i + 1]);
+        return map;
+    }
+
+    @SuppressWarnings("unchecked")
+    static <T> T get(Object map, String key) {
+        return (T) ((java.util.Map<String, Object>) map).get(key);
+    }
+
+    @SuppressWarnings("unchecked")
+    static <E extends Throwable> RuntimeException sneakyThrow(Throwable error) throws E {
+        throw (E) error;
+    }
+
+    static void send(java.util.Map<String, Object> message) {
+        collectSync(message);
+        try {
+            output.write((Json.write(message) + "\n").getBytes(java.nio.charset.StandardCharsets.UTF_8));
+            output.flush();
+        } catch (java.io.IOException error) {
+            throw disconnect();
+        }
+    }
+
+    static java.util.Map<String, Object> receive() {
+        java.io.ByteArrayOutputStream line = new java.io.ByteArrayOutputStream();
+        Object message;
+        try {
+            int next;
+            while ((next = input.read()) != '\n') {
+                if (next < 0 || line.size() > MAX_MESSAGE_SIZE) throw disconnect();
+                line.write(next);
+            }
+            message = Json.parse(new String(line.toByteArray(), java.nio.charset.StandardCharsets.UTF_8));
+        } catch (java.io.IOException | RuntimeException error) {
+            throw disconnect();
+        }
+        if (!(message instanceof java.util.Map)) throw disconnect();
+        applySync(get(message, "sync"));
+        return castMap(message);
+    }
+
+    @SuppressWarnings("unchecked")
+    static java.util.Map<String, Object> castMap(Object value) {
+        return (java.util.Map<String, Object>) value;
+    }
+
+    static Class<?> classFor(String name) throws ClassNotFoundException {
+        Class<?> primitive = PRIMITIVES.get(name);
+        return primitive != null ? primitive : Class.forName(name, false, loader());
+    }
+
+    static Class<?>[] classesFor(java.util.List<Object> names) throws ClassNotFoundException {
+        Class<?>[] classes = new Class<?>[names.size()];
+        for (int i = 0; i < classes.length; i++) classes[i] = classFor((String) names.get(i));
+        return classes;
+    }
+
+    static long identify(Object value) {
+        Long id = ids.get(value);
+        if (id == null) {
+            id = (long) objects.size() + 1;
+            objects.put(id, value);
+            ids.put(value, id);
+            if (!mirroredFields(value.getClass()).isEmpty()) tracked.add(value);
+        }
+        return id;
+    }
+
+    static boolean isJdk(Class<?> type) {
+        return type.getName().startsWith("java.");
+    }
+
+    static void interfaces(Class<?> type, java.util.Set<String> names) {
+        for (Class<?> current = type; current != null; current = current.getSuperclass()) {
+            for (Class<?> implemented : current.getInterfaces()) {
+                if (java.lang.reflect.Modifier.isPublic(implemented.getModifiers()) || !isJdk(implemented)) names.add(implemented.getName());
+                interfaces(implemented, names);
+            }
+        }
+    }
+
+    static Object encode(Object value) {
+        if (value == null || value instanceof Boolean || value instanceof String) return value;
+        if (value instanceof Integer) return map("$", "int", "value", value.toString());
+        if (value instanceof Long) return map("$", "long", "value", value.toString());
+        if (value instanceof Double) return map("$", "double", "value", value.toString());
+        if (value instanceof Float) return map("$", "float", "value", value.toString());
+        if (value instanceof Short) return map("$", "short", "value", value.toString());
+        if (value instanceof Byte) return map("$", "byte", "value", value.toString());
+        if (value instanceof Character) return map("$", "char", "value", value.toString());
+        Long remote = remotes.get(value);
+        if (remote != null) return map("$", "ref", "owner", "remote", "id", remote);
+        Class<?> type = value.getClass();
+        if (type.isArray()) {
+            java.util.List<Object> items = new java.util.ArrayList<>();
+            for (int i = 0; i < java.lang.reflect.Array.getLength(value); i++) items.add(encode(java.lang.reflect.Array.get(value, i)));
+            return map("$", "array", "type", type.getComponentType().getName(), "items", items);
+        }
+        if (value instanceof Enum) return map("$", "enum", "class", ((Enum<?>) value).getDeclaringClass().getName(), "name", ((Enum<?>) value).name());
+        if (value instanceof java.util.Optional) return map("$", "optional", "value", encode(((java.util.Optional<?>) value).orElse(null)));
+        if (value instanceof java.math.BigInteger || value instanceof java.math.BigDecimal) return map("$", "big", "class", type.getName(), "value", value.toString());
+        if (isJdk(type) && (value instanceof java.util.List || value instanceof java.util.Set)) {
+            java.util.List<Object> items = new java.util.ArrayList<>();
+            for (Object item : (java.util.Collection<?>) value) items.add(encode(item));
+            return map("$", value instanceof java.util.List ? "list" : "set", "class", type.getName(), "items", items);
+        }
+        if (isJdk(type) && value instanceof java.util.Map) {
+            java.util.List<Object> entries = new java.util.ArrayList<>();
+            for (java.util.Map.Entry<?, ?> entry : ((java.util.Map<?, ?>) value).entrySet()) {
+                entries.add(java.util.Arrays.asList(encode(entry.getKey()), encode(entry.getValue())));
+            }
+            return map("$", "map", "class", type.getName(), "entries", entries);
+        }
+        java.util.Set<String> names = new java.util.LinkedHashSet<>();
+        interfaces(type, names);
+        return map("$", "ref", "owner", "local", "id", identify(value), "class", stubName(type),
+            "interfaces", new java.util.ArrayList<Object>(names),
+            "message", value instanceof Throwable ? ((Throwable) value).getMessage() : null);
+    }
+
+    static Object[] decodeAll(java.util.List<Object> items) {
+        Object[] values = new Object[items.size()];
+        for (int i = 0; i < values.length; i++) values[i] = decode(items.get(i));
+        return values;
+    }
+
+    static java.util.List<Object> encodeAll(Object[] values) {
+        java.util.List<Object> items = new java.util.ArrayList<>();
+        for (Object value : values) items.add(encode(value));
+        return items;
+    }
+
+    @SuppressWarnings({ "unchecked", "rawtypes" })
+    static Object decode(Object data) {
+        if (!(data instanceof java.util.Map)) return data;
+        String kind = get(data, "$");
+        Object raw = ((java.util.Map<?, ?>) data).get("value");
+        String value = raw instanceof String ? (String) raw : null;
+        try {
+            switch (kind) {
+                case "int": return Integer.valueOf(value);
+                case "long": return Long.valueOf(value);
+                case "double": return Double.valueOf(value);
+                case "float": return Float.valueOf(value);
+                case "short": return Short.valueOf(value);
+                case "byte": return Byte.valueOf(value);
+                case "char": return value.charAt(0);
+                case "optional": return java.util.Optional.ofNullable(decode(get(data, "value")));
+                case "enum": return Enum.valueOf((Class) classFor(get(data, "class")), get(data, "name"));
+                case "array": {
+                    java.util.List<Object> items = get(data, "items");
+                    Object array = java.lang.reflect.Array.newInstance(classFor(get(data, "type")), items.size());
+                    for (int i = 0; i < items.size(); i++) java.lang.reflect.Array.set(array, i, decode(items.get(i)));
+                    return array;
+                }
+                case "big":
+                    return classFor(get(data, "class")).getConstructor(String.class).newInstance(value);
+                case "list":
+                case "set": {
+                    java.util.Collection<Object> collection = (java.util.Collection<Object>) copyOf(get(data, "class"), java.util.Collection.class);
+                    if (collection == null) collection = kind.equals("list") ? new java.util.ArrayList<>() : new java.util.LinkedHashSet<>();
+                    for (Object item : (java.util.List<Object>) get(data, "items")) collection.add(decode(item));
+                    return collection;
+                }
+                case "map": {
+                    java.util.Map<Object, Object> map = (java.util.Map<Object, Object>) copyOf(get(data, "class"), java.util.Map.class);
+                    if (map == null) map = new java.util.LinkedHashMap<>();
+                    for (Object entry : (java.util.List<Object>) get(data, "entries")) {
+                        map.put(decode(((java.util.List<Object>) entry).get(0)), decode(((java.util.List<Object>) entry).get(1)));
+                    }
+                    return map;
+                }
+                case "ref": {
+                    long id = ((Number) get(data, "id")).longValue();
+                    if (get(data, "owner").equals("remote")) {
+                        if (!objects.containsKey(id)) throw new IllegalArgumentException("Unknown object: " + id);
+                        return objects.get(id);
+                    }
+                    Object proxy = proxies.get(id);
+                    return proxy != null ? proxy : standIn(id, data);
+                }
+                default:
+                    throw new IllegalArgumentException("Unknown value: " + kind);
+            }
+        } catch (ReflectiveOperationException error) {
+            throw new IllegalArgumentException("Unknown value: " + error);
+        }
+    }
+
+    // An empty collection of the same public JDK class, when it has one
+    static Object copyOf(String className, Class<?> kind) {
+        try {
+            Class<?> type = Class.forName(className);
+            if (isJdk(type) && kind.isAssignableFrom(type) && java.lang.reflect.Modifier.isPublic(type.getModifiers())) return type.getConstructor().newInstance();
+        } catch (ReflectiveOperationException | RuntimeException error) {
+            // Not one the program can make
+        }
+        return null;
+    }
+
+    // A stub of the object's class when there is one, otherwise a proxy with
+    // the interfaces this program knows
+    static Object standIn(long id, Object data) {
+        String className = get(data, "class");
+        if (className != null) {
+            try {
+                java.lang.reflect.Constructor<?> constructor = classFor(className).getDeclaredConstructor(Ref.class);
+                constructor.setAccessible(true);
+                Object stub = constructor.newInstance(new Ref(id, get(data, "message")));
+                if (proxies.get(id) == stub) return stub;
+            } catch (ReflectiveOperationException | RuntimeException error) {
+                // Fall back to a proxy
+            }
+        }
+        java.util.List<Class<?>> types = new java.util.ArrayList<>();
+        for (Object name : (java.util.List<Object>) get(data, "interfaces")) {
+            try {
+                Class<?> type = classFor((String) name);
+                if (type.isInterface()) types.add(type);
+            } catch (ClassNotFoundException | RuntimeException error) {
+                // Not an interface of this program
+            }
+        }
+        Object proxy = java.lang.reflect.Proxy.newProxyInstance(loader(), types.toArray(new Class<?>[0]), (self, method, args) -> {
+            if (method.getDeclaringClass() == Object.class && !forwardsObjectMethods()) {
+                switch (method.getName()) {
+                    case "equals": return self == args[0];
+                    case "hashCode": return System.identityHashCode(self);
+                    default: return "Remote@" + id;
+                }
+            }
+            java.util.List<Object> params = new java.util.ArrayList<>();
+            for (Class<?> parameter : method.getParameterTypes()) params.add(parameter.getName());
+            return callRemote(self, method.getDeclaringClass().getName(), method.getName(), params, args == null ? new Object[0] : args);
+        });
+        bind(proxy, id);
+        return proxy;
+    }
+
+    public static void bind(Object stub, Ref ref) {
+        bind(stub, ref.id);
+    }
+
+    static void bind(Object standIn, long id) {
+        proxies.put(id, standIn);
+        remotes.put(standIn, id);
+        if (!mirroredFields(standIn.getClass()).isEmpty()) {
+            tracked.add(standIn);
+            pendingIds.add(id);
+            drain();
+        }
+    }
+
+    static Object callRemote(Object self, String owner, String method, java.util.List<Object> params, Object[] args) {
+        java.util.Map<String, Object> reply = request(map("op", "call", "target", self == null ? null : encode(self),
+            "class", owner, "method", method, "params", params, "args", encodeAll(args)));
+        java.util.Map<String, Object> updates = get(reply, "updates");
+        if (updates != null) {
+            for (java.util.Map.Entry<String, Object> entry : updates.entrySet()) update(args[Integer.parseInt(entry.getKey())], decode(entry.getValue()));
+        }
+        return settle(reply);
+    }
+
+    // Copy back what the other program did to an array or collection passed by copy
+    @SuppressWarnings("unchecked")
+    static void update(Object original, Object value) {
+        if (original == null || value == null || remotes.containsKey(original)) return;
+        if (original.getClass().isArray() && value.getClass().isArray() && java.lang.reflect.Array.getLength(original) == java.lang.reflect.Array.getLength(value)) {
+            for (int i = 0; i < java.lang.reflect.Array.getLength(value); i++) {
+                java.lang.reflect.Array.set(original, i, java.lang.reflect.Array.get(value, i));
+            }
+        } else if (original instanceof java.util.Collection && value instanceof java.util.Collection) {
+            try {
+                ((java.util.Collection<Object>) original).clear();
+                ((java.util.Collection<Object>) original).addAll((java.util.Collection<Object>) value);
+            } catch (UnsupportedOperationException error) {
+                // An immutable collection the other program could not change either
+            }
+        } else if (original instanceof java.util.Map && value instanceof java.util.Map) {
+            try {
+                ((java.util.Map<Object, Object>) original).clear();
+                ((java.util.Map<Object, Object>) original).putAll((java.util.Map<Object, Object>) value);
+            } catch (UnsupportedOperationException error) {
+                // An immutable map the other program could not change either
+            }
+        }
+    }
+
+    static boolean isCopied(Object value) {
+        return value != null && !remotes.containsKey(value) && (value.getClass().isArray() ||
+            isJdk(value.getClass()) && (value instanceof java.util.List || value instanceof java.util.Set || value instanceof java.util.Map));
+    }
+
+    static java.util.List<java.lang.reflect.Field> mirroredFields(Class<?> type) {
+        java.util.List<java.lang.reflect.Field> fields = new java.util.ArrayList<>();
+        for (Class<?> current = type; current != null && isMirrored(current); current = current.getSuperclass()) {
+            for (java.lang.reflect.Field field : current.getDeclaredFields()) {
+                int modifiers = field.getModifiers();
+                if (!field.isSynthetic() && !java.lang.reflect.Modifier.isStatic(modifiers) && !java.lang.reflect.Modifier.isPrivate(modifiers)) {
+                    field.setAccessible(true);
+                    fields.add(field);
+                }
+            }
+        }
+        return fields;
+    }
+
+    static java.util.Map<String, Object> fieldValues(Object value) {
+        java.util.Map<String, Object> fields = new java.util.LinkedHashMap<>();
+        for (java.lang.reflect.Field field : mirroredFields(value.getClass())) {
+            try {
+                fields.put(field.getDeclaringClass().getName() + "#" + field.getName(), encode(field.get(value)));
+            } catch (IllegalAccessException error) {
+                throw new IllegalStateException(error);
+            }
+        }
+        return fields;
+    }
+
+    // Send the fields that changed since they were last synced
+    static void collectSync(java.util.Map<String, Object> message) {
+        java.util.List<Object> sync = new java.util.ArrayList<>();
+        // Encoding fields may track more objects
+        for (int i = 0; i < tracked.size(); i++) {
+            Object value = tracked.get(i);
+            java.util.Map<String, Object> fields = fieldValues(value);
+            String snapshot = Json.write(fields);
+            if (!snapshot.equals(shadows.get(value))) {
+                shadows.put(value, snapshot);
+                sync.add(map("ref", encode(value), "fields", fields));
+            }
+        }
+        if (!sync.isEmpty()) message.put("sync", sync);
+    }
+
+    // Set the fields the other program synced; fields of objects without a
+    // stand-in yet wait for it
+    static void applySync(java.util.List<Object> sync) {
+        if (sync == null) return;
+        for (Object entry : sync) {
+            Object ref = get(entry, "ref");
+            long id = ((Number) get(ref, "id")).longValue();
+            java.util.Map<String, Object> fields = get(entry, "fields");
+            if (get(ref, "owner").equals("remote")) {
+                setFields(objects.get(id), fields);
+            } else {
+                pendingFields.put(id, fields);
+                if (proxies.containsKey(id)) pendingIds.add(id);
+            }
+        }
+        drain();
+    }
+
+    static void drain() {
+        if (draining) return;
+        draining = true;
+        try {
+            while (!pendingIds.isEmpty()) {
+                long id = pendingIds.poll();
+                java.util.Map<String, Object> fields = pendingFields.remove(id);
+                if (fields != null) setFields(proxies.get(id), fields);
+            }
+        } finally {
+            draining = false;
+        }
+    }
+
+    static void setFields(Object target, java.util.Map<String, Object> fields) {
+        if (target == null) return;
+        for (java.lang.reflect.Field field : mirroredFields(target.getClass())) {
+            String key = field.getDeclaringClass().getName() + "#" + field.getName();
+            if (!fields.containsKey(key)) continue;
+            try {
+                field.set(target, decode(fields.get(key)));
+            } catch (IllegalAccessException | IllegalArgumentException error) {
+                // A field this program's class does not have, or of another type
+            }
+        }
+        shadows.put(target, Json.write(fieldValues(target)));
+    }
+
+    // Send a request and serve the other program's requests (calls back
+    // into this one) until the reply comes
+    static java.util.Map<String, Object> request(java.util.Map<String, Object> message) {
+        if (disconnected) throw new Disconnected();
+        send(message);
+        while (true) {
+            java.util.Map<String, Object> reply = receive();
+            if (!reply.containsKey("op")) return reply;
+            serve(reply);
+        }
+    }
+
+    static Object settle(java.util.Map<String, Object> reply) {
+        if (reply.containsKey("error")) throw sneakyThrow(decodeError(get(reply, "error")));
+        return decode(reply.get("value"));
+    }
+
+    static java.util.Map<String, Object> encodeError(Throwable error) {
+        return map("class", error.getClass().getName(), "message", error.getMessage(), "ref", remotes.containsKey(error) || stubName(error.getClass()) != null ? encode(error) : null);
+    }
+
+    // Errors of the other program become the same JDK error here, or a stub
+    // of the student's error class
+    static Throwable decodeError(Object data) {
+        Object ref = get(data, "ref");
+        if (ref != null) {
+            Object value = decode(ref);
+            if (value instanceof Throwable) return (Throwable) value;
+        }
+        String className = get(data, "class");
+        String message = get(data, "message");
+        try {
+            Class<?> type = Class.forName(className);
+            if (Throwable.class.isAssignableFrom(type)) {
+                try {
+                    return (Throwable) type.getConstructor(String.class).newInstance(message);
+                } catch (NoSuchMethodException error) {
+                    return (Throwable) type.getConstructor().newInstance();
+                }
+            }
+        } catch (ReflectiveOperationException | RuntimeException | LinkageError error) {
+            // Not a JDK error
+        }
+        return new RuntimeException(className + (message == null ? "" : ": " + message));
+    }
+
+    static void serve(java.util.Map<String, Object> message) {
+        java.util.Map<String, Object> reply = new java.util.LinkedHashMap<>();
+        try {
+            reply.put("value", encode(handle(message, reply)));
+        } catch (Disconnected error) {
+            throw error;
+        } catch (Throwable error) {
+            Throwable cause = error instanceof java.lang.reflect.InvocationTargetException ? error.getCause() : error;
+            reply = map("error", encodeError(cause));
+        }
+        send(reply);
+    }
+
+    // Call a method of one of this program's objects for the other program
+    static Object invoke(java.util.Map<String, Object> message, java.util.Map<String, Object> reply) throws Throwable {
+        Object target = decode(message.get("target"));
+        Class<?> owner = classFor(get(message, "class"));
+        java.util.List<Object> params = get(message, "params");
+        java.lang.reflect.Method method = owner.getDeclaredMethod(get(message, "method"), classesFor(params));
+        if (!allowCall(owner, method, target)) throw new SecurityException("The tests do not allow this operation");
+        if (!isJdk(owner)) method.setAccessible(true);
+        java.util.List<Object> rawArgs = get(message, "args");
+        Object[] args = decodeAll(rawArgs);
+        Object value = method.invoke(target, args);
+        java.util.Map<String, Object> updates = new java.util.LinkedHashMap<>();
+        for (int i = 0; i < args.length; i++) {
+            if (isCopied(args[i])) {
+                Object data = encode(args[i]);
+                if (!Json.write(data).equals(Json.write(rawArgs.get(i)))) updates.put(String.valueOf(i), data);
+            }
+        }
+        if (!updates.isEmpty()) reply.put("updates", updates);
+        return value;
+    }
+`;
+
+// Serves the student's classes; the harness gets their descriptions and
+// writes stubs that forward to them
+const JAVA_SOLUTION = String.raw`
+public class Main {
+__PEER__
+
+    // Candidate names of the student's top-level classes; nested ones are
+    // found from these
+    private static final String[] CLASS_NAMES = { __CLASS_NAMES__ };
+    private static final java.util.Set<Class<?>> studentClasses = new java.util.LinkedHashSet<>();
+
+    static ClassLoader loader() {
+        return Main.class.getClassLoader();
+    }
+
+    static String stubName(Class<?> type) {
+        return studentClasses.contains(type) ? type.getName() : null;
+    }
+
+    static boolean isMirrored(Class<?> type) {
+        return studentClasses.contains(type);
+    }
+
+    // The harness only serves the interface methods of its objects
+    static boolean forwardsObjectMethods() {
+        return false;
+    }
+
+    static boolean allowCall(Class<?> owner, java.lang.reflect.Method method, Object target) {
+        return true;
+    }
+
+    static String render(java.lang.reflect.Type type) {
+        if (type instanceof Class) {
+            Class<?> raw = (Class<?>) type;
+            return raw.isArray() ? render(raw.getComponentType()) + "[]" : raw.getName().replace('$', '.');
+        }
+        if (type instanceof java.lang.reflect.ParameterizedType) {
+            java.util.StringJoiner arguments = new java.util.StringJoiner(", ", "<", ">");
+            for (java.lang.reflect.Type argument : ((java.lang.reflect.ParameterizedType) type).getActualTypeArguments()) arguments.add(render(argument));
+            return render(((java.lang.reflect.ParameterizedType) type).getRawType()) + arguments;
+        }
+        if (type instanceof java.lang.reflect.GenericArrayType) return render(((java.lang.reflect.GenericArrayType) type).getGenericComponentType()) + "[]";
+        if (type instanceof java.lang.reflect.WildcardType) {
+            java.lang.reflect.WildcardType wildcard = (java.lang.reflect.WildcardType) type;
+            if (wildcard.getLowerBounds().length > 0) return "? super " + render(wildcard.getLowerBounds()[0]);
+            return wildcard.getUpperBounds()[0] == Object.class ? "?" : "? extends " + render(wildcard.getUpperBounds()[0]);
+        }
+        return type.getTypeName();
+    }
+
+    static String renderAll(java.lang.reflect.Type[] types, String separator) {
+        java.util.StringJoiner joined = new java.util.StringJoiner(separator);
+        for (java.lang.reflect.Type type : types) joined.add(render(type));
+        return joined.toString();
+    }
+
+    static String typeParameters(java.lang.reflect.TypeVariable<?>[] variables) {
+        if (variables.length == 0) return "";
+        java.util.StringJoiner joined = new java.util.StringJoiner(", ", "<", "> ");
+        for (java.lang.reflect.TypeVariable<?> variable : variables) {
+            java.lang.reflect.Type[] bounds = variable.getBounds();
+            boolean unbounded = bounds.length == 1 && bounds[0] == Object.class;
+            joined.add(variable.getName() + (unbounded ? "" : " extends " + renderAll(bounds, " & ")));
+        }
+        return joined.toString();
+    }
+
+    static String visibility(int modifiers) {
+        if (java.lang.reflect.Modifier.isPublic(modifiers)) return "public ";
+        return java.lang.reflect.Modifier.isProtected(modifiers) ? "protected " : "";
+    }
+
+    static Class<?> rawClass(java.lang.reflect.Type type) {
+        return type instanceof java.lang.reflect.ParameterizedType ? (Class<?>) ((java.lang.reflect.ParameterizedType) type).getRawType() : (Class<?>) type;
+    }
+
+    // A stub can only keep a JDK interface whose methods the student's
+    // classes implement
+    static boolean implementsAll(Class<?> type, Class<?> implemented) {
+        for (java.lang.reflect.Method method : implemented.getMethods()) {
+            if (!java.lang.reflect.Modifier.isAbstract(method.getModifiers())) continue;
+            try {
+                Class<?> owner = type.getMethod(method.getName(), method.getParameterTypes()).getDeclaringClass();
+                if (owner != Object.class && !studentClasses.contains(owner)) return false;
+            } catch (NoSuchMethodException error) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    static java.util.Map<String, Object> describeExecutable(java.lang.reflect.Executable executable, java.lang.reflect.Type[] parameters) {
+        java.util.List<Object> rendered = new java.util.ArrayList<>();
+        java.util.List<Object> erasure = new java.util.ArrayList<>();
+        for (java.lang.reflect.Type parameter : parameters) rendered.add(render(parameter));
+        for (Class<?> parameter : executable.getParameterTypes()) erasure.add(parameter.getName());
+        if (executable.isVarArgs()) {
+            String last = (String) rendered.get(rendered.size() - 1);
+            rendered.set(rendered.size() - 1, last.substring(0, last.length() - 2) + "...");
+        }
+        return map("visibility", visibility(executable.getModifiers()), "typeParameters", typeParameters(executable.getTypeParameters()),
+            "parameters", rendered, "erasure", erasure, "exceptions", renderAll(executable.getGenericExceptionTypes(), ", "));
+    }
+
+    // What the harness needs to write a stub of a student's class
+    static java.util.Map<String, Object> describe(Class<?> type) {
+        int modifiers = type.getModifiers();
+        boolean isAbstract = java.lang.reflect.Modifier.isAbstract(modifiers) && !type.isInterface() && !type.isEnum();
+        java.lang.reflect.Type superclass = type.getGenericSuperclass();
+        String extendsClause = null;
+        boolean throwable = false;
+        if (superclass != null && studentClasses.contains(rawClass(superclass))) {
+            extendsClause = render(superclass);
+        } else if (superclass != null && Throwable.class.isAssignableFrom(rawClass(superclass))) {
+            extendsClause = render(superclass);
+            throwable = true;
+        }
+        java.util.List<Object> interfaces = new java.util.ArrayList<>();
+        for (java.lang.reflect.Type implemented : type.getGenericInterfaces()) {
+            Class<?> raw = rawClass(implemented);
+            boolean kept = studentClasses.contains(raw) ||
+                java.lang.reflect.Modifier.isPublic(raw.getModifiers()) && (type.isInterface() || isAbstract || implementsAll(type, raw));
+            if (kept) interfaces.add(render(implemented));
+        }
+
+        java.util.List<Object> fields = new java.util.ArrayList<>();
+        for (java.lang.reflect.Field field : type.getDeclaredFields()) {
+            int fieldModifiers = field.getModifiers();
+            boolean isStatic = java.lang.reflect.Modifier.isStatic(fieldModifiers);
+            if (field.isSynthetic() || field.isEnumConstant() || java.lang.reflect.Modifier.isPrivate(fieldModifiers)) continue;
+            if (type.isEnum() && !isStatic) continue;
+            fields.add(map("name", field.getName(), "type", render(field.getGenericType()), "static", isStatic,
+                "visibility", visibility(fieldModifiers)));
+        }
+
+        java.util.List<Object> constructors = new java.util.ArrayList<>();
+        boolean inner = type.getDeclaringClass() != null && !java.lang.reflect.Modifier.isStatic(modifiers);
+        if (!type.isInterface() && !type.isEnum() && !inner) {
+            for (java.lang.reflect.Constructor<?> constructor : type.getDeclaredConstructors()) {
+                if (constructor.isSynthetic() || java.lang.reflect.Modifier.isPrivate(constructor.getModifiers())) continue;
+                constructors.add(describeExecutable(constructor, constructor.getGenericParameterTypes()));
+            }
+        }
+
+        java.util.List<Object> methods = new java.util.ArrayList<>();
+        for (java.lang.reflect.Method method : type.getDeclaredMethods()) {
+            int methodModifiers = method.getModifiers();
+            boolean isStatic = java.lang.reflect.Modifier.isStatic(methodModifiers);
+            if (method.isSynthetic() || method.isBridge() || java.lang.reflect.Modifier.isPrivate(methodModifiers)) continue;
+            if (type.isEnum() && isStatic && (method.getName().equals("values") || method.getName().equals("valueOf"))) continue;
+            java.util.Map<String, Object> data = describeExecutable(method, method.getGenericParameterTypes());
+            data.put("name", method.getName());
+            data.put("returns", render(method.getGenericReturnType()));
+            data.put("static", isStatic);
+            data.put("default", method.isDefault());
+            data.put("abstract", java.lang.reflect.Modifier.isAbstract(methodModifiers) && (isAbstract || type.isInterface()));
+            methods.add(data);
+        }
+
+        java.util.List<Object> constants = new java.util.ArrayList<>();
+        if (type.isEnum()) {
+            for (Object constant : type.getEnumConstants()) constants.add(((Enum<?>) constant).name());
+        }
+
+        return map("name", type.getName(), "simpleName", type.getSimpleName(),
+            "outer", type.getDeclaringClass() == null ? null : type.getDeclaringClass().getName(),
+            "kind", type.isInterface() ? "interface" : type.isEnum() ? "enum" : "class",
+            "visibility", visibility(modifiers), "abstract", isAbstract,
+            "typeParameters", typeParameters(type.getTypeParameters()),
+            "extends", extendsClause, "throwable", throwable, "interfaces", interfaces,
+            "fields", fields, "constructors", constructors, "methods", methods, "constants", constants);
+    }
+
+    static void collect(Class<?> type) {
+        if (type.isAnnotation() || type.isSynthetic() || java.lang.reflect.Modifier.isPrivate(type.getModifiers())) return;
+        studentClasses.add(type);
+        for (Class<?> nested : type.getDeclaredClasses()) collect(nested);
+    }
+
+    static Object load() throws Throwable {
+        for (String name : CLASS_NAMES) {
+            Class<?> type;
+            try {
+                type = Class.forName(name, true, loader());
+            } catch (ClassNotFoundException error) {
+                continue;
+            } catch (ExceptionInInitializerError error) {
+                throw error.getCause();
+            }
+            if (type.getDeclaringClass() == null && type != Main.class) collect(type);
+        }
+        java.util.List<Object> classes = new java.util.ArrayList<>();
+        for (Class<?> type : studentClasses) classes.add(describe(type));
+        return map("classes", classes);
+    }
+
+    static Object handle(java.util.Map<String, Object> message, java.util.Map<String, Object> reply) throws Throwable {
+        switch (String.valueOf(message.get("op"))) {
+            case "load":
+                return load();
+            case "call":
+                return invoke(message, reply);
+            case "new": {
+                java.lang.reflect.Constructor<?> constructor = classFor(get(message, "class")).getDeclaredConstructor(classesFor(get(message, "params")));
+                constructor.setAccessible(true);
+                return constructor.newInstance(decodeAll(get(message, "args")));
+            }
+            case "static": {
+                java.lang.reflect.Field field = classFor(get(message, "class")).getDeclaredField(get(message, "field"));
+                field.setAccessible(true);
+                return field.get(null);
+            }
+            default:
+                throw new UnsupportedOperationException("Unknown operation: " + message.get("op"));
+        }
+    }
+
+    public static void main(String[] args) {
+        open();
+        try {
+            while (true) serve(receive());
+        } catch (Disconnected error) {
+            System.exit(0);
+        }
+    }
+}
+`;
+
+// Runs the test classes on the JUnit Platform, compiled with the tests and
+// loaded with them and the JUnit jar. Main passes it the classes and how to
+// write a result line, so it needs nothing of Main's.
+const JAVA_RUNNER = String.raw`
+import java.util.*;
+import java.util.function.BooleanSupplier;
+import java.util.function.Consumer;
+import org.junit.platform.engine.TestExecutionResult;
+import org.junit.platform.engine.TestSource;
+import org.junit.platform.engine.support.descriptor.MethodSource;
+import org.junit.platform.launcher.TestExecutionListener;
+import org.junit.platform.launcher.TestIdentifier;
+import org.junit.platform.launcher.TestPlan;
+import org.junit.platform.launcher.core.LauncherDiscoveryRequestBuilder;
+import org.junit.platform.launcher.core.LauncherFactory;
+import static org.junit.platform.engine.discovery.DiscoverySelectors.selectClass;
+
+public class TestRunner {
+    public static void run(List<Class<?>> classes, Consumer<Map<String, Object>> report, BooleanSupplier disconnected) {
+        LauncherDiscoveryRequestBuilder request = LauncherDiscoveryRequestBuilder.request();
+        for (Class<?> testClass : classes) request.selectors(selectClass(testClass));
+
+        TestExecutionListener listener = new TestExecutionListener() {
+            private final Map<String, Long> started = new HashMap<>();
+            private TestPlan plan;
+
+            @Override
+            public void testPlanExecutionStarted(TestPlan testPlan) {
+                plan = testPlan;
+            }
+
+            @Override
+            public void executionStarted(TestIdentifier test) {
+                started.put(test.getUniqueId(), System.nanoTime());
+            }
+
+            @Override
+            public void executionSkipped(TestIdentifier test, String reason) {
+                write(test, "skipped", reason == null ? "" : reason);
+            }
+
+            // A test failing an assertion (or fail()) failed; one throwing
+            // anything else, or failing in @BeforeEach, errored. A failed
+            // class, e.g. in @BeforeAll, fails the tests it holds.
+            @Override
+            public void executionFinished(TestIdentifier test, TestExecutionResult result) {
+                Throwable error = result.getThrowable().orElse(null);
+                switch (result.getStatus()) {
+                    case SUCCESSFUL:
+                        if (test.isTest()) write(test, "passed", "");
+                        break;
+                    case ABORTED:
+                        write(test, "skipped", error == null || error.getMessage() == null ? "" : error.getMessage());
+                        break;
+                    default:
+                        if (error instanceof AssertionError) write(test, "failed", error.getMessage() == null ? "" : error.getMessage());
+                        else write(test, "error", error == null ? "" : error.getClass().getName() + (error.getMessage() == null ? "" : ": " + error.getMessage()));
+                }
+            }
+
+            private void write(TestIdentifier test, String outcome, String message) {
+                // Tests stop when the solution does; the ones left did not finish
+                if (disconnected.getAsBoolean()) return;
+                List<TestIdentifier> tests = new ArrayList<>();
+                if (test.isTest()) tests.add(test);
+                else for (TestIdentifier descendant : plan.getDescendants(test)) if (descendant.isTest()) tests.add(descendant);
+                for (TestIdentifier each : tests) {
+                    TestSource testSource = each.getSource().orElse(null);
+                    if (!(testSource instanceof MethodSource)) continue;
+                    MethodSource source = (MethodSource) testSource;
+                    String className = source.getClassName();
+                    Long start = started.get(each.getUniqueId());
+                    Map<String, Object> entry = new LinkedHashMap<>();
+                    entry.put("test", className.substring(Math.max(className.lastIndexOf('.'), className.lastIndexOf('$')) + 1) + "." + source.getMethodName());
+                    entry.put("outcome", outcome);
+                    entry.put("message", message);
+                    entry.put("time", start == null ? 0.0 : Math.round((System.nanoTime() - start) / 1e6) / 1000.0);
+                    report.accept(entry);
+                }
+            }
+        };
+
+        LauncherFactory.create().execute(request.build(), listener);
+    }
+}
+`;
+
+const JAVA_HARNESS = String.raw`
+public class Main {
+__PEER__
+
+    private static final String[] TEST_CLASSES = { __TEST_CLASSES__ };
+    private static final java.util.Set<String> stubNames = new java.util.HashSet<>();
+    private static ClassLoader stubLoader = Main.class.getClassLoader();
+    private static java.io.Writer results;
+
+    static ClassLoader loader() {
+        return stubLoader;
+    }
+
+    // The tests' own objects are never stubs on the other side
+    static String stubName(Class<?> type) {
+        return null;
+    }
+
+    static boolean isMirrored(Class<?> type) {
+        return stubNames.contains(type.getName());
+    }
+
+    static boolean forwardsObjectMethods() {
+        return true;
+    }
+
+    // The student's code may call the callbacks and objects the tests hand
+    // it through their interfaces, but nothing that leads to the tests' code
+    static boolean allowCall(Class<?> owner, java.lang.reflect.Method method, Object target) {
+        return owner.isInterface() && target != null && owner.isInstance(target) && !java.lang.reflect.Modifier.isStatic(method.getModifiers());
+    }
+
+    static Object handle(java.util.Map<String, Object> message, java.util.Map<String, Object> reply) throws Throwable {
+        if ("call".equals(message.get("op"))) return invoke(message, reply);
+        throw new UnsupportedOperationException("The tests do not allow this operation");
+    }
+
+    // Used by the stubs
+    public static Ref construct(String owner, String[] params, Object[] args) {
+        java.util.Map<String, Object> reply = request(map("op", "new", "class", owner,
+            "params", new java.util.ArrayList<Object>(java.util.Arrays.asList((Object[]) params)), "args", encodeAll(args)));
+        if (reply.containsKey("error")) throw sneakyThrow(decodeError(get(reply, "error")));
+        Object value = reply.get("value");
+        return new Ref(((Number) get(value, "id")).longValue(), get(value, "message"));
+    }
+
+    public static Object call(Object self, String owner, String method, String[] params, Object[] args) {
+        return callRemote(self, owner, method, new java.util.ArrayList<Object>(java.util.Arrays.asList((Object[]) params)), args);
+    }
+
+    public static Object getStatic(String owner, String field) {
+        return settle(request(map("op", "static", "class", owner, "field", field)));
+    }
+
+    static String quote(String value) {
+        return Json.write(value);
+    }
+
+    static String parameterList(java.util.List<Object> parameters) {
+        java.util.StringJoiner joined = new java.util.StringJoiner(", ");
+        for (int i = 0; i < parameters.size(); i++) joined.add(parameters.get(i) + " a" + i);
+        return joined.toString();
+    }
+
+    // A call of the stubs' API forwarding the parameters a0, a1, ...
+    static String forward(String call, Object data) {
+        java.util.List<Object> erasure = get(data, "erasure");
+        java.util.StringJoiner params = new java.util.StringJoiner(", ", "new String[] {", "}");
+        java.util.StringJoiner args = new java.util.StringJoiner(", ", "new Object[] {", "}");
+        for (int i = 0; i < erasure.size(); i++) {
+            params.add(quote((String) erasure.get(i)));
+            args.add("a" + i);
+        }
+        return call + params + ", " + args + ")";
+    }
+
+    static String throwsClause(Object data) {
+        String exceptions = get(data, "exceptions");
+        return exceptions.isEmpty() ? "" : " throws " + exceptions;
+    }
+
+    // A class of the student's with the same name and members, whose
+    // constructors and methods run the student's code in the solution
+    @SuppressWarnings("unchecked")
+    static void writeStub(StringBuilder out, Object data, java.util.List<Object> classes) {
+        String name = get(data, "name");
+        String simpleName = get(data, "simpleName");
+        String kind = get(data, "kind");
+        boolean nested = get(data, "outer") != null;
+        boolean isInterface = kind.equals("interface");
+        java.util.List<Object> interfaces = get(data, "interfaces");
+
+        out.append(nested ? get(data, "visibility") + "static " : "").append(Boolean.TRUE.equals(get(data, "abstract")) ? "abstract " : "")
+            .append(kind).append(' ').append(simpleName).append((String) get(data, "typeParameters"));
+        if (get(data, "extends") != null) out.append(" extends ").append((String) get(data, "extends"));
+        if (!interfaces.isEmpty()) out.append(isInterface ? " extends " : " implements ").append(String.join(", ", (java.util.List<String>) (Object) interfaces));
+        out.append(" {\n");
+
+        if (kind.equals("enum")) out.append(String.join(", ", (java.util.List<String>) get(data, "constants"))).append(";\n");
+        for (Object field : (java.util.List<Object>) get(data, "fields")) {
+            String type = get(field, "type");
+            out.append((String) get(field, "visibility"));
+            if (Boolean.TRUE.equals(get(field, "static"))) {
+                out.append("static ").append(type).append(' ').append((String) get(field, "name"))
+                    .append(" = (").append(type).append(") Main.getStatic(").append(quote(name)).append(", ").append(quote(get(field, "name"))).append(");\n");
+            } else {
+                out.append(type).append(' ').append((String) get(field, "name")).append(";\n");
+            }
+        }
+
+        if (kind.equals("class")) {
+            if (get(data, "extends") != null && !Boolean.TRUE.equals(get(data, "throwable"))) {
+                out.append(simpleName).append("(Main.Ref ref) { super(ref); }\n");
+            } else {
+                out.append(simpleName).append("(Main.Ref ref) { ").append(Boolean.TRUE.equals(get(data, "throwable")) ? "super(ref.message()); " : "").append("Main.bind(this, ref); }\n");
+            }
+            for (Object constructor : (java.util.List<Object>) get(data, "constructors")) {
+                out.append((String) get(constructor, "visibility")).append((String) get(constructor, "typeParameters")).append(simpleName)
+                    .append('(').append(parameterList(get(constructor, "parameters"))).append(')').append(throwsClause(constructor))
+                    .append(" { this(").append(forward("Main.construct(" + quote(name) + ", ", constructor)).append("); }\n");
+            }
+        }
+
+        for (Object method : (java.util.List<Object>) get(data, "methods")) {
+            boolean isStatic = Boolean.TRUE.equals(get(method, "static"));
+            String returns = get(method, "returns");
+            out.append((String) get(method, "visibility")).append(isStatic ? "static " : "").append(Boolean.TRUE.equals(get(method, "default")) ? "default " : "")
+                .append(Boolean.TRUE.equals(get(method, "abstract")) && !isInterface ? "abstract " : "")
+                .append((String) get(method, "typeParameters")).append(returns).append(' ').append((String) get(method, "name"))
+                .append('(').append(parameterList(get(method, "parameters"))).append(')').append(throwsClause(method));
+            if (Boolean.TRUE.equals(get(method, "abstract"))) {
+                out.append(";\n");
+                continue;
+            }
+            String call = forward("Main.call(" + (isStatic ? "null" : "this") + ", " + quote(name) + ", " + quote(get(method, "name")) + ", ", method);
+            out.append(returns.equals("void") ? " { " + call + "; }\n" : " { return (" + returns + ") " + call + "; }\n");
+        }
+
+        for (Object other : classes) {
+            if (name.equals(get(other, "outer"))) writeStub(out, other, classes);
+        }
+        out.append("}\n");
+    }
+
+    static final class Source extends javax.tools.SimpleJavaFileObject {
+        private final String code;
+
+        Source(String name, String code) {
+            super(java.net.URI.create("string:///" + name + ".java"), javax.tools.JavaFileObject.Kind.SOURCE);
+            this.code = code;
+        }
+
+        @Override
+        public CharSequence getCharContent(boolean ignoreEncodingErrors) {
+            return code;
+        }
+    }
+
+    static String read(String file) throws java.io.IOException {
+        return new String(java.nio.file.Files.readAllBytes(java.nio.file.Paths.get(file)), java.nio.charset.StandardCharsets.UTF_8);
+    }
+
+    // Compile the stubs with the tests and the runner against JUnit; returns
+    // the errors, if any, without the lines of code they are on
+    static String compile(String stubs, String junit) throws java.io.IOException {
+        javax.tools.JavaCompiler compiler = javax.tools.ToolProvider.getSystemJavaCompiler();
+        javax.tools.DiagnosticCollector<javax.tools.JavaFileObject> diagnostics = new javax.tools.DiagnosticCollector<>();
+        java.nio.file.Files.createDirectories(java.nio.file.Paths.get("classes"));
+        java.util.List<javax.tools.JavaFileObject> sources = java.util.Arrays.asList(
+            new Source("TestRunner", read("TestRunner.src")),
+            new Source("Tests", read("Tests.src")),
+            new Source("Solution", stubs));
+        String classPath = System.getProperty("java.class.path") + java.io.File.pathSeparator + junit;
+        java.util.List<String> options = java.util.Arrays.asList("-d", "classes", "-cp", classPath, "-nowarn", "-proc:none");
+        if (compiler.getTask(null, null, diagnostics, options, null, sources).call()) return null;
+        StringBuilder errors = new StringBuilder();
+        for (javax.tools.Diagnostic<? extends javax.tools.JavaFileObject> diagnostic : diagnostics.getDiagnostics()) {
+            if (diagnostic.getKind() != javax.tools.Diagnostic.Kind.ERROR) continue;
+            String source = diagnostic.getSource() == null ? "" : diagnostic.getSource().getName().replace("/", "") + ":" + diagnostic.getLineNumber() + ": ";
+            errors.append(source.replace("string:", "")).append(diagnostic.getMessage(java.util.Locale.ROOT)).append('\n');
+        }
+        return errors.toString().trim();
+    }
+
+    static void report(java.util.Map<String, Object> entry) throws java.io.IOException {
+        results.write(Json.write(entry) + "\n");
+        results.flush();
+    }
+
+    static String describeError(Throwable error) {
+        return error.getClass().getName() + (error.getMessage() == null ? "" : ": " + error.getMessage());
+    }
+
+    static void run() throws Exception {
+        java.util.List<Object> classes;
+        try {
+            classes = get(settle(request(map("op", "load"))), "classes");
+        } catch (Disconnected error) {
+            throw error;
+        } catch (Throwable error) {
+            report(map("error", describeError(error)));
+            return;
+        }
+        for (Object data : classes) stubNames.add(get(data, "name"));
+        StringBuilder stubs = new StringBuilder();
+        for (Object data : classes) {
+            if (get(data, "outer") == null) writeStub(stubs, data, classes);
+        }
+        String junit = read("junit.path").trim();
+        String errors = compile(stubs.toString(), junit);
+        if (errors != null) {
+            report(map("error", "The tests do not compile against the solution:\n" + errors));
+            return;
+        }
+        stubLoader = new java.net.URLClassLoader(new java.net.URL[] {
+            new java.io.File("classes").toURI().toURL(), new java.io.File(junit).toURI().toURL()
+        }, Main.class.getClassLoader());
+        // JUnit finds its test engine through the context class loader
+        Thread.currentThread().setContextClassLoader(stubLoader);
+
+        java.util.List<Class<?>> testClasses = new java.util.ArrayList<>();
+        for (String className : TEST_CLASSES) {
+            try {
+                testClasses.add(Class.forName(className, true, stubLoader));
+            } catch (ClassNotFoundException error) {
+                // A nested type, run with its enclosing class
+            } catch (Disconnected error) {
+                throw error;
+            } catch (Throwable error) {
+                report(map("error", describeError(error)));
+                return;
+            }
+        }
+
+        java.util.function.Consumer<java.util.Map<String, Object>> reporter = entry -> {
+            try {
+                report(entry);
+            } catch (java.io.IOException error) {
+                throw new java.io.UncheckedIOException(error);
+            }
+        };
+        java.util.function.BooleanSupplier stopped = () -> disconnected;
+        try {
+            Class.forName("TestRunner", true, stubLoader)
+                .getMethod("run", java.util.List.class, java.util.function.Consumer.class, java.util.function.BooleanSupplier.class)
+                .invoke(null, testClasses, reporter, stopped);
+        } catch (java.lang.reflect.InvocationTargetException error) {
+            throw new RuntimeException(error.getCause());
+        }
+        if (disconnected) throw new Disconnected();
+        report(map("done", true));
+    }
+
+    public static void main(String[] args) throws Exception {
+        open();
+        results = new java.io.OutputStreamWriter(new java.io.FileOutputStream("results.jsonl"), java.nio.charset.StandardCharsets.UTF_8);
+        try {
+            run();
+        } catch (Disconnected error) {
+            // The run's status says why the solution stopped
+        }
+        results.close();
+        System.exit(0);
+    }
+}
+`;
+
+// How much longer than the tests' time limit each harness may take to start
+// (pytest starts up, the Java one compiles the tests), and its memory
+// limit in MB
+const HARNESS_LIMITS = {
+  python: { setupTime: 2, memoryLimit: 256 },
+  javascript: { setupTime: 1, memoryLimit: 256 },
+  java: { setupTime: 10, memoryLimit: 512 }
+};
+
+// Top-level public types would need their own files; Main.java may only
+// hold one public class
+const JAVA_PUBLIC_TYPE = /^(\s*)public\s+(?=(?:(?:abstract|final|static|strictfp)\s+)*(?:class|interface|enum|record|@interface)\b)/gm;
+const JAVA_PACKAGE = /^\s*package\s+[\w.]+\s*;/m;
+const JAVA_TYPE = /\b(?:class|interface|enum|record)\s+([A-Za-z_$][\w$]*)/g;
+
+const fillTemplate = (template, values) => {
+  return Object.entries(values).reduce((output, [key, value]) => output.split(key).join(value), template);
+};
+
+// Helper function to list the type names declared in Java code as string literals
+const javaTypeNames = (code) => {
+  return Array.from(new Set(Array.from(code.matchAll(JAVA_TYPE), match => match[1])))
+    .map(name => JSON.stringify(name))
+    .join(', ');
+};
+
+// Build the two programs of a unit-test run from the student's code and the
+// test file. Returns { solution: { code, files }, harness: { language, code,
+// files, setupTime, memoryLimit } }; the solution runs in the student's
+// language and limits.
+const buildUnitTestRun = (language, code, testCode) => {
+  const fill = (template, peer, values = {}) => fillTemplate(fillTemplate(template, { __PEER__: peer }), {
+    __MAX_MESSAGE_SIZE__: String(MAX_MESSAGE_SIZE),
+    ...values
+  });
+
+  switch (language) {
+    case 'python':
+      return {
+        solution: { code: fill(PYTHON_SOLUTION, PYTHON_PEER), files: { 'solution.py': code } },
+        harness: {
+          language,
+          code: fill(PYTHON_HARNESS, PYTHON_PEER),
+          files: { 'test_solution.py': testCode },
+          ...HARNESS_LIMITS.python
+        }
+      };
+    case 'javascript':
+      return {
+        solution: { code: fill(JAVASCRIPT_SOLUTION, JAVASCRIPT_PEER), files: { 'solution.js': code } },
+        harness: {
+          language,
+          code: fill(JAVASCRIPT_HARNESS, JAVASCRIPT_PEER),
+          files: { 'tests.js': testCode },
+          ...HARNESS_LIMITS.javascript
+        }
+      };
+    case 'java':
+      return {
+        solution: {
+          code: [
+            code.replace(JAVA_PACKAGE, '').replace(JAVA_PUBLIC_TYPE, '$1'),
+            fill(JAVA_SOLUTION, JAVA_PEER, { __CLASS_NAMES__: javaTypeNames(code) })
+          ].join('\n'),
+          files: {}
+        },
+        harness: {
+          language,
+          code: fill(JAVA_HARNESS, JAVA_PEER, { __TEST_CLASSES__: javaTypeNames(testCode) }),
+          files: {
+            'TestRunner.src': JAVA_RUNNER,
+            'Tests.src': testCode.replace(JAVA_PACKAGE, '').replace(JAVA_PUBLIC_TYPE, '$1')
+          },
+          ...HARNESS_LIMITS.java
+        }
+      };
+    default:
+      throw new Error(`Unit tests do not support language: ${language}`);
+  }
+};
+
+module.exports = {
+  MAX_MESSAGE_SIZE,
+  buildUnitTestRun
+};
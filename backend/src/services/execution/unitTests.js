@@ -0,0 +1,164 @@
+// Unit-test harness for questions graded by a hidden test file
+//
+// The teacher writes a test file in the style of the language's usual test
+// framework and declares its tests with their points. The student's code
+// and the test file run as two programs in separate sandboxes (see
+// unitTestRunners.js): the test harness runs every test against the
+// student's code and writes one result line per test to a file of its own.
+// The harness runs the tests with the language's test framework, installed
+// on the execution backend (see config/execution.js):
+//   python      pytest. The student's code is importable as `solution`;
+//               conftest.py files and plugins are not loaded.
+//   java        JUnit 5 (the JUnit Platform with Jupiter): the test file's
+//               classes, compiled against the student's classes.
+//   javascript  Node assert: tests registered with test(name, fn) or it(),
+//               grouped with describe(); fn may be async. The student's
+//               module.exports is returned by require('./solution').
+// JavaScript tests also see the student's top-level names.
+//
+// Tests are named test_name or TestClass::test_name (python),
+// TestClass.method (java), and "group > name" (javascript).
+//
+// A test that fails an assertion is a wrong answer; one that throws anything
+// else, or fails in a fixture or @BeforeEach, is a runtime error. Skipped
+// and disabled tests are skipped.
+
+const { STATUS, buildStatus } = require('./statuses');
+
+const UNIT_TEST_LANGUAGES = ['python', 'java', 'javascript'];
+
+const OUTCOME_STATUSES = {
+  passed: STATUS.ACCEPTED,
+  failed: STATUS.WRONG_ANSWER,
+  error: STATUS.RUNTIME_ERROR_OTHER
+};
+
+// Helper function to read the harness's result lines (the run's report)
+// Returns { tests: Map of name -> { outcome, message, time }, loadError, done }
+const parseReport = (text) => {
+  const report = { tests: new Map(), loadError: null, done: false };
+
+  (text || '').split('\n').forEach(line => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return;
+    }
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+    if (entry.done) {
+      report.done = true;
+    } else if (entry.error !== undefined) {
+      report.loadError = String(entry.error);
+    } else if (typeof entry.test === 'string' && !report.tests.has(entry.test)) {
+      report.tests.set(entry.test, entry);
+    }
+  });
+  return report;
+};
+
+// Split a unit-test run into one Judge0-shaped result per declared test (in
+// the order of tests), so they are formatted and scored like test cases.
+// Each result carries testName and message, the assertion or error message.
+const toTestResults = (run, tests) => {
+  const report = parseReport(run.report);
+
+  return tests.map(test => {
+    const base = {
+      stdout: '',
+      stderr: '',
+      compile_output: '',
+      time: 0,
+      memory: run.memory || null,
+      limits: run.limits,
+      testName: test.name
+    };
+
+    if (run.status?.id === STATUS.COMPILATION_ERROR) {
+      return { ...base, status: run.status, compile_output: run.compile_output };
+    }
+
+    const entry = report.tests.get(test.name);
+    if (entry?.outcome === 'skipped') {
+      return {
+        ...base,
+        status: { id: 'skipped', description: 'Skipped' },
+        skipped: true,
+        message: entry.message ? String(entry.message) : undefined
+      };
+    }
+    if (entry) {
+      const message = entry.message ? String(entry.message) : '';
+      return {
+        ...base,
+        status: buildStatus(OUTCOME_STATUSES[entry.outcome] || STATUS.RUNTIME_ERROR_OTHER),
+        stderr: entry.outcome === 'error' ? message : '',
+        time: Number(entry.time) || 0,
+        message: message || undefined
+      };
+    }
+
+    if (report.loadError !== null) {
+      return {
+        ...base,
+        status: buildStatus(STATUS.RUNTIME_ERROR_OTHER),
+        stderr: run.stderr || report.loadError,
+        message: `Tests could not be loaded: ${report.loadError}`
+      };
+    }
+
+    // The student's program stopped early, e.g. out of time or by exit(),
+    // and the harness with it
+    if (!report.done) {
+      const status = run.status?.id === STATUS.ACCEPTED ? buildStatus(STATUS.RUNTIME_ERROR_OTHER) : run.status;
+      return {
+        ...base,
+        status,
+        stderr: run.stderr || '',
+        message: `Test did not finish: the tests stopped early (${status?.description || 'Execution failed'})`
+      };
+    }
+
+    return {
+      ...base,
+      status: buildStatus(STATUS.INTERNAL_ERROR, 'Test not found'),
+      message: `Test ${test.name} is not in the test file`
+    };
+  });
+};
+
+// Helper function to validate a unit-test question's language, test file and
+// declared tests; returns a list of problems
+const validateUnitTests = (language, config) => {
+  const errors = [];
+  const names = new Set();
+  const tests = config?.tests || [];
+
+  if (!UNIT_TEST_LANGUAGES.includes(language)) {
+    errors.push(`Unit tests support these languages: ${UNIT_TEST_LANGUAGES.join(', ')}`);
+  }
+  if (!config?.code) {
+    errors.push('A test file is required for unit-test questions');
+  }
+  if (tests.length === 0) {
+    errors.push('At least one test is required for unit-test questions');
+  }
+  tests.forEach((test, index) => {
+    if (!test.name) {
+      errors.push(`Test ${index + 1} must have a name`);
+    } else if (names.has(test.name)) {
+      errors.push(`Duplicate test name: ${test.name}`);
+    }
+    names.add(test.name);
+  });
+  return errors;
+};
+
+module.exports = {
+  UNIT_TEST_LANGUAGES,
+  parseReport,
+  toTestResults,
+  validateUnitTests
+};
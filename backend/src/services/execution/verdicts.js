@@ -0,0 +1,92 @@
+const { STATUS } = require('./statuses');
+
+// Normalised verdicts shown to students and stored on test results
+const VERDICTS = {
+  ACCEPTED: 'AC',
+  WRONG_ANSWER: 'WA',
+  TIME_LIMIT_EXCEEDED: 'TLE',
+  MEMORY_LIMIT_EXCEEDED: 'MLE',
+  RUNTIME_ERROR: 'RE',
+  COMPILATION_ERROR: 'CE',
+  INTERNAL_ERROR: 'IE',
+  // Not run because the code breaks the question's construct rules
+  RULE_VIOLATION: 'RV',
+  // Not run because an earlier test case failed (practice early stop)
+  SKIPPED: 'SK'
+};
+
+const VERDICT_CODES = Object.values(VERDICTS);
+
+// Verdicts a compiled program can fail a test case with
+const FAILURE_VERDICTS = [
+  VERDICTS.WRONG_ANSWER,
+  VERDICTS.TIME_LIMIT_EXCEEDED,
+  VERDICTS.MEMORY_LIMIT_EXCEEDED,
+  VERDICTS.RUNTIME_ERROR
+];
+
+const VERDICT_DESCRIPTIONS = {
+  [VERDICTS.ACCEPTED]: 'Accepted',
+  [VERDICTS.WRONG_ANSWER]: 'Wrong Answer',
+  [VERDICTS.TIME_LIMIT_EXCEEDED]: 'Time Limit Exceeded',
+  [VERDICTS.MEMORY_LIMIT_EXCEEDED]: 'Memory Limit Exceeded',
+  [VERDICTS.RUNTIME_ERROR]: 'Runtime Error',
+  [VERDICTS.COMPILATION_ERROR]: 'Compilation Error',
+  [VERDICTS.INTERNAL_ERROR]: 'Internal Error',
+  [VERDICTS.RULE_VIOLATION]: 'Rule Violation',
+  [VERDICTS.SKIPPED]: 'Skipped'
+};
+
+const RUNTIME_ERROR_STATUSES = [
+  STATUS.RUNTIME_ERROR_SIGSEGV,
+  STATUS.RUNTIME_ERROR_SIGXFSZ,
+  STATUS.RUNTIME_ERROR_SIGFPE,
+  STATUS.RUNTIME_ERROR_SIGABRT,
+  STATUS.RUNTIME_ERROR_NZEC,
+  STATUS.RUNTIME_ERROR_OTHER
+];
+
+// Out-of-memory messages printed by the runtimes we support
+const OUT_OF_MEMORY_PATTERN = /MemoryError|OutOfMemoryError|std::bad_alloc|heap out of memory|Cannot allocate memory/;
+
+// Judge0 has no memory limit status: a program that runs out of memory
+// crashes with a runtime error. Treat it as MLE when it used (nearly) all of
+// its memory limit or its runtime reported an allocation failure.
+const isMemoryLimitExceeded = (result) => {
+  const memoryLimit = result.limits?.effective?.memoryLimit; // MB
+  if (memoryLimit && Number(result.memory) >= memoryLimit * 1024 * 0.95) {
+    return true;
+  }
+  return OUT_OF_MEMORY_PATTERN.test(result.stderr || '');
+};
+
+// Helper function to map an execution result to a verdict
+const toVerdict = (result) => {
+  const statusId = result?.status?.id;
+
+  if (result?.skipped) return VERDICTS.SKIPPED;
+  if (statusId === STATUS.ACCEPTED) return VERDICTS.ACCEPTED;
+  if (statusId === STATUS.WRONG_ANSWER) return VERDICTS.WRONG_ANSWER;
+  if (statusId === STATUS.TIME_LIMIT_EXCEEDED) return VERDICTS.TIME_LIMIT_EXCEEDED;
+  if (statusId === STATUS.COMPILATION_ERROR) return VERDICTS.COMPILATION_ERROR;
+  if (RUNTIME_ERROR_STATUSES.includes(statusId)) {
+    return isMemoryLimitExceeded(result) ? VERDICTS.MEMORY_LIMIT_EXCEEDED : VERDICTS.RUNTIME_ERROR;
+  }
+  // Internal and exec format errors, polling timeouts and backend failures
+  return VERDICTS.INTERNAL_ERROR;
+};
+
+// Helper function to pick the verdict of a whole attempt: the first
+// failing test's verdict, or AC when every test passed
+const summarizeVerdict = (verdicts) => {
+  return verdicts.find(verdict => verdict !== VERDICTS.ACCEPTED) || VERDICTS.ACCEPTED;
+};
+
+module.exports = {
+  VERDICTS,
+  VERDICT_CODES,
+  FAILURE_VERDICTS,
+  VERDICT_DESCRIPTIONS,
+  toVerdict,
+  summarizeVerdict
+};
@@ -0,0 +1,164 @@
+const Redis = require('ioredis');
+const executionConfig = require('../config/execution');
+const { getLanguageConfig } = require('./execution/languages');
+const { VERDICTS, toVerdict } = require('./execution/verdicts');
+
+// Redis channel carrying execution events from workers to the API instances
+// holding the sockets
+const CHANNEL = 'execution-events';
+
+// Socket.IO event name for every execution event
+const EVENT_NAME = 'execution:event';
+
+// Room for one execution; rooms are per user so a socket can only receive
+// events for its own executions
+const getRoom = (userId, executionId) => `execution:${userId}:${executionId}`;
+
+// Progress of one execution, sent as queued, compiling/running, one test
+// event per test case, then finished, failed or cancelled (or pending, then
+// finished once judged later)
+class ExecutionProgress {
+  constructor(events, userId, executionId, totalTests) {
+    this.events = events;
+    this.userId = userId;
+    this.executionId = executionId;
+    this.totalTests = totalTests;
+    this.completedTests = 0;
+    this.passedTests = 0;
+    this.testResult = this.testResult.bind(this);
+  }
+
+  emit(type, data = {}) {
+    this.events.emit(this.userId, this.executionId, type, {
+      totalTests: this.totalTests,
+      ...data
+    });
+  }
+
+  queued() {
+    this.emit('queued');
+  }
+
+  // compiling for compiled languages, running otherwise
+  started(language) {
+    let compiled = false;
+    try {
+      compiled = getLanguageConfig(language).compiled;
+    } catch (error) {
+      // Unknown languages fail when run and are reported as such
+    }
+    this.emit(compiled ? 'compiling' : 'running');
+  }
+
+  // onProgress handler for executionService.executeBatch
+  testResult(index, result) {
+    const verdict = toVerdict(result);
+    const passed = verdict === VERDICTS.ACCEPTED;
+    this.completedTests++;
+    if (passed) {
+      this.passedTests++;
+    }
+    this.emit('test', {
+      testCase: index + 1,
+      verdict,
+      passed,
+      time: result.time || 0,
+      memory: result.memory || 0,
+      completedTests: this.completedTests,
+      passedTests: this.passedTests
+    });
+  }
+
+  finished(summary) {
+    this.emit('finished', summary);
+  }
+
+  // Saved to be judged later, e.g. while the judge is unavailable
+  pending() {
+    this.emit('pending');
+  }
+
+  failed(error) {
+    this.emit('failed', { error });
+  }
+
+  cancelled() {
+    this.emit('cancelled');
+  }
+}
+
+// Pushes execution events to the user's sockets. Events are published on
+// Redis so they reach the API instance holding the socket, whichever process
+// ran the execution; without Redis they go to sockets on this instance.
+class ExecutionEvents {
+  constructor() {
+    this.io = null;
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  // Start delivering events to sockets on this server
+  attach(io) {
+    this.io = io;
+    this.subscribe();
+  }
+
+  track(userId, executionId, totalTests) {
+    return new ExecutionProgress(this, String(userId), executionId, totalTests);
+  }
+
+  // Publish an event; never throws so execution is not affected
+  emit(userId, executionId, type, data = {}) {
+    const event = {
+      executionId,
+      type,
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
+    this.getPublisher().publish(CHANNEL, JSON.stringify({ userId, event }))
+      .catch(() => this.emitLocal(userId, event));
+  }
+
+  emitLocal(userId, event) {
+    if (this.io) {
+      this.io.to(getRoom(userId, event.executionId)).emit(EVENT_NAME, event);
+    }
+  }
+
+  getPublisher() {
+    if (!this.publisher) {
+      this.publisher = new Redis(executionConfig.queue.redisUrl, {
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1
+      });
+      this.publisher.on('error', error => console.error('Execution event publisher error:', error.message));
+    }
+    return this.publisher;
+  }
+
+  // Listen for events published by this and other processes
+  subscribe() {
+    if (this.subscriber) {
+      return;
+    }
+
+    this.subscriber = new Redis(executionConfig.queue.redisUrl);
+    this.subscriber.on('error', error => console.error('Execution event subscriber error:', error.message));
+    this.subscriber.on('message', (channel, message) => {
+      try {
+        const { userId, event } = JSON.parse(message);
+        this.emitLocal(userId, event);
+      } catch (error) {
+        console.error('Invalid execution event message:', error.message);
+      }
+    });
+    this.subscriber.subscribe(CHANNEL).catch(error => {
+      console.error('Error subscribing to execution events:', error.message);
+    });
+  }
+}
+
+module.exports = new ExecutionEvents();
+module.exports.EVENT_NAME = EVENT_NAME;
+module.exports.getRoom = getRoom;
@@ -0,0 +1,277 @@
+const Bull = require('bull');
+const executionConfig = require('../config/execution');
+const executionService = require('./executionService');
+const executionEvents = require('./executionEvents');
+const executionRecordService = require('./executionRecordService');
+const { formatExecutionResult, summarizeTestCaseResults } = require('./execution/results');
+const { VERDICTS } = require('./execution/verdicts');
+const { PerformanceMetric } = require('../models');
+
+// Bull job states mapped to the states exposed by the API
+const JOB_STATES = {
+  waiting: 'queued',
+  delayed: 'queued',
+  paused: 'queued',
+  stuck: 'queued',
+  active: 'processing',
+  completed: 'completed',
+  failed: 'error'
+};
+
+class ExecutionCancelledError extends Error {
+  constructor() {
+    super('Execution cancelled');
+    this.name = 'ExecutionCancelledError';
+  }
+}
+
+class ExecutionQueueService {
+  constructor() {
+    this.queue = null;
+    this.processors = {
+      execute: (job) => this.processExecution(job)
+    };
+  }
+
+  // Lazily connect to Redis and create the queue
+  getQueue() {
+    if (!this.queue) {
+      const { name, redisUrl, attempts, resultTtl } = executionConfig.queue;
+      this.queue = new Bull(name, redisUrl, {
+        defaultJobOptions: {
+          attempts,
+          backoff: { type: 'exponential', delay: 1000 },
+          removeOnComplete: { age: resultTtl },
+          removeOnFail: { age: resultTtl * 24 }
+        }
+      });
+    }
+    return this.queue;
+  }
+
+  // Start processing jobs in this process
+  startWorker() {
+    const queue = this.getQueue();
+
+    queue.process(executionConfig.queue.concurrency, (job) => {
+      const processor = this.processors[job.data.type];
+      if (!processor) {
+        throw new Error(`Unknown execution job type: ${job.data.type}`);
+      }
+      return processor(job);
+    });
+
+    queue.on('failed', (job, error) => {
+      if (!(error instanceof ExecutionCancelledError)) {
+        console.error(`Execution job ${job.id} failed:`, error.message);
+      }
+    });
+
+    console.log('✓ Code execution worker started');
+  }
+
+  // Queue a code execution; the execution id doubles as the job id. Jobs
+  // with a lower priority number (e.g. assessment runs) are picked up first
+  async enqueueExecution(data) {
+    const job = await this.getQueue().add({ type: 'execute', ...data }, {
+      jobId: data.executionId,
+      ...(data.priority && { priority: data.priority })
+    });
+    executionEvents.track(data.userId, data.executionId, data.jobs.length).queued();
+    return job;
+  }
+
+  async getJob(jobId) {
+    return this.getQueue().getJob(jobId);
+  }
+
+  async throwIfCancelled(job) {
+    const latest = await this.getQueue().getJob(job.id);
+    if (latest?.data.cancelled) {
+      throw new ExecutionCancelledError();
+    }
+  }
+
+  // Compile once and run each test case in turn, reporting progress per
+  // test case and stopping early when the job asked to
+  async runJobs(job, progress) {
+    const { jobs, stopOnFirstFailure } = job.data;
+
+    await this.throwIfCancelled(job);
+    progress.started(jobs[0].language);
+    const results = await executionService.executeBatch(jobs, {
+      stopOnFailure: Boolean(stopOnFirstFailure),
+      onProgress: progress.testResult,
+      onResult: async (index) => {
+        await job.progress({ completed: index + 1, total: jobs.length });
+        if (index + 1 < jobs.length) {
+          await this.throwIfCancelled(job);
+        }
+      }
+    });
+
+    // Fail the job so it is retried rather than reporting backend failures
+    // as the program's verdict
+    if (results.some(({ result }) => result.backendError)) {
+      throw new Error('Code execution service is temporarily unavailable');
+    }
+    return results;
+  }
+
+  async processExecution(job) {
+    const { executionId, userId, languageName, hasTestCases } = job.data;
+    const progress = executionEvents.track(userId, executionId, job.data.jobs.length);
+    let results;
+
+    try {
+      results = await this.runJobs(job, progress);
+    } catch (error) {
+      if (error instanceof ExecutionCancelledError) {
+        await job.discard();
+        progress.cancelled();
+        await this.recordExecution(job, { status: 'cancelled' });
+      } else if (job.attemptsMade + 1 >= job.opts.attempts) {
+        // Update failure metrics once no retries are left
+        await this.recordPracticeAttempt(job.data, false);
+        progress.failed('Code execution failed');
+        await this.recordExecution(job, { status: 'failed', error: error.message });
+      }
+      throw error;
+    }
+
+    if (hasTestCases) {
+      const testResults = results.map((item, index) => ({
+        testCaseIndex: index + 1,
+        token: item.token,
+        ...formatExecutionResult(item.result, executionId)
+      }));
+
+      // Calculate overall score
+      const passedTests = testResults.filter(testResult => testResult.verdict === VERDICTS.ACCEPTED).length;
+      const skippedTests = testResults.filter(testResult => testResult.verdict === VERDICTS.SKIPPED).length;
+      const totalScore = Math.round((passedTests / testResults.length) * 100);
+      const summary = summarizeTestCaseResults(testResults);
+
+      await this.recordExecution(job, { results });
+      progress.finished({ verdict: summary.verdict, passedTests, skippedTests, totalScore });
+      return {
+        executionId,
+        ...summary,
+        testResults,
+        totalTests: testResults.length,
+        passedTests,
+        skippedTests,
+        totalScore,
+        language: languageName
+      };
+    }
+
+    const { token, result } = results[0];
+    const formatted = formatExecutionResult(result, executionId);
+    await this.recordPracticeAttempt(job.data, formatted.verdict === VERDICTS.ACCEPTED);
+    await this.recordExecution(job, { results });
+
+    progress.finished({ verdict: formatted.verdict, passedTests: formatted.verdict === VERDICTS.ACCEPTED ? 1 : 0 });
+    return {
+      executionId,
+      token,
+      ...formatted,
+      language: languageName
+    };
+  }
+
+  // Add a queued run to the execution audit log
+  async recordExecution(job, fields) {
+    const { executionId, userId, role, department, context, questionId, jobs } = job.data;
+    await executionRecordService.record({
+      executionId,
+      user: userId,
+      role,
+      department,
+      context,
+      source: 'execute',
+      question: questionId,
+      language: jobs[0].language,
+      code: jobs[0].code,
+      backend: executionService.backendName,
+      queueTime: job.processedOn ? job.processedOn - job.timestamp : 0,
+      startedAt: job.processedOn ? new Date(job.processedOn) : undefined,
+      ...fields
+    });
+  }
+
+  // Update performance metrics for student practice submissions
+  async recordPracticeAttempt({ userId, questionId, department, isStudent }, accepted) {
+    if (!questionId || !isStudent) {
+      return;
+    }
+
+    try {
+      await PerformanceMetric.findOneAndUpdate(
+        { student: userId, question: questionId, department },
+        {
+          $inc: {
+            totalPracticeSubmissions: 1,
+            ...(accepted && { acceptedSubmissions: 1 })
+          },
+          $set: { lastAttemptedAt: new Date() }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (metricError) {
+      console.error('Error updating performance metrics:', metricError);
+    }
+  }
+
+  // Public view of a job: state, per-test progress and timestamps
+  async describeJob(job) {
+    const state = await job.getState();
+    const progress = job.progress() || {};
+    const status = job.data.cancelled && state !== 'completed'
+      ? 'cancelled'
+      : JOB_STATES[state] || 'queued';
+
+    return {
+      jobId: job.id,
+      status,
+      progress: status === 'completed'
+        ? 100
+        : progress.total ? Math.round((progress.completed / progress.total) * 100) : 0,
+      completedTests: progress.completed || 0,
+      totalTests: job.data.jobs.length,
+      attemptsMade: job.attemptsMade,
+      error: status === 'error' ? job.failedReason : undefined,
+      queuedAt: new Date(job.timestamp),
+      startedAt: job.processedOn ? new Date(job.processedOn) : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+    };
+  }
+
+  // Flag a job as cancelled; the worker stops it before the next test case
+  async cancelJob(job) {
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+      return false;
+    }
+
+    await job.update({ ...job.data, cancelled: true });
+    return true;
+  }
+
+  // Move a failed or cancelled job back into the queue
+  async retryJob(job) {
+    const state = await job.getState();
+    if (state !== 'failed') {
+      return false;
+    }
+
+    if (job.data.cancelled) {
+      await job.update({ ...job.data, cancelled: false });
+    }
+    await job.retry();
+    executionEvents.track(job.data.userId, job.id, job.data.jobs.length).queued();
+    return true;
+  }
+}
+
+module.exports = new ExecutionQueueService();
@@ -0,0 +1,106 @@
+const Redis = require('ioredis');
+const executionConfig = require('../config/execution');
+const { AssessmentSubmission } = require('../models');
+
+const STAFF_ROLES = ['Admin', 'HOD', 'Teacher'];
+
+// Shared fixed-window execution quotas per user, context and role. Counters
+// are kept in Redis; while Redis is unreachable they fall back to this
+// process so runs are still limited.
+class ExecutionQuotaService {
+  constructor() {
+    this.redis = null;
+    this.localCounters = new Map();
+  }
+
+  getRedis() {
+    if (!this.redis) {
+      this.redis = new Redis(executionConfig.queue.redisUrl, {
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1
+      });
+      this.redis.on('error', error => console.error('Execution quota Redis error:', error.message));
+    }
+    return this.redis;
+  }
+
+  // teacher for staff; for students assessment when the run is for an
+  // assessment they have in progress (assessmentId, taken from the request),
+  // otherwise practice
+  async resolveContext(user, assessmentId) {
+    if (STAFF_ROLES.includes(user.role?.name)) {
+      return 'teacher';
+    }
+    if (!assessmentId) {
+      return 'practice';
+    }
+    const inAssessment = await AssessmentSubmission.exists({ student: user._id, assessment: assessmentId, status: 'in_progress' });
+    return inAssessment ? 'assessment' : 'practice';
+  }
+
+  getLimit(context, roleName) {
+    const limits = executionConfig.quotas.limits[context] || {};
+    return limits[roleName] ?? limits.default ?? Infinity;
+  }
+
+  getPriority(context) {
+    return executionConfig.quotas.priorities[context] || executionConfig.quotas.priorities.practice;
+  }
+
+  // Count one run in the current window
+  async increment(key, windowSeconds) {
+    try {
+      const [[, count]] = await this.getRedis()
+        .multi()
+        .incr(key)
+        .expire(key, windowSeconds)
+        .exec();
+      return count;
+    } catch (error) {
+      return this.incrementLocal(key, windowSeconds);
+    }
+  }
+
+  incrementLocal(key, windowSeconds) {
+    const now = Date.now();
+    for (const [counterKey, counter] of this.localCounters) {
+      if (counter.expiresAt <= now) {
+        this.localCounters.delete(counterKey);
+      }
+    }
+
+    const counter = this.localCounters.get(key) || { count: 0, expiresAt: now + windowSeconds * 1000 };
+    counter.count++;
+    this.localCounters.set(key, counter);
+    return counter.count;
+  }
+
+  // Use one run of the user's quota. context defaults to resolveContext for
+  // the run's assessmentId, if any.
+  // Returns { allowed, context, priority, limit, remaining, resetIn }.
+  async consume(user, context, assessmentId) {
+    const resolvedContext = context || await this.resolveContext(user, assessmentId);
+    const limit = this.getLimit(resolvedContext, user.role?.name);
+    const priority = this.getPriority(resolvedContext);
+
+    if (!Number.isFinite(limit)) {
+      return { allowed: true, context: resolvedContext, priority, limit: null, remaining: null, resetIn: null };
+    }
+
+    const { windowSeconds } = executionConfig.quotas;
+    const window = Math.floor(Date.now() / (windowSeconds * 1000));
+    const count = await this.increment(`execution-quota:${resolvedContext}:${user._id}:${window}`, windowSeconds);
+    const resetIn = Math.ceil(((window + 1) * windowSeconds * 1000 - Date.now()) / 1000);
+
+    return {
+      allowed: count <= limit,
+      context: resolvedContext,
+      priority,
+      limit,
+      remaining: Math.max(0, limit - count),
+      resetIn
+    };
+  }
+}
+
+module.exports = new ExecutionQuotaService();
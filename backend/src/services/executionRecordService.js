@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const executionConfig = require('../config/execution');
+const { ExecutionRecord } = require('../models');
+const { VERDICTS, toVerdict, summarizeVerdict } = require('./execution/verdicts');
+
+const STAFF_ROLES = ['Admin', 'HOD', 'Teacher'];
+
+// Helper function to hash submitted code so runs of the same code can be
+// matched without storing it
+const getCodeHash = (code) => {
+  return crypto.createHash('sha256').update(code || '').digest('hex');
+};
+
+// Writes the execution audit log (see models/ExecutionRecord.js)
+class ExecutionRecordService {
+  isEnabled() {
+    return executionConfig.records.enabled;
+  }
+
+  // Context for runs the quota middleware did not classify
+  getDefaultContext(roleName) {
+    return STAFF_ROLES.includes(roleName) ? 'teacher' : 'practice';
+  }
+
+  // Verdicts, counts and timings of execution results ({ token, result })
+  summarizeResults(results) {
+    const testVerdicts = results.map(({ result }) => toVerdict(result));
+    const times = results.map(({ result }) => Math.round(Number(result.time || 0) * 1000));
+
+    return {
+      verdict: testVerdicts.length > 0 ? summarizeVerdict(testVerdicts) : undefined,
+      testVerdicts,
+      totalTests: results.length,
+      passedTests: testVerdicts.filter(verdict => verdict === VERDICTS.ACCEPTED).length,
+      skippedTests: testVerdicts.filter(verdict => verdict === VERDICTS.SKIPPED).length,
+      cachedTests: results.filter(({ result }) => result.cached).length,
+      executionTime: times.reduce((sum, time) => sum + time, 0),
+      maxExecutionTime: Math.max(0, ...times),
+      maxMemory: Math.max(0, ...results.map(({ result }) => Number(result.memory) || 0))
+    };
+  }
+
+  // Record a run. data: { executionId, user, role, department, context,
+  // source, question, assessment, language, code, backend, results, status,
+  // error, startedAt, finishedAt, queueTime }. Never throws, so a failed
+  // write does not fail the run.
+  async record({ code, results = [], startedAt, finishedAt = new Date(), ...data }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      return await ExecutionRecord.create({
+        ...data,
+        context: data.context || this.getDefaultContext(data.role),
+        codeHash: getCodeHash(code),
+        codeLength: (code || '').length,
+        ...this.summarizeResults(results),
+        startedAt,
+        finishedAt,
+        wallTime: startedAt ? finishedAt - startedAt : 0
+      });
+    } catch (error) {
+      console.error('Error recording execution:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ExecutionRecordService();
+module.exports.getCodeHash = getCodeHash;
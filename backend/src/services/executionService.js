@@ -0,0 +1,388 @@
+const executionConfig = require('../config/execution');
+const LocalBackend = require('./execution/localBackend');
+const { RapidApiJudge0Backend, SelfHostedJudge0Backend } = require('./execution/judge0Backend');
+const { compareOutput } = require('./execution/outputChecker');
+const { parseCheckerOutput, prepareCheckerJob } = require('./execution/specialJudge');
+const { STATUS, buildStatus, JobError } = require('./execution/statuses');
+const { VERDICTS, toVerdict } = require('./execution/verdicts');
+const resultCache = require('./execution/resultCache');
+const { CircuitBreaker, CircuitOpenError, STATES: CIRCUIT_STATES, isOutage } = require('./execution/circuitBreaker');
+
+// Helper function to strip the judging settings from a job, leaving what the
+// backend runs
+const toRunJob = ({ limits, expectedOutput, comparison, checker, interactor, unitTests, ...runJob }) => runJob;
+
+// Helper function to attach the base and effective limits a job ran with
+const attachLimits = (result, limits) => {
+  return limits ? { ...result, limits: { base: limits.base, effective: limits.effective } } : result;
+};
+
+// Result for a test case not run after an earlier one failed
+const SKIPPED_RESULT = {
+  status: { id: 'skipped', description: 'Skipped' },
+  skipped: true
+};
+
+// Available execution backends, keyed by EXECUTION_BACKEND value
+const BACKEND_FACTORIES = {
+  judge0: () => new RapidApiJudge0Backend(executionConfig.judge0),
+  'judge0-self-hosted': () => new SelfHostedJudge0Backend(executionConfig.judge0SelfHosted),
+  local: () => new LocalBackend(executionConfig.local)
+};
+
+class ExecutionService {
+  constructor() {
+    this.backend = null;
+    this.breaker = new CircuitBreaker(executionConfig.circuitBreaker);
+  }
+
+  // Lazily create the configured backend
+  getBackend() {
+    if (!this.backend) {
+      if (!executionConfig.backend) {
+        throw new Error('No execution backend configured: set EXECUTION_BACKEND to judge0, judge0-self-hosted or local');
+      }
+      const createBackend = BACKEND_FACTORIES[executionConfig.backend];
+      if (!createBackend) {
+        throw new Error(`Unknown execution backend: ${executionConfig.backend}`);
+      }
+      this.backend = createBackend();
+    }
+    return this.backend;
+  }
+
+  // Helper function to report why the configured backend cannot be created,
+  // or null when it can
+  getConfigurationError() {
+    try {
+      this.getBackend();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // Replace the active backend (used when running offline or in tests)
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  get backendName() {
+    return this.getBackend().name;
+  }
+
+  // Run a program on the backend through the circuit breaker
+  runOnBackend(runJob) {
+    return this.breaker.call(() => this.getBackend().execute(runJob));
+  }
+
+  // Whether runs are expected to reach the backend (the circuit is closed
+  // or due a trial run)
+  isAvailable() {
+    return this.breaker.isAvailable();
+  }
+
+  getCircuitStatus() {
+    return this.breaker.getStatus();
+  }
+
+  // Check whether the backend behind an open circuit has recovered, closing
+  // the circuit if it has
+  async probe() {
+    if (this.breaker.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (!this.breaker.allowRequest()) {
+      return false;
+    }
+
+    const health = await this.healthCheck().catch(() => ({ status: 'unavailable' }));
+    if (health.status === 'healthy') {
+      this.breaker.recordSuccess();
+      return true;
+    }
+    this.breaker.recordFailure();
+    return false;
+  }
+
+  // Whether the active backend can judge questions in the given judge mode
+  supportsJudgeMode(judgeMode) {
+    return this.getBackend().judgeModes.includes(judgeMode);
+  }
+
+  // Run a single execution job and report the base and effective limits it
+  // ran with (job.limits, see services/execution/limits.js). runProgram
+  // overrides how the program itself is run (see executeBatch). Program
+  // results come from the result cache when options.useCache allows.
+  async execute(job, runProgram = runJob => this.runOnBackend(runJob), { useCache = true } = {}) {
+    const { limits, ...judgeJob } = job;
+    const run = useCache && resultCache.isEnabled()
+      ? runJob => this.runCached(runJob, runProgram)
+      : runProgram;
+    const result = await this.judge(judgeJob, run);
+    return attachLimits(result, limits);
+  }
+
+  // Run a program unless the cache has its result for the same input
+  async runCached(runJob, runProgram) {
+    const key = resultCache.getKey(this.backendName, runJob);
+    const cached = resultCache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await runProgram(runJob);
+    resultCache.set(key, result);
+    return result;
+  }
+
+  // Whether a run may use the result cache; graded runs bypass it by default
+  canUseCache({ graded = false } = {}) {
+    return resultCache.isEnabled() && !(graded && executionConfig.cache.bypassGraded);
+  }
+
+  // Interactive jobs are judged by their interactor and unit-test jobs by
+  // their test harness; otherwise a successful run is judged by the job's
+  // checker program when it has one, or by comparing stdout with
+  // expectedOutput using the job's comparison settings.
+  async judge(job, runProgram = runJob => this.runOnBackend(runJob)) {
+    const { expectedOutput, comparison, checker, interactor, unitTests, ...runJob } = job;
+
+    if (interactor) {
+      return this.breaker.call(() => this.getBackend().executeInteractive({ ...runJob, interactor }));
+    }
+    if (unitTests) {
+      return this.breaker.call(() => this.getBackend().executeUnitTests({ ...runJob, unitTests }));
+    }
+
+    const result = await runProgram(runJob);
+
+    if (result.status?.id !== STATUS.ACCEPTED) {
+      return result;
+    }
+
+    if (checker) {
+      return this.applyChecker(result, checker, { input: runJob.stdin, expectedOutput });
+    }
+
+    if (expectedOutput === undefined || expectedOutput === null) {
+      return result;
+    }
+
+    const passed = compareOutput(result.stdout, expectedOutput, comparison);
+    return {
+      ...result,
+      status: buildStatus(passed ? STATUS.ACCEPTED : STATUS.WRONG_ANSWER)
+    };
+  }
+
+  // Run the special judge on a successful result and attach its verdict.
+  // Outages are rethrown so that the run is retried rather than graded.
+  async applyChecker(result, checker, { input, expectedOutput }) {
+    let verdict;
+    try {
+      const checkerResult = await this.runOnBackend(
+        prepareCheckerJob(checker, { input, expectedOutput, output: result.stdout })
+      );
+      if (checkerResult.status?.id !== STATUS.ACCEPTED) {
+        throw new Error(`Checker did not run successfully: ${checkerResult.status?.description}`);
+      }
+      verdict = parseCheckerOutput(checkerResult.stdout);
+    } catch (error) {
+      if (error instanceof CircuitOpenError || isOutage(error)) {
+        throw error;
+      }
+      console.error('Special judge error:', error.message);
+      return {
+        ...result,
+        status: buildStatus(STATUS.INTERNAL_ERROR, 'Checker failed'),
+        checker: { verdict: null, score: 0, message: '' }
+      };
+    }
+
+    return {
+      ...result,
+      status: verdict.verdict === 'AC'
+        ? buildStatus(STATUS.ACCEPTED)
+        : buildStatus(STATUS.WRONG_ANSWER, verdict.verdict === 'PC' ? 'Partially Correct' : undefined),
+      checker: verdict
+    };
+  }
+
+  // Run a job, converting a backend failure into an error result
+  async settle(job, runProgram, options) {
+    try {
+      const result = await this.execute(job, runProgram, options);
+      return { token: result.token || null, result };
+    } catch (error) {
+      return this.failedResult(error);
+    }
+  }
+
+  // Result for a run the backend failed; backendError marks runs to retry
+  // rather than grade. A JobError is the job's own fault, so the job gets
+  // a graded result with the error's status instead.
+  failedResult(error) {
+    if (error instanceof JobError) {
+      console.error(`Job rejected by ${this.backendName} backend:`, error.message, error.details || '');
+      const compileError = error.status === STATUS.COMPILATION_ERROR;
+      return {
+        token: null,
+        result: {
+          status: buildStatus(error.status, compileError ? undefined : error.message),
+          stdout: '',
+          stderr: '',
+          compile_output: compileError ? error.message : '',
+          time: null,
+          memory: null
+        }
+      };
+    }
+    if (!(error instanceof CircuitOpenError)) {
+      console.error(`Error running code on ${this.backendName} backend:`, error.message);
+    }
+    return {
+      token: null,
+      result: {
+        status: {
+          id: 'error',
+          description: error instanceof CircuitOpenError
+            ? 'Code execution service is temporarily unavailable'
+            : 'Failed to submit to execution service'
+        },
+        backendError: true
+      }
+    };
+  }
+
+  // Run several jobs, converting backend failures into error results.
+  // options.graded marks assessment runs (see canUseCache);
+  // options.onProgress(index, result) is called as each job finishes.
+  async executeAll(jobs, { onProgress, ...options } = {}) {
+    const useCache = this.canUseCache(options);
+    return Promise.all(jobs.map(async (job, index) => {
+      const entry = await this.settle(job, undefined, { useCache });
+      if (onProgress) {
+        await onProgress(index, entry.result);
+      }
+      return entry;
+    }));
+  }
+
+  // Run the test case jobs of one program (same code and language). The
+  // program is compiled once and a compile error is reported for every test
+  // case before any of them is queued; the tests then go to the backend as
+  // one batch. With stopOnFailure (practice runs) or onResult(index, result)
+  // the tests run one at a time in order instead; stopOnFailure skips the
+  // rest after the first test that does not pass. Interactive and unit-test
+  // jobs are run through executeAll. Cached results are reused and only the test cases
+  // missing from the cache go to the backend (options.graded as executeAll).
+  // onProgress(index, result) is called with each judged result as soon as
+  // it is known, in either mode; skipped test cases are not reported.
+  async executeBatch(jobs, { stopOnFailure = false, onResult, onProgress, graded = false } = {}) {
+    if (jobs.length === 0) {
+      return [];
+    }
+    if (jobs.some(job => job.interactor || job.unitTests)) {
+      return this.executeAll(jobs, { graded, onProgress });
+    }
+
+    const runJobs = jobs.map(toRunJob);
+    const keys = this.canUseCache({ graded })
+      ? runJobs.map(runJob => resultCache.getKey(this.backendName, runJob))
+      : [];
+    const cached = runJobs.map((runJob, index) => keys[index] ? resultCache.get(keys[index]) : null);
+    const settled = { useCache: false };
+
+    let program = null;
+    if (cached.some(result => !result)) {
+      try {
+        program = await this.breaker.call(() => this.getBackend().prepareProgram(runJobs[0]));
+      } catch (error) {
+        return jobs.map(() => this.failedResult(error));
+      }
+    }
+
+    // Run one test case on the prepared program and cache its result
+    const runIndex = async (index) => {
+      if (cached[index]) {
+        return cached[index];
+      }
+      const [result] = await this.breaker.call(() => program.run([runJobs[index]]));
+      resultCache.set(keys[index], result);
+      return result;
+    };
+
+    try {
+      if (program?.compileError) {
+        resultCache.set(keys[0], program.compileError);
+        return jobs.map(job => ({
+          token: program.compileError.token || null,
+          result: attachLimits(program.compileError, job.limits)
+        }));
+      }
+
+      if (!stopOnFailure && !onResult) {
+        // Judge each test case as soon as its run finishes
+        const entries = [];
+        const judgeIndex = (index, result) => {
+          entries[index] = this.settle(jobs[index], async () => result, settled).then(async (entry) => {
+            if (onProgress) {
+              await onProgress(index, entry.result);
+            }
+            return entry;
+          });
+        };
+
+        cached.forEach((result, index) => result && judgeIndex(index, result));
+        const missing = jobs.map((job, index) => index).filter(index => !cached[index]);
+        try {
+          if (missing.length > 0) {
+            await this.breaker.call(() => program.run(missing.map(index => runJobs[index]), (position, result) => {
+              resultCache.set(keys[missing[position]], result);
+              judgeIndex(missing[position], result);
+            }));
+          }
+        } catch (error) {
+          return jobs.map(() => this.failedResult(error));
+        }
+        return Promise.all(entries);
+      }
+
+      const results = [];
+      for (let index = 0; index < jobs.length; index++) {
+        const entry = await this.settle(jobs[index], () => runIndex(index), settled);
+        results.push(entry);
+
+        if (onProgress) {
+          await onProgress(index, entry.result);
+        }
+        if (onResult) {
+          await onResult(index, entry.result);
+        }
+
+        if (stopOnFailure && toVerdict(entry.result) !== VERDICTS.ACCEPTED) {
+          jobs.slice(index + 1).forEach(job => {
+            results.push({ token: null, result: attachLimits(SKIPPED_RESULT, job.limits) });
+          });
+          break;
+        }
+      }
+      return results;
+    } finally {
+      if (program) {
+        await program.release();
+      }
+    }
+  }
+
+  async getLanguages() {
+    return this.getBackend().getLanguages();
+  }
+
+  async healthCheck() {
+    return this.getBackend().healthCheck();
+  }
+}
+
+module.exports = new ExecutionService();
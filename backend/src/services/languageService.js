@@ -0,0 +1,101 @@
+const { Language } = require('../models');
+const executionService = require('./executionService');
+const { setLanguages } = require('./execution/languages');
+
+// Helper function to turn a backend language name such as "C++ (GCC 9.2.0)"
+// into a registry key ("cpp") and version ("GCC 9.2.0")
+const parseBackendLanguage = (language) => {
+  const match = /^(.*?)\s*\(([^)]*)\)\s*$/.exec(language.name || '');
+  const baseName = match ? match[1] : (language.name || '');
+  const key = language.key || baseName
+    .toLowerCase()
+    .replace(/\+\+/g, 'pp')
+    .replace(/#/g, 'sharp')
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '');
+
+  return {
+    id: language.id,
+    key,
+    name: language.name,
+    version: match ? match[2] : undefined
+  };
+};
+
+class LanguageService {
+  // Load the language registry from the database
+  async refresh() {
+    const languages = await Language.find({}).sort({ key: 1 });
+    if (languages.length > 0) {
+      setLanguages(languages.map(language => language.toRegistryEntry()));
+    }
+    return languages;
+  }
+
+  // Seed the default languages and load the registry
+  async initialize() {
+    await Language.createDefaultLanguages();
+    await this.refresh();
+  }
+
+  // Import the language list from the active execution backend. Known
+  // languages get this backend's id (and the matching version); languages
+  // we have not seen before are added disabled for an admin to review.
+  async syncFromBackend() {
+    const backendName = executionService.backendName;
+    const backendLanguages = (await executionService.getLanguages()).map(parseBackendLanguage);
+
+    // Several versions can map to one key; keep the newest (highest id)
+    const byKey = new Map();
+    backendLanguages
+      .filter(language => /^[a-z][a-z0-9_-]{0,29}$/.test(language.key))
+      .forEach(language => {
+        const current = byKey.get(language.key);
+        if (!current || (language.id || 0) > (current.id || 0)) {
+          byKey.set(language.key, language);
+        }
+      });
+
+    const created = [];
+    const updated = [];
+
+    for (const entry of byKey.values()) {
+      const existing = await Language.findOne({ key: entry.key });
+
+      if (!existing) {
+        await Language.create({
+          key: entry.key,
+          name: entry.name,
+          version: entry.version,
+          backendIds: entry.id !== undefined ? { [backendName]: entry.id } : {},
+          isActive: false
+        });
+        created.push(entry.key);
+        continue;
+      }
+
+      const currentId = existing.backendIds.get(backendName);
+      if (entry.id !== undefined && currentId === undefined) {
+        existing.backendIds.set(backendName, entry.id);
+      }
+      if (entry.version && (currentId === undefined || currentId === entry.id)) {
+        existing.version = entry.version;
+      }
+      if (existing.isModified()) {
+        await existing.save();
+        updated.push(entry.key);
+      }
+    }
+
+    await this.refresh();
+
+    return {
+      backend: backendName,
+      total: byKey.size,
+      created,
+      updated
+    };
+  }
+}
+
+module.exports = new LanguageService();
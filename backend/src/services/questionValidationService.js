@@ -0,0 +1,229 @@
+const { v4: uuidv4 } = require('uuid');
+const executionService = require('./executionService');
+const codingAttemptService = require('./codingAttemptService');
+const harness = require('./execution/harness');
+const { getLanguageConfig } = require('./execution/languages');
+const { withLimits, prepareTestCaseSubmission, prepareUnitTestSubmission, getQuestionJobOptions } = require('./execution/jobs');
+const { sanitizeCompileOutput, formatTestCaseResults, summarizeTestCaseResults } = require('./execution/results');
+const { VERDICTS, toVerdict } = require('./execution/verdicts');
+const { scoreTestResults } = require('./execution/scoring');
+const { getSolutionVersion } = require('./testCaseGenerationService');
+const { CircuitOpenError, isOutage } = require('./execution/circuitBreaker');
+
+// Fields that change how a question is judged; editing them makes the last
+// self-validation report stale
+const JUDGED_FIELDS = [
+  'testCases', 'solutionCode', 'starterCode', 'timeLimit', 'memoryLimit',
+  'languageMultipliers', 'comparison', 'checker', 'judgeMode', 'interactor',
+  'functionSignature', 'unitTests', 'constructRules'
+];
+
+// Helper function to get the first line of a program's error output
+const firstLine = (output) => sanitizeCompileOutput(output).split('\n')[0] || undefined;
+
+// Reported when the execution backend could not run a check; such runs say
+// nothing about the question
+const UNAVAILABLE_MESSAGE = 'Could not validate: the code execution service is unavailable';
+
+// Helper function to tell a check the backend could not run from one the
+// question failed
+const isUnavailable = (error) => error instanceof CircuitOpenError || isOutage(error);
+
+// Checks that a coding question's reference solution passes its own test
+// cases within the limits, that its starter code compiles, and that its test
+// cases reject known-wrong solutions
+class QuestionValidationService {
+  // Run code against the question's test cases, or its test file for
+  // unit-test questions
+  runTests(question, code, language) {
+    if (question.judgeMode === 'unit_test') {
+      return codingAttemptService.runUnitTests(question, { code, language });
+    }
+
+    const jobs = prepareTestCaseSubmission(code, language, question.testCases, getQuestionJobOptions(question));
+    return executionService.executeBatch(jobs);
+  }
+
+  // Run the reference solution against every test case
+  async checkSolution(question) {
+    if (!question.solutionCode) {
+      return { passed: false, message: 'Question has no reference solution', testCases: [] };
+    }
+
+    const results = await this.runTests(question, question.solutionCode, question.language);
+    if (results.some(({ result }) => result.backendError)) {
+      return { unavailable: true };
+    }
+    const formattedResults = formatTestCaseResults(results.map(r => r.result), `validation_${uuidv4()}`);
+
+    const testCases = formattedResults.map(result => ({
+      testCase: result.testCaseIndex,
+      name: result.testName,
+      passed: result.passed,
+      verdict: result.verdict,
+      time: result.time,
+      memory: result.memory,
+      timeLimit: result.limits?.effective.timeLimit,
+      memoryLimit: result.limits?.effective.memoryLimit,
+      message: result.passed
+        ? undefined
+        : result.checkerMessage || result.message || firstLine(result.compile_output || result.stderr)
+    }));
+
+    const failed = testCases.filter(testCase => !testCase.passed);
+    const { violations, warnings } = codingAttemptService.checkRules(question, question.solutionCode, question.language);
+    const ruleViolations = violations.concat(warnings);
+    let message;
+    if (failed.length > 0) {
+      message = `Reference solution failed ${failed.length} of ${testCases.length} test cases`;
+    } else if (ruleViolations.length > 0) {
+      message = `Reference solution breaks the construct rules: ${ruleViolations.map(violation => violation.message).join('; ')}`;
+    }
+
+    return {
+      passed: failed.length === 0 && ruleViolations.length === 0,
+      message,
+      testCases
+    };
+  }
+
+  // Check that the starter code compiles. Interpreted languages have no
+  // compile step, so a syntax error at startup counts as a compile failure.
+  async checkStarterCode(question) {
+    if (!question.starterCode) {
+      return { checked: false, compiled: true };
+    }
+
+    // Unit-test questions run the starter code with the test file, which
+    // may import from it
+    let job;
+    if (question.judgeMode === 'unit_test') {
+      job = prepareUnitTestSubmission(question.starterCode, question.language, question.unitTests, getQuestionJobOptions(question));
+    } else {
+      const code = question.judgeMode === 'function'
+        ? harness.buildHarnessProgram(question.language, question.functionSignature, question.starterCode)
+        : question.starterCode;
+      job = withLimits({
+        code,
+        language: question.language,
+        stdin: '',
+        expectedOutput: null
+      }, {
+        timeLimit: question.timeLimit,
+        memoryLimit: question.memoryLimit
+      }, question.languageMultipliers);
+    }
+
+    const result = await executionService.execute(job);
+
+    const compileError = toVerdict(result) === VERDICTS.COMPILATION_ERROR;
+    const syntaxError = !getLanguageConfig(question.language).compiled && /SyntaxError/.test(result.stderr || '');
+
+    return {
+      checked: true,
+      compiled: !compileError && !syntaxError,
+      message: compileError
+        ? sanitizeCompileOutput(result.compile_output)
+        : syntaxError ? sanitizeCompileOutput(result.stderr) : undefined
+    };
+  }
+
+  // Validate a coding question and record the report on it. Questions that
+  // fail are flagged as not publishable. When the execution backend is
+  // unavailable the report says so (report.unavailable) and the question is
+  // left as it was. The caller saves the question.
+  async validate(question) {
+    const [solution, starterCode] = await Promise.all([
+      this.checkSolution(question).catch(error => (isUnavailable(error)
+        ? { unavailable: true }
+        : { passed: false, message: error.message, testCases: [] })),
+      this.checkStarterCode(question).catch(error => (isUnavailable(error)
+        ? { unavailable: true }
+        : { checked: true, compiled: false, message: error.message }))
+    ]);
+
+    if (solution.unavailable || starterCode.unavailable) {
+      return { passed: false, unavailable: true, message: UNAVAILABLE_MESSAGE };
+    }
+
+    const passed = solution.passed && starterCode.compiled;
+    const report = {
+      passed,
+      solutionVersion: question.solutionCode ? getSolutionVersion(question.solutionCode) : undefined,
+      solution,
+      starterCode
+    };
+
+    question.selfValidation = {
+      status: passed ? 'passed' : 'failed',
+      validatedAt: new Date(),
+      report
+    };
+    question.isPublishable = passed;
+
+    return report;
+  }
+
+  // Run one wrong solution against the test cases
+  async analyzeWrongSolution(question, wrongSolution) {
+    const language = wrongSolution.language || question.language;
+    const results = await this.runTests(question, wrongSolution.code, language);
+    const formattedResults = formatTestCaseResults(results.map(r => r.result), `analysis_${uuidv4()}`);
+    const { verdict } = summarizeTestCaseResults(formattedResults);
+    const { score } = scoreTestResults(formattedResults, codingAttemptService.getTestCases(question), question.subtasks);
+
+    // Test cases that rejected the solution, and how
+    const caughtBy = formattedResults
+      .filter(result => !result.passed)
+      .map(result => ({ testCase: result.testCaseIndex, name: result.testName, verdict: result.verdict }));
+
+    return {
+      wrongSolution: wrongSolution._id,
+      name: wrongSolution.name,
+      language,
+      verdict,
+      score,
+      wronglyAccepted: verdict === VERDICTS.ACCEPTED,
+      expectedVerdict: wrongSolution.expectedVerdict,
+      caughtAsExpected: wrongSolution.expectedVerdict
+        ? caughtBy.some(caught => caught.verdict === wrongSolution.expectedVerdict)
+        : undefined,
+      caughtBy
+    };
+  }
+
+  // Run every wrong solution attached to the question and report the ones the
+  // test cases wrongly accept. Solutions run one at a time so the analysis
+  // does not flood the execution backend.
+  async analyzeWrongSolutions(question) {
+    const wrongSolutions = [];
+    for (const wrongSolution of question.wrongSolutions || []) {
+      try {
+        wrongSolutions.push(await this.analyzeWrongSolution(question, wrongSolution));
+      } catch (error) {
+        wrongSolutions.push({
+          wrongSolution: wrongSolution._id,
+          name: wrongSolution.name,
+          language: wrongSolution.language || question.language,
+          verdict: VERDICTS.INTERNAL_ERROR,
+          error: error.message,
+          caughtBy: []
+        });
+      }
+    }
+
+    const wronglyAccepted = wrongSolutions.filter(result => result.wronglyAccepted);
+    return {
+      strong: wronglyAccepted.length === 0,
+      totalWrongSolutions: wrongSolutions.length,
+      wronglyAccepted: wronglyAccepted.map(result => result.name),
+      unexpectedVerdicts: wrongSolutions
+        .filter(result => result.caughtAsExpected === false && !result.wronglyAccepted)
+        .map(result => result.name),
+      wrongSolutions
+    };
+  }
+}
+
+module.exports = new QuestionValidationService();
+module.exports.JUDGED_FIELDS = JUDGED_FIELDS;
@@ -0,0 +1,92 @@
+const { Server } = require('socket.io');
+const authService = require('./authService');
+const executionEvents = require('./executionEvents');
+const executionQueueService = require('./executionQueueService');
+const { User } = require('../models');
+
+// Execution ids: queued runs (exec_...), test runs and assessment attempts
+const EXECUTION_ID_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Socket.IO server. Sockets authenticate with an access token
+// (handshake auth.token or a Bearer Authorization header) and subscribe to
+// the executions they want live progress for.
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  attach(server) {
+    this.io = new Server(server, {
+      cors: {
+        origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+        credentials: true
+      }
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+    this.io.on('connection', socket => this.handleConnection(socket));
+    executionEvents.attach(this.io);
+    return this.io;
+  }
+
+  async authenticate(socket, next) {
+    try {
+      const authHeader = socket.handshake.headers.authorization || '';
+      const token = socket.handshake.auth?.token ||
+        (authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null);
+      if (!token) {
+        return next(new Error('Access denied. No token provided.'));
+      }
+
+      const decoded = authService.verifyAccessToken(token);
+      const user = await User.findById(decoded.id).populate('role');
+      if (!user || !user.isActive) {
+        return next(new Error('Invalid token or user not found.'));
+      }
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  }
+
+  handleConnection(socket) {
+    // execution:subscribe { executionId } - receive execution:event for one
+    // of the user's executions. Queued executions are acknowledged with
+    // their current state so events sent before subscribing aren't needed.
+    socket.on('execution:subscribe', async (payload, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const executionId = payload?.executionId;
+      if (typeof executionId !== 'string' || !EXECUTION_ID_PATTERN.test(executionId)) {
+        return respond({ success: false, error: 'Invalid execution ID' });
+      }
+
+      try {
+        const job = executionId.startsWith('exec_')
+          ? await executionQueueService.getJob(executionId)
+          : null;
+        if (job && String(job.data.userId) !== String(socket.user._id)) {
+          return respond({ success: false, error: 'Access denied' });
+        }
+
+        socket.join(executionEvents.getRoom(socket.user._id, executionId));
+        respond({
+          success: true,
+          data: job ? await executionQueueService.describeJob(job) : null
+        });
+      } catch (error) {
+        console.error('Execution subscribe error:', error);
+        respond({ success: false, error: 'Failed to subscribe to execution' });
+      }
+    });
+
+    socket.on('execution:unsubscribe', (payload) => {
+      if (typeof payload?.executionId === 'string') {
+        socket.leave(executionEvents.getRoom(socket.user._id, payload.executionId));
+      }
+    });
+  }
+}
+
+module.exports = new SocketService();
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const executionService = require('./executionService');
+const harness = require('./execution/harness');
+const { resolveLimits } = require('./execution/limits');
+const { sanitizeCompileOutput } = require('./execution/results');
+const { STATUS } = require('./execution/statuses');
+
+// Raised when some test cases could not be generated; report holds the
+// per-test-case outcome
+class TestCaseGenerationError extends Error {
+  constructor(message, report = []) {
+    super(message);
+    this.name = 'TestCaseGenerationError';
+    this.report = report;
+  }
+}
+
+// Helper function to identify a version of the reference solution
+const getSolutionVersion = (code) => {
+  return crypto.createHash('sha256').update(code || '').digest('hex').slice(0, 12);
+};
+
+// Runs a question's input generator and reference solution to fill in test
+// case inputs and expected outputs
+class TestCaseGenerationService {
+  // Run a program and return its stdout; throws unless it ran successfully
+  async runProgram(job, label) {
+    const result = await executionService.execute(job);
+    if (result.status?.id !== STATUS.ACCEPTED) {
+      // First compiler error, or the last line of a traceback
+      const details = result.compile_output
+        ? sanitizeCompileOutput(result.compile_output).split('\n')[0]
+        : sanitizeCompileOutput(result.stderr).split('\n').pop();
+      throw new Error(`${label} failed: ${result.status?.description || 'Execution failed'}${details ? ` (${details})` : ''}`);
+    }
+    return result.stdout || '';
+  }
+
+  // The reference solution as a runnable program, with its limits
+  getSolutionJob(question) {
+    const limits = resolveLimits(question.language, {
+      timeLimit: question.timeLimit,
+      memoryLimit: question.memoryLimit
+    }, question.languageMultipliers).effective;
+
+    return {
+      code: question.judgeMode === 'function'
+        ? harness.buildHarnessProgram(question.language, question.functionSignature, question.solutionCode)
+        : question.solutionCode,
+      language: question.language,
+      ...limits
+    };
+  }
+
+  async generateTestCase(question, testCase, solutionJob, { overwrite, solutionVersion }) {
+    const entry = { inputGenerated: false, outputGenerated: false };
+
+    // Function questions encode their typed arguments as input
+    if (question.judgeMode === 'function' && Array.isArray(testCase.arguments)) {
+      testCase.input = harness.encodeArguments(harness.normalizeSignature(question.functionSignature), testCase.arguments);
+    } else if (testCase.generatorArgs !== undefined && testCase.generatorArgs !== null && (overwrite || !testCase.input)) {
+      if (!question.inputGenerator?.code) {
+        throw new Error('Test case has generator arguments but the question has no input generator');
+      }
+      testCase.input = await this.runProgram({
+        code: question.inputGenerator.code,
+        language: question.inputGenerator.language || question.language,
+        stdin: testCase.generatorArgs,
+        timeLimit: question.inputGenerator.timeLimit || 5,
+        memoryLimit: 256
+      }, 'Input generator');
+      entry.inputGenerated = true;
+    }
+
+    // Expected return values given by the teacher take precedence
+    const hasExpectedReturn = question.judgeMode === 'function' &&
+      testCase.expectedReturn !== undefined && testCase.expectedReturn !== null;
+
+    if (!hasExpectedReturn && (overwrite || entry.inputGenerated || !testCase.expectedOutput)) {
+      testCase.expectedOutput = await this.runProgram({ ...solutionJob, stdin: testCase.input || '' }, 'Reference solution');
+      testCase.generatedOutput = { solutionVersion, generatedAt: new Date() };
+      entry.outputGenerated = true;
+    }
+
+    return entry;
+  }
+
+  // Fill in generated inputs and expected outputs on question.testCases.
+  // Test cases with generatorArgs get their input from the input generator;
+  // test cases without expected output (or all of them with overwrite) get
+  // the reference solution's output. Returns a per-test-case report.
+  async generate(question, { overwrite = false } = {}) {
+    if (!question.solutionCode) {
+      throw new TestCaseGenerationError('Question has no reference solution');
+    }
+    if (question.judgeMode === 'interactive') {
+      throw new TestCaseGenerationError('Interactive questions have no expected output to generate');
+    }
+
+    const solutionVersion = getSolutionVersion(question.solutionCode);
+    const solutionJob = this.getSolutionJob(question);
+
+    const report = await Promise.all(question.testCases.map(async (testCase, index) => {
+      try {
+        const entry = await this.generateTestCase(question, testCase, solutionJob, { overwrite, solutionVersion });
+        return { testCase: index + 1, ...entry };
+      } catch (error) {
+        return { testCase: index + 1, inputGenerated: false, outputGenerated: false, error: error.message };
+      }
+    }));
+
+    const failed = report.filter(entry => entry.error);
+    if (failed.length > 0) {
+      throw new TestCaseGenerationError(`Could not generate ${failed.length} of ${report.length} test cases`, report);
+    }
+
+    question.solutionVersion = solutionVersion;
+    return { solutionVersion, testCases: report };
+  }
+}
+
+module.exports = new TestCaseGenerationService();
+module.exports.TestCaseGenerationError = TestCaseGenerationError;
+module.exports.getSolutionVersion = getSolutionVersion;